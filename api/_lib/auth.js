@@ -0,0 +1,168 @@
+// api/_lib/auth.js - Verifies that inbound requests come from a known client
+//
+// Either scheme is enough:
+//
+//   HMAC signature  X-Webhook-Timestamp: <unix seconds>
+//                   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>", keyed with WEBHOOK_SECRET>
+//                   Rejected when the timestamp is more than WEBHOOK_TOLERANCE_SECONDS (default 300)
+//                   from now, or when the same signature was already accepted (replay).
+//   API key         X-API-Key: <key>  or  Authorization: Bearer <key>
+//                   WEBHOOK_API_KEYS="zapier:key1,outlook:key2" (client name before the colon)
+//
+// With neither configured every request is rejected, unless WEBHOOK_AUTH=disabled
+// (local development only).
+import crypto from 'crypto';
+import { Logger } from 'load-automation-modules';
+
+const logger = new Logger({ module: 'auth' });
+const DEFAULT_TOLERANCE_SECONDS = 300;
+const SIGNATURE = /^sha256=([a-f0-9]{64})$/i;
+
+// Signatures accepted within the tolerance window, by expiry time (per instance)
+const acceptedSignatures = new Map();
+
+/**
+ * Check a request against the configured schemes
+ * @returns {Object} - { authenticated, scheme, client, reason }
+ */
+export function authenticateRequest(req, env = process.env) {
+    if ((env.WEBHOOK_AUTH || '').trim().toLowerCase() === 'disabled') {
+        return { authenticated: true, scheme: 'disabled', client: null, reason: null };
+    }
+
+    const apiKeys = parseApiKeys(env.WEBHOOK_API_KEYS);
+    if (!env.WEBHOOK_SECRET && apiKeys.length === 0) {
+        return reject('Webhook authentication is not configured - set WEBHOOK_SECRET or WEBHOOK_API_KEYS');
+    }
+
+    const headers = req.headers || {};
+    const bearer = /^Bearer\s+(.+)$/i.exec(headers.authorization || '');
+    const presentedKey = headers['x-api-key'] || bearer?.[1];
+
+    if (headers['x-webhook-signature']) {
+        if (!env.WEBHOOK_SECRET) {
+            return reject('Signed requests are not accepted - WEBHOOK_SECRET is not set');
+        }
+        return verifySignature(req, env);
+    }
+
+    if (presentedKey) {
+        if (apiKeys.length === 0) {
+            return reject('API keys are not accepted - WEBHOOK_API_KEYS is not set');
+        }
+        const match = apiKeys.find(({ key }) => safeEqual(key, presentedKey.trim()));
+        return match
+            ? { authenticated: true, scheme: 'api_key', client: match.client, reason: null }
+            : reject('Invalid API key');
+    }
+
+    return reject('Missing X-Webhook-Signature or API key');
+}
+
+/**
+ * Reject unauthenticated requests with 401 before any work is done
+ * @returns {Object|null} - authenticateRequest() result, or null when the response was sent
+ */
+export function requireAuth(req, res, env = process.env) {
+    const auth = authenticateRequest(req, env);
+    if (auth.authenticated) {
+        return auth;
+    }
+
+    logger.warn('Request rejected', { path: req.url || null, reason: auth.reason });
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    res.status(401).json({ success: false, error: 'Unauthorized', reason: auth.reason });
+    return null;
+}
+
+function verifySignature(req, env) {
+    const headers = req.headers || {};
+    const match = SIGNATURE.exec(String(headers['x-webhook-signature']).trim());
+    if (!match) {
+        return reject('Malformed X-Webhook-Signature - expected sha256=<hex>');
+    }
+
+    const timestamp = Number(headers['x-webhook-timestamp']);
+    if (!Number.isInteger(timestamp)) {
+        return reject('Missing or invalid X-Webhook-Timestamp');
+    }
+
+    const toleranceSeconds = Number(env.WEBHOOK_TOLERANCE_SECONDS) || DEFAULT_TOLERANCE_SECONDS;
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    if (Math.abs(nowSeconds - timestamp) > toleranceSeconds) {
+        return reject(`X-Webhook-Timestamp is more than ${toleranceSeconds}s from server time`);
+    }
+
+    const rawBody = readRawBody(req);
+    if (rawBody === null) {
+        return reject('Request body unavailable for signature check');
+    }
+
+    const expected = crypto
+        .createHmac('sha256', env.WEBHOOK_SECRET)
+        .update(`${timestamp}.`)
+        .update(rawBody)
+        .digest('hex');
+    const signature = match[1].toLowerCase();
+    if (!safeEqual(expected, signature)) {
+        return reject('Invalid signature');
+    }
+
+    pruneAcceptedSignatures(nowSeconds);
+    if (acceptedSignatures.has(signature)) {
+        return reject('Signature already used');
+    }
+    acceptedSignatures.set(signature, timestamp + toleranceSeconds);
+
+    return { authenticated: true, scheme: 'signature', client: null, reason: null };
+}
+
+/**
+ * The bytes the client signed, as kept by readRequestBody() (payload.js) or the
+ * local server. A body that only exists parsed cannot be checked: re-serializing
+ * it would not reproduce the sender's bytes.
+ */
+function readRawBody(req) {
+    if (req.rawBody !== undefined) {
+        return req.rawBody;
+    }
+    if (typeof req.body === 'string' || Buffer.isBuffer(req.body)) {
+        return req.body;
+    }
+    return req.body === undefined || req.body === null || req.body === '' ? '' : null;
+}
+
+/**
+ * "zapier:key1,outlook:key2" -> [{ client, key }]; a key without a name belongs to "default"
+ */
+function parseApiKeys(value = '') {
+    return value
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const separator = entry.indexOf(':');
+            return separator > 0
+                ? { client: entry.slice(0, separator).trim(), key: entry.slice(separator + 1).trim() }
+                : { client: 'default', key: entry };
+        })
+        .filter(({ key }) => key);
+}
+
+function pruneAcceptedSignatures(nowSeconds) {
+    for (const [signature, expiresAt] of acceptedSignatures) {
+        if (expiresAt < nowSeconds) {
+            acceptedSignatures.delete(signature);
+        }
+    }
+}
+
+// Hashing first gives equal-length buffers, so neither length nor content leaks through timing
+function safeEqual(a, b) {
+    const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+function reject(reason) {
+    return { authenticated: false, scheme: null, client: null, reason };
+}
@@ -0,0 +1,136 @@
+// api/_lib/payload.js - Normalizes Zapier / Outlook / raw RFC 822 webhook payloads into emailData
+import { MimeParser } from 'load-automation-modules';
+
+const mimeParser = new MimeParser();
+
+/**
+ * Read a header from an Outlook/Graph internetMessageHeaders array
+ */
+function findHeader(headers, name) {
+    if (!Array.isArray(headers)) return undefined;
+    const header = headers.find(h => h?.name?.toLowerCase() === name.toLowerCase());
+    return header?.value;
+}
+
+/**
+ * Raw message sent as the request body itself or in a JSON field
+ * (raw / mime / eml, optionally with rawEncoding: "base64")
+ */
+function findRawMessage(body) {
+    if (typeof body === 'string' || Buffer.isBuffer(body)) {
+        return body;
+    }
+
+    const raw = body.raw || body.mime || body.eml;
+    if (raw) {
+        return body.rawEncoding === 'base64' ? Buffer.from(raw, 'base64') : raw;
+    }
+
+    // Some Zapier triggers hand over the whole message source as the JSON field
+    if (typeof body.JSON === 'string' && mimeParser.looksLikeRawMessage(body.JSON)) {
+        return body.JSON;
+    }
+
+    return null;
+}
+
+/**
+ * Attachments from Outlook/Graph ({ name, contentType, contentBytes }) or
+ * Zapier ({ filename, content } base64, or { filename, text })
+ */
+function normalizeAttachments(attachments) {
+    if (!Array.isArray(attachments)) return [];
+
+    return attachments
+        .filter(Boolean)
+        .map(attachment => ({
+            filename: attachment.filename || attachment.name || attachment.fileName || null,
+            contentType: attachment.contentType || attachment.content_type || attachment.mimeType || null,
+            content: typeof attachment.text === 'string'
+                ? Buffer.from(attachment.text, 'utf8')
+                : attachment.contentBytes || attachment.content || attachment.data || ''
+        }));
+}
+
+/**
+ * Build the emailData object LoadAutomationService.processEmail() expects
+ * @param {Object|string|Buffer} body - Parsed webhook request body
+ */
+export function normalizeWebhookPayload(body = {}) {
+    const raw = findRawMessage(body || {});
+    if (raw) {
+        const emailData = mimeParser.toEmailData(raw);
+        // Ids and timestamps supplied next to the raw message win over the parsed ones
+        if (body.id) emailData.id = body.id;
+        if (body.receivedDateTime || body.receivedAt) emailData.receivedAt = body.receivedDateTime || body.receivedAt;
+        emailData.attachments = [...emailData.attachments, ...normalizeAttachments(body.attachments)];
+        return emailData;
+    }
+
+    const headers = body.internetMessageHeaders;
+
+    // Handle Zapier's data format - all data comes in body.JSON
+    const zapierData = body.JSON || '';
+    const bodyPreview = body.bodyPreview || '';
+    // Outlook/Graph bodies are usually HTML; the parsers want clean text
+    const emailBodyContent = body.body?.content && (body.body.contentType || '').toLowerCase() !== 'text'
+        ? mimeParser.htmlToText(body.body.content)
+        : body.body?.content || '';
+
+    return {
+        id: body.id || null,
+        messageId: body.internetMessageId || body.messageId || body.message_id || findHeader(headers, 'Message-ID') || body.id || null,
+        inReplyTo: body.inReplyTo || body.in_reply_to || findHeader(headers, 'In-Reply-To') || null,
+        references: body.references || findHeader(headers, 'References') || null,
+        from: (typeof body.from === 'string' ? body.from : body.from?.emailAddress?.address) || body.sender || null,
+        subject: body.subject || 'Load Inquiry',
+        receivedAt: body.receivedDateTime || body.receivedAt || body.date || null,
+        // Use Zapier data if available, otherwise fall back to structured data
+        body: zapierData || bodyPreview || emailBodyContent || '',
+        attachments: normalizeAttachments(body.attachments)
+    };
+}
+
+/**
+ * Read the request body from the stream, keeping the exact bytes as
+ * req.rawBody for signature checks. Handlers turn Vercel's own body parsing
+ * off (export const config) and this parses the way it would: JSON and forms
+ * to objects, text to a string, anything else to a Buffer. Bodies already
+ * read (the local server's express parsers) are left as they are.
+ */
+export async function readRequestBody(req) {
+    if (req.rawBody !== undefined || req.readableEnded || typeof req[Symbol.asyncIterator] !== 'function') {
+        return req.body;
+    }
+
+    const chunks = [];
+    for await (const chunk of req) {
+        chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+    }
+    req.rawBody = Buffer.concat(chunks);
+
+    const body = parseBody(req.rawBody, req.headers?.['content-type']);
+    Object.defineProperty(req, 'body', { value: body, writable: true, configurable: true, enumerable: true });
+    return body;
+}
+
+function parseBody(buffer, contentType = '') {
+    const type = contentType.split(';')[0].trim().toLowerCase();
+    if (buffer.length === 0) {
+        return undefined;
+    }
+    if (type === 'application/json' || type.endsWith('+json')) {
+        try {
+            return JSON.parse(buffer.toString('utf8'));
+        } catch (error) {
+            throw new Error(`Invalid JSON body: ${error.message}`);
+        }
+    }
+    if (type === 'application/x-www-form-urlencoded') {
+        return Object.fromEntries(new URLSearchParams(buffer.toString('utf8')));
+    }
+    if (type.startsWith('text/') || type === 'message/rfc822') {
+        return buffer.toString('utf8');
+    }
+    return buffer;
+}
@@ -0,0 +1,284 @@
+// api/_lib/service.js - Builds LoadAutomationService from environment variables
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    LoadAutomationService,
+    FileConversationStore,
+    ListCarrierVetter,
+    FileReviewQueue,
+    ApiLoadSource,
+    BrowserLoadSource,
+    MockLoadSource,
+    ReviewQueue,
+    JsonlAuditLog,
+    FileMetricsRegistry,
+    Mailer,
+    SmtpTransport,
+    FileTransport,
+    NoopTransport,
+    ImapMailbox,
+    MaildirMailbox,
+    Logger
+} from 'load-automation-modules';
+
+const logger = new Logger({ module: 'service-config' });
+const DEFAULT_LOAD_SOURCES = 'api,browser';
+
+/**
+ * Build the ordered load source chain named in LOAD_SOURCES (e.g. "api,browser").
+ * Sources whose configuration is missing are skipped.
+ */
+export function createLoadSourcesFromEnv(env = process.env) {
+    const names = (env.LOAD_SOURCES || DEFAULT_LOAD_SOURCES)
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean);
+
+    const hasQuoteFactoryCredentials = !!(env.QUOTEFACTORY_USERNAME && env.QUOTEFACTORY_PASSWORD);
+    const sources = [];
+
+    for (const name of names) {
+        if (name === 'api') {
+            if (hasQuoteFactoryCredentials && env.AUTH0_DOMAIN && env.AUTH0_CLIENT_ID && env.AUTH0_CLIENT_SECRET) {
+                sources.push(new ApiLoadSource({
+                    baseUrl: env.QUOTEFACTORY_API_BASE,
+                    username: env.QUOTEFACTORY_USERNAME,
+                    password: env.QUOTEFACTORY_PASSWORD,
+                    auth0: {
+                        auth0Domain: env.AUTH0_DOMAIN,
+                        clientId: env.AUTH0_CLIENT_ID,
+                        clientSecret: env.AUTH0_CLIENT_SECRET,
+                        audience: env.AUTH0_AUDIENCE
+                    }
+                }));
+            } else {
+                logger.warn('Skipping api load source - Auth0 or QuoteFactory credentials missing');
+            }
+        } else if (name === 'browser') {
+            if (hasQuoteFactoryCredentials) {
+                sources.push(new BrowserLoadSource({
+                    username: env.QUOTEFACTORY_USERNAME,
+                    password: env.QUOTEFACTORY_PASSWORD,
+                    browserlessToken: env.BROWSERLESS_TOKEN
+                }));
+            } else {
+                logger.warn('Skipping browser load source - QuoteFactory credentials missing');
+            }
+        } else if (name === 'mock') {
+            const loads = env.LOAD_SOURCE_FIXTURES
+                ? JSON.parse(fs.readFileSync(env.LOAD_SOURCE_FIXTURES, 'utf8'))
+                : {};
+            sources.push(new MockLoadSource({ loads }));
+        } else {
+            logger.warn('Unknown load source in LOAD_SOURCES - ignoring', { source: name });
+        }
+    }
+
+    return sources;
+}
+
+/**
+ * Local data directory for file-backed stores.
+ * On Vercel only /tmp is writable and it does not survive cold starts.
+ */
+export function getDataDir(env = process.env) {
+    return env.DATA_DIR || path.join(os.tmpdir(), 'emailqfdatbot');
+}
+
+/**
+ * Whether a store file would only live in this instance's temp directory:
+ * always on Vercel (every function has its own /tmp), and in production
+ * unless DATA_DIR or the store's own path is set
+ */
+export function isEphemeralStorage(env = process.env, storePath = undefined) {
+    if (env.VERCEL) {
+        return true;
+    }
+    return env.NODE_ENV === 'production' && !storePath && !env.DATA_DIR;
+}
+
+/**
+ * Held reply drafts (REVIEW_QUEUE_PATH). Null where the file would be lost or
+ * invisible to /api/review; the webhook then returns held drafts to the caller.
+ */
+export function createReviewQueue(env = process.env) {
+    if (isEphemeralStorage(env, env.REVIEW_QUEUE_PATH)) {
+        return null;
+    }
+    return new FileReviewQueue({
+        filePath: env.REVIEW_QUEUE_PATH || path.join(getDataDir(env), 'review-queue.json')
+    });
+}
+
+/**
+ * Append-only JSONL record of every processed email and reply (AUDIT_LOG_PATH).
+ * Null where the file would be lost on a cold start or split across
+ * instances, as for the review queue; nothing is recorded then.
+ */
+export function createAuditLog(env = process.env) {
+    if (isEphemeralStorage(env, env.AUDIT_LOG_PATH)) {
+        return null;
+    }
+    return new JsonlAuditLog({
+        filePath: env.AUDIT_LOG_PATH || path.join(getDataDir(env), 'audit.jsonl')
+    });
+}
+
+/**
+ * Counters and histograms behind /api/metrics (METRICS_PATH). Null where the
+ * file would reset on every cold start and differ per instance; nothing is
+ * recorded then and /api/metrics answers 503.
+ */
+export function createMetricsRegistry(env = process.env) {
+    if (isEphemeralStorage(env, env.METRICS_PATH)) {
+        return null;
+    }
+    return new FileMetricsRegistry({
+        filePath: env.METRICS_PATH || path.join(getDataDir(env), 'metrics.json')
+    });
+}
+
+/**
+ * Outbound mailer named in MAIL_TRANSPORT (smtp, file or noop).
+ * Returns null when unset, leaving the sending to Zapier.
+ */
+export function createMailer(env = process.env) {
+    const name = (env.MAIL_TRANSPORT || '').trim().toLowerCase();
+    if (!name) {
+        return null;
+    }
+    if (!env.MAIL_FROM) {
+        logger.warn('MAIL_TRANSPORT is set but MAIL_FROM is missing - not sending replies');
+        return null;
+    }
+
+    let transport;
+    if (name === 'smtp') {
+        transport = new SmtpTransport({
+            host: env.SMTP_HOST,
+            port: readNumber(env.SMTP_PORT),
+            secure: env.SMTP_SECURE === undefined ? undefined : env.SMTP_SECURE === 'true',
+            user: env.SMTP_USER,
+            password: env.SMTP_PASSWORD
+        });
+    } else if (name === 'file') {
+        transport = new FileTransport({
+            directory: env.MAIL_OUTBOX_DIR || path.join(getDataDir(env), 'outbox')
+        });
+    } else if (name === 'noop') {
+        transport = new NoopTransport();
+    } else {
+        logger.warn('Unknown MAIL_TRANSPORT - not sending replies', { transport: name });
+        return null;
+    }
+
+    return new Mailer({ transport, from: env.MAIL_FROM, replyTo: env.MAIL_REPLY_TO });
+}
+
+/**
+ * Inbound mailbox named in MAILBOX (imap or maildir) for the polling worker
+ */
+export function createMailbox(env = process.env) {
+    const name = (env.MAILBOX || 'imap').trim().toLowerCase();
+
+    if (name === 'imap') {
+        return new ImapMailbox({
+            host: env.IMAP_HOST,
+            port: readNumber(env.IMAP_PORT),
+            secure: env.IMAP_SECURE === undefined ? undefined : env.IMAP_SECURE === 'true',
+            user: env.IMAP_USER,
+            password: env.IMAP_PASSWORD,
+            folder: env.IMAP_FOLDER,
+            processedFlag: env.IMAP_PROCESSED_FLAG
+        });
+    }
+    if (name === 'maildir') {
+        return new MaildirMailbox({
+            directory: env.MAILDIR_PATH || path.join(getDataDir(env), 'inbox')
+        });
+    }
+
+    throw new Error(`Unknown MAILBOX "${name}" - use imap or maildir`);
+}
+
+/**
+ * Optional allow/deny list; see zapier-modules/vetting/list-carrier-vetter.js for the format
+ */
+function createCarrierVetter(env) {
+    return env.CARRIER_VETTING_LIST
+        ? new ListCarrierVetter({
+            filePath: env.CARRIER_VETTING_LIST,
+            unknownPolicy: env.CARRIER_VETTING_UNKNOWN_POLICY
+        })
+        : null;
+}
+
+function readNumber(value) {
+    return value === undefined || value === '' ? undefined : Number(value);
+}
+
+export function createService(env = process.env) {
+    const loadSources = createLoadSourcesFromEnv(env);
+
+    return new LoadAutomationService({
+        enableQuoteFactoryLookup: loadSources.length > 0,
+        loadSources,
+        conversationStore: new FileConversationStore({
+            filePath: env.CONVERSATION_STORE_PATH || path.join(getDataDir(env), 'conversations.json')
+        }),
+        carrierVetter: createCarrierVetter(env),
+        reviewQueue: createReviewQueue(env),
+        mailer: createMailer(env),
+        auditLog: createAuditLog(env),
+        metricsRegistry: createMetricsRegistry(env),
+        review: {
+            minConfidence: readNumber(env.REVIEW_MIN_CONFIDENCE),
+            maxRate: readNumber(env.REVIEW_MAX_RATE)
+        },
+        // Per-broker reference formats; defaults to zapier-modules/config/pattern-profiles.json
+        patternProfilesPath: env.PATTERN_PROFILES_PATH,
+        formatting: {
+            companyName: env.COMPANY_NAME || 'Balto Booking'
+        },
+        logging: { level: env.LOG_LEVEL || 'info' }
+    });
+}
+
+/**
+ * Service for dry runs: same extraction, vetting, review rules and formatting
+ * as createService(), but loads come only from fixtures, held drafts stay in
+ * memory, nothing is sent and no thread state is read or written.
+ * @param {Object} options - { loads, failures } fixtures (QuoteFactory API fields by
+ *   reference, added over LOAD_SOURCE_FIXTURES), { templates } ResponseFormatter
+ *   template overrides, { profiles } pattern profile definitions to try instead of
+ *   PATTERN_PROFILES_PATH
+ */
+export function createSimulationService(options = {}, env = process.env) {
+    const fixtureLoads = env.LOAD_SOURCE_FIXTURES
+        ? JSON.parse(fs.readFileSync(env.LOAD_SOURCE_FIXTURES, 'utf8'))
+        : {};
+
+    return new LoadAutomationService({
+        enableQuoteFactoryLookup: true,
+        loadSources: [new MockLoadSource({
+            loads: { ...fixtureLoads, ...options.loads },
+            failures: options.failures
+        })],
+        conversationStore: null,
+        carrierVetter: createCarrierVetter(env),
+        reviewQueue: new ReviewQueue(),
+        mailer: null,
+        review: {
+            minConfidence: readNumber(env.REVIEW_MIN_CONFIDENCE),
+            maxRate: readNumber(env.REVIEW_MAX_RATE)
+        },
+        patternProfilesPath: options.profiles ? undefined : env.PATTERN_PROFILES_PATH,
+        patternProfiles: options.profiles,
+        formatting: {
+            companyName: env.COMPANY_NAME || 'Balto Booking',
+            ...options.templates
+        },
+        logging: { level: env.LOG_LEVEL || 'info' }
+    });
+}
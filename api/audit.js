@@ -0,0 +1,68 @@
+// api/audit.js - Query the audit log of processed emails and replies
+//
+// GET /api/audit?reference=AB123456           everything about a load
+// GET /api/audit?sender=dispatch@carrier.com  everything from a carrier (substring match)
+// GET /api/audit?requestId=req_...            one processing run and its review decisions
+//
+// Other filters: type (email_processed | draft_approved | draft_edited | draft_rejected | reply_sent),
+// scenario, since / until (ISO dates), limit (default 50, max 500). Newest first.
+// Needs durable storage like /api/review: on Vercel, or in production without
+// DATA_DIR or AUDIT_LOG_PATH, nothing is recorded and this answers 503.
+// Authenticated like /api/webhook.
+import { createAuditLog } from './_lib/service.js';
+import { requireAuth } from './_lib/auth.js';
+import { readRequestBody } from './_lib/payload.js';
+import { Logger } from 'load-automation-modules';
+
+const logger = new Logger({ module: 'audit' });
+const FILTERS = ['requestId', 'type', 'sender', 'reference', 'scenario', 'since', 'until', 'limit'];
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        await readRequestBody(req);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    if (!requireAuth(req, res)) {
+        return;
+    }
+
+    const filters = {};
+    for (const name of FILTERS) {
+        if (req.query?.[name]) {
+            filters[name] = String(req.query[name]);
+        }
+    }
+
+    for (const name of ['since', 'until']) {
+        if (filters[name] && Number.isNaN(new Date(filters[name]).getTime())) {
+            return res.status(400).json({ success: false, error: `Invalid ${name} date: ${filters[name]}` });
+        }
+    }
+
+    const auditLog = createAuditLog();
+    if (!auditLog) {
+        return res.status(503).json({
+            success: false,
+            error: 'Audit log needs durable storage - set DATA_DIR or AUDIT_LOG_PATH on a long-running server; Vercel instances would each keep their own records in /tmp'
+        });
+    }
+
+    try {
+        const records = await auditLog.query(filters);
+        return res.status(200).json({ success: true, count: records.length, filters, records });
+    } catch (error) {
+        logger.error('Audit query failed', error);
+        return res.status(500).json({ success: false, error: error.message });
+    }
+}
+
+// Signatures cover the exact bytes sent, so the body is read by readRequestBody()
+export const config = {
+    api: { bodyParser: false }
+};
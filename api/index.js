@@ -1,10 +1,74 @@
-export default function handler(req, res) {
-    res.json({
-        service: 'Load Email Automation - Serverless Version',
-        status: 'running',
-        version: '41.0.0',
-        credentialsConfigured: !!(process.env.QUOTEFACTORY_USERNAME && process.env.QUOTEFACTORY_PASSWORD),
-        timestamp: new Date().toISOString(),
-        platform: 'Vercel Serverless'
-    });
+// api/index.js - Service status and health check for uptime monitors
+//
+// GET /api          200 when healthy or degraded, 503 when unhealthy
+// GET /api?deep=1   same, with live probes; authenticated like /api/webhook
+//
+// Reports separately on the load sources, the mail transport and the
+// file-backed stores, each with its latency. Without deep=1 only the stores
+// are checked and the rest reports what is configured, so anonymous callers
+// never make us log in anywhere. The live probes (Auth0 token and QuoteFactory
+// API for "api", Browserless or local Chromium for "browser", SMTP) are cached
+// for HEALTH_CACHE_SECONDS (default 60).
+import { createRequire } from 'module';
+import { createService } from './_lib/service.js';
+import { requireAuth } from './_lib/auth.js';
+import { Logger } from 'load-automation-modules';
+
+const { version } = createRequire(import.meta.url)('../package.json');
+const logger = new Logger({ module: 'health' });
+const DEFAULT_CACHE_SECONDS = 60;
+
+// Last deep result in this instance: { health, expiresAt }
+let deepHealth = null;
+
+export default async function handler(req, res) {
+    const deep = ['1', 'true'].includes(String(req.query?.deep));
+    if (deep && !requireAuth(req, res)) {
+        return;
+    }
+
+    let service;
+
+    try {
+        let health;
+        let cached = false;
+        if (deep && deepHealth && deepHealth.expiresAt > Date.now()) {
+            health = deepHealth.health;
+            cached = true;
+        } else {
+            service = createService();
+            health = await service.healthCheck({ deep });
+            if (deep) {
+                const cacheSeconds = Number(process.env.HEALTH_CACHE_SECONDS) || DEFAULT_CACHE_SECONDS;
+                deepHealth = { health, expiresAt: Date.now() + cacheSeconds * 1000 };
+            }
+        }
+
+        if (health.status !== 'healthy') {
+            logger.warn('Health check not healthy', { status: health.status, deep: health.deep, cached });
+        }
+
+        return res.status(health.status === 'unhealthy' ? 503 : 200).json({
+            service: 'Load Email Automation',
+            status: health.status,
+            version,
+            credentialsConfigured: !!(process.env.QUOTEFACTORY_USERNAME && process.env.QUOTEFACTORY_PASSWORD),
+            platform: process.env.VERCEL ? 'Vercel Serverless' : 'Node.js',
+            deep: health.deep,
+            cached,
+            checks: health.checks,
+            timestamp: health.timestamp
+        });
+    } catch (error) {
+        logger.error('Health check failed', error);
+        return res.status(503).json({
+            service: 'Load Email Automation',
+            status: 'unhealthy',
+            version,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    } finally {
+        await service?.close().catch(error => logger.error('Failed to release resources', error));
+    }
 }
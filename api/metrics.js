@@ -0,0 +1,42 @@
+// api/metrics.js - Processing metrics for Prometheus
+//
+// GET /api/metrics               Prometheus text format (scrape target)
+// GET /api/metrics?format=json   the same values as JSON
+//
+// Counters and histograms persist in METRICS_PATH (default DATA_DIR/metrics.json),
+// so they survive restarts; each instance with its own file reports its own values.
+// Needs durable storage like /api/review: on Vercel, or in production without
+// DATA_DIR or METRICS_PATH, nothing is recorded and this answers 503.
+// See zapier-modules/metrics/metrics-registry.js for the metric names and labels.
+import { createMetricsRegistry } from './_lib/service.js';
+import { Logger } from 'load-automation-modules';
+
+const logger = new Logger({ module: 'metrics' });
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const registry = createMetricsRegistry();
+    if (!registry) {
+        return res.status(503).json({
+            success: false,
+            error: 'Metrics need durable storage - set DATA_DIR or METRICS_PATH on a long-running server; Vercel instances would each report their own counters from /tmp'
+        });
+    }
+
+    try {
+        if (req.query?.format === 'json') {
+            return res.status(200).json({ success: true, ...(await registry.snapshot()) });
+        }
+
+        const body = await registry.toPrometheus();
+        res.setHeader('Content-Type', PROMETHEUS_CONTENT_TYPE);
+        return res.status(200).send(body);
+    } catch (error) {
+        logger.error('Metrics failed', error);
+        return res.status(500).json({ success: false, error: error.message });
+    }
+}
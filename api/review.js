@@ -0,0 +1,140 @@
+// api/review.js - Human review of held reply drafts
+//
+// GET  /api/review?status=pending   list drafts (status: pending | approved | rejected | all)
+// GET  /api/review?id=<draftId>     one draft
+// POST /api/review                  { id, action: approve | edit | reject, subject?, body?, reason?, reviewer? }
+//
+// Approved drafts are sent straight away when MAIL_TRANSPORT is configured;
+// otherwise poll GET ?status=approved (Zapier "Retrieve Poll", deduplicated on id)
+// and send them from there. Needs durable storage, so not available on Vercel.
+// Every decision (and any reply sent) is added to the audit log.
+// Authenticated like /api/webhook.
+import { createReviewQueue, createMailer, createAuditLog } from './_lib/service.js';
+import { requireAuth } from './_lib/auth.js';
+import { readRequestBody } from './_lib/payload.js';
+import { Logger } from 'load-automation-modules';
+
+const logger = new Logger({ module: 'review' });
+
+export default async function handler(req, res) {
+    try {
+        await readRequestBody(req);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    if (!requireAuth(req, res)) {
+        return;
+    }
+
+    const queue = createReviewQueue();
+    if (!queue) {
+        return res.status(503).json({
+            success: false,
+            error: 'Review queue needs durable storage - set DATA_DIR or REVIEW_QUEUE_PATH on a long-running server; on Vercel /api/webhook returns held drafts instead'
+        });
+    }
+
+    try {
+        if (req.method === 'GET') {
+            if (req.query?.id) {
+                const draft = await queue.get(req.query.id);
+                return draft
+                    ? res.status(200).json({ success: true, draft })
+                    : res.status(404).json({ success: false, error: `Draft not found: ${req.query.id}` });
+            }
+
+            const status = req.query?.status || 'pending';
+            const drafts = await queue.list(status === 'all' ? {} : { status });
+            return res.status(200).json({ success: true, count: drafts.length, drafts });
+        }
+
+        if (req.method === 'POST') {
+            const { id, action, subject, body, reason, reviewer } = req.body || {};
+
+            if (!id || !action) {
+                return res.status(400).json({ success: false, error: 'id and action are required' });
+            }
+
+            let draft;
+            if (action === 'approve') {
+                draft = await queue.approve(id, { reviewer });
+            } else if (action === 'edit') {
+                draft = await queue.edit(id, { subject, body, reviewer });
+            } else if (action === 'reject') {
+                draft = await queue.reject(id, { reason, reviewer });
+            } else {
+                return res.status(400).json({ success: false, error: `Unknown action: ${action}` });
+            }
+
+            logger.info('Draft reviewed', { draftId: id, status: draft.status, reviewer: reviewer || null });
+
+            const mailer = draft.status === 'approved' ? createMailer() : null;
+            let delivery = null;
+            if (mailer) {
+                try {
+                    delivery = await mailer.sendReply(draft.email, draft.response);
+                } catch (error) {
+                    logger.error('Failed to send approved draft', error, { draftId: id });
+                    delivery = { sent: false, error: error.message };
+                }
+            }
+
+            await recordReview(action, draft, reviewer, delivery);
+
+            return res.status(200).json({ success: true, draft, delivery });
+        }
+
+        return res.status(405).json({ error: 'Method not allowed' });
+
+    } catch (error) {
+        const status = /not found/i.test(error.message) ? 404
+            : /already|invalid|needs/i.test(error.message) ? 409
+            : 500;
+        logger.error('Review failed', error, { status });
+        return res.status(status).json({ success: false, error: error.message });
+    }
+}
+
+const REVIEW_EVENTS = { approve: 'draft_approved', edit: 'draft_edited', reject: 'draft_rejected' };
+
+/**
+ * Audit the decision, and the reply when one went out; failures are only logged
+ */
+async function recordReview(action, draft, reviewer, delivery) {
+    const auditLog = createAuditLog();
+    if (!auditLog) {
+        return;
+    }
+
+    const common = {
+        requestId: draft.requestId,
+        draftId: draft.id,
+        sender: draft.email?.from || null,
+        reference: draft.loadReference,
+        reviewer: reviewer || null
+    };
+
+    try {
+        await auditLog.recordEvent(REVIEW_EVENTS[action], {
+            ...common,
+            reason: draft.rejectionReason || null,
+            reply: draft.response ? { subject: draft.response.subject, body: draft.response.body } : null
+        });
+
+        if (delivery?.sent) {
+            await auditLog.recordEvent('reply_sent', {
+                ...common,
+                reply: { subject: draft.response.subject, body: draft.response.body },
+                delivery: { transport: delivery.transport, messageId: delivery.messageId }
+            });
+        }
+    } catch (error) {
+        logger.error('Failed to audit draft', error, { draftId: draft.id });
+    }
+}
+
+// Signatures cover the exact bytes sent, so the body is read by readRequestBody()
+export const config = {
+    api: { bodyParser: false }
+};
@@ -0,0 +1,121 @@
+// api/simulate.js - Dry run: what would the bot reply to this email?
+//
+// POST /api/simulate   same payload as /api/webhook, plus an optional
+//                      "simulation": { loads, failures, templates, profiles }
+//
+//   loads      QuoteFactory API fields by reference ({ "AB123456": { rate: 2400, ... } }),
+//              added over LOAD_SOURCE_FIXTURES
+//   failures   lookup errors to simulate, by reference
+//   templates  ResponseFormatter overrides (loadFoundTemplate, signatureTemplate, ...)
+//   profiles   pattern profile definitions to try instead of PATTERN_PROFILES_PATH
+//
+// Loads come only from those fixtures: no QuoteFactory login, no Chromium, no mail
+// sent, no review draft or conversation state saved. The response is the full
+// decision trace, with the reply rendered even when it would be held for review.
+// Authenticated like /api/webhook.
+import { createSimulationService } from './_lib/service.js';
+import { requireAuth } from './_lib/auth.js';
+import { normalizeWebhookPayload, readRequestBody } from './_lib/payload.js';
+import { Logger } from 'load-automation-modules';
+
+const logger = new Logger({ module: 'simulate' });
+
+export default async function handler(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        await readRequestBody(req);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    if (!requireAuth(req, res)) {
+        return;
+    }
+
+    let service;
+    let emailData;
+    try {
+        const options = (typeof req.body === 'object' && !Buffer.isBuffer(req.body) && req.body?.simulation) || {};
+        service = createSimulationService(options);
+        emailData = normalizeWebhookPayload(req.body);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    logger.info('Simulating reply', {
+        from: emailData.from,
+        subjectLength: emailData.subject.length,
+        bodyLength: emailData.body.length
+    });
+    const result = await service.processEmail(emailData, { explain: true });
+
+    if (!result.success) {
+        return res.status(200).json({
+            success: false,
+            simulated: true,
+            requestId: result.requestId,
+            error: result.error,
+            reply: { subject: result.response.subject, body: result.response.body }
+        });
+    }
+
+    const extraction = result.extraction || {};
+    const held = result.review?.status === 'held';
+
+    return res.status(200).json({
+        success: true,
+        simulated: true,
+        requestId: result.requestId,
+        email: {
+            from: emailData.from,
+            subject: emailData.subject,
+            messageId: emailData.messageId || null,
+            attachments: result.attachments
+        },
+        extraction: {
+            found: !!extraction.found,
+            reference: extraction.reference || null,
+            confidence: extraction.confidence || 0,
+            source: extraction.source || null,
+            attachment: extraction.attachment || null,
+            section: extraction.section || null,
+            profile: extraction.profile || null,
+            matchedPattern: extraction.matchedPattern || null,
+            candidates: extraction.candidates || [],
+            exclusions: extraction.exclusions || []
+        },
+        references: result.references.map(ref => ref.reference),
+        carrier: result.carrier,
+        vetting: result.vetting || null,
+        lookup: {
+            ...result.lookup,
+            loadData: result.loadData,
+            loads: result.loads || null
+        },
+        capacity: result.capacity,
+        counterOffer: result.counterOffer?.found ? result.counterOffer : null,
+        negotiation: result.negotiation || null,
+        scenario: result.response.metadata?.scenario,
+        review: {
+            held,
+            reasons: result.review?.reasons || []
+        },
+        // What /api/webhook would hand to Zapier (or send), or draft for review when held
+        reply: {
+            subject: result.response.subject,
+            body: result.response.body
+        },
+        wouldSend: !held,
+        processingTimeMs: result.processingTimeMs,
+        timestamp: result.timestamp
+    });
+}
+
+export const config = {
+    maxDuration: 30,
+    // Signatures cover the exact bytes sent, so the body is read by readRequestBody()
+    api: { bodyParser: false }
+};
@@ -0,0 +1,193 @@
+// benchmark/run.js - Reference extraction accuracy across every extractor
+//
+//   npm run benchmark                      all extractors, fail below thresholds.json
+//   node benchmark/run.js --verbose        also list every miss and false positive
+//   node benchmark/run.js --only service   one extractor (email-parser | service | zapier-step)
+//   node benchmark/run.js --json           machine-readable report
+//
+// Fixtures are .eml files in benchmark/fixtures; the expected references are
+// listed (comma separated, empty for none) in their X-Expected-References header.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { EmailParser, MimeParser, LoadAutomationService } from 'load-automation-modules';
+
+const benchmarkDir = path.dirname(fileURLToPath(import.meta.url));
+const fixturesDir = path.join(benchmarkDir, 'fixtures');
+const thresholds = JSON.parse(fs.readFileSync(path.join(benchmarkDir, 'thresholds.json'), 'utf8'));
+const zapierStepPath = path.join(benchmarkDir, '..', 'zapier-modules', 'zapier-code-steps', 'extract-load-reference.js');
+
+const args = process.argv.slice(2);
+const verbose = args.includes('--verbose');
+const asJson = args.includes('--json');
+const only = args.includes('--only') ? args[args.indexOf('--only') + 1] : null;
+
+const mimeParser = new MimeParser();
+
+function loadFixtures() {
+    return fs.readdirSync(fixturesDir)
+        .filter(name => name.endsWith('.eml'))
+        .sort()
+        .map(name => {
+            const raw = fs.readFileSync(path.join(fixturesDir, name));
+            const message = mimeParser.parse(raw);
+            const expectedHeader = message.headers['x-expected-references'];
+            if (expectedHeader === undefined) {
+                throw new Error(`${name} has no X-Expected-References header`);
+            }
+
+            return {
+                name,
+                emailData: mimeParser.toEmailData(raw),
+                expected: expectedHeader.split(',').map(ref => ref.trim().toUpperCase()).filter(Boolean)
+            };
+        });
+}
+
+/**
+ * Extractors under test: each returns the references it found, best first
+ */
+function createExtractors() {
+    const parser = new EmailParser();
+    const service = new LoadAutomationService({
+        enableQuoteFactoryLookup: false,
+        logging: { level: 'error' }
+    });
+    const zapierStep = new Function('inputData', `let output;\n${fs.readFileSync(zapierStepPath, 'utf8')}\nreturn output;`);
+
+    return {
+        // Canonical module, as the service calls it for the body text
+        'email-parser': async (emailData) => {
+            const options = { sender: emailData.from };
+            const primary = parser.extractLoadReference(emailData.body, options);
+            if (!primary.found) return [];
+            const all = parser.extractMultipleReferences(emailData.body, 5, options).map(ref => ref.reference);
+            return [primary.reference, ...all.filter(ref => ref !== primary.reference)];
+        },
+
+        // The full path /api/webhook runs (thread reuse off, attachments on)
+        'service': async (emailData) => {
+            const result = await service.processEmail(emailData);
+            if (!result.extraction?.found) return [];
+            const all = (result.references || []).map(ref => ref.reference);
+            return [result.extraction.reference, ...all.filter(ref => ref !== result.extraction.reference)];
+        },
+
+        // Zapier code step 1 as built by `npm run build:zapier` from EmailParser (one reference only)
+        'zapier-step': async (emailData) => {
+            const output = silenced(() => zapierStep({
+                email_subject: emailData.subject,
+                email_body: emailData.body,
+                email_from: emailData.from
+            }));
+            return output.load_reference ? [output.load_reference] : [];
+        }
+    };
+}
+
+function silenced(fn) {
+    const { log, error } = console;
+    console.log = () => {};
+    console.error = () => {};
+    try {
+        return fn();
+    } finally {
+        console.log = log;
+        console.error = error;
+    }
+}
+
+/**
+ * Precision / recall over every (email, reference) pair, plus how often the
+ * top reference (or "none" for emails without one) was right
+ */
+async function evaluate(name, extract, fixtures) {
+    const totals = { truePositives: 0, falsePositives: 0, falseNegatives: 0, primaryCorrect: 0 };
+    const cases = [];
+
+    for (const fixture of fixtures) {
+        const found = [...new Set((await extract(fixture.emailData)).map(ref => String(ref).toUpperCase()))];
+        const expected = new Set(fixture.expected);
+
+        const truePositives = found.filter(ref => expected.has(ref));
+        const falsePositives = found.filter(ref => !expected.has(ref));
+        const falseNegatives = fixture.expected.filter(ref => !found.includes(ref));
+        const primaryCorrect = fixture.expected.length === 0 ? found.length === 0 : expected.has(found[0]);
+
+        totals.truePositives += truePositives.length;
+        totals.falsePositives += falsePositives.length;
+        totals.falseNegatives += falseNegatives.length;
+        totals.primaryCorrect += primaryCorrect ? 1 : 0;
+
+        cases.push({ fixture: fixture.name, expected: fixture.expected, found, falsePositives, falseNegatives, primaryCorrect });
+    }
+
+    const ratio = (numerator, denominator) => (denominator === 0 ? 1 : numerator / denominator);
+    const precision = ratio(totals.truePositives, totals.truePositives + totals.falsePositives);
+    const recall = ratio(totals.truePositives, totals.truePositives + totals.falseNegatives);
+
+    return {
+        extractor: name,
+        emails: fixtures.length,
+        ...totals,
+        precision,
+        recall,
+        f1: precision + recall === 0 ? 0 : (2 * precision * recall) / (precision + recall),
+        primaryAccuracy: ratio(totals.primaryCorrect, fixtures.length),
+        cases
+    };
+}
+
+/**
+ * Metrics below the extractor's minimums in thresholds.json
+ */
+function checkThresholds(report) {
+    const minimums = thresholds[report.extractor] || {};
+    return Object.entries(minimums)
+        .filter(([metric, minimum]) => report[metric] < minimum)
+        .map(([metric, minimum]) => `${report.extractor} ${metric} ${report[metric].toFixed(3)} < ${minimum}`);
+}
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`.padStart(7);
+
+const fixtures = loadFixtures();
+const extractors = createExtractors();
+const names = only ? [only] : Object.keys(extractors);
+const reports = [];
+
+for (const name of names) {
+    if (!extractors[name]) {
+        console.error(`Unknown extractor "${name}" - use ${Object.keys(extractors).join(', ')}`);
+        process.exit(2);
+    }
+    reports.push(await evaluate(name, extractors[name], fixtures));
+}
+
+const failures = reports.flatMap(checkThresholds);
+
+if (asJson) {
+    console.log(JSON.stringify({ reports, failures }, null, 2));
+} else {
+    console.log(`Reference extraction benchmark - ${fixtures.length} emails\n`);
+    console.log('extractor       precision  recall      f1  primary   TP  FP  FN');
+    for (const report of reports) {
+        console.log(`${report.extractor.padEnd(14)} ${percent(report.precision)}  ${percent(report.recall)} ${percent(report.f1)}  ${percent(report.primaryAccuracy)} ` +
+            `${String(report.truePositives).padStart(4)}${String(report.falsePositives).padStart(4)}${String(report.falseNegatives).padStart(4)}`);
+    }
+
+    if (verbose) {
+        for (const report of reports) {
+            const misses = report.cases.filter(c => c.falsePositives.length || c.falseNegatives.length || !c.primaryCorrect);
+            console.log(`\n${report.extractor}: ${misses.length} emails with errors`);
+            for (const c of misses) {
+                console.log(`  ${c.fixture}: expected [${c.expected.join(', ')}] found [${c.found.join(', ')}]`);
+            }
+        }
+    }
+
+    console.log(failures.length === 0
+        ? '\n✅ All extractors meet thresholds.json'
+        : `\n❌ Below threshold:\n  ${failures.join('\n  ')}`);
+}
+
+process.exitCode = failures.length === 0 ? 0 : 1;
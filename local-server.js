@@ -0,0 +1,137 @@
+// local-server.js - Runs the Vercel handlers in api/ under Express for local development
+//
+//   npm run dev                        http://localhost:3000 (PORT to change)
+//   open /playground                   paste an email, see the reply the bot would send
+//
+// Routing follows vercel.json: /api/<name> and, through the "/(.*)" -> "/api/$1"
+// rewrite, /<name> both reach api/<name>.js; / and /api reach api/index.js.
+// Environment variables are read from .env. The playground sends no credentials, so
+// set WEBHOOK_AUTH=disabled there to use it (see api/_lib/auth.js).
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import express from 'express';
+import { Logger } from 'load-automation-modules';
+
+const apiDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'api');
+const port = Number(process.env.PORT) || 3000;
+const logger = new Logger({ module: 'local-server' });
+
+// Paste-an-email form posting to /api/simulate (or /api/webhook) with explain on
+const PLAYGROUND_HTML = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Load email playground</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; }
+  label { display: block; margin-top: 1rem; font-weight: 600; }
+  input, textarea { width: 100%; box-sizing: border-box; font: inherit; padding: .4rem; }
+  textarea { min-height: 14rem; font-family: ui-monospace, monospace; }
+  button { margin-top: 1rem; padding: .5rem 1.5rem; font: inherit; }
+  pre { background: #f4f4f4; padding: 1rem; white-space: pre-wrap; word-break: break-word; }
+  .hint { color: #666; font-weight: normal; }
+</style>
+</head>
+<body>
+<h1>Load email playground</h1>
+<p>Dry runs go through <code>/api/simulate</code>: loads come from <code>LOAD_SOURCE_FIXTURES</code> and nothing is sent or saved.
+Untick it to run the real <code>/api/webhook</code> with this server's configuration.</p>
+<form id="email">
+  <label>From <input name="from" value="dispatch@carrier.example"></label>
+  <label>Subject <input name="subject" value="Load AB123456"></label>
+  <label>Body <span class="hint">(or a complete raw .eml message, headers included)</span>
+    <textarea name="body">Hi, is load AB123456 still available? We have a truck empty in Dallas tomorrow.
+
+Thanks,
+Dispatch
+MC 123456</textarea></label>
+  <label><input type="checkbox" name="raw" style="width:auto"> Body is a raw .eml message</label>
+  <label><input type="checkbox" name="dryRun" style="width:auto" checked> Dry run</label>
+  <button type="submit">Process email</button>
+</form>
+<h2>Reply</h2>
+<pre id="reply">-</pre>
+<h2>Details</h2>
+<pre id="details">-</pre>
+<script>
+document.getElementById('email').addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const form = new FormData(event.target);
+  const payload = form.get('raw')
+    ? { raw: form.get('body'), explain: true }
+    : {
+        from: form.get('from'),
+        subject: form.get('subject'),
+        body: { contentType: 'text', content: form.get('body') },
+        explain: true
+      };
+
+  document.getElementById('reply').textContent = 'Processing...';
+  try {
+    const dryRun = !!form.get('dryRun');
+    const response = await fetch(dryRun ? '/api/simulate' : '/api/webhook', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+    const result = await response.json();
+    const reply = dryRun ? result.reply : { subject: result.responseSubject, body: result.responseBody };
+    const held = dryRun ? result.review && result.review.held : result.held;
+    const reasons = (dryRun ? result.review && result.review.reasons : result.reviewReasons) || [];
+    document.getElementById('reply').textContent =
+      (held ? 'HELD FOR REVIEW: ' + reasons.map(reason => reason.message).join('; ') + '\\n\\n' : '') +
+      (reply && reply.subject ? reply.subject + '\\n\\n' + reply.body : '(no reply - draft ' + result.draftId + ')');
+    document.getElementById('details').textContent = JSON.stringify(result, null, 2);
+  } catch (error) {
+    document.getElementById('reply').textContent = 'Request failed: ' + error.message;
+  }
+});
+</script>
+</body>
+</html>`;
+
+const app = express();
+
+// Parse bodies the way Vercel does: JSON and forms to objects, text to a string,
+// raw .eml uploads to a Buffer. The bytes as received are kept for signature checks.
+const keepRawBody = (req, res, buffer) => { req.rawBody = buffer; };
+app.use(express.json({ limit: '5mb', verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '5mb', verify: keepRawBody }));
+app.use(express.text({ type: ['text/*', 'message/rfc822'], limit: '5mb', verify: keepRawBody }));
+app.use(express.raw({ type: 'application/octet-stream', limit: '5mb', verify: keepRawBody }));
+
+app.get('/playground', (req, res) => res.type('html').send(PLAYGROUND_HTML));
+
+// Files and directories starting with "_" (api/_lib) are helpers, not routes
+const routes = fs.readdirSync(apiDir)
+    .filter(file => file.endsWith('.js') && !file.startsWith('_'))
+    .sort();
+
+for (const file of routes) {
+    const { default: handler } = await import(pathToFileURL(path.join(apiDir, file)).href);
+    const name = path.basename(file, '.js');
+    const paths = name === 'index' ? ['/', '/api'] : [`/api/${name}`, `/${name}`];
+
+    app.all(paths, async (req, res) => {
+        try {
+            await handler(req, res);
+        } catch (error) {
+            logger.error('Unhandled error in handler', error, { route: `api/${file}` });
+            if (!res.headersSent) {
+                res.status(500).json({ error: error.message });
+            }
+        }
+    });
+}
+
+app.use((req, res) => res.status(404).json({ error: `No route for ${req.method} ${req.path}` }));
+
+app.listen(port, () => {
+    logger.info('Local server listening', {
+        url: `http://localhost:${port}`,
+        routes: routes.map(file => `/api/${path.basename(file, '.js')}`),
+        playground: `http://localhost:${port}/playground`
+    });
+});
@@ -0,0 +1,53 @@
+// mailbox-worker.js - Polls a mailbox and processes each email without Zapier
+//
+//   MAILBOX=imap IMAP_HOST=... IMAP_USER=... IMAP_PASSWORD=... npm run worker
+//   MAILBOX=maildir MAILDIR_PATH=./inbox node mailbox-worker.js --once
+//
+// Set MAIL_TRANSPORT so replies are actually sent (see zapier-modules/README.md).
+import { createService, createMailbox, createMailer } from './api/_lib/service.js';
+import { MailboxPoller, Logger } from 'load-automation-modules';
+
+const logger = new Logger({ module: 'mailbox-worker' });
+const once = process.argv.includes('--once');
+
+if (!createMailer()) {
+    logger.warn('MAIL_TRANSPORT is not set - replies are generated but not sent');
+}
+
+const poller = new MailboxPoller({
+    mailbox: createMailbox(),
+    service: createService(),
+    intervalMs: (Number(process.env.POLL_INTERVAL_SECONDS) || 60) * 1000,
+    batchSize: Number(process.env.POLL_BATCH_SIZE) || 20,
+    maxAttempts: Number(process.env.POLL_MAX_ATTEMPTS) || 3
+});
+
+if (once) {
+    try {
+        const summary = await poller.pollOnce();
+        for (const { subject, ...result } of summary.results) {
+            logger.info('Message result', { ...result, subjectLength: subject?.length });
+        }
+        logger.info('Mailbox polled', {
+            mailbox: poller.mailbox.name,
+            fetched: summary.fetched,
+            processed: summary.processed,
+            skipped: summary.skipped,
+            failed: summary.failed
+        });
+        process.exitCode = summary.failed > 0 ? 1 : 0;
+    } finally {
+        await poller.stop();
+    }
+} else {
+    const shutdown = async (signal) => {
+        logger.info('Stopping mailbox worker', { signal });
+        await poller.stop();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+
+    logger.info('Polling mailbox', { mailbox: poller.mailbox.name, intervalSeconds: poller.intervalMs / 1000 });
+    poller.start();
+}
@@ -0,0 +1,132 @@
+// scripts/build-zapier-steps.js - Generate the Zapier code steps from the canonical modules
+//
+//   npm run build:zapier     rewrite zapier-modules/zapier-code-steps/*.js
+//   npm run check:zapier     exit 1 when a committed step file is out of date
+//
+// Zapier code steps are a single pasted script with no module loading, so each
+// step source in zapier-code-steps/src/ is bundled with every zapier-modules
+// file it requires (relative requires only; JSON files are inlined). Built-in
+// modules keep using Zapier's own require.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const modulesDir = path.join(rootDir, 'zapier-modules');
+const stepsDir = path.join(modulesDir, 'zapier-code-steps');
+const sourceDir = path.join(stepsDir, 'src');
+
+const RELATIVE_REQUIRE = /require\((['"])(\.{1,2}\/[^'"]+)\1\)/g;
+const LEADING_COMMENT = /^\/\*\*[\s\S]*?\*\/\s*/;
+
+function resolveRequire(fromFile, specifier) {
+    const base = path.resolve(path.dirname(fromFile), specifier);
+    const candidate = [base, `${base}.js`, `${base}.json`, path.join(base, 'index.js')]
+        .find(file => fs.existsSync(file) && fs.statSync(file).isFile());
+    if (!candidate) {
+        throw new Error(`Cannot resolve require('${specifier}') in ${path.relative(rootDir, fromFile)}`);
+    }
+    return candidate;
+}
+
+const moduleId = (file) => path.relative(modulesDir, file).split(path.sep).join('/');
+
+/**
+ * Point a file's relative requires at the bundle's module table
+ * and collect the files they resolve to
+ */
+function rewriteRequires(file, source, dependencies) {
+    return source.replace(RELATIVE_REQUIRE, (match, quote, specifier) => {
+        const dependency = resolveRequire(file, specifier);
+        dependencies.push(dependency);
+        return `__require('${moduleId(dependency)}')`;
+    });
+}
+
+/**
+ * Every module the step needs, dependencies before the modules that use them
+ */
+function collectModules(entryDependencies) {
+    const modules = new Map();
+
+    const visit = (file) => {
+        if (modules.has(file)) return;
+        modules.set(file, null);
+
+        const source = fs.readFileSync(file, 'utf8');
+        if (file.endsWith('.json')) {
+            modules.set(file, `module.exports = ${JSON.stringify(JSON.parse(source), null, 4)};`);
+            return;
+        }
+
+        const dependencies = [];
+        const body = rewriteRequires(file, source, dependencies).trimEnd();
+        dependencies.forEach(visit);
+        // Re-insert after the dependencies so the bundle reads bottom-up
+        modules.delete(file);
+        modules.set(file, body);
+    };
+
+    entryDependencies.forEach(visit);
+    return modules;
+}
+
+function buildStep(sourceFile) {
+    const name = path.basename(sourceFile);
+    const source = fs.readFileSync(sourceFile, 'utf8');
+    const header = (source.match(LEADING_COMMENT) || [''])[0].trimEnd();
+    const dependencies = [];
+    const stepCode = rewriteRequires(sourceFile, source.slice(header.length), dependencies).trim();
+    const modules = collectModules(dependencies);
+
+    const definitions = [...modules].map(([file, body]) =>
+        `    '${moduleId(file)}': function (module, exports) {\n${body}\n    }`);
+
+    return `${header}
+
+// GENERATED FILE - do not edit. Built from zapier-code-steps/src/${name} and the
+// zapier-modules it requires by \`npm run build:zapier\`; change those instead.
+
+// ---- Embedded zapier-modules ----
+const __modules = {
+${definitions.join(',\n\n')}
+};
+
+const __moduleCache = {};
+function __require(id) {
+    if (!__moduleCache[id]) {
+        const module = { exports: {} };
+        __moduleCache[id] = module;
+        __modules[id](module, module.exports);
+    }
+    return __moduleCache[id].exports;
+}
+
+// ---- Step code ----
+${stepCode}
+`;
+}
+
+const check = process.argv.includes('--check');
+const stale = [];
+
+for (const name of fs.readdirSync(sourceDir).filter(file => file.endsWith('.js')).sort()) {
+    const target = path.join(stepsDir, name);
+    const generated = buildStep(path.join(sourceDir, name));
+    const current = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : null;
+
+    if (current === generated) {
+        console.log(`✅ ${name} is up to date`);
+    } else if (check) {
+        stale.push(name);
+        console.error(`❌ ${name} is out of date`);
+    } else {
+        fs.writeFileSync(target, generated);
+        console.log(`📝 Wrote ${path.relative(rootDir, target)}`);
+    }
+}
+
+if (stale.length > 0) {
+    console.error('\nRun `npm run build:zapier` and commit the regenerated steps.');
+    process.exitCode = 1;
+}
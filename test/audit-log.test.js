@@ -0,0 +1,84 @@
+// test/audit-log.test.js - JsonlAuditLog records and queries, and where /api/audit keeps them
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { JsonlAuditLog } from '../zapier-modules/index.mjs';
+import { createAuditLog } from '../api/_lib/service.js';
+import audit from '../api/audit.js';
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-test-'));
+after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+const silent = { log() {}, info() {}, warn() {}, error() {}, debug() {} };
+
+function processed(requestId, reference, rate) {
+    return {
+        requestId,
+        success: true,
+        extraction: { reference, confidence: 90, source: 'body' },
+        references: [{ reference }],
+        loadData: { rate: { amount: rate } },
+        response: { subject: `Re: Load ${reference}`, body: `Rate is $${rate}`, metadata: { scenario: 'load_found' } },
+        processingTimeMs: 12
+    };
+}
+
+function fakeResponse() {
+    return {
+        headers: {},
+        setHeader(name, value) { this.headers[name] = value; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; }
+    };
+}
+
+test('records what was quoted and finds it by reference, sender and type', async () => {
+    const auditLog = new JsonlAuditLog({ filePath: path.join(directory, 'query.jsonl'), logger: silent });
+
+    await auditLog.recordEmail({ from: 'Joe <joe@carrier.com>', subject: 'AB123456' }, processed('req_1', 'AB123456', 2400));
+    await auditLog.recordEmail({ from: 'ann@other.com', subject: 'CD789012' }, processed('req_2', 'CD789012', 1800));
+    await auditLog.recordEvent('draft_approved', { requestId: 'req_1', reference: 'AB123456', reviewer: 'kim' });
+
+    const byReference = await auditLog.query({ reference: 'ab123456' });
+    assert.deepEqual(byReference.map(record => record.type), ['draft_approved', 'email_processed']);
+    assert.equal(byReference[1].rate, 2400);
+    assert.equal(byReference[1].reply.body, 'Rate is $2400');
+
+    assert.deepEqual((await auditLog.query({ sender: 'carrier.com' })).map(record => record.requestId), ['req_1']);
+    assert.equal((await auditLog.query({ type: 'email_processed', limit: '1' })).length, 1);
+});
+
+test('keeps records from concurrent appends and skips a torn last line', async () => {
+    const filePath = path.join(directory, 'concurrent.jsonl');
+    const auditLog = new JsonlAuditLog({ filePath, logger: silent });
+
+    await Promise.all(Array.from({ length: 10 }, (_, i) =>
+        auditLog.recordEmail({ from: 'joe@carrier.com' }, processed(`req_${i}`, 'AB123456', 2400))));
+    fs.appendFileSync(filePath, '{"type":"email_proc');
+
+    assert.equal((await new JsonlAuditLog({ filePath, logger: silent }).query({ limit: '500' })).length, 10);
+});
+
+test('is not kept on storage that does not outlive the instance', () => {
+    assert.equal(createAuditLog({ VERCEL: '1', AUDIT_LOG_PATH: '/tmp/audit.jsonl' }), null);
+    assert.equal(createAuditLog({ NODE_ENV: 'production' }), null);
+    assert.ok(createAuditLog({ NODE_ENV: 'production', DATA_DIR: directory }) instanceof JsonlAuditLog);
+    assert.ok(createAuditLog({ NODE_ENV: 'production', AUDIT_LOG_PATH: path.join(directory, 'a.jsonl') }) instanceof JsonlAuditLog);
+});
+
+test('/api/audit answers 503 without durable storage', async () => {
+    const env = process.env;
+    process.env = { ...env, VERCEL: '1', WEBHOOK_AUTH: 'disabled' };
+    const res = fakeResponse();
+
+    try {
+        await audit({ method: 'GET', headers: {}, query: { reference: 'AB123456' } }, res);
+    } finally {
+        process.env = env;
+    }
+
+    assert.equal(res.statusCode, 503);
+    assert.match(res.body.error, /durable storage/);
+});
@@ -0,0 +1,128 @@
+// test/auth.test.js - authenticateRequest(): HMAC signatures, replay protection and API keys
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import { authenticateRequest } from '../api/_lib/auth.js';
+import { readRequestBody } from '../api/_lib/payload.js';
+
+const SECRET = 'test-secret';
+const env = { WEBHOOK_SECRET: SECRET, WEBHOOK_API_KEYS: 'zapier:zap-key,plain-key' };
+
+function sign(body, timestamp = Math.floor(Date.now() / 1000), secret = SECRET) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return { 'x-webhook-timestamp': String(timestamp), 'x-webhook-signature': `sha256=${signature}` };
+}
+
+// A request as Vercel hands it over with body parsing off: headers plus an unread stream
+function streamRequest(body, headers) {
+    return Object.assign(Readable.from([Buffer.from(body)]), { method: 'POST', headers });
+}
+
+test('accepts a signature over the exact bytes sent', async () => {
+    // Pretty-printed, unusual key order and \u escapes: re-serializing would not match
+    const body = '{\n  "subject": "Load \\u00e9",\n  "body": { "content": "AB123456", "contentType": "text" }\n}';
+    const req = streamRequest(body, { 'content-type': 'application/json', ...sign(body) });
+
+    await readRequestBody(req);
+    const auth = authenticateRequest(req, env);
+
+    assert.equal(auth.authenticated, true, auth.reason);
+    assert.equal(auth.scheme, 'signature');
+    assert.equal(req.body.subject, 'Load é');
+});
+
+test('accepts a signed form-encoded body', async () => {
+    const body = 'subject=Load&content=AB123456';
+    const req = streamRequest(body, { 'content-type': 'application/x-www-form-urlencoded', ...sign(body) });
+
+    await readRequestBody(req);
+
+    assert.equal(authenticateRequest(req, env).authenticated, true);
+    assert.deepEqual(req.body, { subject: 'Load', content: 'AB123456' });
+});
+
+test('rejects a signature made with another secret', () => {
+    const body = '{"content":"AB123456"}';
+    const auth = authenticateRequest({ headers: sign(body, undefined, 'wrong'), rawBody: Buffer.from(body) }, env);
+
+    assert.equal(auth.authenticated, false);
+    assert.equal(auth.reason, 'Invalid signature');
+});
+
+test('rejects a signature over a different body', () => {
+    const headers = sign('{"content":"AB123456"}');
+    const auth = authenticateRequest({ headers, rawBody: Buffer.from('{"content":"CD789012"}') }, env);
+
+    assert.equal(auth.reason, 'Invalid signature');
+});
+
+test('rejects timestamps outside the tolerance', () => {
+    const body = '{}';
+    const stale = Math.floor(Date.now() / 1000) - 301;
+    const future = Math.floor(Date.now() / 1000) + 301;
+
+    for (const timestamp of [stale, future]) {
+        const auth = authenticateRequest({ headers: sign(body, timestamp), rawBody: Buffer.from(body) }, env);
+        assert.equal(auth.authenticated, false);
+        assert.match(auth.reason, /more than 300s from server time/);
+    }
+
+    const relaxed = { ...env, WEBHOOK_TOLERANCE_SECONDS: '600' };
+    assert.equal(authenticateRequest({ headers: sign(body, stale), rawBody: Buffer.from(body) }, relaxed).authenticated, true);
+});
+
+test('rejects a replayed signature', () => {
+    const body = '{"content":"replay"}';
+    const headers = sign(body);
+
+    assert.equal(authenticateRequest({ headers, rawBody: Buffer.from(body) }, env).authenticated, true);
+    const replay = authenticateRequest({ headers, rawBody: Buffer.from(body) }, env);
+
+    assert.equal(replay.authenticated, false);
+    assert.equal(replay.reason, 'Signature already used');
+});
+
+test('rejects malformed signatures and missing timestamps', () => {
+    const body = '{}';
+    const malformed = authenticateRequest({ headers: { ...sign(body), 'x-webhook-signature': 'md5=abc' }, rawBody: body }, env);
+    const { 'x-webhook-timestamp': _, ...noTimestamp } = sign(body);
+    const missing = authenticateRequest({ headers: noTimestamp, rawBody: body }, env);
+
+    assert.match(malformed.reason, /Malformed X-Webhook-Signature/);
+    assert.match(missing.reason, /X-Webhook-Timestamp/);
+});
+
+test('rejects a signed request whose body only exists parsed', () => {
+    const auth = authenticateRequest({ headers: sign('{"a":1}'), body: { a: 1 } }, env);
+
+    assert.equal(auth.reason, 'Request body unavailable for signature check');
+});
+
+test('accepts API keys from X-API-Key or a Bearer token and names the client', () => {
+    const byHeader = authenticateRequest({ headers: { 'x-api-key': 'zap-key' } }, env);
+    const byBearer = authenticateRequest({ headers: { authorization: 'Bearer plain-key' } }, env);
+
+    assert.deepEqual([byHeader.authenticated, byHeader.scheme, byHeader.client], [true, 'api_key', 'zapier']);
+    assert.deepEqual([byBearer.authenticated, byBearer.client], [true, 'default']);
+});
+
+test('rejects unknown API keys and keys when none are configured', () => {
+    assert.equal(authenticateRequest({ headers: { 'x-api-key': 'zap-key-2' } }, env).reason, 'Invalid API key');
+    assert.match(
+        authenticateRequest({ headers: { 'x-api-key': 'zap-key' } }, { WEBHOOK_SECRET: SECRET }).reason,
+        /WEBHOOK_API_KEYS is not set/
+    );
+});
+
+test('rejects requests without credentials, and everything when nothing is configured', () => {
+    assert.equal(authenticateRequest({ headers: {} }, env).reason, 'Missing X-Webhook-Signature or API key');
+    assert.match(authenticateRequest({ headers: { 'x-api-key': 'zap-key' } }, {}).reason, /not configured/);
+});
+
+test('WEBHOOK_AUTH=disabled lets everything through', () => {
+    const auth = authenticateRequest({ headers: {} }, { WEBHOOK_AUTH: 'disabled' });
+
+    assert.equal(auth.authenticated, true);
+    assert.equal(auth.scheme, 'disabled');
+});
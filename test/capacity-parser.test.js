@@ -0,0 +1,60 @@
+// test/capacity-parser.test.js - CapacityParser: empty location, availability and equipment
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CapacityParser } from '../zapier-modules/index.mjs';
+
+const parser = new CapacityParser();
+// A Monday
+const referenceDate = '2026-10-19T12:00:00';
+const locationOf = (text) => parser.parse(text, { referenceDate }).location;
+
+test('reads city, state and ZIP after availability phrasing', () => {
+    assert.deepEqual(locationOf('Will be empty in Denver, CO 80202 tomorrow'), {
+        city: 'Denver', state: 'CO', zip: '80202', raw: 'empty in Denver CO 80202'
+    });
+    const { city, state } = locationOf('Empty near Fort Worth Texas friday');
+    assert.deepEqual([city, state], ['Fort Worth', 'TX']);
+    assert.equal(locationOf('available in Dallas tomorrow').city, 'Dallas');
+});
+
+test('takes lowercase cities only with a state or ZIP after them', () => {
+    const { city, state } = locationOf('empty in dallas tx tomorrow');
+    assert.deepEqual([city, state], ['Dallas', 'TX']);
+    assert.equal(locationOf('open around st. louis'), null);
+});
+
+test('does not read everyday phrases as a city', () => {
+    assert.equal(locationOf("I'll be in touch shortly about the load"), null);
+    assert.equal(locationOf('free at noon, can do it'), null);
+    assert.equal(locationOf('empty in dallas or houston'), null);
+});
+
+test('reads ZIPs, with or without the word "zip"', () => {
+    assert.deepEqual(locationOf('available near zip 60601'), {
+        city: null, state: null, zip: '60601', raw: 'available near zip 60601'
+    });
+    const { city, zip } = locationOf('Empty around Chicago zip 60601');
+    assert.deepEqual([city, zip], ['Chicago', '60601']);
+    assert.equal(locationOf('Truck available 75201 Monday').zip, '75201');
+});
+
+test('does not read truck numbers, load numbers or weights as ZIPs', () => {
+    assert.equal(locationOf('Truck 45678 empty tomorrow'), null);
+    assert.equal(locationOf('available for load 12345'), null);
+    assert.equal(locationOf('truck available 45000 lbs'), null);
+    assert.equal(locationOf('Truck #12345 available in Dallas TX').zip, null);
+});
+
+test('resolves the availability date and time', () => {
+    const { availability } = parser.parse('Empty in Dallas TX tomorrow at 2pm', { referenceDate });
+
+    assert.deepEqual([availability.date, availability.time], ['2026-10-20', '14:00']);
+    assert.equal(parser.parse('open friday noon', { referenceDate }).availability.date, '2026-10-23');
+});
+
+test('reads equipment, but not "refer to" as a reefer', () => {
+    assert.equal(parser.parse('53 ft dry van empty in Dallas TX').equipment.type, 'van');
+    assert.equal(parser.parse('Reefer available in Dallas TX').equipment.type, 'reefer');
+    assert.equal(parser.parse('please refer to load AB123456').equipment, null);
+    assert.equal(parser.parse('please refer to load AB123456').found, false);
+});
@@ -0,0 +1,71 @@
+// test/email-parser.test.js - EmailParser: load references and counter-offers in carrier replies
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EmailParser } from '../zapier-modules/index.mjs';
+
+const parser = new EmailParser();
+
+test('finds references written in lowercase', () => {
+    assert.equal(parser.extractLoadReference('is load ab123456 still open?').reference, 'AB123456');
+    assert.equal(parser.extractLoadReference('tl-44556677 still available?').reference, 'TL-44556677');
+    assert.equal(parser.extractLoadReference('Load AB123456 still open?').reference, 'AB123456');
+});
+
+test('does not read a lowercase state and ZIP as a reference', () => {
+    const result = parser.extractLoadReference('empty in indianapolis in 46204, is ab123456 open?');
+
+    assert.equal(result.reference, 'AB123456');
+    assert.equal(parser.extractLoadReference('empty in 46204 tomorrow').found, false);
+});
+
+test('reads counter-offers worded as a price', () => {
+    const cases = {
+        'Can you do 2400?': 2400,
+        'can you do $2,400.00 on this': 2400,
+        'How about 2.5k': 2500,
+        'I can do it for 2300': 2300,
+        '2800 all in': 2800,
+        'counter at 2,700': 2700,
+        'we need $2600': 2600,
+        'We need 2500 to do it': 2500
+    };
+
+    for (const [text, amount] of Object.entries(cases)) {
+        const offer = parser.extractCounterOffer(text);
+        assert.equal(offer.found, true, text);
+        assert.equal(offer.amount, amount, text);
+    }
+});
+
+test('reads per-mile offers before dollar amounts', () => {
+    const offer = parser.extractCounterOffer('Can you do $2.85/mile?');
+
+    assert.deepEqual([offer.found, offer.perMile, offer.amount], [true, 2.85, null]);
+});
+
+test('ignores weights, distances and lengths', () => {
+    for (const text of [
+        'We need 45000 lbs or less',
+        'We need 45,000 lbs max',
+        'need 10000 miles',
+        'truck is 53 ft, need 5300 ft',
+        'We need 2500 pounds of capacity'
+    ]) {
+        assert.equal(parser.extractCounterOffer(text).found, false, text);
+    }
+});
+
+test('ignores a bare number after "need" without a price context', () => {
+    assert.equal(parser.extractCounterOffer('we need 3000').found, false);
+});
+
+test('ignores the rate the carrier saw posted', () => {
+    assert.equal(parser.extractCounterOffer('Load #AB123456 posted at $2,400 on DAT - still available?').found, false);
+    assert.equal(parser.extractCounterOffer('I see $1,900 posted, is that all in?').found, false);
+});
+
+test('finds the offer next to a quantity in the same email', () => {
+    const offer = parser.extractCounterOffer('We need 45,000 lbs, can you do $2,100?');
+
+    assert.equal(offer.amount, 2100);
+});
@@ -0,0 +1,46 @@
+// test/list-carrier-vetter.test.js - ListCarrierVetter: allow/deny lists by MC, DOT and email domain
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ListCarrierVetter } from '../zapier-modules/index.mjs';
+
+const lists = {
+    allow: { mc: ['123456'], dot: ['0007654321'], domains: ['goodtrucking.com'] },
+    deny: { mc: ['999999'], dot: [], domains: ['badtrucking.com'] }
+};
+
+test('approves carriers on the allow list by MC or DOT number', async () => {
+    const vetter = new ListCarrierVetter(lists);
+
+    assert.equal((await vetter.vet({ mcNumber: 'MC-123456' })).status, 'approved');
+    assert.equal((await vetter.vet({ dotNumber: '7654321' })).status, 'approved');
+});
+
+test('blocks a deny-listed MC even when the domain is allowed', async () => {
+    const vetting = await new ListCarrierVetter(lists).vet({ mcNumber: '999999', email: 'ops@goodtrucking.com' });
+
+    assert.equal(vetting.status, 'blocked');
+    assert.equal(vetting.reason, 'Carrier MC 999999 is on the deny list');
+});
+
+test('matches domains of senders with a display name', async () => {
+    const vetter = new ListCarrierVetter(lists);
+
+    const denied = await vetter.vet({ email: 'Bad Dispatch <Dispatch@BadTrucking.com>' });
+    const allowed = await vetter.vet({ email: '"Good, Trucking" <ops@goodtrucking.com>' });
+
+    assert.equal(denied.status, 'blocked');
+    assert.equal(denied.reason, 'Carrier domain badtrucking.com is on the deny list');
+    assert.equal(allowed.status, 'approved');
+});
+
+test('applies the unknown policy to carriers on neither list', async () => {
+    const carrier = { mcNumber: '555555', email: 'someone@elsewhere.com' };
+
+    assert.equal((await new ListCarrierVetter(lists).vet(carrier)).status, 'flagged');
+    assert.equal((await new ListCarrierVetter({ ...lists, unknownPolicy: 'block' }).vet(carrier)).status, 'blocked');
+    assert.equal((await new ListCarrierVetter(lists).vet({})).reason, 'No MC or DOT number provided');
+});
+
+test('rejects an unknown policy', () => {
+    assert.throws(() => new ListCarrierVetter({ ...lists, unknownPolicy: 'maybe' }), /Invalid unknownPolicy/);
+});
@@ -0,0 +1,80 @@
+// test/load-automation-service.test.js - LoadAutomationService: which replies are held for review
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LoadAutomationService, ReviewQueue } from '../zapier-modules/index.mjs';
+
+const silent = { log() {}, info() {}, warn() {}, error() {}, debug() {} };
+
+function load(loadReference, overrides = {}) {
+    return {
+        loadReference,
+        status: 'AVAILABLE',
+        pickup: { location: 'Dallas, TX', date: '2026-10-20' },
+        delivery: { location: 'Denver, CO', date: '2026-10-22' },
+        commodity: { description: 'General Freight', weight: '42,000 lbs', hazmat: false },
+        rate: { amount: 2400, currency: 'USD', formatted: '$2,400.00' },
+        equipment: 'Dry Van',
+        ...overrides
+    };
+}
+
+const loads = {
+    AB123456: load('AB123456'),
+    HZ445566: load('HZ445566', { commodity: { description: 'Paint', hazmat: true } }),
+    HV778899: load('HV778899', { rate: { amount: 7200, currency: 'USD', formatted: '$7,200.00' } }),
+    123456: load('123456')
+};
+
+function createService() {
+    const reviewQueue = new ReviewQueue();
+    const service = new LoadAutomationService({
+        loadSources: [{ name: 'memory', async searchLoad(reference) { return loads[reference] || null; } }],
+        reviewQueue,
+        logger: silent
+    });
+    return { service, reviewQueue };
+}
+
+const email = (subject, body) => ({ from: 'Dispatch <dispatch@carrier.com>', subject, body });
+const reasonsFor = (result) => result.review.reasons.map(reason => reason.code);
+
+test('sends a reply for a plain reference without holding it', async () => {
+    const { service, reviewQueue } = createService();
+
+    for (const body of ['Is Load AB123456 still open?', 'is ab123456 still available?']) {
+        const result = await service.processEmail(email('Load', body));
+        assert.equal(result.response.metadata.scenario, 'load_found');
+        assert.equal(result.review.status, 'ready', body);
+    }
+    assert.equal((await reviewQueue.list()).length, 0);
+});
+
+test('holds a reply when only a bare number names the load', async () => {
+    const { service } = createService();
+    const result = await service.processEmail(email('Truck', 'Still have 123456?'));
+
+    assert.equal(result.extraction.confidence, 50);
+    assert.equal(result.review.status, 'held');
+    assert.deepEqual(reasonsFor(result), ['low_confidence']);
+});
+
+test('holds hazmat and high-value loads as drafts', async () => {
+    const { service, reviewQueue } = createService();
+
+    const hazmat = await service.processEmail(email('Load', 'Is load HZ445566 available?'));
+    const highValue = await service.processEmail(email('Load', 'Is load HV778899 available?'));
+
+    assert.deepEqual(reasonsFor(hazmat), ['hazmat']);
+    assert.deepEqual(reasonsFor(highValue), ['high_value']);
+    assert.ok(hazmat.review.draftId);
+    assert.equal((await reviewQueue.list()).length, 2);
+});
+
+test('does not read a weight as a counter-offer', async () => {
+    const { service } = createService();
+    const result = await service.processEmail(email('Load AB123456', 'Load AB123456 - we need 45000 lbs or less on this one'));
+
+    assert.equal(result.counterOffer.found, false);
+    assert.notEqual(result.response.metadata.scenario, 'counter_declined');
+    assert.equal(result.review.status, 'ready');
+});
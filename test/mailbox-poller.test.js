@@ -0,0 +1,136 @@
+// test/mailbox-poller.test.js - MailboxPoller: skipping automated mail, retries and giving up
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MailboxPoller, LoadAutomationService, Mailer } from '../zapier-modules/index.mjs';
+
+const silent = { log() {}, info() {}, warn() {}, error() {}, debug() {} };
+
+function message(uid, headers = {}) {
+    const lines = Object.entries({
+        From: 'Dispatch <dispatch@carrier.com>',
+        To: 'loads@broker.com',
+        Subject: 'Load AB123456',
+        'Message-ID': `<${uid}@carrier.com>`,
+        ...headers
+    }).map(([name, value]) => `${name}: ${value}`);
+    return { uid, raw: Buffer.from(`${lines.join('\r\n')}\r\n\r\nIs AB123456 still open?\r\n`) };
+}
+
+// In-memory mailbox: messages stay waiting until markProcessed()
+function memoryMailbox(messages) {
+    const waiting = new Map(messages.map(item => [item.uid, item]));
+    return {
+        name: 'memory',
+        processed: [],
+        async fetchUnprocessed({ limit }) {
+            return [...waiting.values()].slice(0, limit);
+        },
+        async markProcessed(uid) {
+            waiting.delete(uid);
+            this.processed.push(uid);
+        },
+        async close() {}
+    };
+}
+
+function fakeService(deliveryFor = () => ({ sent: true })) {
+    return {
+        mailer: { from: 'Loads <loads@broker.com>' },
+        calls: 0,
+        async processEmail(emailData) {
+            this.calls++;
+            return {
+                success: true,
+                response: { metadata: { scenario: 'load_found' } },
+                delivery: deliveryFor(emailData)
+            };
+        }
+    };
+}
+
+test('processes mail and marks it processed', async () => {
+    const mailbox = memoryMailbox([message('1')]);
+    const summary = await new MailboxPoller({ mailbox, service: fakeService(), logger: silent }).pollOnce();
+
+    assert.deepEqual([summary.fetched, summary.processed, summary.failed], [1, 1, 0]);
+    assert.equal(summary.results[0].sent, true);
+    assert.deepEqual(mailbox.processed, ['1']);
+});
+
+test('skips auto-replies, bounces, list mail and our own replies without answering', async () => {
+    const mailbox = memoryMailbox([
+        message('auto', { 'Auto-Submitted': 'auto-replied' }),
+        message('list', { Precedence: 'bulk' }),
+        message('bounce', { From: 'MAILER-DAEMON@mx.carrier.com' }),
+        message('own', { From: '"Loads" <LOADS@broker.com>' })
+    ]);
+    const service = fakeService();
+    const summary = await new MailboxPoller({ mailbox, service, logger: silent }).pollOnce();
+
+    assert.equal(summary.skipped, 4);
+    assert.equal(service.calls, 0);
+    assert.deepEqual(mailbox.processed, ['auto', 'list', 'bounce', 'own']);
+});
+
+test('retries a reply that failed to send, then gives up after maxAttempts', async () => {
+    const mailbox = memoryMailbox([message('1')]);
+    const service = fakeService(() => ({ sent: false, permanent: false, error: { message: 'Connection timeout' } }));
+    const poller = new MailboxPoller({ mailbox, service, maxAttempts: 3, logger: silent });
+
+    const first = await poller.pollOnce();
+    const second = await poller.pollOnce();
+    assert.equal(first.results[0].abandoned, false);
+    assert.equal(second.results[0].abandoned, false);
+    assert.deepEqual(mailbox.processed, []);
+
+    const third = await poller.pollOnce();
+    assert.equal(third.results[0].abandoned, true);
+    assert.deepEqual(mailbox.processed, ['1']);
+    assert.equal((await poller.pollOnce()).fetched, 0);
+});
+
+test('gives up on permanent delivery failures straight away', async () => {
+    const mailbox = memoryMailbox([message('1'), message('2')]);
+    const service = fakeService(emailData => emailData.messageId === '<1@carrier.com>'
+        ? { sent: false, permanent: true, error: { message: '550 Mailbox unavailable' } }
+        : { sent: true });
+    const summary = await new MailboxPoller({ mailbox, service, logger: silent }).pollOnce();
+
+    assert.deepEqual([summary.processed, summary.failed], [1, 1]);
+    assert.equal(summary.results[0].abandoned, true);
+    assert.deepEqual(mailbox.processed.sort(), ['1', '2']);
+});
+
+test('a blocked batch no longer holds back newer mail', async () => {
+    const failing = Array.from({ length: 3 }, (_, i) => message(`bad${i}`));
+    const mailbox = memoryMailbox([...failing, message('good')]);
+    const service = fakeService(emailData => emailData.messageId === '<good@carrier.com>'
+        ? { sent: true }
+        : { sent: false, error: { message: 'Connection timeout' } });
+    const poller = new MailboxPoller({ mailbox, service, batchSize: 3, maxAttempts: 2, logger: silent });
+
+    await poller.pollOnce();
+    await poller.pollOnce();
+    const summary = await poller.pollOnce();
+
+    assert.deepEqual(summary.results.map(result => result.uid), ['good']);
+    assert.equal(summary.processed, 1);
+});
+
+test('the service reports SMTP 5xx and missing senders as permanent', async () => {
+    const reject = (responseCode) => ({
+        name: 'smtp',
+        async send() {
+            throw Object.assign(new Error(`${responseCode} rejected`), { responseCode });
+        }
+    });
+    const deliver = (transport, from) => new LoadAutomationService({
+        enableQuoteFactoryLookup: false,
+        mailer: new Mailer({ transport, from: 'loads@broker.com' }),
+        logger: silent
+    }).deliverReply('req_1', { from, messageId: '<1@carrier.com>' }, { subject: 'Re: Load', body: 'Hi' });
+
+    assert.equal((await deliver(reject(550), 'dispatch@carrier.com')).permanent, true);
+    assert.equal((await deliver(reject(421), 'dispatch@carrier.com')).permanent, false);
+    assert.equal((await deliver(reject(550), '')).permanent, true);
+});
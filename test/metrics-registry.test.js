@@ -0,0 +1,98 @@
+// test/metrics-registry.test.js - FileMetricsRegistry counters and histograms, and where /api/metrics keeps them
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileMetricsRegistry } from '../zapier-modules/index.mjs';
+import { createMetricsRegistry } from '../api/_lib/service.js';
+import metrics from '../api/metrics.js';
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-test-'));
+after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+function processed(overrides = {}) {
+    return {
+        success: true,
+        processingTimeMs: 1200,
+        extraction: { found: true, source: 'body', profile: 'default', patternIndex: 0 },
+        lookup: { attempts: [{ source: 'api', status: 'found', durationMs: 300 }] },
+        response: { metadata: { scenario: 'load_found' } },
+        review: { status: 'ready' },
+        ...overrides
+    };
+}
+
+function fakeResponse() {
+    return {
+        headers: {},
+        setHeader(name, value) { this.headers[name] = value; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; },
+        send(body) { this.body = body; }
+    };
+}
+
+test('counts processed emails and keeps the counts in its file', async () => {
+    const filePath = path.join(directory, 'counts.json');
+    const registry = new FileMetricsRegistry({ filePath });
+
+    await registry.recordEmail(processed());
+    await registry.recordEmail(processed({ review: { status: 'held' } }));
+    await registry.recordEmail({ success: false, processingTimeMs: 50 });
+
+    const { series } = await new FileMetricsRegistry({ filePath }).snapshot();
+    assert.deepEqual(series.load_automation_emails_processed_total, { 'outcome="success"': 2, 'outcome="error"': 1 });
+    assert.deepEqual(series.load_automation_replies_total, {
+        'held="false",scenario="load_found"': 1,
+        'held="true",scenario="load_found"': 1
+    });
+    assert.equal(series.load_automation_load_lookups_total['source="api",status="found"'], 2);
+    assert.equal(series.load_automation_email_processing_duration_seconds[''].count, 3);
+});
+
+test('keeps every increment from concurrent updates', async () => {
+    const registry = new FileMetricsRegistry({ filePath: path.join(directory, 'concurrent.json') });
+
+    await Promise.all(Array.from({ length: 20 }, () => registry.recordEmail(processed())));
+
+    const { series } = await registry.snapshot();
+    assert.equal(series.load_automation_emails_processed_total['outcome="success"'], 20);
+});
+
+test('renders counters and cumulative histogram buckets for Prometheus', async () => {
+    const registry = new FileMetricsRegistry({ filePath: path.join(directory, 'prometheus.json') });
+
+    await registry.recordEmail(processed());
+    await registry.record([{ name: 'load_automation_load_lookups_total', labels: { source: 'say "hi"', status: 'error' } }]);
+    const text = await registry.toPrometheus();
+
+    assert.match(text, /^# TYPE load_automation_emails_processed_total counter$/m);
+    assert.match(text, /^load_automation_emails_processed_total\{outcome="success"\} 1$/m);
+    assert.match(text, /^load_automation_email_processing_duration_seconds_bucket\{le="1"\} 0$/m);
+    assert.match(text, /^load_automation_email_processing_duration_seconds_bucket\{le="2.5"\} 1$/m);
+    assert.match(text, /^load_automation_email_processing_duration_seconds_bucket\{le="\+Inf"\} 1$/m);
+    assert.match(text, /^load_automation_load_lookups_total\{source="say \\"hi\\"",status="error"\} 1$/m);
+    await assert.rejects(registry.record([{ name: 'unknown_total' }]), /Unknown metric: unknown_total/);
+});
+
+test('is not kept on storage that does not outlive the instance', () => {
+    assert.equal(createMetricsRegistry({ VERCEL: '1', METRICS_PATH: '/tmp/metrics.json' }), null);
+    assert.equal(createMetricsRegistry({ NODE_ENV: 'production' }), null);
+    assert.ok(createMetricsRegistry({ NODE_ENV: 'production', DATA_DIR: directory }) instanceof FileMetricsRegistry);
+});
+
+test('/api/metrics answers 503 without durable storage', async () => {
+    const env = process.env;
+    process.env = { ...env, VERCEL: '1' };
+    const res = fakeResponse();
+
+    try {
+        await metrics({ method: 'GET', headers: {}, query: {} }, res);
+    } finally {
+        process.env = env;
+    }
+
+    assert.equal(res.statusCode, 503);
+    assert.match(res.body.error, /durable storage/);
+});
@@ -0,0 +1,67 @@
+// test/reply-cleaner.test.js - ReplyCleaner: fresh text, signature and quoted history
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReplyCleaner, EmailParser } from '../zapier-modules/index.mjs';
+
+const cleaner = new ReplyCleaner();
+
+test('splits a sign-off and contact block off the end', () => {
+    const parts = cleaner.split([
+        'Is AB123456 still open?',
+        '',
+        'Thanks,',
+        'John Smith',
+        'ABC Trucking Inc.',
+        'MC 123456',
+        'Cell: 555-123-4567'
+    ].join('\n'));
+
+    assert.equal(parts.fresh, 'Is AB123456 still open?');
+    assert.match(parts.signature, /^Thanks,\nJohn Smith/);
+});
+
+test('does not treat a thank-you near the top as the signature', () => {
+    const parts = cleaner.split('Hi,\nThank you!\nIs load ref AB123456 still available?');
+
+    assert.equal(parts.signature, '');
+    assert.match(parts.fresh, /AB123456/);
+});
+
+test('does not treat a sign-off followed by a full sentence as the signature', () => {
+    const parts = cleaner.split('Hi\nThanks\nWe can cover load AB123456 tomorrow, please send the rate con.\nJohn');
+
+    assert.equal(parts.signature, '');
+});
+
+test('cuts at the "-- " delimiter and mobile footers', () => {
+    assert.equal(cleaner.split('Still open?\n-- \nJoe').fresh, 'Still open?');
+    assert.equal(cleaner.split('Still open?\nSent from my iPhone').fresh, 'Still open?');
+});
+
+test('separates Gmail and Outlook quoted history, and inline ">" lines', () => {
+    const gmail = cleaner.split('Can you do 2400?\n\nOn Mon, Oct 19, 2026 at 9:14 AM Dispatch <d@broker.com> wrote:\n> Load AB123456 pays $2,200');
+    const outlook = cleaner.split('Booked.\n\nFrom: Dispatch\nSent: Monday\nTo: Joe\nSubject: Load AB123456\n\nRate is $2,200');
+
+    assert.equal(gmail.fresh, 'Can you do 2400?');
+    assert.match(gmail.quoted, /^On Mon.*\nLoad AB123456 pays/);
+    assert.equal(outlook.fresh, 'Booked.');
+    assert.match(outlook.quoted, /Subject: Load AB123456/);
+});
+
+test('EmailParser searches the signature when nothing else names a load', () => {
+    const parser = new EmailParser();
+    const inBody = parser.extractLoadReference('Hi,\nThank you!\nIs load ref AB123456 still available?');
+    const inSignature = parser.extractLoadReference('Need rate.\nBest,\nJoe\nLoad AB123456 ref');
+
+    assert.deepEqual([inBody.found, inBody.reference, inBody.section], [true, 'AB123456', 'fresh']);
+    assert.deepEqual([inSignature.found, inSignature.reference, inSignature.section], [true, 'AB123456', 'signature']);
+});
+
+test('EmailParser prefers quoted history over signature numbers', () => {
+    const result = new EmailParser().extractLoadReference(
+        'Still open?\n\nThanks,\nJoe\nUnit 4477\n\nOn Mon, Oct 19, 2026 at 9:14 AM Dispatch <d@broker.com> wrote:\n> Load #CD789012 is available'
+    );
+
+    assert.equal(result.reference, 'CD789012');
+    assert.equal(result.section, 'quoted');
+});
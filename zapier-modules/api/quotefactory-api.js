@@ -3,6 +3,8 @@
  * Handles all API interactions with QuoteFactory using HTTP requests
  */
 
+const Logger = require('../logging/logger');
+
 class QuoteFactoryAPI {
     constructor(config) {
         this.baseUrl = config.baseUrl || 'https://api.quotefactory.com';
@@ -11,13 +13,14 @@ class QuoteFactoryAPI {
         this.password = config.password;
         this.sessionToken = null;
         this.sessionExpiry = null;
-        this.logger = config.logger || console;
+        this.logger = config.logger || new Logger({ module: 'quotefactory-api' });
     }
 
     /**
      * Initialize session with QuoteFactory
      */
     async initialize() {
+        const startTime = Date.now();
         try {
             // Get Auth0 token
             const authResult = await this.auth0Client.getUserToken(
@@ -28,10 +31,13 @@ class QuoteFactoryAPI {
             this.sessionToken = authResult.accessToken;
             this.sessionExpiry = new Date(Date.now() + (authResult.expiresIn - 300) * 1000);
 
-            this.logger.log('QuoteFactory session initialized successfully');
+            this.logger.info('QuoteFactory session initialized', { durationMs: Date.now() - startTime });
             return true;
         } catch (error) {
-            this.logger.error('Failed to initialize QuoteFactory session:', error.message);
+            this.logger.error('Failed to initialize QuoteFactory session', {
+                error: error.message,
+                durationMs: Date.now() - startTime
+            });
             throw new Error(`QuoteFactory initialization failed: ${error.message}`);
         }
     }
@@ -52,7 +58,8 @@ class QuoteFactoryAPI {
         await this.ensureSession();
 
         const searchUrl = `${this.baseUrl}/api/v1/loads/search`;
-        
+        const startTime = Date.now();
+
         try {
             const response = await fetch(searchUrl, {
                 method: 'POST',
@@ -78,15 +85,23 @@ class QuoteFactoryAPI {
             }
 
             const data = await response.json();
-            
-            if (data.results && data.results.length > 0) {
-                // Return the first match
-                return this.transformLoadData(data.results[0]);
-            }
+            const found = !!(data.results && data.results.length > 0);
 
-            return null;
+            this.logger.info('Load search completed', {
+                loadReference,
+                found,
+                httpStatus: response.status,
+                durationMs: Date.now() - startTime
+            });
+
+            // Return the first match
+            return found ? this.transformLoadData(data.results[0]) : null;
         } catch (error) {
-            this.logger.error('Load search error:', error.message);
+            this.logger.error('Load search failed', {
+                loadReference,
+                error: error.message,
+                durationMs: Date.now() - startTime
+            });
             throw new Error(`Failed to search load: ${error.message}`);
         }
     }
@@ -98,7 +113,8 @@ class QuoteFactoryAPI {
         await this.ensureSession();
 
         const detailsUrl = `${this.baseUrl}/api/v1/loads/${loadId}`;
-        
+        const startTime = Date.now();
+
         try {
             const response = await fetch(detailsUrl, {
                 method: 'GET',
@@ -113,9 +129,14 @@ class QuoteFactoryAPI {
             }
 
             const data = await response.json();
+            this.logger.info('Load details retrieved', { loadId, durationMs: Date.now() - startTime });
             return this.transformLoadData(data);
         } catch (error) {
-            this.logger.error('Load details error:', error.message);
+            this.logger.error('Load details failed', {
+                loadId,
+                error: error.message,
+                durationMs: Date.now() - startTime
+            });
             throw new Error(`Failed to get load details: ${error.message}`);
         }
     }
@@ -235,11 +256,32 @@ class QuoteFactoryAPI {
 
     /**
      * Health check for API connectivity
+     * Reports Auth0 token acquisition and QuoteFactory API reachability
+     * separately, each with its latency, so a failing login is not
+     * mistaken for an API outage.
+     * @returns {Object} - { healthy, message, checks: { auth0, api } }
      */
     async healthCheck() {
+        const checks = {};
+
+        const authStart = Date.now();
+        const cached = !!(this.sessionToken && this.sessionExpiry && new Date() < this.sessionExpiry);
         try {
             await this.ensureSession();
-            
+            checks.auth0 = {
+                healthy: true,
+                latencyMs: Date.now() - authStart,
+                cached,
+                message: cached ? 'Session token still valid' : 'Token acquired'
+            };
+        } catch (error) {
+            checks.auth0 = { healthy: false, latencyMs: Date.now() - authStart, cached, message: error.message };
+            checks.api = { healthy: false, latencyMs: 0, httpStatus: 0, message: 'Skipped - no session token' };
+            return { healthy: false, message: 'Auth0 token acquisition failed', checks };
+        }
+
+        const apiStart = Date.now();
+        try {
             const response = await fetch(`${this.baseUrl}/api/v1/health`, {
                 method: 'GET',
                 headers: {
@@ -247,18 +289,21 @@ class QuoteFactoryAPI {
                 }
             });
 
-            return {
+            checks.api = {
                 healthy: response.ok,
-                status: response.status,
+                latencyMs: Date.now() - apiStart,
+                httpStatus: response.status,
                 message: response.ok ? 'API is accessible' : 'API health check failed'
             };
         } catch (error) {
-            return {
-                healthy: false,
-                status: 0,
-                message: error.message
-            };
+            checks.api = { healthy: false, latencyMs: Date.now() - apiStart, httpStatus: 0, message: error.message };
         }
+
+        return {
+            healthy: checks.api.healthy,
+            message: checks.api.healthy ? 'QuoteFactory API reachable' : `QuoteFactory API unreachable: ${checks.api.message}`,
+            checks
+        };
     }
 }
 
@@ -0,0 +1,167 @@
+/**
+ * Audit Log
+ * Append-only record of every processed email and every reply, so a
+ * quote given to a carrier can be looked up later ("you quoted me X").
+ * This base log keeps records in memory; see JsonlAuditLog for the
+ * file-backed version.
+ *
+ * Record types:
+ * - email_processed: one per processEmail() call (see buildEmailRecord)
+ * - draft_approved / draft_edited / draft_rejected: review decisions
+ * - reply_sent: a reply sent outside processEmail (e.g. an approved draft)
+ */
+
+const DEFAULT_QUERY_LIMIT = 50;
+const MAX_QUERY_LIMIT = 500;
+
+class AuditLog {
+    constructor(config = {}) {
+        this.records = [];
+    }
+
+    /**
+     * Record the outcome of LoadAutomationService.processEmail()
+     * @param {Object} emailData - Normalized inbound email
+     * @param {Object} result - processEmail() result
+     */
+    async recordEmail(emailData, result) {
+        return this.record(this.buildEmailRecord(emailData, result));
+    }
+
+    /**
+     * Record any other auditable event
+     * @param {string} type - Record type, e.g. "draft_approved"
+     * @param {Object} details - Event fields (requestId, draftId, reference, reply, ...)
+     */
+    async recordEvent(type, details = {}) {
+        return this.record({ type, ...details });
+    }
+
+    async record(entry) {
+        const record = { recordedAt: new Date().toISOString(), ...entry };
+        await this.append(record);
+        return record;
+    }
+
+    /**
+     * Find records, newest first
+     * @param {Object} filters - { requestId, type, sender, reference, scenario, since, until, limit }
+     *   sender and reference match case-insensitively (sender as a substring);
+     *   reference also matches every reference the email mentioned
+     * @returns {Promise<Array>} - Matching records
+     */
+    async query(filters = {}) {
+        const limit = Math.min(Math.max(Number(filters.limit) || DEFAULT_QUERY_LIMIT, 1), MAX_QUERY_LIMIT);
+        const matches = [];
+
+        await this.scan(record => {
+            if (this.matches(record, filters)) {
+                matches.push(record);
+            }
+        });
+
+        // Records are stored in the order they happened
+        return matches.reverse().slice(0, limit);
+    }
+
+    /**
+     * Store one record
+     * Subclasses override this and scan() to persist records.
+     */
+    async append(record) {
+        this.records.push(record);
+    }
+
+    /**
+     * Call visit() for every stored record, oldest first
+     */
+    async scan(visit) {
+        this.records.forEach(visit);
+    }
+
+    /**
+     * Report whether the log is usable
+     * Subclasses that persist records override this.
+     */
+    async healthCheck() {
+        return { healthy: true, message: 'Audit records are kept in memory' };
+    }
+
+    matches(record, filters) {
+        const lower = (value) => String(value || '').toLowerCase();
+
+        if (filters.requestId && record.requestId !== filters.requestId) return false;
+        if (filters.type && record.type !== filters.type) return false;
+        if (filters.scenario && record.scenario !== filters.scenario) return false;
+        if (filters.sender && !lower(record.sender).includes(lower(filters.sender))) return false;
+        if (filters.reference) {
+            const wanted = lower(filters.reference);
+            const references = [record.reference, ...(record.references || [])].map(lower);
+            if (!references.includes(wanted)) return false;
+        }
+        if (filters.since && record.recordedAt < new Date(filters.since).toISOString()) return false;
+        if (filters.until && record.recordedAt > new Date(filters.until).toISOString()) return false;
+
+        return true;
+    }
+
+    /**
+     * What was received, what was understood and what was answered
+     */
+    buildEmailRecord(emailData, result) {
+        const extraction = result.extraction || {};
+        const lookup = result.lookup || {};
+        const held = result.review?.status === 'held';
+
+        return {
+            type: 'email_processed',
+            requestId: result.requestId,
+            success: !!result.success,
+            error: result.error || null,
+            sender: emailData.from || null,
+            subject: emailData.subject || null,
+            messageId: emailData.messageId || null,
+            inReplyTo: emailData.inReplyTo || null,
+            threadId: result.conversation?.threadId || null,
+            receivedAt: emailData.receivedAt || null,
+            reference: extraction.reference || null,
+            references: (result.references || []).map(ref => ref.reference),
+            confidence: extraction.confidence || 0,
+            referenceSource: extraction.source || null,
+            carrier: result.carrier?.mcNumber || result.carrier?.dotNumber
+                ? { mcNumber: result.carrier.mcNumber, dotNumber: result.carrier.dotNumber }
+                : null,
+            vetting: result.vetting ? { status: result.vetting.status, reason: result.vetting.reason } : null,
+            lookup: {
+                attempted: !!lookup.attempted,
+                success: !!lookup.success,
+                source: lookup.source || null,
+                error: lookup.error || null,
+                attempts: (lookup.attempts || []).map(({ source, status, durationMs, error }) => ({ source, status, durationMs, error }))
+            },
+            // The rate quoted is what disputes are about
+            rate: result.loadData?.rate?.amount ?? null,
+            counterOffer: result.negotiation
+                ? { decision: result.negotiation.decision, offerTotal: result.negotiation.offerTotal, loadRate: result.negotiation.loadRate }
+                : null,
+            scenario: result.response?.metadata?.scenario || null,
+            review: held
+                ? { held: true, draftId: result.review.draftId, reasons: result.review.reasons.map(reason => reason.code) }
+                : { held: false },
+            reply: result.response
+                ? { subject: result.response.subject, body: result.response.body }
+                : null,
+            delivery: result.delivery
+                ? {
+                    sent: !!result.delivery.sent,
+                    transport: result.delivery.transport || null,
+                    messageId: result.delivery.messageId || null,
+                    error: result.delivery.error || null
+                }
+                : null,
+            processingTimeMs: result.processingTimeMs
+        };
+    }
+}
+
+module.exports = AuditLog;
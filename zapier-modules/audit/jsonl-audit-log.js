@@ -0,0 +1,86 @@
+/**
+ * JSONL Audit Log
+ * Persists audit records as one JSON object per line. Records are only
+ * ever appended, never rewritten; appends within one process are serialized.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const AuditLog = require('./audit-log');
+const Logger = require('../logging/logger');
+
+class JsonlAuditLog extends AuditLog {
+    constructor(config = {}) {
+        super(config);
+        if (!config.filePath) {
+            throw new Error('JsonlAuditLog requires a filePath');
+        }
+
+        this.filePath = config.filePath;
+        this.logger = config.logger || new Logger({ module: 'audit-log' });
+        this.pending = Promise.resolve();
+    }
+
+    async append(record) {
+        const run = this.pending.then(async () => {
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.appendFile(this.filePath, `${JSON.stringify(record)}\n`);
+        });
+
+        // Keep the queue alive even if this append fails
+        this.pending = run.catch(() => {});
+        return run;
+    }
+
+    async healthCheck() {
+        const directory = path.dirname(this.filePath);
+        try {
+            await fs.promises.mkdir(directory, { recursive: true });
+            await fs.promises.access(directory, fs.constants.W_OK);
+            await fs.promises.access(this.filePath, fs.constants.R_OK).catch(error => {
+                // No record written yet is fine
+                if (error.code !== 'ENOENT') throw error;
+            });
+            return { healthy: true, message: `${this.filePath} is writable` };
+        } catch (error) {
+            return { healthy: false, message: error.message };
+        }
+    }
+
+    /**
+     * Stream the file line by line so queries do not load the whole log
+     */
+    async scan(visit) {
+        await this.pending;
+
+        let input;
+        try {
+            await fs.promises.access(this.filePath);
+            input = fs.createReadStream(this.filePath, { encoding: 'utf8' });
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw new Error(`Failed to read ${this.filePath}: ${error.message}`);
+        }
+
+        const lines = readline.createInterface({ input, crlfDelay: Infinity });
+        let lineNumber = 0;
+
+        for await (const line of lines) {
+            lineNumber++;
+            if (!line.trim()) continue;
+
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (error) {
+                // A crash mid-append can leave a partial last line; skip it rather than lose the log
+                this.logger.error('Skipping unreadable audit record', { filePath: this.filePath, lineNumber });
+                continue;
+            }
+            visit(record);
+        }
+    }
+}
+
+module.exports = JsonlAuditLog;
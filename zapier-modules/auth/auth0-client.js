@@ -3,6 +3,8 @@
  * Handles OAuth2 flow with Auth0 for API access
  */
 
+const Logger = require('../logging/logger');
+
 class Auth0Client {
     constructor(config) {
         this.domain = config.auth0Domain;
@@ -11,6 +13,7 @@ class Auth0Client {
         this.audience = config.audience || `https://${config.auth0Domain}/api/v2/`;
         this.tokenCache = null;
         this.tokenExpiry = null;
+        this.logger = config.logger || new Logger({ module: 'auth0-client' });
     }
 
     /**
@@ -20,6 +23,7 @@ class Auth0Client {
     async getAccessToken() {
         // Check cache first
         if (this.tokenCache && this.tokenExpiry && new Date() < this.tokenExpiry) {
+            this.logger.debug('Auth0 token served from cache', { grantType: 'client_credentials' });
             return this.tokenCache;
         }
 
@@ -32,6 +36,7 @@ class Auth0Client {
             audience: this.audience
         };
 
+        const startTime = Date.now();
         try {
             const response = await fetch(tokenUrl, {
                 method: 'POST',
@@ -47,7 +52,8 @@ class Auth0Client {
             }
 
             const data = await response.json();
-            
+            this.logger.info('Auth0 token acquired', { grantType: 'client_credentials', durationMs: Date.now() - startTime });
+
             // Cache token with expiry
             this.tokenCache = data.access_token;
             // Set expiry 5 minutes before actual expiry for safety
@@ -55,6 +61,11 @@ class Auth0Client {
             
             return data.access_token;
         } catch (error) {
+            this.logger.error('Auth0 token request failed', {
+                grantType: 'client_credentials',
+                error: error.message,
+                durationMs: Date.now() - startTime
+            });
             throw new Error(`Auth0 authentication failed: ${error.message}`);
         }
     }
@@ -76,6 +87,7 @@ class Auth0Client {
             scope: 'openid profile email'
         };
 
+        const startTime = Date.now();
         try {
             const response = await fetch(tokenUrl, {
                 method: 'POST',
@@ -91,12 +103,19 @@ class Auth0Client {
             }
 
             const data = await response.json();
+            this.logger.info('Auth0 token acquired', { grantType: 'password', durationMs: Date.now() - startTime });
             return {
                 accessToken: data.access_token,
                 idToken: data.id_token,
                 expiresIn: data.expires_in
             };
         } catch (error) {
+            // Only the outcome is logged: the payload carries the user's password
+            this.logger.error('Auth0 token request failed', {
+                grantType: 'password',
+                error: error.message,
+                durationMs: Date.now() - startTime
+            });
             throw new Error(`User authentication failed: ${error.message}`);
         }
     }
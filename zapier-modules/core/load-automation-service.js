@@ -4,24 +4,35 @@
  */
 
 const EmailParser = require('../parsers/email-parser');
+const CapacityParser = require('../parsers/capacity-parser');
+const AttachmentTextExtractor = require('../parsers/attachment-text-extractor');
 const Auth0Client = require('../auth/auth0-client');
 const QuoteFactoryAPI = require('../api/quotefactory-api');
 const ResponseFormatter = require('../formatters/response-formatter');
+const ApiLoadSource = require('../sources/api-load-source');
+const LoadSourceChain = require('../sources/load-source-chain');
+const Logger = require('../logging/logger');
 
 class LoadAutomationService {
     constructor(config) {
         this.config = this.validateAndSetDefaults(config);
-        this.logger = this.createLogger();
+        this.logger = this.createLogger(config.logger);
         
         // Initialize modules
-        this.emailParser = new EmailParser();
-        this.auth0Client = new Auth0Client(this.config.auth0);
-        this.quoteFactoryAPI = new QuoteFactoryAPI({
-            ...this.config.quoteFactory,
-            auth0Client: this.auth0Client,
-            logger: this.logger
+        this.emailParser = new EmailParser({
+            profilesPath: config.patternProfilesPath,
+            profiles: config.patternProfiles
         });
+        this.capacityParser = new CapacityParser();
+        this.attachmentExtractor = new AttachmentTextExtractor();
+        this.loadSources = this.createLoadSources(config.loadSources || config.loadSource);
         this.responseFormatter = new ResponseFormatter(this.config.formatting);
+        this.conversationStore = config.conversationStore || null;
+        this.carrierVetter = config.carrierVetter || null;
+        this.reviewQueue = config.reviewQueue || null;
+        this.mailer = config.mailer || null;
+        this.auditLog = config.auditLog || null;
+        this.metricsRegistry = config.metricsRegistry || null;
         
         // Metrics tracking
         this.metrics = {
@@ -34,69 +45,173 @@ class LoadAutomationService {
 
     /**
      * Main processing method - orchestrates the complete workflow
+     * @param {Object} emailData - Normalized email
+     * @param {Object} options - { explain } to include every reference candidate considered,
+     *   { requestId } to keep the caller's id (e.g. the webhook's) instead of generating one
      */
-    async processEmail(emailData) {
+    async processEmail(emailData, options = {}) {
+        const requestId = options.requestId || this.generateRequestId();
+
+        // Every line logged while processing, by any module, carries the request id
+        return Logger.withContext({ requestId }, () => this.runEmail(requestId, emailData, options));
+    }
+
+    async runEmail(requestId, emailData, options) {
         const startTime = Date.now();
-        const requestId = this.generateRequestId();
-        
-        this.logger.log(`[${requestId}] Starting email processing`, {
-            subject: emailData.subject,
-            hasBody: !!emailData.body,
-            timestamp: new Date().toISOString()
+
+        this.logger.log('Starting email processing', {
+            from: emailData.from,
+            subjectLength: emailData.subject?.length || 0,
+            bodyLength: emailData.body?.length || 0,
+            attachmentCount: emailData.attachments?.length || 0
         });
 
         try {
             this.metrics.processedEmails++;
 
-            // Step 1: Parse email for load reference
-            const extractionResult = this.emailParser.extractLoadReference(emailData.body);
+            // Step 1: Parse the email; a follow-up that names no load of its own
+            // continues with the load already discussed in the thread
+            const thread = await this.findConversation(requestId, emailData);
+
+            // The sender picks the pattern profile (per-broker reference formats)
+            const parseOptions = { sender: emailData.from, explain: !!options.explain };
+            let extractionResult = { ...this.emailParser.extractLoadReference(emailData.body, parseOptions), source: 'body' };
+            let references = extractionResult.found
+                ? this.emailParser.extractMultipleReferences(emailData.body, this.config.maxReferences, parseOptions)
+                : [];
+
+            // Rate confirmations and tenders often carry the only reference
+            const attachments = this.scanAttachments(requestId, emailData.attachments, parseOptions);
+            const best = attachments
+                .filter(attachment => attachment.extraction.found)
+                .sort((a, b) => b.extraction.confidence - a.extraction.confidence)[0];
+
+            if (best && (!extractionResult.found || best.extraction.confidence > extractionResult.confidence)) {
+                extractionResult = { ...best.extraction, source: 'attachment', attachment: best.filename };
+                references = best.references;
+            }
+
+            // A last-resort match is good enough as the only reference, but not to turn
+            // the reply into a multi-load one ("our reefer is ready 102126")
+            references = references.filter(ref => !ref.catchAll || ref.reference === extractionResult.reference);
+
+            // A reference seen only in the quoted history is the thread's own, not a new load
+            const namesLoad = extractionResult.found && extractionResult.section !== 'quoted';
+            if (thread?.loadReference && !namesLoad) {
+                extractionResult = {
+                    found: true,
+                    reference: thread.loadReference,
+                    confidence: 100,
+                    source: 'thread',
+                    message: 'Load reference reused from conversation thread'
+                };
+                references = (thread.loadReferences || [thread.loadReference])
+                    .map(reference => ({ reference, confidence: 100 }));
+            }
             
-            this.logger.log(`[${requestId}] Extraction result:`, {
+            this.logger.log('Extraction result', {
                 found: extractionResult.found,
                 reference: extractionResult.reference,
-                confidence: extractionResult.confidence
+                confidence: extractionResult.confidence,
+                source: extractionResult.source,
+                attachment: extractionResult.attachment || null,
+                referenceCount: references.length
+            });
+
+            // Carrier's answer to "when and where will you be empty?"
+            const capacity = this.capacityParser.parse(emailData.body, {
+                referenceDate: emailData.receivedAt
             });
 
+            // Who is asking, and may we share load details with them?
+            const carrier = this.resolveCarrier(emailData, thread);
+            const vetting = extractionResult.found ? await this.vetCarrier(requestId, carrier) : null;
+
+            const counterOffer = this.emailParser.extractCounterOffer(emailData.body);
+            let negotiation = null;
             let response;
+            let lookup = { attempted: false, success: false, source: null, attempts: [], error: null };
+            let loads = null;
 
             if (!extractionResult.found) {
                 // No reference found - request it from sender
                 response = this.responseFormatter.formatResponse('no_reference', {
                     originalSubject: emailData.subject
                 });
+            } else if (vetting?.status === 'blocked') {
+                // Never disclose load details or rates to a blocked carrier
+                this.metrics.successfulExtractions++;
+                this.logger.log(`Carrier blocked: ${vetting.reason}`);
+                response = this.responseFormatter.formatResponse('carrier_verification', {
+                    loadReference: extractionResult.reference,
+                    originalSubject: emailData.subject
+                });
+            } else if (references.length > 1) {
+                this.metrics.successfulExtractions++;
+
+                // Step 2: Look up every referenced load
+                loads = [];
+                for (const { reference, confidence } of references) {
+                    const loadLookup = await this.lookupLoad(requestId, reference);
+                    loads.push({
+                        reference,
+                        confidence,
+                        status: loadLookup.loadData ? 'found' : (loadLookup.attempted && !loadLookup.error ? 'not_found' : 'pending'),
+                        loadData: loadLookup.loadData,
+                        lookup: loadLookup
+                    });
+                }
+
+                lookup = {
+                    attempted: loads.some(load => load.lookup.attempted),
+                    success: loads.some(load => load.loadData),
+                    source: null,
+                    attempts: [],
+                    error: null
+                };
+                if (lookup.success) {
+                    this.metrics.successfulLookups++;
+                }
+
+                // Step 3: One combined reply with a section per load
+                response = this.responseFormatter.formatResponse('multi_load', {
+                    loads,
+                    originalSubject: emailData.subject
+                });
             } else {
                 this.metrics.successfulExtractions++;
                 const loadReference = extractionResult.reference;
 
                 // Step 2: Look up load details
-                let loadData = null;
-                let lookupError = null;
-
-                try {
-                    if (this.config.enableQuoteFactoryLookup) {
-                        this.logger.log(`[${requestId}] Looking up load: ${loadReference}`);
-                        loadData = await this.quoteFactoryAPI.searchLoad(loadReference);
-                        
-                        if (loadData) {
-                            this.metrics.successfulLookups++;
-                            this.logger.log(`[${requestId}] Load data retrieved successfully`);
-                        } else {
-                            this.logger.log(`[${requestId}] Load not found in QuoteFactory`);
-                        }
-                    }
-                } catch (error) {
-                    lookupError = error;
-                    this.logger.error(`[${requestId}] QuoteFactory lookup failed:`, error.message);
+                lookup = await this.lookupLoad(requestId, loadReference);
+                if (lookup.loadData) {
+                    this.metrics.successfulLookups++;
+                }
+
+                if (lookup.loadData && counterOffer.found && this.config.negotiation.enabled) {
+                    negotiation = this.evaluateCounterOffer(counterOffer, lookup.loadData);
+                    this.logger.log(`Counter-offer ${negotiation.decision}`, {
+                        offerTotal: negotiation.offerTotal,
+                        loadRate: negotiation.loadRate,
+                        reason: negotiation.reason
+                    });
                 }
 
                 // Step 3: Format response based on results
-                if (loadData) {
+                if (negotiation) {
+                    response = this.responseFormatter.formatResponse(`counter_${negotiation.decision}`, {
+                        loadData: lookup.loadData,
+                        loadReference,
+                        negotiation,
+                        originalSubject: emailData.subject
+                    });
+                } else if (lookup.loadData) {
                     response = this.responseFormatter.formatResponse('load_found', {
-                        loadData,
+                        loadData: lookup.loadData,
                         loadReference,
                         originalSubject: emailData.subject
                     });
-                } else if (lookupError) {
+                } else if (lookup.error) {
                     response = this.responseFormatter.formatResponse('error', {
                         originalSubject: emailData.subject,
                         errorType: 'retrieving load details'
@@ -109,7 +224,39 @@ class LoadAutomationService {
                 }
             }
 
+            // Where the reference came from travels with the reply
+            response.metadata = {
+                ...response.metadata,
+                referenceSource: extractionResult.found ? extractionResult.source : null,
+                referenceAttachment: extractionResult.attachment || null
+            };
+
+            // Step 4: Hold risky replies as drafts for human review
+            const review = await this.reviewReply(requestId, emailData, {
+                extraction: extractionResult,
+                loadData: lookup.loadData,
+                loads,
+                vetting,
+                negotiation,
+                response
+            });
+
+            // Step 5: Send the reply ourselves when a mailer is configured
+            const delivery = review.status === 'held'
+                ? null
+                : await this.deliverReply(requestId, emailData, response);
+
+            const conversation = await this.recordConversation(requestId, emailData, thread, {
+                loadReference: extractionResult.reference,
+                loadReferences: references.map(ref => ref.reference),
+                scenario: response.metadata?.scenario,
+                subject: emailData.subject,
+                capacity: capacity.found ? capacity : null,
+                carrier: carrier.mcNumber || carrier.dotNumber ? carrier : null
+            }, delivery?.messageId);
+
             const processingTime = Date.now() - startTime;
+            const { loadData = null, ...lookupSummary } = lookup;
             
             // Build comprehensive result
             const result = {
@@ -117,24 +264,42 @@ class LoadAutomationService {
                 requestId,
                 processingTimeMs: processingTime,
                 extraction: extractionResult,
-                loadData: loadData || null,
+                references,
+                attachments: attachments.map(({ text, extraction, references: found, ...summary }) => ({
+                    ...summary,
+                    referenceFound: extraction.found ? extraction.reference : null
+                })),
+                loadData,
+                loads,
+                capacity,
+                carrier,
+                vetting,
+                counterOffer,
+                negotiation,
+                lookup: lookupSummary,
+                review,
+                delivery,
+                conversation,
                 response,
                 metrics: this.getMetricsSummary(),
                 timestamp: new Date().toISOString()
             };
 
-            this.logger.log(`[${requestId}] Processing completed successfully in ${processingTime}ms`);
+            this.logger.log('Processing completed successfully', {
+                durationMs: processingTime,
+                scenario: response.metadata?.scenario,
+                held: review.status === 'held',
+                sent: !!delivery?.sent
+            });
+            await this.recordAudit(requestId, emailData, result);
+            await this.recordMetrics(requestId, result);
             return result;
 
         } catch (error) {
             this.metrics.errors++;
             const processingTime = Date.now() - startTime;
 
-            this.logger.error(`[${requestId}] Processing failed:`, {
-                error: error.message,
-                stack: error.stack,
-                processingTimeMs: processingTime
-            });
+            this.logger.error('Processing failed', error, { durationMs: processingTime });
 
             // Return error response that can still be used
             const errorResponse = this.responseFormatter.formatResponse('error', {
@@ -142,18 +307,383 @@ class LoadAutomationService {
                 errorType: 'processing your email'
             });
 
-            return {
+            // The carrier still hears back when we send replies ourselves
+            const delivery = await this.deliverReply(requestId, emailData, errorResponse);
+
+            const result = {
                 success: false,
                 requestId,
                 processingTimeMs: processingTime,
                 error: this.sanitizeError(error),
                 response: errorResponse,
+                delivery,
                 metrics: this.getMetricsSummary(),
                 timestamp: new Date().toISOString()
             };
+
+            await this.recordAudit(requestId, emailData, result);
+            await this.recordMetrics(requestId, result);
+            return result;
+        }
+    }
+
+    /**
+     * Extract text from supported attachments and look for references in it
+     * @returns {Array} - [{ filename, contentType, type, text, error, extraction, references }]
+     */
+    scanAttachments(requestId, attachments, parseOptions = {}) {
+        if (!Array.isArray(attachments) || attachments.length === 0) {
+            return [];
+        }
+
+        return attachments.slice(0, this.config.maxAttachments).map(attachment => {
+            const extracted = this.attachmentExtractor.extract(attachment);
+            if (extracted.error) {
+                this.logger.debug(`Skipped attachment ${extracted.filename}: ${extracted.error}`);
+            }
+
+            const extraction = this.emailParser.extractLoadReference(extracted.text, parseOptions);
+            const references = extraction.found
+                ? this.emailParser.extractMultipleReferences(extracted.text, this.config.maxReferences, parseOptions)
+                : [];
+
+            return { ...extracted, extraction, references };
+        });
+    }
+
+    /**
+     * Decide whether a reply needs a person to look at it before sending
+     * @returns {Array} - Reasons ({ code, message }); empty when the reply can go out
+     */
+    getReviewReasons({ extraction, loadData, loads, vetting, negotiation }) {
+        const policy = this.config.review;
+        const reasons = [];
+        const disclosedLoads = loads
+            ? loads.map(load => load.loadData).filter(Boolean)
+            : [loadData].filter(Boolean);
+
+        if (extraction.found && extraction.source !== 'thread' && extraction.confidence < policy.minConfidence) {
+            reasons.push({
+                code: 'low_confidence',
+                message: `Reference confidence ${extraction.confidence} is below ${policy.minConfidence}`
+            });
+        }
+
+        const highValue = disclosedLoads.filter(load => typeof load.rate?.amount === 'number' && load.rate.amount > policy.maxRate);
+        if (highValue.length > 0) {
+            reasons.push({
+                code: 'high_value',
+                message: `Rate above ${policy.maxRate} for ${highValue.map(load => load.loadReference).join(', ')}`
+            });
+        }
+
+        if (policy.holdHazmat && disclosedLoads.some(load => load.commodity?.hazmat)) {
+            reasons.push({ code: 'hazmat', message: 'Reply includes a hazmat load' });
+        }
+
+        if (policy.holdFlaggedCarriers && vetting?.status === 'flagged') {
+            reasons.push({ code: 'carrier_flagged', message: vetting.reason });
+        }
+
+        // An accepted offer commits us to a rate, so a person confirms it was really an offer
+        if (policy.holdAcceptedOffers && negotiation?.decision === 'accepted') {
+            reasons.push({
+                code: 'offer_accepted',
+                message: `Accepts the carrier's offer of ${negotiation.offerTotal} (${negotiation.offer.raw})`
+            });
+        }
+
+        return reasons;
+    }
+
+    /**
+     * Queue the reply as a draft when it needs review
+     * @returns {Object} - { required, status: held|ready, reasons, draftId }
+     */
+    async reviewReply(requestId, emailData, context) {
+        const reasons = this.getReviewReasons(context);
+        const review = { required: reasons.length > 0, status: 'ready', reasons, draftId: null };
+
+        if (!review.required) {
+            return review;
+        }
+        if (!this.reviewQueue) {
+            // Still held: the caller gets the draft and must route it to a person
+            this.logger.warn('Reply needs review but no review queue is configured - returning the draft unsent', { reasons });
+            return { ...review, status: 'held' };
+        }
+
+        const draft = await this.reviewQueue.enqueue({
+            requestId,
+            loadReference: context.extraction.reference,
+            reasons,
+            email: {
+                id: emailData.id || null,
+                messageId: emailData.messageId || null,
+                references: emailData.references || null,
+                from: emailData.from || null,
+                subject: emailData.subject || null
+            },
+            response: context.response
+        });
+
+        this.logger.log(`Reply held for review as ${draft.id}`, { reasons });
+        return { ...review, status: 'held', draftId: draft.id };
+    }
+
+    /**
+     * Send the reply through the configured mailer
+     * @returns {Object|null} - Mailer result, { sent: false, permanent, error } on failure, or null without a mailer
+     */
+    async deliverReply(requestId, emailData, response) {
+        if (!this.mailer) {
+            return null;
+        }
+
+        try {
+            const delivery = await this.mailer.sendReply(emailData, response);
+            this.logger.log(`Reply handed to ${delivery.transport} transport`, {
+                to: delivery.to,
+                messageId: delivery.messageId
+            });
+            return delivery;
+        } catch (error) {
+            const permanent = this.isPermanentDeliveryError(error);
+            this.logger.error('Failed to send reply', { error: error.message, permanent });
+            return { sent: false, permanent, error: this.sanitizeError(error) };
+        }
+    }
+
+    /**
+     * Whether sending again cannot succeed: no recipient, or an SMTP 5xx rejection
+     */
+    isPermanentDeliveryError(error) {
+        return error.permanent === true ||
+            error.code === 'EENVELOPE' ||
+            (error.responseCode >= 500 && error.responseCode < 600);
+    }
+
+    /**
+     * Append the outcome to the audit log. A failing audit log is reported
+     * but never stops the reply.
+     */
+    async recordAudit(requestId, emailData, result) {
+        if (!this.auditLog) {
+            return;
+        }
+
+        try {
+            await this.auditLog.recordEmail(emailData, result);
+        } catch (error) {
+            this.logger.error('Failed to write audit record', { error: error.message });
+        }
+    }
+
+    /**
+     * Add the outcome to the persisted metrics (see MetricsRegistry).
+     * Like the audit log, a failure here never stops the reply.
+     */
+    async recordMetrics(requestId, result) {
+        if (!this.metricsRegistry) {
+            return;
+        }
+
+        try {
+            await this.metricsRegistry.recordEmail(result);
+        } catch (error) {
+            this.logger.error('Failed to record metrics', { error: error.message });
+        }
+    }
+
+    /**
+     * Compare a carrier's counter-offer with the load's rate
+     *
+     * Relative to rate.amount, an offer is:
+     * - escalated below floorPercent (likely a typo or a misread per-mile rate)
+     * - accepted up to acceptCeilingPercent above the rate
+     * - escalated up to escalateCeilingPercent above the rate
+     * - declined beyond that
+     * @returns {Object} - { decision: accepted|declined|escalated, offerTotal, loadRate, reason, ... }
+     */
+    evaluateCounterOffer(counterOffer, loadData) {
+        const rules = this.config.negotiation;
+        const loadRate = typeof loadData.rate?.amount === 'number' ? loadData.rate.amount : parseFloat(loadData.rate?.amount);
+        const distance = typeof loadData.distance === 'number' ? loadData.distance : parseFloat(loadData.distance);
+
+        const offerTotal = counterOffer.perMile
+            ? (Number.isFinite(distance) && distance > 0 ? Math.round(counterOffer.perMile * distance * 100) / 100 : null)
+            : counterOffer.amount;
+
+        const result = {
+            offer: counterOffer,
+            offerTotal,
+            loadRate: Number.isFinite(loadRate) ? loadRate : null,
+            floor: null,
+            acceptCeiling: null,
+            escalateCeiling: null
+        };
+
+        if (offerTotal === null) {
+            return { ...result, decision: 'escalated', reason: 'Per-mile offer on a load without a known distance' };
+        }
+        if (result.loadRate === null || result.loadRate <= 0) {
+            return { ...result, decision: 'escalated', reason: 'Load has no numeric rate to compare against' };
+        }
+
+        result.floor = result.loadRate * rules.floorPercent / 100;
+        result.acceptCeiling = result.loadRate * (1 + rules.acceptCeilingPercent / 100);
+        result.escalateCeiling = result.loadRate * (1 + rules.escalateCeilingPercent / 100);
+
+        if (offerTotal < result.floor) {
+            return { ...result, decision: 'escalated', reason: `Offer is below ${rules.floorPercent}% of the load rate` };
+        }
+        if (offerTotal <= result.acceptCeiling) {
+            return { ...result, decision: 'accepted', reason: 'Offer is within the auto-accept margin' };
+        }
+        if (offerTotal <= result.escalateCeiling) {
+            return { ...result, decision: 'escalated', reason: 'Offer is above the auto-accept margin' };
+        }
+        return { ...result, decision: 'declined', reason: 'Offer exceeds the negotiation ceiling' };
+    }
+
+    /**
+     * Carrier identity from this email, falling back to what the thread already told us
+     */
+    resolveCarrier(emailData, thread) {
+        const identifiers = this.emailParser.extractCarrierIdentifiers(
+            this.emailParser.sanitizeContent(emailData.body || '')
+        );
+
+        return {
+            mcNumber: identifiers.mcNumber || thread?.carrier?.mcNumber || null,
+            dotNumber: identifiers.dotNumber || thread?.carrier?.dotNumber || null,
+            email: emailData.from || null
+        };
+    }
+
+    /**
+     * Run the configured carrier vetting step
+     * A vetter failure flags the reply rather than blocking or approving it.
+     */
+    async vetCarrier(requestId, carrier) {
+        if (!this.carrierVetter) {
+            return null;
+        }
+
+        try {
+            const vetting = await this.carrierVetter.vet(carrier);
+            this.logger.log(`Carrier vetting: ${vetting.status}`, {
+                mcNumber: carrier.mcNumber,
+                dotNumber: carrier.dotNumber,
+                reason: vetting.reason
+            });
+            return vetting;
+        } catch (error) {
+            this.logger.error('Carrier vetting failed', { error: error.message });
+            return {
+                status: 'flagged',
+                reason: `Vetting unavailable: ${error.message}`,
+                vetter: this.carrierVetter.name || null,
+                carrier
+            };
         }
     }
 
+    /**
+     * Find the conversation thread an email belongs to (if a store is configured)
+     */
+    async findConversation(requestId, emailData) {
+        if (!this.conversationStore) {
+            return null;
+        }
+
+        try {
+            const thread = await this.conversationStore.findThread(this.getThreadHeaders(emailData));
+            if (thread) {
+                this.logger.log(`Follow-up in thread ${thread.threadId}`, {
+                    loadReference: thread.loadReference || null,
+                    previousScenario: thread.scenario || null
+                });
+            }
+            return thread;
+        } catch (error) {
+            this.logger.error('Conversation lookup failed', { error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Remember what was sent for this email so follow-ups can reuse it
+     */
+    async recordConversation(requestId, emailData, thread, details, sentMessageId) {
+        const summary = {
+            threadId: thread?.threadId || null,
+            followUp: !!thread,
+            previousScenario: thread?.scenario || null
+        };
+
+        if (!this.conversationStore) {
+            return summary;
+        }
+
+        try {
+            const headers = this.getThreadHeaders(emailData);
+            if (sentMessageId) {
+                // Our own reply's Message-ID, so the carrier's answer to it lands in this thread
+                headers.references = [headers.references, sentMessageId].filter(Boolean).join(' ');
+            }
+            const saved = await this.conversationStore.saveThread(headers, details);
+            summary.threadId = saved?.threadId || summary.threadId;
+        } catch (error) {
+            this.logger.error('Failed to save conversation state', { error: error.message });
+        }
+
+        return summary;
+    }
+
+    getThreadHeaders(emailData) {
+        return {
+            messageId: emailData.messageId || emailData.id,
+            inReplyTo: emailData.inReplyTo,
+            references: emailData.references
+        };
+    }
+
+    /**
+     * Look up one load through the configured source chain
+     * @returns {Object} - { loadData, attempted, success, source, attempts, error }
+     */
+    async lookupLoad(requestId, loadReference) {
+        const lookup = { loadData: null, attempted: false, success: false, source: null, attempts: [], error: null };
+
+        if (!this.loadSources) {
+            return lookup;
+        }
+
+        lookup.attempted = true;
+        const startTime = Date.now();
+        try {
+            this.logger.log('Looking up load', { loadReference });
+            const lookupResult = await this.loadSources.lookup(loadReference);
+            lookup.loadData = lookupResult.loadData;
+            lookup.success = !!lookupResult.loadData;
+            lookup.source = lookupResult.source;
+            lookup.attempts = lookupResult.attempts;
+
+            if (lookup.loadData) {
+                this.logger.log('Load data retrieved', { loadReference, source: lookup.source, durationMs: Date.now() - startTime });
+            } else {
+                this.logger.log('Load not found in any load source', { loadReference, durationMs: Date.now() - startTime });
+            }
+        } catch (error) {
+            lookup.error = error.message;
+            lookup.attempts = error.attempts || [];
+            this.logger.error('Load lookup failed', { loadReference, error: error.message, durationMs: Date.now() - startTime });
+        }
+
+        return lookup;
+    }
+
     /**
      * Batch process multiple emails
      */
@@ -161,7 +691,7 @@ class LoadAutomationService {
         const results = [];
         const batchId = this.generateRequestId();
         
-        this.logger.log(`[${batchId}] Starting batch processing of ${emailsData.length} emails`);
+        this.logger.log('Starting batch processing', { batchId, emailCount: emailsData.length });
 
         for (let i = 0; i < emailsData.length; i++) {
             try {
@@ -180,7 +710,7 @@ class LoadAutomationService {
             }
         }
 
-        this.logger.log(`[${batchId}] Batch processing completed`);
+        this.logger.log('Batch processing completed', { batchId });
         return {
             batchId,
             totalProcessed: emailsData.length,
@@ -191,30 +721,140 @@ class LoadAutomationService {
 
     /**
      * Health check for all services
+     * Every check runs in parallel, gets config.healthCheckTimeoutMs and
+     * reports its latency. status is healthy, degraded (working, but with
+     * a fallback or a missing dependency) or unhealthy (emails cannot be
+     * answered properly); not_configured and not_checked checks count as healthy.
+     *
+     * deep: false skips the live probes (Auth0 login, QuoteFactory, Chromium,
+     * SMTP) and only reports what is configured, plus the local storage checks.
+     * @param {Object} options - { deep } (default true)
+     * @returns {Object} - { status, healthy, deep, checks: { loadSources, mail, storage }, metrics, timestamp }
      */
-    async healthCheck() {
-        const checks = {};
-        
-        try {
-            // Check QuoteFactory API
-            checks.quoteFactoryAPI = await this.quoteFactoryAPI.healthCheck();
-        } catch (error) {
-            checks.quoteFactoryAPI = {
-                healthy: false,
-                message: error.message
-            };
-        }
+    async healthCheck(options = {}) {
+        const deep = options.deep !== false;
+        const stores = {
+            conversations: this.conversationStore,
+            reviewQueue: this.reviewQueue,
+            auditLog: this.auditLog,
+            metrics: this.metricsRegistry
+        };
 
-        const overallHealth = Object.values(checks).every(check => check.healthy);
+        const notChecked = (message, details) => ({ ...details, status: 'not_checked', healthy: true, latencyMs: 0, message });
+        const sourceNames = (this.loadSources?.sources || [this.loadSources]).filter(Boolean).map(source => source.name);
+
+        const [loadSources, mail, storageChecks] = await Promise.all([
+            !this.loadSources
+                ? { status: 'degraded', healthy: false, latencyMs: 0, message: 'No load sources configured - every reply says details are pending' }
+                : deep
+                    ? this.runHealthCheck(() => this.loadSources.healthCheck())
+                    : notChecked(`Configured: ${sourceNames.join(', ')} (not probed)`, { sources: sourceNames }),
+            !this.mailer
+                ? { status: 'not_configured', healthy: true, latencyMs: 0, message: 'No mail transport - replies are returned to the caller' }
+                : deep
+                    ? this.runHealthCheck(() => this.mailer.transport.healthCheck(), { transport: this.mailer.transport.name })
+                    : notChecked(`${this.mailer.transport.name} transport configured (not probed)`, { transport: this.mailer.transport.name }),
+            Promise.all(Object.entries(stores)
+                .filter(([, store]) => store)
+                .map(async ([name, store]) => [name, await this.runHealthCheck(() => store.healthCheck())]))
+        ]);
+
+        const storeResults = Object.fromEntries(storageChecks);
+        const storageStatus = this.worstStatus(Object.values(storeResults).map(check => check.status));
+        const storage = {
+            status: storageStatus,
+            healthy: storageStatus !== 'unhealthy',
+            latencyMs: Math.max(0, ...Object.values(storeResults).map(check => check.latencyMs)),
+            checks: storeResults
+        };
+
+        const checks = { loadSources, mail, storage };
+        const status = this.worstStatus(Object.values(checks).map(check => check.status));
 
         return {
-            healthy: overallHealth,
+            status,
+            healthy: status !== 'unhealthy',
+            deep,
             checks,
             metrics: this.getMetricsSummary(),
             timestamp: new Date().toISOString()
         };
     }
 
+    /**
+     * Run one health check with a timeout and time it
+     * @param {Function} check - Resolves { healthy, status?, message, ... }
+     * @param {Object} details - Extra fields for the result
+     */
+    async runHealthCheck(check, details = {}) {
+        const startTime = Date.now();
+        let timer;
+
+        try {
+            const timeout = new Promise((resolve, reject) => {
+                timer = setTimeout(
+                    () => reject(new Error(`Timed out after ${this.config.healthCheckTimeoutMs}ms`)),
+                    this.config.healthCheckTimeoutMs
+                );
+            });
+            const result = await Promise.race([check(), timeout]);
+
+            return {
+                ...details,
+                ...result,
+                status: result.status || (result.healthy ? 'healthy' : 'unhealthy'),
+                latencyMs: Date.now() - startTime
+            };
+        } catch (error) {
+            return { ...details, status: 'unhealthy', healthy: false, message: error.message, latencyMs: Date.now() - startTime };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    worstStatus(statuses) {
+        if (statuses.includes('unhealthy')) return 'unhealthy';
+        if (statuses.includes('degraded')) return 'degraded';
+        return 'healthy';
+    }
+
+    /**
+     * Release browsers, SMTP connections and other resources held by the modules
+     */
+    async close() {
+        await this.loadSources?.close();
+        await this.mailer?.transport.close();
+    }
+
+    /**
+     * Build the ordered load source chain used for lookups.
+     * Accepts a single source or an array; each source only needs a
+     * searchLoad(reference) method returning data in the
+     * QuoteFactoryAPI.transformLoadData() shape (or null).
+     */
+    createLoadSources(customSources) {
+        if (!this.config.enableQuoteFactoryLookup) {
+            return null;
+        }
+
+        let sources = [].concat(customSources || []).filter(Boolean);
+
+        if (sources.length === 0) {
+            // Default backend: QuoteFactory HTTP API via Auth0
+            this.auth0Client = new Auth0Client({
+                ...this.config.auth0,
+                auth0Domain: this.config.auth0.domain
+            });
+            this.quoteFactoryAPI = new QuoteFactoryAPI({
+                ...this.config.quoteFactory,
+                auth0Client: this.auth0Client
+            });
+            sources = [new ApiLoadSource({ api: this.quoteFactoryAPI, logger: this.logger })];
+        }
+
+        return new LoadSourceChain({ sources, logger: this.logger });
+    }
+
     /**
      * Validate and set configuration defaults
      */
@@ -223,33 +863,56 @@ class LoadAutomationService {
             throw new Error('Configuration is required');
         }
 
-        // Validate required Auth0 config
-        if (!config.auth0?.domain || !config.auth0?.clientId || !config.auth0?.clientSecret) {
-            throw new Error('Auth0 configuration (domain, clientId, clientSecret) is required');
-        }
+        const enableQuoteFactoryLookup = config.enableQuoteFactoryLookup !== false;
 
-        // Validate QuoteFactory credentials
-        if (!config.quoteFactory?.username || !config.quoteFactory?.password) {
-            throw new Error('QuoteFactory credentials (username, password) are required');
+        const hasCustomSources = [].concat(config.loadSources || config.loadSource || []).length > 0;
+
+        // The HTTP API backend is only built when no custom load sources are supplied
+        if (enableQuoteFactoryLookup && !hasCustomSources) {
+            // Validate required Auth0 config
+            if (!config.auth0?.domain || !config.auth0?.clientId || !config.auth0?.clientSecret) {
+                throw new Error('Auth0 configuration (domain, clientId, clientSecret) is required');
+            }
+
+            // Validate QuoteFactory credentials
+            if (!config.quoteFactory?.username || !config.quoteFactory?.password) {
+                throw new Error('QuoteFactory credentials (username, password) are required');
+            }
         }
 
         return {
-            enableQuoteFactoryLookup: config.enableQuoteFactoryLookup !== false,
+            enableQuoteFactoryLookup,
+            maxReferences: config.maxReferences || 5,
+            maxAttachments: config.maxAttachments || 5,
+            healthCheckTimeoutMs: config.healthCheckTimeoutMs || 10000,
             auth0: {
-                domain: config.auth0.domain,
-                clientId: config.auth0.clientId,
-                clientSecret: config.auth0.clientSecret,
-                audience: config.auth0.audience
+                domain: config.auth0?.domain,
+                clientId: config.auth0?.clientId,
+                clientSecret: config.auth0?.clientSecret,
+                audience: config.auth0?.audience
             },
             quoteFactory: {
-                baseUrl: config.quoteFactory.baseUrl || 'https://api.quotefactory.com',
-                username: config.quoteFactory.username,
-                password: config.quoteFactory.password
+                baseUrl: config.quoteFactory?.baseUrl || 'https://api.quotefactory.com',
+                username: config.quoteFactory?.username,
+                password: config.quoteFactory?.password
             },
             formatting: {
                 companyName: config.formatting?.companyName || 'Your Company',
                 ...config.formatting
             },
+            negotiation: {
+                enabled: config.negotiation?.enabled !== false,
+                floorPercent: config.negotiation?.floorPercent ?? 50,
+                acceptCeilingPercent: config.negotiation?.acceptCeilingPercent ?? 5,
+                escalateCeilingPercent: config.negotiation?.escalateCeilingPercent ?? 15
+            },
+            review: {
+                minConfidence: config.review?.minConfidence ?? 60,
+                maxRate: config.review?.maxRate ?? 5000,
+                holdHazmat: config.review?.holdHazmat !== false,
+                holdFlaggedCarriers: config.review?.holdFlaggedCarriers !== false,
+                holdAcceptedOffers: config.review?.holdAcceptedOffers !== false
+            },
             logging: {
                 level: config.logging?.level || 'info',
                 ...config.logging
@@ -258,26 +921,13 @@ class LoadAutomationService {
     }
 
     /**
-     * Create logger with appropriate configuration
+     * Structured JSON logger (see Logger) unless the caller supplies one
      */
-    createLogger() {
-        const logLevel = this.config.logging.level;
-        
-        return {
-            log: (message, data) => {
-                if (logLevel === 'debug' || logLevel === 'info') {
-                    console.log(message, data ? JSON.stringify(data, null, 2) : '');
-                }
-            },
-            error: (message, data) => {
-                console.error(message, data ? JSON.stringify(data, null, 2) : '');
-            },
-            debug: (message, data) => {
-                if (logLevel === 'debug') {
-                    console.debug(message, data ? JSON.stringify(data, null, 2) : '');
-                }
-            }
-        };
+    createLogger(logger) {
+        return logger || new Logger({
+            module: 'load-automation-service',
+            level: this.config.logging.level
+        });
     }
 
     /**
@@ -309,7 +959,7 @@ class LoadAutomationService {
         const successful = results.filter(r => r.success).length;
         const failed = results.length - successful;
         const extractionsFound = results.filter(r => r.extraction?.found).length;
-        const loadsFound = results.filter(r => r.loadData).length;
+        const loadsFound = results.filter(r => r.loadData || r.loads?.some(load => load.loadData)).length;
 
         return {
             total: results.length,
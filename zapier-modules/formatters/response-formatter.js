@@ -10,6 +10,11 @@ class ResponseFormatter {
             loadFound: config.loadFoundTemplate || this.getDefaultLoadFoundTemplate(),
             loadPending: config.loadPendingTemplate || this.getDefaultLoadPendingTemplate(),
             noReference: config.noReferenceTemplate || this.getDefaultNoReferenceTemplate(),
+            multiLoad: config.multiLoadTemplate || this.getDefaultMultiLoadTemplate(),
+            carrierVerification: config.carrierVerificationTemplate || this.getDefaultCarrierVerificationTemplate(),
+            counterAccepted: config.counterAcceptedTemplate || this.getDefaultCounterAcceptedTemplate(),
+            counterDeclined: config.counterDeclinedTemplate || this.getDefaultCounterDeclinedTemplate(),
+            counterEscalated: config.counterEscalatedTemplate || this.getDefaultCounterEscalatedTemplate(),
             error: config.errorTemplate || this.getDefaultErrorTemplate()
         };
         this.signatureTemplate = config.signatureTemplate || this.getDefaultSignature();
@@ -23,6 +28,11 @@ class ResponseFormatter {
             'load_found': () => this.formatLoadFoundResponse(data),
             'load_pending': () => this.formatLoadPendingResponse(data),
             'no_reference': () => this.formatNoReferenceResponse(data),
+            'multi_load': () => this.formatMultiLoadResponse(data),
+            'carrier_verification': () => this.formatCarrierVerificationResponse(data),
+            'counter_accepted': () => this.formatCounterOfferResponse('counter_accepted', this.responseTemplates.counterAccepted, data),
+            'counter_declined': () => this.formatCounterOfferResponse('counter_declined', this.responseTemplates.counterDeclined, data),
+            'counter_escalated': () => this.formatCounterOfferResponse('counter_escalated', this.responseTemplates.counterEscalated, data),
             'error': () => this.formatErrorResponse(data)
         };
 
@@ -45,7 +55,7 @@ class ResponseFormatter {
         let body = this.responseTemplates.loadFound;
         
         // Replace placeholders
-        body = body.replace('{{LOAD_REFERENCE}}', loadReference);
+        body = body.replace(/{{LOAD_REFERENCE}}/g, loadReference);
         body = body.replace('{{PICKUP_LOCATION}}', loadData.pickup.location);
         body = body.replace('{{PICKUP_DATE}}', loadData.pickup.date || 'TBD');
         body = body.replace('{{DELIVERY_LOCATION}}', loadData.delivery.location);
@@ -85,7 +95,7 @@ class ResponseFormatter {
         const subject = this.formatSubject(originalSubject, loadReference);
         
         let body = this.responseTemplates.loadPending;
-        body = body.replace('{{LOAD_REFERENCE}}', loadReference);
+        body = body.replace(/{{LOAD_REFERENCE}}/g, loadReference);
         body += this.signatureTemplate;
         
         return {
@@ -118,6 +128,141 @@ class ResponseFormatter {
         };
     }
 
+    /**
+     * Format a combined response covering several loads in one email
+     * @param {Object} data - { loads: [{ reference, status, loadData }], originalSubject }
+     *   status is 'found', 'not_found' or 'pending'
+     */
+    formatMultiLoadResponse(data) {
+        const { loads = [], originalSubject } = data;
+
+        const found = loads.filter(load => load.status === 'found');
+        const notFound = loads.filter(load => load.status === 'not_found');
+        const pending = loads.filter(load => load.status === 'pending');
+
+        const subject = `${this.formatSubject(originalSubject, null)} - ${loads.length} Loads`;
+
+        const sections = [
+            ...found.map(load => this.formatLoadSection(load.reference, load.loadData)),
+            ...pending.map(load => `📦 LOAD ${load.reference}\n• Details are being pulled from our system and will follow shortly.`)
+        ];
+
+        let notFoundSection = '';
+        if (notFound.length > 0) {
+            notFoundSection = '\n❓ NOT FOUND:\nWe could not find the following references in our system. ' +
+                'Please double-check them or send the DAT posting details:\n' +
+                notFound.map(load => `• ${load.reference}`).join('\n') + '\n';
+        }
+
+        let body = this.responseTemplates.multiLoad;
+        body = body.replace('{{LOAD_COUNT}}', loads.length);
+        body = body.replace('{{LOAD_SECTIONS}}', sections.join('\n\n'));
+        body = body.replace('{{NOT_FOUND_SECTION}}', notFoundSection);
+        body += this.signatureTemplate;
+
+        return {
+            subject,
+            body,
+            metadata: {
+                scenario: 'multi_load',
+                loadReferences: loads.map(load => load.reference),
+                foundReferences: found.map(load => load.reference),
+                notFoundReferences: notFound.map(load => load.reference),
+                pendingReferences: pending.map(load => load.reference)
+            }
+        };
+    }
+
+    /**
+     * Format the details block for one load (multi-load and counter-offer replies)
+     */
+    formatLoadSection(loadReference, loadData) {
+        const lines = [
+            `📦 LOAD ${loadReference}`,
+            `• Equipment: ${loadData.equipment}`,
+            `• Commodity: ${loadData.commodity.description}`,
+            `• Weight: ${loadData.commodity.weight}`,
+            `• Pickup: ${loadData.pickup.location} (${loadData.pickup.date || 'TBD'})`,
+            `• Delivery: ${loadData.delivery.location} (${loadData.delivery.date || 'TBD'})`,
+            `• Rate: ${loadData.rate.formatted}`
+        ];
+
+        if (loadData.commodity.hazmat) {
+            lines.push('• ⚠️ HAZMAT: This load contains hazardous materials.');
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Format response when the carrier could not be vetted
+     * Deliberately contains no load details or rates.
+     */
+    formatCarrierVerificationResponse(data) {
+        const { loadReference, originalSubject } = data;
+
+        const subject = this.formatSubject(originalSubject, loadReference);
+
+        let body = this.responseTemplates.carrierVerification;
+        body = body.replace(/{{LOAD_REFERENCE}}/g, loadReference || 'this load');
+        body += this.signatureTemplate;
+
+        return {
+            subject,
+            body,
+            metadata: {
+                scenario: 'carrier_verification',
+                loadReference
+            }
+        };
+    }
+
+    /**
+     * Format a reply to a carrier's rate counter-offer
+     * @param {Object} data - { loadData, loadReference, negotiation, originalSubject }
+     */
+    formatCounterOfferResponse(scenario, template, data) {
+        const { loadData, loadReference, negotiation, originalSubject } = data;
+
+        const subject = this.formatSubject(originalSubject, loadReference);
+        const offer = negotiation.offer;
+        let offerText = this.formatAmount(negotiation.offerTotal);
+        if (offer.perMile) {
+            offerText = negotiation.offerTotal
+                ? `$${offer.perMile.toFixed(2)}/mile (${offerText} total)`
+                : `$${offer.perMile.toFixed(2)}/mile`;
+        }
+
+        let body = template;
+        body = body.replace(/{{LOAD_REFERENCE}}/g, loadReference);
+        body = body.replace(/{{OFFER}}/g, offerText);
+        body = body.replace(/{{OFFER_TOTAL}}/g, this.formatAmount(negotiation.offerTotal));
+        body = body.replace(/{{RATE}}/g, loadData.rate.formatted);
+        body = body.replace(/{{PICKUP_LOCATION}}/g, loadData.pickup.location);
+        body = body.replace(/{{DELIVERY_LOCATION}}/g, loadData.delivery.location);
+        body = body.replace(/{{LOAD_DETAILS}}/g, this.formatLoadSection(loadReference, loadData));
+        body += this.signatureTemplate;
+
+        return {
+            subject,
+            body,
+            metadata: {
+                scenario,
+                loadReference,
+                offerTotal: negotiation.offerTotal,
+                loadRate: negotiation.loadRate
+            }
+        };
+    }
+
+    formatAmount(amount) {
+        if (typeof amount !== 'number') return 'TBD';
+        return `$${amount.toLocaleString('en-US', {
+            minimumFractionDigits: 2,
+            maximumFractionDigits: 2
+        })}`;
+    }
+
     /**
      * Format error response
      */
@@ -246,6 +391,83 @@ This will help us:
 
 Once you provide the reference number, we'll get back to you immediately with our availability and rate.
 
+`;
+    }
+
+    getDefaultMultiLoadTemplate() {
+        return `Hello,
+
+Thank you for your inquiry about {{LOAD_COUNT}} of our loads. Here is what we have for each:
+
+{{LOAD_SECTIONS}}
+{{NOT_FOUND_SECTION}}
+🚛 CAPACITY CONFIRMATION:
+When and where will you be empty for pickup, and which of these loads work best for you?
+
+We're ready to book immediately upon your confirmation.
+
+`;
+    }
+
+    getDefaultCarrierVerificationTemplate() {
+        return `Hello,
+
+Thank you for your interest in load {{LOAD_REFERENCE}}.
+
+Before we can share load details and rates, we need to complete carrier verification. Please reply with:
+• Your MC and USDOT numbers
+• Your company name and dispatch contact
+• A current certificate of insurance
+
+Our carrier relations team will review your information and follow up with you.
+
+`;
+    }
+
+    getDefaultCounterAcceptedTemplate() {
+        return `Hello,
+
+Thank you for your offer on load {{LOAD_REFERENCE}} ({{PICKUP_LOCATION}} → {{DELIVERY_LOCATION}}).
+
+✅ We can do {{OFFER}} for this load.
+
+{{LOAD_DETAILS}}
+
+To lock it in, please confirm:
+1. When and where will you be empty for pickup?
+2. Your MC number and dispatcher contact
+3. Driver name and truck/trailer numbers
+
+We'll send the rate confirmation as soon as we hear back.
+
+`;
+    }
+
+    getDefaultCounterDeclinedTemplate() {
+        return `Hello,
+
+Thank you for your offer of {{OFFER}} on load {{LOAD_REFERENCE}} ({{PICKUP_LOCATION}} → {{DELIVERY_LOCATION}}).
+
+Unfortunately we can't get there on this one. Our rate for this load is {{RATE}}.
+
+{{LOAD_DETAILS}}
+
+If that works for you, reply and let us know when and where you will be empty for pickup, and we'll get it booked.
+
+`;
+    }
+
+    getDefaultCounterEscalatedTemplate() {
+        return `Hello,
+
+Thank you for your offer of {{OFFER}} on load {{LOAD_REFERENCE}} ({{PICKUP_LOCATION}} → {{DELIVERY_LOCATION}}).
+
+I'm reviewing it with our team and will get back to you shortly.
+
+{{LOAD_DETAILS}}
+
+🚛 In the meantime: When and where will you be empty for pickup?
+
 `;
     }
 
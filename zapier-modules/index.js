@@ -0,0 +1,70 @@
+/**
+ * Load Automation Modules - Package Entry Point
+ * Every public class, for CommonJS callers (require) and, through
+ * index.mjs, for ESM callers such as the api/ handlers (import)
+ *
+ * Optional dependencies (nodemailer, imapflow, yaml, puppeteer) are only
+ * loaded by the classes that need them, when they first need them.
+ */
+
+module.exports = {
+    // Orchestration
+    LoadAutomationService: require('./core/load-automation-service'),
+
+    // Logging
+    Logger: require('./logging/logger'),
+
+    // Parsing
+    EmailParser: require('./parsers/email-parser'),
+    PatternProfiles: require('./parsers/pattern-profiles'),
+    ReplyCleaner: require('./parsers/reply-cleaner'),
+    MimeParser: require('./parsers/mime-parser'),
+    AttachmentTextExtractor: require('./parsers/attachment-text-extractor'),
+    CapacityParser: require('./parsers/capacity-parser'),
+
+    // QuoteFactory access
+    Auth0Client: require('./auth/auth0-client'),
+    QuoteFactoryAPI: require('./api/quotefactory-api'),
+
+    // Load sources
+    LoadSource: require('./sources/load-source'),
+    LoadSourceChain: require('./sources/load-source-chain'),
+    ApiLoadSource: require('./sources/api-load-source'),
+    BrowserLoadSource: require('./sources/browser-load-source'),
+    MockLoadSource: require('./sources/mock-load-source'),
+
+    // Replies
+    ResponseFormatter: require('./formatters/response-formatter'),
+    ReviewQueue: require('./review/review-queue'),
+    FileReviewQueue: require('./review/file-review-queue'),
+
+    // State
+    JsonFileStore: require('./storage/json-file-store'),
+    ConversationStore: require('./state/conversation-store'),
+    FileConversationStore: require('./state/file-conversation-store'),
+
+    // Audit trail
+    AuditLog: require('./audit/audit-log'),
+    JsonlAuditLog: require('./audit/jsonl-audit-log'),
+
+    // Metrics
+    MetricsRegistry: require('./metrics/metrics-registry'),
+    FileMetricsRegistry: require('./metrics/file-metrics-registry'),
+
+    // Carrier vetting
+    CarrierVetter: require('./vetting/carrier-vetter'),
+    ListCarrierVetter: require('./vetting/list-carrier-vetter'),
+
+    // Outbound mail
+    Mailer: require('./mail/mailer'),
+    MailTransport: require('./mail/mail-transport'),
+    SmtpTransport: require('./mail/smtp-transport'),
+    FileTransport: require('./mail/file-transport'),
+    NoopTransport: require('./mail/noop-transport'),
+
+    // Inbound mail
+    Mailbox: require('./ingest/mailbox'),
+    ImapMailbox: require('./ingest/imap-mailbox'),
+    MaildirMailbox: require('./ingest/maildir-mailbox'),
+    MailboxPoller: require('./ingest/mailbox-poller')
+};
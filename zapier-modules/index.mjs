@@ -0,0 +1,48 @@
+/**
+ * Load Automation Modules - ESM Entry Point
+ * Named exports over the CommonJS entry (index.js), so ESM callers get
+ * the very same classes as require() callers
+ */
+
+import modules from './index.js';
+
+export const {
+    LoadAutomationService,
+    Logger,
+    EmailParser,
+    PatternProfiles,
+    ReplyCleaner,
+    MimeParser,
+    AttachmentTextExtractor,
+    CapacityParser,
+    Auth0Client,
+    QuoteFactoryAPI,
+    LoadSource,
+    LoadSourceChain,
+    ApiLoadSource,
+    BrowserLoadSource,
+    MockLoadSource,
+    ResponseFormatter,
+    ReviewQueue,
+    FileReviewQueue,
+    JsonFileStore,
+    ConversationStore,
+    FileConversationStore,
+    AuditLog,
+    JsonlAuditLog,
+    MetricsRegistry,
+    FileMetricsRegistry,
+    CarrierVetter,
+    ListCarrierVetter,
+    Mailer,
+    MailTransport,
+    SmtpTransport,
+    FileTransport,
+    NoopTransport,
+    Mailbox,
+    ImapMailbox,
+    MaildirMailbox,
+    MailboxPoller
+} = modules;
+
+export default modules;
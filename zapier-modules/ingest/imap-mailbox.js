@@ -0,0 +1,103 @@
+/**
+ * IMAP Mailbox
+ * Reads unprocessed messages from an IMAP folder with imapflow and flags
+ * them once handled. By default "processed" means \Seen; set processedFlag
+ * to a custom keyword (e.g. "$LoadBotProcessed") to leave read state alone.
+ * imapflow is loaded on first use so the other mailboxes work without it.
+ */
+
+const Mailbox = require('./mailbox');
+
+class ImapMailbox extends Mailbox {
+    constructor(config = {}) {
+        super({ name: 'imap', ...config });
+
+        if (!config.host || !config.user || !config.password) {
+            throw new Error('ImapMailbox requires host, user and password');
+        }
+
+        this.config = {
+            host: config.host,
+            port: config.port || 993,
+            secure: config.secure ?? config.port !== 143,
+            auth: { user: config.user, pass: config.password },
+            logger: false
+        };
+        this.folder = config.folder || 'INBOX';
+        this.processedFlag = config.processedFlag || '\\Seen';
+        this.client = null;
+    }
+
+    async getClient() {
+        if (this.client?.usable) {
+            return this.client;
+        }
+
+        const { ImapFlow } = require('imapflow');
+        this.client = new ImapFlow(this.config);
+        await this.client.connect();
+        return this.client;
+    }
+
+    async fetchUnprocessed(options = {}) {
+        const client = await this.getClient();
+        const lock = await client.getMailboxLock(this.folder);
+        const query = this.processedFlag === '\\Seen' ? { seen: false } : { unKeyword: this.processedFlag };
+        const limit = options.limit || 20;
+        const messages = [];
+
+        try {
+            const uids = (await client.search(query, { uid: true })) || [];
+
+            // Oldest first, so replies are sent in the order carriers wrote in
+            for (const uid of uids.sort((a, b) => a - b).slice(0, limit)) {
+                const message = await client.fetchOne(String(uid), { uid: true, source: true, internalDate: true }, { uid: true });
+                if (message?.source) {
+                    messages.push({
+                        uid,
+                        raw: message.source,
+                        receivedAt: message.internalDate ? new Date(message.internalDate).toISOString() : null
+                    });
+                }
+            }
+        } finally {
+            lock.release();
+        }
+
+        return messages;
+    }
+
+    async markProcessed(uid) {
+        const client = await this.getClient();
+        const lock = await client.getMailboxLock(this.folder);
+
+        try {
+            await client.messageFlagsAdd(String(uid), [this.processedFlag], { uid: true });
+        } finally {
+            lock.release();
+        }
+    }
+
+    async healthCheck() {
+        try {
+            const client = await this.getClient();
+            const status = await client.status(this.folder, { unseen: true });
+            return { healthy: true, message: `IMAP ${this.config.host} ${this.folder} reachable (${status.unseen ?? 0} unseen)` };
+        } catch (error) {
+            return { healthy: false, message: `IMAP ${this.config.host} failed: ${error.message}` };
+        }
+    }
+
+    async close() {
+        if (this.client) {
+            try {
+                await this.client.logout();
+            } catch (error) {
+                this.logger.error('IMAP logout failed', error);
+            }
+            this.client = null;
+        }
+    }
+}
+
+module.exports = ImapMailbox;
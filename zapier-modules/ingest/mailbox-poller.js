@@ -0,0 +1,208 @@
+/**
+ * Mailbox Poller
+ * Standalone ingestion: polls a Mailbox, runs each message through
+ * LoadAutomationService.processEmail() and marks it processed.
+ * Replaces the Zapier trigger (and its 30 second limit) when run as a worker.
+ *
+ * Auto-replies, bounces, bulk mail and our own replies are marked processed
+ * without an answer, so two automated mailboxes never reply to each other.
+ * A message whose reply failed to send stays unprocessed and is retried, up to
+ * maxAttempts times per worker; permanent failures (no sender address, SMTP 5xx)
+ * and messages out of attempts are marked processed and logged, so they cannot
+ * block the mailbox.
+ */
+
+const MimeParser = require('../parsers/mime-parser');
+const Logger = require('../logging/logger');
+
+const AUTOMATED_PRECEDENCE = /^(?:bulk|junk|list|auto_reply)$/i;
+const SYSTEM_SENDER = /^(?:mailer-daemon|postmaster)@/i;
+
+class MailboxPoller {
+    constructor(config = {}) {
+        if (!config.mailbox) {
+            throw new Error('MailboxPoller requires a mailbox');
+        }
+        if (!config.service) {
+            throw new Error('MailboxPoller requires a LoadAutomationService');
+        }
+
+        this.mailbox = config.mailbox;
+        this.service = config.service;
+        this.intervalMs = config.intervalMs || 60000;
+        this.batchSize = config.batchSize || 20;
+        this.maxAttempts = config.maxAttempts || 3;
+        // Failed attempts by message uid, until it is processed or given up on
+        this.attempts = new Map();
+        // Our own address(es): replies from them are never answered
+        this.ownAddresses = [].concat(config.ownAddresses || this.service.mailer?.from || [])
+            .map(address => this.extractAddress(address))
+            .filter(Boolean);
+        this.logger = config.logger || new Logger({ module: 'mailbox-poller' });
+        this.mimeParser = new MimeParser();
+        this.timer = null;
+        this.currentPoll = null;
+        this.stopped = true;
+    }
+
+    /**
+     * Process one batch of waiting messages
+     * @returns {Promise<Object>} - { fetched, processed, skipped, failed, results }
+     */
+    async pollOnce() {
+        const messages = await this.mailbox.fetchUnprocessed({ limit: this.batchSize });
+        const summary = { fetched: messages.length, processed: 0, skipped: 0, failed: 0, results: [] };
+
+        for (const message of messages) {
+            try {
+                const skipReason = this.getSkipReason(message.raw);
+                if (skipReason) {
+                    await this.mailbox.markProcessed(message.uid);
+                    summary.skipped++;
+                    summary.results.push({ uid: message.uid, success: true, skipped: skipReason });
+                    continue;
+                }
+
+                const emailData = this.mimeParser.toEmailData(message.raw, {
+                    receivedAt: message.receivedAt || undefined
+                });
+                const result = await this.service.processEmail(emailData);
+
+                // Errors inside processEmail still reply with the fallback message,
+                // but a reply that could not be sent is worth another try
+                if (result.delivery?.error) {
+                    const error = new Error(`Reply not sent: ${result.delivery.error.message}`);
+                    error.permanent = !!result.delivery.permanent;
+                    throw error;
+                }
+                await this.mailbox.markProcessed(message.uid);
+                this.attempts.delete(message.uid);
+                summary.processed++;
+                summary.results.push({
+                    uid: message.uid,
+                    subject: emailData.subject,
+                    success: result.success,
+                    scenario: result.response?.metadata?.scenario || null,
+                    held: result.review?.status === 'held',
+                    sent: !!result.delivery?.sent
+                });
+            } catch (error) {
+                summary.failed++;
+                summary.results.push({
+                    uid: message.uid,
+                    success: false,
+                    error: error.message,
+                    abandoned: await this.handleFailure(message.uid, error)
+                });
+            }
+        }
+
+        return summary;
+    }
+
+    /**
+     * Leave a failed message for the next poll, or mark it processed when
+     * retrying cannot help or it has used up its attempts
+     * @returns {Promise<boolean>} - true when the message was given up on
+     */
+    async handleFailure(uid, error) {
+        const attempts = (this.attempts.get(uid) || 0) + 1;
+
+        if (!error.permanent && attempts < this.maxAttempts) {
+            this.attempts.set(uid, attempts);
+            this.logger.error('Failed to process message', { uid, attempt: attempts, maxAttempts: this.maxAttempts }, error);
+            return false;
+        }
+
+        this.attempts.delete(uid);
+        this.logger.error('Giving up on message', { uid, attempts, permanent: !!error.permanent }, error);
+        try {
+            await this.mailbox.markProcessed(uid);
+        } catch (markError) {
+            this.logger.error('Failed to mark message processed', { uid }, markError);
+        }
+        return true;
+    }
+
+    /**
+     * Why a message must not be answered, or null when it should be processed
+     */
+    getSkipReason(raw) {
+        const { headerText } = this.mimeParser.splitMessage(this.mimeParser.toBuffer(raw).toString('latin1'));
+        const headers = this.mimeParser.parseHeaders(headerText);
+
+        const autoSubmitted = (headers['auto-submitted'] || 'no').trim().toLowerCase();
+        if (autoSubmitted !== 'no') {
+            return `Auto-Submitted: ${autoSubmitted}`;
+        }
+        if (AUTOMATED_PRECEDENCE.test((headers.precedence || '').trim())) {
+            return `Precedence: ${headers.precedence.trim()}`;
+        }
+        if (headers['x-autoreply'] || headers['x-autorespond'] || (headers['return-path'] || '').trim() === '<>') {
+            return 'Automatic reply or bounce';
+        }
+
+        const sender = (this.extractAddress(headers.from) || '').toLowerCase();
+        if (SYSTEM_SENDER.test(sender)) {
+            return `System sender ${sender}`;
+        }
+        if (this.ownAddresses.some(address => address.toLowerCase() === sender)) {
+            return 'Sent from our own address';
+        }
+        return null;
+    }
+
+    /**
+     * Bare address from "Name <user@example.com>"
+     */
+    extractAddress(value) {
+        const match = value && String(value).match(/[^\s<>"]+@[^\s<>"]+/);
+        return match ? match[0] : null;
+    }
+
+    /**
+     * Poll until stop() is called. A poll never overlaps the previous one.
+     */
+    start() {
+        this.stopped = false;
+
+        const tick = async () => {
+            if (this.stopped) return;
+
+            try {
+                this.currentPoll = this.pollOnce();
+                const summary = await this.currentPoll;
+                if (summary.fetched > 0) {
+                    this.logger.info('Mailbox polled', {
+                        mailbox: this.mailbox.name,
+                        processed: summary.processed,
+                        skipped: summary.skipped,
+                        failed: summary.failed
+                    });
+                }
+            } catch (error) {
+                this.logger.error('Polling failed', { mailbox: this.mailbox.name }, error);
+            } finally {
+                this.currentPoll = null;
+            }
+
+            if (!this.stopped) {
+                this.timer = setTimeout(tick, this.intervalMs);
+            }
+        };
+
+        return tick();
+    }
+
+    async stop() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        // Let the poll in progress finish before closing the mailbox
+        await this.currentPoll?.catch(() => {});
+        await this.mailbox.close();
+    }
+}
+
+module.exports = MailboxPoller;
@@ -0,0 +1,51 @@
+/**
+ * Mailbox Contract
+ * Base class for every inbox the MailboxPoller can read from.
+ *
+ * Implementations resolve fetchUnprocessed() with raw messages
+ * ({ uid, raw, receivedAt }) that have not been marked processed yet,
+ * and markProcessed(uid) so they are not picked up again.
+ */
+
+const Logger = require('../logging/logger');
+
+class Mailbox {
+    constructor(config = {}) {
+        this.name = config.name || 'mailbox';
+        this.logger = config.logger || new Logger({ module: `${this.name}-mailbox` });
+    }
+
+    /**
+     * Fetch messages still waiting to be processed
+     * @param {Object} options - { limit }
+     * @returns {Promise<Array>} - [{ uid, raw, receivedAt }]
+     */
+    async fetchUnprocessed(options = {}) {
+        throw new Error(`${this.constructor.name} must implement fetchUnprocessed()`);
+    }
+
+    /**
+     * Mark one message as processed
+     * @param {string|number} uid - Identifier returned by fetchUnprocessed()
+     */
+    async markProcessed(uid) {
+        throw new Error(`${this.constructor.name} must implement markProcessed()`);
+    }
+
+    /**
+     * Report whether the mailbox is reachable
+     */
+    async healthCheck() {
+        return {
+            healthy: true,
+            message: `${this.name} mailbox has no health check`
+        };
+    }
+
+    /**
+     * Release any resources held by the mailbox
+     */
+    async close() {}
+}
+
+module.exports = Mailbox;
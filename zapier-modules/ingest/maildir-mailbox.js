@@ -0,0 +1,74 @@
+/**
+ * Maildir Mailbox
+ * Local stand-in for IMAP. Reads either a Maildir (new/ and cur/ folders;
+ * messages move from new/ to cur/ with the Seen flag once processed) or a
+ * plain directory of .eml files (moved into processed/ once handled).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Mailbox = require('./mailbox');
+
+class MaildirMailbox extends Mailbox {
+    constructor(config = {}) {
+        super({ name: 'maildir', ...config });
+
+        if (!config.directory) {
+            throw new Error('MaildirMailbox requires a directory');
+        }
+
+        this.directory = config.directory;
+    }
+
+    isMaildir() {
+        return fs.existsSync(path.join(this.directory, 'new')) && fs.existsSync(path.join(this.directory, 'cur'));
+    }
+
+    async fetchUnprocessed(options = {}) {
+        const limit = options.limit || 20;
+        const folder = this.isMaildir() ? path.join(this.directory, 'new') : this.directory;
+        const entries = await fs.promises.readdir(folder, { withFileTypes: true });
+
+        const files = entries
+            .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+            .filter(entry => this.isMaildir() || entry.name.toLowerCase().endsWith('.eml'))
+            .map(entry => entry.name)
+            .sort()
+            .slice(0, limit);
+
+        const messages = [];
+        for (const name of files) {
+            const filePath = path.join(folder, name);
+            const [raw, stats] = await Promise.all([
+                fs.promises.readFile(filePath),
+                fs.promises.stat(filePath)
+            ]);
+            messages.push({ uid: name, raw, receivedAt: stats.mtime.toISOString() });
+        }
+
+        return messages;
+    }
+
+    async markProcessed(uid) {
+        if (this.isMaildir()) {
+            const target = uid.includes(':2,') ? uid : `${uid}:2,S`;
+            await fs.promises.rename(path.join(this.directory, 'new', uid), path.join(this.directory, 'cur', target));
+            return;
+        }
+
+        const processedDir = path.join(this.directory, 'processed');
+        await fs.promises.mkdir(processedDir, { recursive: true });
+        await fs.promises.rename(path.join(this.directory, uid), path.join(processedDir, uid));
+    }
+
+    async healthCheck() {
+        try {
+            await fs.promises.access(this.directory, fs.constants.R_OK | fs.constants.W_OK);
+            return { healthy: true, message: `${this.isMaildir() ? 'Maildir' : 'Directory'} ${this.directory} is readable` };
+        } catch (error) {
+            return { healthy: false, message: `${this.directory} is not accessible: ${error.message}` };
+        }
+    }
+}
+
+module.exports = MaildirMailbox;
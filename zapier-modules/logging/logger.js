@@ -0,0 +1,180 @@
+/**
+ * Logger
+ * Structured logging: one JSON object per line with timestamp, level,
+ * module, requestId, message and whatever fields the caller passes.
+ *
+ * Everything is redacted before it is written: email addresses keep only
+ * their domain, phone numbers and bearer tokens are masked, credential
+ * fields (password, secret, token, ...) are replaced and email content
+ * fields (body, html, raw, ...) are reduced to their length.
+ *
+ * Usable wherever console is (logger.log/info/warn/error/debug take a
+ * message and optional details), so modules accept it as config.logger.
+ * Logger.withContext() adds fields such as requestId to every line logged
+ * while a function runs, including by modules it calls.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const SENSITIVE_KEY = /password|passwd|secret|token|authorization|api[-_]?key|cookie|credential/i;
+const CONTENT_KEY = /^(body|bodyPreview|content|html|raw|originalBody|original_body|email_body)$/i;
+const EMAIL_ADDRESS = /[A-Z0-9._%+-]+@([A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,})/gi;
+// Separators are required so plain 10-digit load references survive
+const PHONE_NUMBER = /(?<![\w+])(?:\+?1[\s.-]?)?\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}(?!\w)/g;
+const AUTH_HEADER = /\b(Bearer|Basic)\s+[\w.~+/=-]+/gi;
+const JWT = /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g;
+const MAX_DEPTH = 6;
+
+let contextStorage = null;
+
+class Logger {
+    constructor(config = {}) {
+        const level = String(config.level || process.env.LOG_LEVEL || 'info').toLowerCase();
+
+        this.module = config.module || null;
+        // A mistyped LOG_LEVEL must not take the service down
+        this.level = LEVELS[level] ? level : 'info';
+        this.context = config.context || {};
+        this.output = config.output || Logger.defaultOutput;
+    }
+
+    debug(message, ...details) {
+        this.write('debug', message, details);
+    }
+
+    info(message, ...details) {
+        this.write('info', message, details);
+    }
+
+    /**
+     * Same as info(), so the logger can stand in for console
+     */
+    log(message, ...details) {
+        this.write('info', message, details);
+    }
+
+    warn(message, ...details) {
+        this.write('warn', message, details);
+    }
+
+    error(message, ...details) {
+        this.write('error', message, details);
+    }
+
+    /**
+     * Logger for one module or request, with extra fields on every line
+     * @param {Object} context - e.g. { module: 'webhook' } or { requestId }
+     */
+    child(context = {}) {
+        const { module, ...fields } = context;
+        return new Logger({
+            module: module || this.module,
+            level: this.level,
+            context: { ...this.context, ...fields },
+            output: this.output
+        });
+    }
+
+    write(level, message, details = []) {
+        if (LEVELS[level] < LEVELS[this.level]) {
+            return;
+        }
+
+        const fields = {};
+        const extra = [];
+        for (const detail of details) {
+            if (detail instanceof Error) {
+                fields.error = detail;
+            } else if (detail && typeof detail === 'object' && !Array.isArray(detail)) {
+                Object.assign(fields, detail);
+            } else if (detail !== undefined) {
+                extra.push(detail);
+            }
+        }
+        if (extra.length > 0) {
+            fields.detail = extra.length === 1 ? extra[0] : extra;
+        }
+
+        const entry = Logger.redact({
+            timestamp: new Date().toISOString(),
+            level,
+            module: this.module,
+            ...contextStorage?.getStore(),
+            ...this.context,
+            // console-style "Something failed:" messages read better without the colon
+            message: String(message).replace(/:\s*$/, ''),
+            ...fields
+        });
+
+        this.output(JSON.stringify(entry), level);
+    }
+
+    /**
+     * Run fn with fields (e.g. { requestId }) added to every line it logs,
+     * through any logger, until its promise settles
+     */
+    static withContext(context, fn) {
+        if (!contextStorage) {
+            // Loaded lazily: Zapier code steps have no require() and never need this
+            const { AsyncLocalStorage } = require('async_hooks');
+            contextStorage = new AsyncLocalStorage();
+        }
+        return contextStorage.run({ ...contextStorage.getStore(), ...context }, fn);
+    }
+
+    /**
+     * Copy of value with personal data and credentials masked
+     */
+    static redact(value, key = '', depth = 0, seen = new WeakSet()) {
+        if (value === null || value === undefined || typeof value === 'boolean') {
+            return value;
+        }
+        if (SENSITIVE_KEY.test(key) && (typeof value === 'string' || typeof value === 'number')) {
+            return '[REDACTED]';
+        }
+        if (CONTENT_KEY.test(key) && typeof value === 'string') {
+            return `[${value.length} chars]`;
+        }
+        if (typeof value === 'string') {
+            return Logger.redactText(value);
+        }
+        if (typeof value !== 'object') {
+            return value;
+        }
+        if (value instanceof Error) {
+            return Logger.redact({ name: value.name, message: value.message, stack: value.stack }, key, depth, seen);
+        }
+        if (seen.has(value)) {
+            return '[Circular]';
+        }
+        if (depth >= MAX_DEPTH) {
+            return Array.isArray(value) ? '[Array]' : '[Object]';
+        }
+
+        seen.add(value);
+        const copy = Array.isArray(value)
+            ? value.map(item => Logger.redact(item, key, depth + 1, seen))
+            : Object.fromEntries(Object.entries(value)
+                .map(([name, item]) => [name, Logger.redact(item, name, depth + 1, seen)]));
+        seen.delete(value);
+        return copy;
+    }
+
+    static redactText(text) {
+        return text
+            .replace(JWT, '[REDACTED]')
+            .replace(AUTH_HEADER, '$1 [REDACTED]')
+            .replace(EMAIL_ADDRESS, '***@$1')
+            .replace(PHONE_NUMBER, '[PHONE]');
+    }
+
+    static defaultOutput(line, level) {
+        if (level === 'error' || level === 'warn') {
+            console.error(line);
+        } else {
+            console.log(line);
+        }
+    }
+}
+
+module.exports = Logger;
@@ -0,0 +1,80 @@
+/**
+ * File Mail Transport
+ * Writes each message as an .eml file into an outbox directory instead of
+ * sending it. Useful for local testing; the files open in any mail client.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const MailTransport = require('./mail-transport');
+
+class FileTransport extends MailTransport {
+    constructor(config = {}) {
+        super({ name: 'file', ...config });
+
+        if (!config.directory) {
+            throw new Error('FileTransport requires an outbox directory');
+        }
+
+        this.directory = config.directory;
+    }
+
+    async send(message) {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+
+        const id = message.messageId.replace(/^<|>$/g, '').replace(/[^\w.-]+/g, '_');
+        const filePath = path.join(this.directory, `${Date.now()}_${id}.eml`);
+        await fs.promises.writeFile(filePath, this.toRfc822(message), 'utf8');
+
+        this.logger.info('Reply written to outbox', { to: message.to, filePath });
+        return { messageId: message.messageId, path: filePath };
+    }
+
+    async healthCheck() {
+        try {
+            await fs.promises.mkdir(this.directory, { recursive: true });
+            await fs.promises.access(this.directory, fs.constants.W_OK);
+            return { healthy: true, message: `Outbox ${this.directory} is writable` };
+        } catch (error) {
+            return { healthy: false, message: `Outbox ${this.directory} is not writable: ${error.message}` };
+        }
+    }
+
+    /**
+     * Render a plain-text message as RFC 5322 text
+     */
+    toRfc822(message) {
+        const headers = [
+            ['From', message.from],
+            ['To', message.to],
+            ['Subject', this.encodeHeader(message.subject || '')],
+            ['Date', (message.date || new Date()).toUTCString()],
+            ['Message-ID', message.messageId],
+            ['In-Reply-To', message.inReplyTo],
+            ['References', message.references?.length ? message.references.join(' ') : null],
+            ['MIME-Version', '1.0'],
+            ['Content-Type', 'text/plain; charset=utf-8'],
+            ['Content-Transfer-Encoding', 'base64']
+        ];
+
+        const headerText = headers
+            .filter(([, value]) => value)
+            .map(([name, value]) => `${name}: ${value}`)
+            .join('\r\n');
+
+        const body = Buffer.from(message.text || '', 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+
+        return `${headerText}\r\n\r\n${body}\r\n`;
+    }
+
+    /**
+     * RFC 2047 encode non-ASCII header values
+     */
+    encodeHeader(value) {
+        return /^[\x20-\x7e]*$/.test(value)
+            ? value
+            : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+    }
+}
+
+module.exports = FileTransport;
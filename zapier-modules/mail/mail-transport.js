@@ -0,0 +1,44 @@
+/**
+ * Mail Transport Contract
+ * Base class for every way the Mailer can deliver a message.
+ *
+ * Implementations receive a message built by Mailer
+ * ({ from, to, subject, text, messageId, inReplyTo, references, date })
+ * and resolve send() with { messageId, ... } once it is handed off.
+ * Failures should throw.
+ */
+
+const Logger = require('../logging/logger');
+
+class MailTransport {
+    constructor(config = {}) {
+        this.name = config.name || 'transport';
+        this.logger = config.logger || new Logger({ module: `${this.name}-transport` });
+    }
+
+    /**
+     * Deliver one message
+     * @param {Object} message - Message built by Mailer.buildReply()
+     * @returns {Promise<Object>} - { messageId, ... }
+     */
+    async send(message) {
+        throw new Error(`${this.constructor.name} must implement send()`);
+    }
+
+    /**
+     * Report whether the transport is usable
+     */
+    async healthCheck() {
+        return {
+            healthy: true,
+            message: `${this.name} transport has no health check`
+        };
+    }
+
+    /**
+     * Release any resources held by the transport
+     */
+    async close() {}
+}
+
+module.exports = MailTransport;
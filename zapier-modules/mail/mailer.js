@@ -0,0 +1,113 @@
+/**
+ * Mailer
+ * Turns a formatted response into a threaded reply and hands it to a
+ * transport (SMTP, outbox directory or no-op).
+ */
+
+const crypto = require('crypto');
+const Logger = require('../logging/logger');
+
+class Mailer {
+    constructor(config = {}) {
+        if (!config.transport) {
+            throw new Error('Mailer requires a transport');
+        }
+        if (!config.from) {
+            throw new Error('Mailer requires a from address');
+        }
+
+        this.transport = config.transport;
+        this.from = config.from;
+        this.replyTo = config.replyTo || null;
+        this.logger = config.logger || new Logger({ module: 'mailer' });
+    }
+
+    /**
+     * Send a response as a reply to the original email
+     * @param {Object} emailData - Original email ({ id, messageId, from, subject, references })
+     * @param {Object} response - ResponseFormatter output ({ subject, body })
+     * @returns {Promise<Object>} - { sent, transport, messageId, to, inReplyTo, ... }
+     */
+    async sendReply(emailData, response) {
+        const message = this.buildReply(emailData, response);
+        const result = await this.transport.send(message);
+
+        return {
+            sent: !result.skipped,
+            transport: this.transport.name,
+            to: message.to,
+            inReplyTo: message.inReplyTo,
+            ...result,
+            messageId: result.messageId || message.messageId
+        };
+    }
+
+    /**
+     * Build the outgoing message with threading headers
+     *
+     * In-Reply-To is the original Message-ID (falling back to the
+     * replyToEmailId we hand to Zapier); References is the original
+     * References chain followed by that id.
+     */
+    buildReply(emailData, response) {
+        const to = this.extractAddress(emailData.from);
+        if (!to) {
+            // Retrying cannot help: there is nobody to send to
+            const error = new Error('Cannot reply: original email has no sender address');
+            error.permanent = true;
+            throw error;
+        }
+
+        const inReplyTo = this.formatMessageId(emailData.messageId || emailData.id);
+        const references = [...this.parseIdList(emailData.references), inReplyTo]
+            .filter(Boolean)
+            .filter((id, index, ids) => ids.indexOf(id) === index);
+
+        return {
+            from: this.from,
+            to,
+            replyTo: this.replyTo || undefined,
+            subject: response.subject,
+            text: response.body,
+            date: new Date(),
+            messageId: this.generateMessageId(),
+            inReplyTo,
+            references
+        };
+    }
+
+    generateMessageId() {
+        const domain = this.extractAddress(this.from)?.split('@')[1] || 'localhost';
+        return `<${Date.now()}.${crypto.randomBytes(6).toString('hex')}@${domain}>`;
+    }
+
+    /**
+     * Wrap an id in angle brackets; null when there is nothing to reply to
+     */
+    formatMessageId(id) {
+        if (!id || id === 'unknown') {
+            return null;
+        }
+        const bare = String(id).trim().replace(/^<|>$/g, '');
+        return bare ? `<${bare}>` : null;
+    }
+
+    parseIdList(value) {
+        if (!value) return [];
+
+        const values = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+        return values.map(id => this.formatMessageId(id)).filter(Boolean);
+    }
+
+    /**
+     * Pull the bare address out of "Name <user@example.com>"
+     */
+    extractAddress(value) {
+        if (!value) return null;
+        const text = typeof value === 'object' ? value.address || value.emailAddress?.address : String(value);
+        const match = text && text.match(/[^\s<>"]+@[^\s<>"]+/);
+        return match ? match[0] : null;
+    }
+}
+
+module.exports = Mailer;
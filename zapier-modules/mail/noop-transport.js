@@ -0,0 +1,20 @@
+/**
+ * No-op Mail Transport
+ * Accepts every message and sends nothing. Keeps the mailer wired in
+ * (headers, logging, thread tracking) while Zapier still does the sending.
+ */
+
+const MailTransport = require('./mail-transport');
+
+class NoopTransport extends MailTransport {
+    constructor(config = {}) {
+        super({ name: 'noop', ...config });
+    }
+
+    async send(message) {
+        this.logger.info('Reply not sent (noop transport)', { to: message.to });
+        return { messageId: message.messageId, skipped: true };
+    }
+}
+
+module.exports = NoopTransport;
@@ -0,0 +1,75 @@
+/**
+ * SMTP Mail Transport
+ * Sends messages through an SMTP relay with nodemailer.
+ * nodemailer is loaded on first use so the other transports work without it.
+ */
+
+const MailTransport = require('./mail-transport');
+
+class SmtpTransport extends MailTransport {
+    constructor(config = {}) {
+        super({ name: 'smtp', ...config });
+
+        if (!config.host) {
+            throw new Error('SmtpTransport requires an SMTP host');
+        }
+
+        this.config = {
+            host: config.host,
+            port: config.port || 587,
+            secure: config.secure ?? config.port === 465,
+            auth: config.user ? { user: config.user, pass: config.password } : undefined,
+            connectionTimeout: config.timeout || 10000
+        };
+        this.transporter = null;
+    }
+
+    async getTransporter() {
+        if (!this.transporter) {
+            const nodemailer = require('nodemailer');
+            this.transporter = nodemailer.createTransport(this.config);
+        }
+        return this.transporter;
+    }
+
+    async send(message) {
+        const transporter = await this.getTransporter();
+        const info = await transporter.sendMail({
+            from: message.from,
+            to: message.to,
+            subject: message.subject,
+            text: message.text,
+            date: message.date,
+            messageId: message.messageId,
+            inReplyTo: message.inReplyTo || undefined,
+            references: message.references?.length ? message.references : undefined
+        });
+
+        this.logger.info('Reply sent', { to: message.to, host: this.config.host });
+        return {
+            messageId: info.messageId || message.messageId,
+            accepted: info.accepted,
+            rejected: info.rejected,
+            response: info.response
+        };
+    }
+
+    async healthCheck() {
+        try {
+            const transporter = await this.getTransporter();
+            await transporter.verify();
+            return { healthy: true, message: `SMTP ${this.config.host}:${this.config.port} reachable` };
+        } catch (error) {
+            return { healthy: false, message: `SMTP ${this.config.host}:${this.config.port} failed: ${error.message}` };
+        }
+    }
+
+    async close() {
+        if (this.transporter) {
+            this.transporter.close();
+            this.transporter = null;
+        }
+    }
+}
+
+module.exports = SmtpTransport;
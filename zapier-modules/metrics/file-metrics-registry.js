@@ -0,0 +1,32 @@
+/**
+ * File Metrics Registry
+ * Persists metric values to a JSON file so counters keep counting across
+ * restarts and cold starts. Meant for single-instance deployments: each
+ * instance with its own file reports its own counters.
+ */
+
+const MetricsRegistry = require('./metrics-registry');
+const JsonFileStore = require('../storage/json-file-store');
+
+class FileMetricsRegistry extends MetricsRegistry {
+    constructor(config = {}) {
+        super(config);
+        this.file = new JsonFileStore({
+            filePath: config.filePath,
+            defaultValue: this.createEmptyState()
+        });
+    }
+
+    async healthCheck() {
+        return this.file.healthCheck();
+    }
+
+    async withState(fn, options = {}) {
+        if (options.write === false) {
+            return fn(await this.file.read());
+        }
+        return this.file.update(fn);
+    }
+}
+
+module.exports = FileMetricsRegistry;
@@ -0,0 +1,238 @@
+/**
+ * Metrics Registry
+ * Counters and histograms about processed emails, rendered in the
+ * Prometheus text exposition format. This base registry keeps values in
+ * memory; see FileMetricsRegistry for the file-backed version whose
+ * counters survive restarts.
+ *
+ * Series are stored by their rendered label set (e.g. 'source="api",status="found"'),
+ * so rendering never has to re-sort or re-escape labels.
+ */
+
+const DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const METRIC_DEFINITIONS = {
+    load_automation_emails_processed_total: {
+        type: 'counter',
+        help: 'Emails processed, by outcome (success or error)'
+    },
+    load_automation_reference_extractions_total: {
+        type: 'counter',
+        help: 'Load reference extractions, by result (found or not_found) and where the reference came from'
+    },
+    load_automation_extraction_pattern_hits_total: {
+        type: 'counter',
+        help: 'Extracted references, by pattern profile and index of the pattern that matched'
+    },
+    load_automation_load_lookups_total: {
+        type: 'counter',
+        help: 'Load lookups per load source (api, browser, ...), by status (found, not_found or error)'
+    },
+    load_automation_load_lookup_duration_seconds: {
+        type: 'histogram',
+        help: 'Time spent in one load source lookup',
+        buckets: DURATION_BUCKETS
+    },
+    load_automation_replies_total: {
+        type: 'counter',
+        help: 'Replies generated, by response scenario and whether they were held for review'
+    },
+    load_automation_email_processing_duration_seconds: {
+        type: 'histogram',
+        help: 'Time to process one email, from receipt to reply',
+        buckets: DURATION_BUCKETS
+    }
+};
+
+class MetricsRegistry {
+    constructor(config = {}) {
+        this.definitions = config.definitions || METRIC_DEFINITIONS;
+        this.state = this.createEmptyState();
+    }
+
+    /**
+     * Record the outcome of LoadAutomationService.processEmail()
+     * @param {Object} result - processEmail() result
+     */
+    async recordEmail(result) {
+        return this.record(this.buildEmailSamples(result));
+    }
+
+    /**
+     * Apply samples in one update: counters are incremented by value
+     * (default 1), histograms observe value
+     * @param {Array} samples - [{ name, labels, value }]
+     */
+    async record(samples) {
+        for (const sample of samples) {
+            if (!this.definitions[sample.name]) {
+                throw new Error(`Unknown metric: ${sample.name}`);
+            }
+        }
+
+        return this.withState(state => {
+            for (const { name, labels = {}, value } of samples) {
+                const definition = this.definitions[name];
+                const key = this.formatLabels(labels);
+                const series = state.series[name] = state.series[name] || {};
+
+                if (definition.type === 'histogram') {
+                    const histogram = series[key] = series[key] || {
+                        buckets: definition.buckets.map(() => 0),
+                        sum: 0,
+                        count: 0
+                    };
+                    // Buckets are cumulative, as Prometheus expects them
+                    definition.buckets.forEach((bound, index) => {
+                        if (value <= bound) histogram.buckets[index]++;
+                    });
+                    histogram.sum += value;
+                    histogram.count++;
+                } else {
+                    series[key] = (series[key] || 0) + (value ?? 1);
+                }
+            }
+            state.updatedAt = new Date().toISOString();
+        });
+    }
+
+    /**
+     * Current values as JSON: { createdAt, updatedAt, series: { name: { labels: value } } }
+     */
+    async snapshot() {
+        return this.withState(state => JSON.parse(JSON.stringify(state)), { write: false });
+    }
+
+    /**
+     * Render every defined metric in the Prometheus text format (version 0.0.4)
+     */
+    async toPrometheus() {
+        const { series } = await this.snapshot();
+        const lines = [];
+
+        for (const [name, definition] of Object.entries(this.definitions)) {
+            lines.push(`# HELP ${name} ${definition.help}`);
+            lines.push(`# TYPE ${name} ${definition.type}`);
+
+            for (const [key, value] of Object.entries(series[name] || {})) {
+                if (definition.type === 'histogram') {
+                    const withLe = (le) => `{${key ? `${key},` : ''}le="${le}"}`;
+                    definition.buckets.forEach((bound, index) => {
+                        lines.push(`${name}_bucket${withLe(bound)} ${value.buckets[index]}`);
+                    });
+                    lines.push(`${name}_bucket${withLe('+Inf')} ${value.count}`);
+                    lines.push(`${name}_sum${key ? `{${key}}` : ''} ${value.sum}`);
+                    lines.push(`${name}_count${key ? `{${key}}` : ''} ${value.count}`);
+                } else {
+                    lines.push(`${name}${key ? `{${key}}` : ''} ${value}`);
+                }
+            }
+        }
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * What one processed email adds to the metrics
+     */
+    buildEmailSamples(result) {
+        const samples = [{
+            name: 'load_automation_emails_processed_total',
+            labels: { outcome: result.success ? 'success' : 'error' }
+        }];
+
+        if (typeof result.processingTimeMs === 'number') {
+            samples.push({
+                name: 'load_automation_email_processing_duration_seconds',
+                value: result.processingTimeMs / 1000
+            });
+        }
+
+        // A failed run has no trustworthy extraction or reply to count
+        if (!result.success) {
+            return samples;
+        }
+
+        const extraction = result.extraction || {};
+        samples.push({
+            name: 'load_automation_reference_extractions_total',
+            labels: {
+                result: extraction.found ? 'found' : 'not_found',
+                source: extraction.found ? extraction.source || 'body' : 'none'
+            }
+        });
+
+        if (extraction.found && typeof extraction.patternIndex === 'number') {
+            samples.push({
+                name: 'load_automation_extraction_pattern_hits_total',
+                labels: { profile: extraction.profile || 'default', pattern_index: extraction.patternIndex }
+            });
+        }
+
+        // Multi-load emails keep their lookups per load
+        const attempts = [
+            ...(result.lookup?.attempts || []),
+            ...(result.loads || []).flatMap(load => load.lookup?.attempts || [])
+        ];
+        for (const attempt of attempts) {
+            samples.push({
+                name: 'load_automation_load_lookups_total',
+                labels: { source: attempt.source, status: attempt.status }
+            });
+            if (typeof attempt.durationMs === 'number') {
+                samples.push({
+                    name: 'load_automation_load_lookup_duration_seconds',
+                    labels: { source: attempt.source },
+                    value: attempt.durationMs / 1000
+                });
+            }
+        }
+
+        if (result.response) {
+            samples.push({
+                name: 'load_automation_replies_total',
+                labels: {
+                    scenario: result.response.metadata?.scenario || 'unknown',
+                    held: result.review?.status === 'held' ? 'true' : 'false'
+                }
+            });
+        }
+
+        return samples;
+    }
+
+    formatLabels(labels) {
+        const escape = (value) => String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/"/g, '\\"')
+            .replace(/\n/g, '\\n');
+
+        return Object.keys(labels)
+            .sort()
+            .map(label => `${label}="${escape(labels[label])}"`)
+            .join(',');
+    }
+
+    /**
+     * Report whether the registry is usable
+     * Subclasses that persist values override this.
+     */
+    async healthCheck() {
+        return { healthy: true, message: 'Metrics are kept in memory' };
+    }
+
+    /**
+     * Run a function against the metric values
+     * Subclasses override this to load and persist the values.
+     */
+    async withState(fn, options = {}) {
+        return fn(this.state);
+    }
+
+    createEmptyState() {
+        const now = new Date().toISOString();
+        return { createdAt: now, updatedAt: now, series: {} };
+    }
+}
+
+module.exports = MetricsRegistry;
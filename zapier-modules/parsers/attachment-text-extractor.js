@@ -0,0 +1,299 @@
+/**
+ * Attachment Text Extractor
+ * Pulls searchable text out of PDF, CSV and plain-text attachments
+ * (rate confirmations, load tenders) so EmailParser can run over them
+ */
+
+const zlib = require('zlib');
+
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+const MAX_TEXT_LENGTH = 20000;
+// Decompressed PDF streams may add up to this many times the attachment size
+const MAX_INFLATE_RATIO = 4;
+
+class AttachmentTextExtractor {
+    constructor(config = {}) {
+        this.maxBytes = config.maxBytes || MAX_ATTACHMENT_BYTES;
+        this.maxTextLength = config.maxTextLength || MAX_TEXT_LENGTH;
+        this.maxInflatedBytes = config.maxInflatedBytes || this.maxBytes * MAX_INFLATE_RATIO;
+    }
+
+    /**
+     * Extract text from one attachment
+     * @param {Object} attachment - { filename, contentType, content } (content: Buffer or base64 string)
+     * @returns {Object} - { filename, contentType, type: pdf|csv|text|null, text, error }
+     */
+    extract(attachment) {
+        const filename = attachment.filename || attachment.name || null;
+        const contentType = (attachment.contentType || '').toLowerCase();
+        const type = this.detectType(filename, contentType);
+        const result = { filename, contentType, type, text: '', error: null };
+
+        if (!type) {
+            result.error = 'Unsupported attachment type';
+            return result;
+        }
+
+        try {
+            const content = this.toBuffer(attachment.content);
+            if (content.length > this.maxBytes) {
+                result.error = `Attachment larger than ${this.maxBytes} bytes`;
+                return result;
+            }
+
+            const text = type === 'pdf'
+                ? this.extractPdfText(content)
+                : type === 'csv'
+                    ? this.extractCsvText(content.toString('utf8'))
+                    : content.toString('utf8');
+
+            result.text = text.substring(0, this.maxTextLength);
+        } catch (error) {
+            result.error = `Failed to read ${type} attachment: ${error.message}`;
+        }
+
+        return result;
+    }
+
+    detectType(filename, contentType) {
+        const extension = (filename || '').toLowerCase().split('.').pop();
+
+        if (contentType === 'application/pdf' || extension === 'pdf') {
+            return 'pdf';
+        }
+        if (['text/csv', 'application/csv', 'text/comma-separated-values'].includes(contentType) || extension === 'csv') {
+            return 'csv';
+        }
+        if (contentType.startsWith('text/') || extension === 'txt') {
+            return 'text';
+        }
+        return null;
+    }
+
+    /**
+     * Text operators (Tj, TJ, ', ") from every content stream.
+     * Handles uncompressed and FlateDecode streams with simple (single-byte)
+     * fonts, which covers the rate confirmations TMS systems generate;
+     * scanned PDFs have no text to find.
+     *
+     * Reading stops once maxTextLength characters are found or the streams
+     * have inflated to maxInflatedBytes, so a small compressed attachment
+     * cannot expand into gigabytes.
+     */
+    extractPdfText(content) {
+        const source = content.toString('latin1');
+        const streamPattern = /<<((?:[^<>]|<<(?:[^<>]|<<[^<>]*>>)*>>|<[^<>]*>)*)>>\s*stream\r?\n/g;
+        const chunks = [];
+        let textLength = 0;
+        let inflateBudget = this.maxInflatedBytes;
+
+        for (const match of source.matchAll(streamPattern)) {
+            if (textLength >= this.maxTextLength || inflateBudget <= 0) break;
+
+            const dictionary = match[1];
+            const start = match.index + match[0].length;
+            const end = source.indexOf('endstream', start);
+            if (end === -1) break;
+
+            // Images, fonts and other binary streams carry no text
+            if (/\/Subtype\s*\/(Image|Form|Type1C|CIDFontType0C|OpenType)|\/Length1|\/Type\s*\/(XObject|XRef|ObjStm|Metadata)/.test(dictionary)) {
+                continue;
+            }
+
+            let data = Buffer.from(source.substring(start, end).replace(/\r?\n$/, ''), 'latin1');
+            if (/\/FlateDecode/.test(dictionary)) {
+                data = this.inflate(data, inflateBudget);
+                if (data === false) break;
+                if (!data) continue;
+                inflateBudget -= data.length;
+            } else if (/\/Filter/.test(dictionary)) {
+                continue;
+            }
+
+            const text = this.extractTextOperators(data.toString('latin1'));
+            if (text.trim()) {
+                chunks.push(text);
+                textLength += text.length;
+            }
+        }
+
+        return chunks.join('\n').replace(/[ \t]+/g, ' ').replace(/ *\n */g, '\n').trim();
+    }
+
+    /**
+     * @returns {Buffer|null|false} - inflated stream, null when it is not valid
+     *   zlib data, false when it would inflate to more than maxOutputLength bytes
+     */
+    inflate(data, maxOutputLength) {
+        try {
+            return zlib.inflateSync(data, { maxOutputLength });
+        } catch (error) {
+            if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+                return false;
+            }
+            try {
+                // Some generators write a stream without the zlib header or with trailing bytes
+                return zlib.inflateSync(data, { maxOutputLength, finishFlush: zlib.constants.Z_SYNC_FLUSH });
+            } catch (retryError) {
+                return retryError.code === 'ERR_BUFFER_TOO_LARGE' ? false : null;
+            }
+        }
+    }
+
+    extractTextOperators(stream) {
+        const tokens = /\((?:\\.|[^\\)])*\)|<[0-9A-Fa-f\s]*>|\[|\]|-?\d*\.?\d+|\/[^\s/<>[\]()]+|[A-Za-z'"*]+/g;
+        const lines = [];
+        let line = '';
+        let array = null;
+        let operands = [];
+
+        for (const [token] of stream.matchAll(tokens)) {
+            if (token === '[') {
+                array = [];
+            } else if (token === ']') {
+                operands.push(array || []);
+                array = null;
+            } else if (token[0] === '(' || token[0] === '<') {
+                const text = token[0] === '(' ? this.decodeLiteralString(token) : this.decodeHexString(token);
+                (array || operands).push(text);
+            } else if (/^-?\d*\.?\d+$/.test(token)) {
+                (array || operands).push(Number(token));
+            } else if (array) {
+                continue;
+            } else {
+                switch (token) {
+                    case 'Tj':
+                        line += operands.filter(value => typeof value === 'string').join('');
+                        break;
+                    case 'TJ':
+                        for (const item of operands.flat()) {
+                            if (typeof item === 'string') {
+                                line += item;
+                            } else if (item < -200) {
+                                // Large negative kerning is how many generators write a space
+                                line += ' ';
+                            }
+                        }
+                        break;
+                    case "'":
+                    case '"':
+                        lines.push(line);
+                        line = operands.filter(value => typeof value === 'string').join('');
+                        break;
+                    case 'T*':
+                    case 'ET':
+                        lines.push(line);
+                        line = '';
+                        break;
+                    case 'Td':
+                    case 'TD':
+                        if (operands[1]) {
+                            lines.push(line);
+                            line = '';
+                        } else if (line && operands[0] > 0) {
+                            line += ' ';
+                        }
+                        break;
+                    case 'Tm':
+                        lines.push(line);
+                        line = '';
+                        break;
+                }
+                operands = [];
+            }
+        }
+
+        lines.push(line);
+        return lines.filter(text => text.trim()).join('\n');
+    }
+
+    decodeLiteralString(token) {
+        const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+        return token
+            .slice(1, -1)
+            .replace(/\\(\r?\n|[0-7]{1,3}|.)/g, (match, escape) => {
+                if (/^[0-7]+$/.test(escape)) return String.fromCharCode(parseInt(escape, 8));
+                if (/^\r?\n$/.test(escape)) return '';
+                return escapes[escape] ?? escape;
+            });
+    }
+
+    decodeHexString(token) {
+        const hex = token.slice(1, -1).replace(/\s+/g, '');
+        return Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex').toString('latin1');
+    }
+
+    /**
+     * Rewrite CSV rows as "Header: value" lines so labelled patterns
+     * such as "Load #: 123456" match
+     */
+    extractCsvText(csv) {
+        const rows = this.parseCsv(csv).filter(row => row.some(cell => cell.trim()));
+        if (rows.length === 0) {
+            return '';
+        }
+
+        const [header, ...data] = rows;
+        if (data.length === 0) {
+            return header.join(' ');
+        }
+
+        return data
+            .map(row => row
+                .map((cell, index) => (cell.trim() ? `${(header[index] || '').trim()}: ${cell.trim()}` : null))
+                .filter(Boolean)
+                .join('\n'))
+            .join('\n\n');
+    }
+
+    parseCsv(csv) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < csv.length; i++) {
+            const char = csv[i];
+
+            if (quoted) {
+                if (char === '"' && csv[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',' || char === ';' || char === '\t') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && csv[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    toBuffer(content) {
+        if (Buffer.isBuffer(content)) return content;
+        if (content instanceof Uint8Array) return Buffer.from(content);
+        // Webhook payloads carry attachments base64 encoded
+        return Buffer.from(String(content || ''), 'base64');
+    }
+}
+
+module.exports = AttachmentTextExtractor;
@@ -0,0 +1,350 @@
+/**
+ * Capacity Parser Module
+ * Extracts a carrier's capacity answer (where and when they will be empty,
+ * and with what equipment) from reply emails
+ */
+
+const ReplyCleaner = require('./reply-cleaner');
+
+const US_STATES = {
+    AL: 'alabama', AK: 'alaska', AZ: 'arizona', AR: 'arkansas', CA: 'california',
+    CO: 'colorado', CT: 'connecticut', DE: 'delaware', FL: 'florida', GA: 'georgia',
+    HI: 'hawaii', ID: 'idaho', IL: 'illinois', IN: 'indiana', IA: 'iowa',
+    KS: 'kansas', KY: 'kentucky', LA: 'louisiana', ME: 'maine', MD: 'maryland',
+    MA: 'massachusetts', MI: 'michigan', MN: 'minnesota', MS: 'mississippi', MO: 'missouri',
+    MT: 'montana', NE: 'nebraska', NV: 'nevada', NH: 'new hampshire', NJ: 'new jersey',
+    NM: 'new mexico', NY: 'new york', NC: 'north carolina', ND: 'north dakota', OH: 'ohio',
+    OK: 'oklahoma', OR: 'oregon', PA: 'pennsylvania', RI: 'rhode island', SC: 'south carolina',
+    SD: 'south dakota', TN: 'tennessee', TX: 'texas', UT: 'utah', VT: 'vermont',
+    VA: 'virginia', WA: 'washington', WV: 'west virginia', WI: 'wisconsin', WY: 'wyoming',
+    DC: 'district of columbia'
+};
+
+// State codes that are also everyday words ("in", "or", "me"): only taken in capitals
+const WORD_LIKE_STATES = new Set(['AL', 'CO', 'DE', 'HI', 'ID', 'IN', 'LA', 'MA', 'ME', 'OH', 'OK', 'OR', 'PA']);
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+class CapacityParser {
+    constructor() {
+        this.replyCleaner = new ReplyCleaner();
+
+        // Phrases that introduce where the truck will be
+        this.locationTriggers = /\b(?:empty|available|avail|unloading|unload|delivering|deliver|free|open)\s+(?:up\s+)?(?:in|at|near|around|outside(?:\s+of)?|out\s+of)\s+([^\n.;!?()]{2,60})/gi;
+
+        // A bare ZIP after availability phrasing ("Truck available 75201 Monday"), not a
+        // truck/load number, dollar amount or weight
+        this.zipTrigger = /\b(?:truck|empty|available|avail|free|open)\b[^\n.;!?]{0,40}?(?<!(?:#|\$|\b(?:truck|load|ref|reference|order|po|unit|trailer|number|no\.?))\s*)(?<![\d-])\b(\d{5})(?:-\d{4})?\b(?!\s*(?:lbs?|pounds|miles|mi)\b)/i;
+
+        // Fallback: any "City, ST" mention
+        this.cityStatePattern = /\b([A-Z][a-z]+(?:\s+[A-Z][a-z]+){0,2}),\s*([A-Z]{2})\b(?:\s+(\d{5}))?/g;
+
+        // Words that end a city name
+        this.stopWords = new Set([
+            'today', 'tonight', 'tomorrow', 'tmrw', 'tmr', 'on', 'at', 'by', 'around', 'after',
+            'before', 'with', 'and', 'for', 'this', 'next', 'early', 'late', 'morning',
+            'afternoon', 'evening', 'noon', 'midnight', 'asap', 'am', 'pm', 'the', 'area', 'but', 'or', 'if',
+            ...WEEKDAYS
+        ]);
+
+        // Words that introduce a ZIP rather than name a city ("near zip 60601")
+        this.zipWords = new Set(['zip', 'zipcode', 'zip-code', 'postal', 'code']);
+
+        // Equipment types, most specific first
+        this.equipmentPatterns = [
+            { type: 'reefer', pattern: /\b(reefers?|refrigerated|temp[\s-]?controlled)\b/i },
+            { type: 'step_deck', pattern: /\b(step[\s-]?decks?|drop[\s-]?decks?)\b/i },
+            { type: 'flatbed', pattern: /\b(flat[\s-]?beds?)\b/i },
+            { type: 'van', pattern: /\b((?:dry\s+)?vans?|53'?\s*(?:ft\s*)?(?:dry\s+)?van)\b/i }
+        ];
+    }
+
+    /**
+     * Parse a carrier reply for capacity details
+     * @param {string} emailContent - Reply body (plain text preferred)
+     * @param {Object} options - { referenceDate } used to resolve "tomorrow", weekdays, etc.
+     * @returns {Object} - { found, location, availability, equipment, message }
+     */
+    parse(emailContent, options = {}) {
+        if (!emailContent || typeof emailContent !== 'string') {
+            return this.emptyResult('No email content provided');
+        }
+
+        // Only the fresh text, so our own quoted reply is not parsed as the carrier's answer
+        const content = this.replyCleaner.getFreshText(emailContent.replace(/<[^>]*>/g, ' ')).substring(0, 5000);
+        const referenceDate = options.referenceDate ? new Date(options.referenceDate) : new Date();
+
+        const location = this.extractLocation(content);
+        const availability = this.extractAvailability(content, isNaN(referenceDate) ? new Date() : referenceDate);
+        const equipment = this.extractEquipment(content);
+        const found = !!(location || availability || equipment);
+
+        return {
+            found,
+            location,
+            availability,
+            equipment,
+            message: found ? 'Capacity details extracted' : 'No capacity details found in email'
+        };
+    }
+
+    /**
+     * Extract city/state or ZIP of the empty location
+     */
+    extractLocation(content) {
+        for (const match of content.matchAll(new RegExp(this.locationTriggers))) {
+            const location = this.parseLocationTokens(match[1]);
+            if (location) {
+                const { consumed, ...fields } = location;
+                const trigger = match[0].substring(0, match[0].length - match[1].length);
+                return { ...fields, raw: `${trigger}${consumed.join(' ')}`.trim() };
+            }
+        }
+
+        const zipMatch = content.match(this.zipTrigger);
+        if (zipMatch) {
+            return { city: null, state: null, zip: zipMatch[1], raw: zipMatch[0].trim() };
+        }
+
+        for (const match of content.matchAll(new RegExp(this.cityStatePattern))) {
+            if (US_STATES[match[2]]) {
+                return {
+                    city: match[1],
+                    state: match[2],
+                    zip: match[3] || null,
+                    raw: match[0].trim()
+                };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Walk the words after a trigger phrase: city words, then state, then ZIP.
+     * Lowercase words only count as a city when a state or ZIP follows
+     * ("empty in dallas tx"), so "free at noon, can do it" names no city.
+     */
+    parseLocationTokens(text) {
+        const tokens = text.split(/[\s,]+/).filter(Boolean);
+        const cityWords = [];
+        const consumed = [];
+        let state = null;
+        let zip = null;
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            const lower = token.toLowerCase();
+
+            if (/^\d{5}(?:-\d{4})?$/.test(token)) {
+                zip = token.substring(0, 5);
+                consumed.push(token);
+                break;
+            }
+
+            const code = token.toUpperCase();
+            const isStateCode = /^[A-Z]{2}$/.test(token) ||
+                (/^[a-z]{2}$/.test(token) && cityWords.length > 0 && !WORD_LIKE_STATES.has(code));
+            if (isStateCode && US_STATES[code]) {
+                state = code;
+                consumed.push(token);
+                if (/^\d{5}(?:-\d{4})?$/.test(tokens[i + 1] || '')) {
+                    zip = tokens[i + 1].substring(0, 5);
+                    consumed.push(tokens[i + 1]);
+                }
+                break;
+            }
+
+            const stateName = this.matchStateName(tokens, i);
+            if (stateName && cityWords.length > 0) {
+                state = stateName.code;
+                consumed.push(...tokens.slice(i, i + stateName.length));
+                break;
+            }
+
+            if (this.zipWords.has(lower.replace(/[.:#]+$/, ''))) {
+                consumed.push(token);
+                continue;
+            }
+
+            if (this.stopWords.has(lower) || !/^[a-z.'-]+$/i.test(token) || cityWords.length === 3) {
+                break;
+            }
+
+            cityWords.push(token);
+            consumed.push(token);
+        }
+
+        if (!state && !zip && cityWords.some(word => !/^[A-Z]/.test(word))) {
+            cityWords.length = 0;
+        }
+
+        if (cityWords.length === 0 && !state && !zip) {
+            return null;
+        }
+
+        return {
+            city: cityWords.length > 0 ? cityWords.map(word => this.capitalize(word)).join(' ') : null,
+            state,
+            zip,
+            consumed
+        };
+    }
+
+    matchStateName(tokens, index) {
+        for (const length of [3, 2, 1]) {
+            const candidate = tokens.slice(index, index + length).join(' ').toLowerCase();
+            const code = Object.keys(US_STATES).find(key => US_STATES[key] === candidate);
+            if (code) {
+                return { code, length };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Extract the availability date and time
+     */
+    extractAvailability(content, referenceDate) {
+        const date = this.extractDate(content, referenceDate);
+        const time = this.extractTime(content);
+
+        if (!date && !time) {
+            return null;
+        }
+
+        return {
+            date: date ? date.value : null,
+            time: time ? time.value : null,
+            raw: [date?.raw, time?.raw].filter(Boolean).join(' ')
+        };
+    }
+
+    extractDate(content, referenceDate) {
+        const candidates = [];
+
+        const relative = content.match(/\b(today|tonight|tomorrow|tmrw|tmr)\b/i);
+        if (relative) {
+            const offset = /^(today|tonight)$/i.test(relative[1]) ? 0 : 1;
+            candidates.push({ index: relative.index, raw: relative[0], date: this.addDays(referenceDate, offset) });
+        }
+
+        const weekday = content.match(/\b(sunday|monday|tuesday|wednesday|thursday|friday|saturday|mon|tues?|wed|thurs?|fri)\b/i);
+        if (weekday) {
+            const target = WEEKDAYS.findIndex(day => day.startsWith(weekday[1].toLowerCase().substring(0, 3)));
+            const offset = (target - referenceDate.getDay() + 7) % 7;
+            candidates.push({ index: weekday.index, raw: weekday[0], date: this.addDays(referenceDate, offset) });
+        }
+
+        const iso = content.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+        if (iso) {
+            candidates.push({ index: iso.index, raw: iso[0], date: new Date(+iso[1], +iso[2] - 1, +iso[3]) });
+        }
+
+        const numeric = content.match(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/);
+        if (numeric && +numeric[1] <= 12 && +numeric[2] <= 31) {
+            candidates.push({
+                index: numeric.index,
+                raw: numeric[0],
+                date: this.resolveMonthDay(+numeric[1] - 1, +numeric[2], numeric[3], referenceDate)
+            });
+        }
+
+        const named = content.match(/\b(jan|feb|mar|apr|may|jun|jul|aug|sept?|oct|nov|dec)[a-z]*\.?\s+(\d{1,2})(?:st|nd|rd|th)?\b/i);
+        if (named && +named[2] <= 31) {
+            candidates.push({
+                index: named.index,
+                raw: named[0],
+                date: this.resolveMonthDay(MONTHS.indexOf(named[1].toLowerCase().substring(0, 3)), +named[2], null, referenceDate)
+            });
+        }
+
+        if (candidates.length === 0) {
+            return null;
+        }
+
+        // The first date mentioned is the one that answers the question
+        const first = candidates.sort((a, b) => a.index - b.index)[0];
+        return { value: this.formatDate(first.date), raw: first.raw };
+    }
+
+    extractTime(content) {
+        const twelveHour = content.match(/\b(\d{1,2})(?::(\d{2}))?\s*(a\.?m\.?|p\.?m\.?)(?=\s|$|[,.;!?])/i);
+        if (twelveHour && +twelveHour[1] >= 1 && +twelveHour[1] <= 12) {
+            let hours = +twelveHour[1] % 12;
+            if (/^p/i.test(twelveHour[3])) hours += 12;
+            return { value: this.formatTime(hours, +(twelveHour[2] || 0)), raw: twelveHour[0] };
+        }
+
+        const twentyFourHour = content.match(/\b([01]?\d|2[0-3]):([0-5]\d)\b/);
+        if (twentyFourHour) {
+            return { value: this.formatTime(+twentyFourHour[1], +twentyFourHour[2]), raw: twentyFourHour[0] };
+        }
+
+        const named = content.match(/\b(noon|midnight)\b/i);
+        if (named) {
+            return { value: named[1].toLowerCase() === 'noon' ? '12:00' : '00:00', raw: named[0] };
+        }
+
+        return null;
+    }
+
+    /**
+     * Extract the equipment type the carrier mentions
+     */
+    extractEquipment(content) {
+        for (const { type, pattern } of this.equipmentPatterns) {
+            const match = content.match(pattern);
+            if (match) {
+                return { type, raw: match[0] };
+            }
+        }
+        return null;
+    }
+
+    resolveMonthDay(month, day, year, referenceDate) {
+        if (year) {
+            const fullYear = year.length === 2 ? 2000 + +year : +year;
+            return new Date(fullYear, month, day);
+        }
+
+        const date = new Date(referenceDate.getFullYear(), month, day);
+        // A date well in the past most likely means next year (e.g. "1/3" sent in December)
+        if (date < this.addDays(referenceDate, -7)) {
+            date.setFullYear(date.getFullYear() + 1);
+        }
+        return date;
+    }
+
+    addDays(date, days) {
+        const result = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        result.setDate(result.getDate() + days);
+        return result;
+    }
+
+    formatDate(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    formatTime(hours, minutes) {
+        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    }
+
+    capitalize(word) {
+        return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+    }
+
+    emptyResult(message) {
+        return {
+            found: false,
+            location: null,
+            availability: null,
+            equipment: null,
+            message
+        };
+    }
+}
+
+module.exports = CapacityParser;
@@ -3,19 +3,35 @@
  * Extracts load reference numbers from email content with validation
  */
 
+const ReplyCleaner = require('./reply-cleaner');
+const MimeParser = require('./mime-parser');
+const PatternProfiles = require('./pattern-profiles');
+// Required rather than read from disk so the Zapier step bundles carry it too
+const BUNDLED_PROFILES = require('../config/pattern-profiles.json');
+
 class EmailParser {
-    constructor() {
+    /**
+     * @param {Object} config - { profilesPath, profiles } where profiles is a
+     *   list of pattern profile definitions (see PatternProfiles)
+     */
+    constructor(config = {}) {
+        this.replyCleaner = new ReplyCleaner();
+        this.mimeParser = new MimeParser();
+
         // Patterns to exclude (false positives)
         this.exclusionPatterns = [
-            /MC\s*\d+/i,
-            /DOT\s*\d+/i,
-            /USDOT\s*\d+/i,
+            /MC\s*[#:\-]?\s*\d+/i,
+            /DOT\s*[#:\-]?\s*\d+/i,
+            /USDOT\s*[#:\-]?\s*\d+/i,
             /invoice\s*#?\s*\d+/i,
             /bill\s*#?\s*\d+/i,
             /po\s*#?\s*\d+/i,
             /phone:?\s*\d+/i,
             /tel:?\s*\d+/i,
-            /fax:?\s*\d+/i
+            /fax:?\s*\d+/i,
+            /(?:trailer|truck|tractor|unit)\s*(?:#|no\.?|number)?\s*[:\-]?\s*[A-Z0-9\-]*\d[A-Z0-9\-]*/i,
+            // City, state ZIP ("Dallas, TX 75201"); case-sensitive so "in 46204" or "or 97201" stay unmasked
+            /\b(?:AL|AK|AZ|AR|CA|CO|CT|DE|FL|GA|HI|ID|IL|IN|IA|KS|KY|LA|ME|MD|MA|MI|MN|MS|MO|MT|NE|NV|NH|NJ|NM|NY|NC|ND|OH|OK|OR|PA|RI|SC|SD|TN|TX|UT|VT|VA|WA|WV|WI|WY|DC)\s+\d{5}(?:-\d{4})?\b/
         ];
 
         // Patterns to match load references
@@ -26,19 +42,52 @@ class EmailParser {
             /(?:order\s*#?\s*)(\d{6,8})/i,
             /(?:reference\s+number\s+)(\d{6,8})/i,
             /(?:ref[:\s]+)(\d{6,8})/i,
+            /(?:load\s+)(\d{6,8})\b/i,
             
             // QuoteFactory specific patterns
             /(?:QF[-\s]?)(\d{6,8})/i,
             /(?:QUOTE[-\s]?)(\d{6,8})/i,
             
-            // Alphanumeric patterns (company prefix + numbers)
-            /([A-Z]{2,4}[\-\_\s]*\d{4,8}[\-\_\s]*[A-Z0-9]*)/,
-            /([A-HJ-Z]+\d{4,8}[A-Z0-9]*)/,
+            // Alphanumeric patterns (company prefix + numbers). Lowercase prefixes
+            // ("ab123456", "tl-44556677") must touch the number, so "in 46204" is not one.
+            /([A-Z]{2,4}[\-\_\s]*\d{4,8}[\-\_\s]*[A-Z0-9]*|[A-Za-z]{2,4}[\-\_]*\d{4,8}[\-\_]*[A-Za-z0-9]*)/,
+            /([A-HJ-Za-hj-z]+\d{4,8}[A-Za-z0-9]*)/,
             
             // Standalone numbers (last resort)
             /\b(\d{6})\b/
         ];
 
+        // Carrier identifiers (captured, then excluded from reference matching)
+        this.carrierPatterns = {
+            mcNumber: /\b(?:MC|MC\/FF)\s*[#:\-]?\s*(\d{4,8})\b/i,
+            dotNumber: /\b(?:US\s*)?DOT\s*[#:\-]?\s*(\d{4,8})\b/i
+        };
+
+        // Rate counter-offers, per-mile first so "$2.85/mile" is not read as $2.85.
+        // An amount followed by a unit ("45000 lbs", "10000 miles") is a quantity, not a rate.
+        const amount = String.raw`(\d{1,3}(?:,\d{3})+|\d{3,6}|\d{1,3}(?:\.\d+)?\s*k\b)(?!,?\d)(?!(?:\.\d+)?\s*(?:lbs?|pounds|miles|mi|ft|feet)\b)`;
+        this.counterOfferPatterns = {
+            perMile: /\$?\s*(\d(?:\.\d{1,2})?)\s*(?:\/\s*(?:mi|mile)\b|per\s+mile\b|a\s+mile\b|rpm\b)/i,
+            dollars: new RegExp(String.raw`\$\s*${amount}(?:\.\d{2})?`, 'gi'),
+            // A bare dollar amount is only an offer in a sentence worded like one...
+            offerWording: /\b(?:can|could|would|will)\s+you\s+do\b|\b(?:i|we)\s+(?:can|could|would|will)\s+do\b|\bcounter\b|\bneed\b|\ball[\s-]in\b|\bhow\s+about\b|\btake\s+it\s+(?:for|at)\b|\boffer\b/i,
+            // ...and not when it is the rate the carrier saw posted
+            postedRate: /\b(?:posted|listed|advertised|showing|your\s+rate)\b/i,
+            // Amounts without "$": only in wording that proposes a price. "need" alone is
+            // too loose ("we need 45000 lbs or less"), so it also needs "to do it", "for it", ...
+            phrased: new RegExp([
+                String.raw`\b(?:can|could|would|will)\s+you\s+do\s+${amount}`,
+                String.raw`\b(?:i|we)\s+(?:can|could|would)\s+do\s+(?:it\s+(?:for|at)\s+)?${amount}`,
+                String.raw`\b(?:how\s+about|counter(?:\s+(?:at|with))?|take\s+it\s+for)\s+${amount}`,
+                String.raw`\bneed\s+${amount}\s+(?:to\s+(?:do|haul|run|move|cover|take)\b|for\s+(?:it|this|that|the\s+load)\b|all[\s-]in\b|flat\b)`,
+                String.raw`\b${amount}\s+all[\s-]in\b`
+            ].join('|'), 'i')
+        };
+        this.counterOfferLimits = { minAmount: 100, maxAmount: 50000, maxPerMile: 20 };
+
+        // References found only in quoted history are less certain
+        this.quotedConfidencePenalty = 10;
+
         // Validation rules
         this.validationRules = {
             minLength: 4,
@@ -46,79 +95,386 @@ class EmailParser {
             mustContainNumbers: true,
             bannedPrefixes: ['MC', 'DOT', 'PO', 'INV']
         };
+
+        // The lists above are the "default" profile; config files add per-sender profiles
+        this.profiles = new PatternProfiles({
+            defaultProfile: {
+                loadPatterns: this.loadPatterns,
+                exclusionPatterns: this.exclusionPatterns,
+                validationRules: this.validationRules
+            },
+            profiles: config.profiles || this.readProfiles(config.profilesPath)
+        });
+    }
+
+    /**
+     * Profile definitions from the given file, or the bundled config when present
+     */
+    readProfiles(profilesPath) {
+        if (profilesPath) {
+            return PatternProfiles.readFile(profilesPath);
+        }
+        return BUNDLED_PROFILES.profiles;
+    }
+
+    /**
+     * Profile for this email: named explicitly, or chosen by sender
+     * @param {Object} options - { profile, sender }
+     */
+    selectProfile(options = {}) {
+        if (options.profile) {
+            const profile = this.profiles.get(options.profile);
+            if (!profile) {
+                throw new Error(`Unknown pattern profile: ${options.profile}`);
+            }
+            return profile;
+        }
+        return this.profiles.select(options.sender);
     }
 
     /**
      * Extract load reference from email content
      * @param {string} emailContent - The email body content
+     * @param {Object} options - { sender, profile } to choose the pattern profile;
+     *   explain: true adds every candidate considered (see explainCandidates)
      * @returns {Object} - Extraction result with reference and confidence
      */
-    extractLoadReference(emailContent) {
+    extractLoadReference(emailContent, options = {}) {
         if (!emailContent || typeof emailContent !== 'string') {
             return {
                 found: false,
                 reference: null,
                 confidence: 0,
-                message: 'No email content provided'
+                carrier: this.extractCarrierIdentifiers(''),
+                message: 'No email content provided',
+                ...(options.explain ? { candidates: [], exclusions: [] } : {})
             };
         }
 
-        // Sanitize input
-        let sanitizedContent = this.sanitizeContent(emailContent);
-
-        // Remove exclusion patterns
-        sanitizedContent = this.removeExclusions(sanitizedContent);
+        const profile = this.selectProfile(options);
+        const text = this.toPlainText(emailContent);
+        const carrier = this.extractCarrierIdentifiers(this.sanitizeContent(text));
+        const sections = this.getSearchSections(text);
+        let result = null;
 
-        // Try each pattern in order of specificity
-        for (let i = 0; i < this.loadPatterns.length; i++) {
-            const pattern = this.loadPatterns[i];
-            const matches = sanitizedContent.matchAll(new RegExp(pattern, 'gi'));
-            
-            for (const match of matches) {
-                if (match[1]) {
-                    const candidate = this.normalizeReference(match[1]);
-                    const validation = this.validateReference(candidate);
-                    
-                    if (validation.isValid) {
-                        return {
-                            found: true,
-                            reference: candidate,
-                            confidence: this.calculateConfidence(i, match[0], emailContent),
-                            matchedPattern: pattern.toString(),
-                            message: 'Load reference successfully extracted'
-                        };
-                    }
-                }
+        // What the sender just wrote first; our own quoted reply only as a fallback
+        for (const section of sections) {
+            const match = this.findReference(section.text, profile);
+            if (match) {
+                result = {
+                    found: true,
+                    reference: match.reference,
+                    confidence: this.sectionConfidence(match.confidence, section.name),
+                    matchedPattern: match.pattern.toString(),
+                    patternIndex: match.patternIndex,
+                    section: section.name,
+                    profile: profile.name,
+                    carrier,
+                    message: 'Load reference successfully extracted'
+                };
+                break;
             }
         }
 
-        return {
+        result = result || {
             found: false,
             reference: null,
             confidence: 0,
+            profile: profile.name,
+            carrier,
             message: 'No valid load reference found in email'
         };
+
+        if (options.explain) {
+            Object.assign(result, this.explainCandidates(sections, profile, result));
+        }
+
+        return result;
+    }
+
+    /**
+     * Every candidate the parser considered, in the order it tried them
+     *
+     * Each candidate: { reference, raw, section, position, context, pattern,
+     * patternIndex, status, exclusion, validationErrors, confidence }.
+     * status is selected (the returned reference), valid (a later valid
+     * match), rejected (failed a validation rule) or excluded (an exclusion
+     * pattern such as "MC 123456" covered it). position is the offset in the
+     * section's whitespace-normalized text.
+     * @returns {Object} - { candidates, exclusions }
+     */
+    explainCandidates(sections, profile, result) {
+        const candidates = [];
+        const exclusions = [];
+
+        for (const section of sections) {
+            const scan = this.scanSection(section.text, profile, { includeExcluded: true });
+
+            exclusions.push(...scan.exclusions.map(exclusion => ({ ...exclusion, section: section.name })));
+            for (const candidate of scan.candidates) {
+                const selected = result.found && section.name === result.section && candidate.valid &&
+                    !candidates.some(existing => existing.status === 'selected');
+
+                candidates.push({
+                    reference: candidate.reference,
+                    raw: candidate.raw,
+                    section: section.name,
+                    position: candidate.position,
+                    context: candidate.context,
+                    pattern: candidate.pattern.toString(),
+                    patternIndex: candidate.patternIndex,
+                    status: candidate.exclusion ? 'excluded' : !candidate.valid ? 'rejected' : selected ? 'selected' : 'valid',
+                    exclusion: candidate.exclusion,
+                    validationErrors: candidate.validationErrors,
+                    confidence: this.sectionConfidence(candidate.confidence, section.name)
+                });
+            }
+        }
+
+        return { candidates, exclusions };
+    }
+
+    /**
+     * First valid reference in a block of text, trying patterns in order of specificity
+     * @returns {Object|null} - { reference, confidence, pattern, patternIndex }
+     */
+    findReference(content, profile = this.selectProfile()) {
+        const { candidates } = this.scanSection(content, profile, { stopAtFirstValid: true });
+        const match = candidates.find(candidate => candidate.valid);
+        return match
+            ? { reference: match.reference, confidence: match.confidence, pattern: match.pattern, patternIndex: match.patternIndex }
+            : null;
+    }
+
+    /**
+     * Run every pattern of a profile over one section
+     * @param {Object} options - stopAtFirstValid: return as soon as a valid match is found;
+     *   includeExcluded: also report matches that exclusion patterns masked out
+     * @returns {Object} - { candidates, exclusions }
+     */
+    scanSection(text, profile, options = {}) {
+        const content = this.sanitizeContent(text);
+        const exclusions = this.findExclusions(content, profile.exclusionPatterns);
+        const masked = this.maskSpans(content, exclusions);
+        const candidates = [];
+
+        for (let i = 0; i < profile.loadPatterns.length; i++) {
+            const pattern = profile.loadPatterns[i];
+            const found = new Set();
+
+            for (const match of masked.matchAll(this.toGlobal(pattern))) {
+                if (!match[1]) continue;
+
+                const candidate = this.buildCandidate(match, i, pattern, content, profile);
+                found.add(candidate.position);
+                candidates.push(candidate);
+
+                if (options.stopAtFirstValid && candidate.valid) {
+                    return { candidates, exclusions };
+                }
+            }
+
+            if (!options.includeExcluded) continue;
+
+            // Matches only the unmasked text has were removed by an exclusion
+            for (const match of content.matchAll(this.toGlobal(pattern))) {
+                if (!match[1]) continue;
+
+                const candidate = this.buildCandidate(match, i, pattern, content, profile);
+                const end = candidate.position + match[1].length;
+                const exclusion = exclusions.find(span => candidate.position < span.end && end > span.start);
+
+                if (exclusion && !found.has(candidate.position)) {
+                    candidates.push({
+                        ...candidate,
+                        valid: false,
+                        exclusion: { pattern: exclusion.pattern, text: exclusion.text }
+                    });
+                }
+            }
+        }
+
+        return { candidates, exclusions };
+    }
+
+    buildCandidate(match, patternIndex, pattern, content, profile) {
+        const reference = this.normalizeReference(match[1]);
+        const validation = this.validateReference(reference, profile.validationRules);
+        const position = match.index + match[0].lastIndexOf(match[1]);
+
+        return {
+            reference,
+            raw: match[1].trim(),
+            position,
+            context: content.substring(Math.max(0, position - 30), position + match[1].length + 30).trim(),
+            pattern,
+            patternIndex,
+            valid: validation.isValid,
+            exclusion: null,
+            validationErrors: validation.errors,
+            confidence: this.calculateConfidence(patternIndex, match[0], content, profile.loadPatterns.length)
+        };
+    }
+
+    /**
+     * References found only in quoted history or the signature are less certain
+     */
+    sectionConfidence(confidence, sectionName) {
+        return sectionName === 'quoted' || sectionName === 'signature'
+            ? Math.max(10, confidence - this.quotedConfidencePenalty)
+            : confidence;
+    }
+
+    /**
+     * Fresh reply text, then quoted history, then the signature: it is full of
+     * phone, MC and DOT numbers, so only searched when nothing else names a load
+     */
+    getSearchSections(text) {
+        const parts = this.replyCleaner.split(text);
+        return [
+            { name: 'fresh', text: parts.fresh },
+            { name: 'quoted', text: parts.quoted },
+            { name: 'signature', text: parts.signature }
+        ].filter(section => section.text.trim());
+    }
+
+    /**
+     * Detect a rate counter-offer in the fresh (unquoted) part of a reply
+     * @returns {Object} - { found, amount, perMile, raw }
+     */
+    extractCounterOffer(emailContent) {
+        const notFound = { found: false, amount: null, perMile: null, raw: null };
+        if (!emailContent || typeof emailContent !== 'string') {
+            return notFound;
+        }
+
+        const content = this.replyCleaner.getFreshText(this.toPlainText(emailContent)).substring(0, 5000);
+
+        const perMileMatch = content.match(this.counterOfferPatterns.perMile);
+        if (perMileMatch) {
+            const perMile = parseFloat(perMileMatch[1]);
+            if (perMile > 0 && perMile <= this.counterOfferLimits.maxPerMile) {
+                return { found: true, amount: null, perMile, raw: perMileMatch[0].trim() };
+            }
+        }
+
+        const { dollars, offerWording, postedRate } = this.counterOfferPatterns;
+        for (const sentence of content.split(/(?<=[.!?])\s+|\n+/)) {
+            if (!offerWording.test(sentence)) continue;
+
+            for (const match of sentence.matchAll(dollars)) {
+                // "posted at $2,400" / "$1,900 posted": the words right around the amount
+                const before = sentence.substring(Math.max(0, match.index - 20), match.index);
+                const after = sentence.substring(match.index + match[0].length, match.index + match[0].length + 20);
+                if (postedRate.test(before) || postedRate.test(after)) continue;
+
+                const offer = this.toCounterOffer(match);
+                if (offer) return offer;
+            }
+        }
+
+        return this.toCounterOffer(content.match(this.counterOfferPatterns.phrased)) || notFound;
+    }
+
+    /**
+     * Counter-offer from a dollars/phrased match, if the amount is plausible
+     */
+    toCounterOffer(match) {
+        const value = match && match.slice(1).find(Boolean);
+        if (!value) {
+            return null;
+        }
+
+        const amount = this.parseAmount(value);
+        if (amount >= this.counterOfferLimits.minAmount && amount <= this.counterOfferLimits.maxAmount) {
+            return { found: true, amount, perMile: null, raw: match[0].trim() };
+        }
+        return null;
+    }
+
+    /**
+     * Parse "2,400", "2400" or "2.4k" into a number
+     */
+    parseAmount(value) {
+        const text = String(value).toLowerCase().replace(/[,\s$]/g, '');
+        const amount = parseFloat(text);
+        return text.endsWith('k') ? amount * 1000 : amount;
+    }
+
+    /**
+     * Capture the carrier's MC and DOT numbers
+     * @returns {Object} - { found, mcNumber, dotNumber }
+     */
+    extractCarrierIdentifiers(emailContent) {
+        const content = emailContent || '';
+        const mcMatch = content.match(this.carrierPatterns.mcNumber);
+        const dotMatch = content.match(this.carrierPatterns.dotNumber);
+
+        return {
+            found: !!(mcMatch || dotMatch),
+            mcNumber: mcMatch ? mcMatch[1] : null,
+            dotNumber: dotMatch ? dotMatch[1] : null
+        };
     }
 
     /**
      * Sanitize email content for safe processing
      */
     sanitizeContent(content) {
-        return content
-            .replace(/<[^>]*>/g, ' ') // Remove HTML tags
+        return this.toPlainText(content)
             .replace(/\s+/g, ' ') // Normalize whitespace
             .substring(0, 5000); // Limit length for performance
     }
 
     /**
-     * Remove exclusion patterns from content
+     * Convert HTML bodies to text, keeping line breaks so quoted history can be found
+     */
+    toPlainText(content) {
+        return /<[a-z!\/][^>]*>/i.test(content) ? this.mimeParser.htmlToText(content) : content;
+    }
+
+    /**
+     * Spans of the content covered by exclusion patterns
+     * @returns {Array} - [{ pattern, text, start, end }]
+     */
+    findExclusions(content, exclusionPatterns = this.exclusionPatterns) {
+        const spans = [];
+        for (const pattern of exclusionPatterns) {
+            for (const match of content.matchAll(this.toGlobal(pattern))) {
+                if (match[0]) {
+                    spans.push({
+                        pattern: pattern.toString(),
+                        text: match[0],
+                        start: match.index,
+                        end: match.index + match[0].length
+                    });
+                }
+            }
+        }
+        return spans.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Blank out excluded text with spaces of the same length, so positions
+     * stay the same and no new words are formed across the gap
      */
-    removeExclusions(content) {
-        let processed = content;
-        for (const pattern of this.exclusionPatterns) {
-            processed = processed.replace(pattern, '');
+    maskExclusions(content, exclusionPatterns = this.exclusionPatterns) {
+        return this.maskSpans(content, this.findExclusions(content, exclusionPatterns));
+    }
+
+    maskSpans(content, spans) {
+        let masked = content;
+        for (const span of spans) {
+            masked = masked.substring(0, span.start) + ' '.repeat(span.end - span.start) + masked.substring(span.end);
         }
-        return processed;
+        return masked;
+    }
+
+    /**
+     * Global copy of a pattern, keeping its own flags (case-sensitive patterns stay case-sensitive)
+     */
+    toGlobal(pattern) {
+        return new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`);
     }
 
     /**
@@ -134,24 +490,24 @@ class EmailParser {
     /**
      * Validate extracted reference
      */
-    validateReference(reference) {
+    validateReference(reference, rules = this.validationRules) {
         const errors = [];
 
         // Length check
-        if (reference.length < this.validationRules.minLength) {
+        if (reference.length < rules.minLength) {
             errors.push('Reference too short');
         }
-        if (reference.length > this.validationRules.maxLength) {
+        if (reference.length > rules.maxLength) {
             errors.push('Reference too long');
         }
 
         // Must contain numbers
-        if (this.validationRules.mustContainNumbers && !/\d/.test(reference)) {
+        if (rules.mustContainNumbers && !/\d/.test(reference)) {
             errors.push('Reference must contain numbers');
         }
 
         // Check banned prefixes
-        for (const prefix of this.validationRules.bannedPrefixes) {
+        for (const prefix of rules.bannedPrefixes || []) {
             if (reference.startsWith(prefix)) {
                 errors.push(`Invalid prefix: ${prefix}`);
             }
@@ -166,7 +522,7 @@ class EmailParser {
     /**
      * Calculate confidence score for extraction
      */
-    calculateConfidence(patternIndex, matchedText, originalContent) {
+    calculateConfidence(patternIndex, matchedText, originalContent, patternCount = this.loadPatterns.length) {
         let confidence = 100 - (patternIndex * 10); // Earlier patterns = higher confidence
 
         // Boost confidence for explicit mentions
@@ -176,43 +532,91 @@ class EmailParser {
             confidence = Math.min(100, confidence + 20);
         }
 
-        // Reduce confidence for standalone numbers
-        if (patternIndex >= this.loadPatterns.length - 2) {
+        // Reduce confidence for standalone numbers; a named pattern still
+        // outranks them however far down a long profile it sits
+        if (this.isCatchAllPattern(patternIndex, patternCount)) {
             confidence = Math.max(50, confidence - 30);
+        } else {
+            confidence = Math.max(60, confidence);
         }
 
         return confidence;
     }
 
     /**
-     * Extract multiple load references (for batch processing)
+     * The last two patterns of a profile are last resorts: bare numbers and
+     * letter-digit runs that also match trailer numbers, dates and the like
      */
-    extractMultipleReferences(emailContent, maxReferences = 5) {
+    isCatchAllPattern(patternIndex, patternCount = this.loadPatterns.length) {
+        return patternCount > 2 && patternIndex >= patternCount - 2;
+    }
+
+    /**
+     * Extract multiple load references (for batch processing and multi-load emails)
+     * @returns {Array} - [{ reference, confidence, position, patternIndex, catchAll, section }]
+     */
+    extractMultipleReferences(emailContent, maxReferences = 5, options = {}) {
+        if (!emailContent || typeof emailContent !== 'string') {
+            return [];
+        }
+
+        const profile = this.selectProfile(options);
+
+        // Fresh text first; quoted history only when the sender named no loads
+        for (const section of this.getSearchSections(this.toPlainText(emailContent))) {
+            const references = this.findAllReferences(section.text, maxReferences, profile)
+                .map(ref => ({
+                    ...ref,
+                    confidence: this.sectionConfidence(ref.confidence, section.name),
+                    section: section.name
+                }));
+
+            if (references.length > 0) {
+                return references;
+            }
+        }
+
+        return [];
+    }
+
+    /**
+     * Every valid reference in a block of text
+     * Matches overlapping an already accepted reference are skipped, so one
+     * piece of text (e.g. "QF-1234567") only yields one reference.
+     */
+    findAllReferences(text, maxReferences, profile = this.selectProfile()) {
         const references = [];
-        let content = this.sanitizeContent(emailContent);
-        content = this.removeExclusions(content);
+        const content = this.maskExclusions(this.sanitizeContent(text), profile.exclusionPatterns);
 
         const foundReferences = new Set();
+        const acceptedSpans = [];
 
-        for (const pattern of this.loadPatterns) {
-            const matches = content.matchAll(new RegExp(pattern, 'gi'));
+        for (let i = 0; i < profile.loadPatterns.length; i++) {
+            const pattern = profile.loadPatterns[i];
+            const matches = content.matchAll(this.toGlobal(pattern));
             
             for (const match of matches) {
                 if (match[1] && references.length < maxReferences) {
                     const candidate = this.normalizeReference(match[1]);
+                    const start = match.index + match[0].lastIndexOf(match[1]);
+                    const end = start + match[1].length;
+
+                    if (acceptedSpans.some(span => start < span.end && end > span.start)) {
+                        continue;
+                    }
                     
                     if (!foundReferences.has(candidate)) {
-                        const validation = this.validateReference(candidate);
+                        const validation = this.validateReference(candidate, profile.validationRules);
                         
                         if (validation.isValid) {
                             foundReferences.add(candidate);
+                            acceptedSpans.push({ start, end });
                             references.push({
                                 reference: candidate,
-                                confidence: this.calculateConfidence(
-                                    this.loadPatterns.indexOf(pattern),
-                                    match[0],
-                                    emailContent
-                                )
+                                confidence: this.calculateConfidence(i, match[0], text, profile.loadPatterns.length),
+                                position: start,
+                                patternIndex: i,
+                                catchAll: this.isCatchAllPattern(i, profile.loadPatterns.length)
                             });
                         }
                     }
@@ -220,7 +624,7 @@ class EmailParser {
             }
         }
 
-        return references.sort((a, b) => b.confidence - a.confidence);
+        return references.sort((a, b) => b.confidence - a.confidence || a.position - b.position);
     }
 }
 
@@ -0,0 +1,362 @@
+/**
+ * MIME Parser Module
+ * Reads raw RFC 822 / .eml messages: decodes headers (RFC 2047), walks
+ * multipart bodies, decodes quoted-printable / base64 parts in their
+ * declared charset and returns clean plain text (text/plain preferred,
+ * HTML converted to text otherwise)
+ */
+
+const HTML_ENTITIES = {
+    nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+    ndash: '-', mdash: '-', hellip: '...', rsquo: "'", lsquo: "'", rdquo: '"', ldquo: '"',
+    bull: '•', middot: '·', copy: '©', reg: '®', trade: '™'
+};
+
+// windows-1252 characters in 0x80-0x9F (Node's TextDecoder treats these labels as ISO-8859-1)
+const WINDOWS_1252_EXTRAS = {
+    0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡', 0x88: 'ˆ',
+    0x89: '‰', 0x8a: 'Š', 0x8b: '‹', 0x8c: 'Œ', 0x8e: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“',
+    0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™', 0x9a: 'š', 0x9b: '›',
+    0x9c: 'œ', 0x9e: 'ž', 0x9f: 'Ÿ'
+};
+const WINDOWS_1252_LABELS = ['windows-1252', 'cp1252', 'iso-8859-1', 'iso8859-1', 'latin1', 'us-ascii', 'ascii'];
+
+class MimeParser {
+    constructor(config = {}) {
+        // Guard against pathological nesting in hostile messages
+        this.maxDepth = config.maxDepth || 10;
+    }
+
+    /**
+     * Parse a raw message
+     * @param {string|Buffer} raw - Full message source
+     * @returns {Object} - { headers, from, to, subject, messageId, inReplyTo, references, date, text, html, attachments }
+     */
+    parse(raw) {
+        // Work on a binary (latin1) string so every byte survives until its charset is known
+        const source = this.toBuffer(raw).toString('latin1');
+        const root = this.parseEntity(source, 0);
+
+        const textParts = [];
+        const htmlParts = [];
+        const attachments = [];
+        this.collectParts(root, { textParts, htmlParts, attachments });
+
+        const html = htmlParts.length > 0 ? htmlParts.join('\n') : null;
+        const text = textParts.length > 0
+            ? textParts.join('\n')
+            : (html ? this.htmlToText(html) : '');
+
+        const headers = root.headers;
+        return {
+            headers,
+            from: headers.from || null,
+            to: headers.to || null,
+            subject: headers.subject || null,
+            messageId: headers['message-id'] || null,
+            inReplyTo: headers['in-reply-to'] || null,
+            references: headers.references || null,
+            date: headers.date || null,
+            text: text.replace(/\r\n/g, '\n').trim(),
+            html,
+            attachments
+        };
+    }
+
+    /**
+     * Parse a raw message into the emailData shape LoadAutomationService.processEmail() expects
+     * @param {string|Buffer} raw - Full message source
+     * @param {Object} overrides - Fields known outside the message (e.g. { id, receivedAt })
+     */
+    toEmailData(raw, overrides = {}) {
+        const message = this.parse(raw);
+        const receivedAt = message.date && !isNaN(new Date(message.date)) ? new Date(message.date).toISOString() : null;
+
+        return {
+            id: message.messageId,
+            messageId: message.messageId,
+            inReplyTo: message.inReplyTo,
+            references: message.references,
+            from: message.from,
+            subject: message.subject || 'Load Inquiry',
+            receivedAt,
+            body: message.text,
+            attachments: message.attachments,
+            ...overrides
+        };
+    }
+
+    /**
+     * Quick check for payloads that are a raw message rather than body text
+     */
+    looksLikeRawMessage(value) {
+        if (!value) return false;
+
+        const head = this.toBuffer(value).toString('latin1', 0, 8192);
+        const { headerText } = this.splitMessage(head);
+        const lines = headerText.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/);
+
+        return headerText !== head
+            && lines.every(line => /^[!-9;-~]+:/.test(line))
+            && /^(?:from|subject|message-id):/im.test(headerText);
+    }
+
+    /**
+     * Parse one MIME entity (headers + body), recursing into multiparts
+     */
+    parseEntity(source, depth) {
+        const { headerText, bodyText } = this.splitMessage(source);
+        const headers = this.parseHeaders(headerText);
+        const contentType = this.parseHeaderValue(headers['content-type'] || 'text/plain');
+        const disposition = this.parseHeaderValue(headers['content-disposition'] || '');
+
+        const entity = {
+            headers,
+            type: contentType.value.toLowerCase(),
+            params: contentType.params,
+            disposition: disposition.value.toLowerCase(),
+            dispositionParams: disposition.params,
+            encoding: (headers['content-transfer-encoding'] || '7bit').toLowerCase(),
+            body: bodyText,
+            parts: []
+        };
+
+        if (entity.type.startsWith('multipart/') && entity.params.boundary && depth < this.maxDepth) {
+            entity.parts = this.splitMultipart(bodyText, entity.params.boundary)
+                .map(part => this.parseEntity(part, depth + 1));
+        }
+
+        return entity;
+    }
+
+    /**
+     * Gather readable text, HTML and attachments in document order.
+     * In multipart/alternative only the plain part is used when one exists.
+     */
+    collectParts(entity, collected) {
+        if (entity.parts.length > 0) {
+            let parts = entity.parts;
+            if (entity.type === 'multipart/alternative') {
+                const plain = parts.find(part => part.type === 'text/plain' && !this.isAttachment(part));
+                parts = plain ? [plain] : parts;
+            }
+            parts.forEach(part => this.collectParts(part, collected));
+            return;
+        }
+
+        if (this.isAttachment(entity)) {
+            const content = this.decodeBody(entity);
+            collected.attachments.push({
+                filename: this.getFilename(entity),
+                contentType: entity.type,
+                size: content.length,
+                content
+            });
+            return;
+        }
+
+        if (entity.type === 'text/plain') {
+            collected.textParts.push(this.decodeText(entity));
+        } else if (entity.type === 'text/html') {
+            collected.htmlParts.push(this.decodeText(entity));
+        }
+    }
+
+    isAttachment(entity) {
+        if (entity.type.startsWith('multipart/')) return false;
+        if (entity.disposition === 'attachment') return true;
+        if (entity.type === 'text/plain' || entity.type === 'text/html') return false;
+        return true;
+    }
+
+    getFilename(entity) {
+        const name = entity.dispositionParams.filename || entity.params.name;
+        return name ? this.decodeHeader(name) : null;
+    }
+
+    splitMessage(source) {
+        // A part with no headers starts straight with the blank line
+        const leading = source.match(/^\r?\n/);
+        if (leading) {
+            return { headerText: '', bodyText: source.substring(leading[0].length) };
+        }
+
+        const match = source.match(/\r?\n\r?\n/);
+        if (!match) {
+            return { headerText: source, bodyText: '' };
+        }
+        return {
+            headerText: source.substring(0, match.index),
+            bodyText: source.substring(match.index + match[0].length)
+        };
+    }
+
+    splitMultipart(body, boundary) {
+        const delimiter = `--${boundary}`;
+        const parts = [];
+        const lines = body.split(/\r?\n/);
+        let current = null;
+
+        for (const line of lines) {
+            if (line.startsWith(delimiter)) {
+                if (current) parts.push(current.join('\r\n'));
+                // Closing delimiter: the rest is epilogue
+                if (line.startsWith(`${delimiter}--`)) {
+                    current = null;
+                    break;
+                }
+                current = [];
+            } else if (current) {
+                current.push(line);
+            }
+        }
+
+        if (current) parts.push(current.join('\r\n'));
+        return parts;
+    }
+
+    /**
+     * Unfold continuation lines and index headers by lower-case name.
+     * Repeated headers keep their first value. Values are RFC 2047 decoded.
+     */
+    parseHeaders(headerText) {
+        const headers = {};
+        const unfolded = headerText.replace(/\r?\n[ \t]+/g, ' ');
+
+        for (const line of unfolded.split(/\r?\n/)) {
+            const separator = line.indexOf(':');
+            if (separator <= 0) continue;
+
+            const name = line.substring(0, separator).trim().toLowerCase();
+            if (!(name in headers)) {
+                // Raw 8-bit header bytes are almost always UTF-8 in practice
+                const value = Buffer.from(line.substring(separator + 1).trim(), 'latin1').toString('utf8');
+                headers[name] = this.decodeHeader(value);
+            }
+        }
+
+        return headers;
+    }
+
+    /**
+     * Split "type/subtype; name=value; ..." into the value and its parameters
+     */
+    parseHeaderValue(header) {
+        const [value, ...rest] = header.split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+        const params = {};
+
+        for (const param of rest) {
+            const separator = param.indexOf('=');
+            if (separator <= 0) continue;
+
+            let name = param.substring(0, separator).trim().toLowerCase();
+            let paramValue = param.substring(separator + 1).trim().replace(/^"(.*)"$/, '$1');
+
+            // RFC 2231: filename*=utf-8''Rate%20Con.pdf
+            if (name.endsWith('*')) {
+                name = name.slice(0, -1);
+                const encoded = paramValue.match(/^([^']*)'[^']*'(.*)$/);
+                if (encoded) {
+                    paramValue = this.decodeCharset(Buffer.from(this.percentDecode(encoded[2]), 'latin1'), encoded[1]);
+                }
+            }
+
+            params[name] = paramValue;
+        }
+
+        return { value: value.trim(), params };
+    }
+
+    /**
+     * Decode RFC 2047 encoded words (=?charset?B|Q?text?=)
+     */
+    decodeHeader(value) {
+        return value
+            // Whitespace between adjacent encoded words is not part of the text
+            .replace(/(=\?[^?]+\?[bqBQ]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+            .replace(/=\?([^?]+)\?([bqBQ])\?([^?]*)\?=/g, (match, charset, encoding, text) => {
+                const bytes = encoding.toUpperCase() === 'B'
+                    ? Buffer.from(text, 'base64')
+                    : Buffer.from(this.decodeQuotedPrintable(text.replace(/_/g, ' ')), 'latin1');
+                return this.decodeCharset(bytes, charset);
+            });
+    }
+
+    decodeBody(entity) {
+        if (entity.encoding === 'base64') {
+            return Buffer.from(entity.body.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+        }
+        if (entity.encoding === 'quoted-printable') {
+            return Buffer.from(this.decodeQuotedPrintable(entity.body), 'latin1');
+        }
+        return Buffer.from(entity.body, 'latin1');
+    }
+
+    decodeText(entity) {
+        return this.decodeCharset(this.decodeBody(entity), entity.params.charset);
+    }
+
+    /**
+     * Quoted-printable to a binary (latin1) string
+     */
+    decodeQuotedPrintable(text) {
+        return text
+            .replace(/=\r?\n/g, '')
+            .replace(/=([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    }
+
+    percentDecode(text) {
+        return text.replace(/%([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    }
+
+    decodeCharset(bytes, charset) {
+        const label = (charset || 'utf-8').trim().toLowerCase();
+
+        // Mislabelled "iso-8859-1" mail is usually windows-1252, as browsers assume
+        if (WINDOWS_1252_LABELS.includes(label)) {
+            return Array.from(bytes, byte => WINDOWS_1252_EXTRAS[byte] || String.fromCharCode(byte)).join('');
+        }
+
+        try {
+            return new TextDecoder(label).decode(bytes);
+        } catch (error) {
+            // Unknown charset label: UTF-8 is the best guess
+            return new TextDecoder('utf-8').decode(bytes);
+        }
+    }
+
+    /**
+     * Convert an HTML body to readable plain text
+     */
+    htmlToText(html) {
+        return html
+            .replace(/<(head|style|script|title)\b[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+            .replace(/<!--[\s\S]*?-->/g, ' ')
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/(p|div|tr|li|h[1-6]|blockquote|table)>/gi, '\n')
+            .replace(/<(p|div|tr|li|h[1-6]|blockquote|table)\b[^>]*>/gi, '\n')
+            .replace(/<\/t[dh]>/gi, ' ')
+            .replace(/<[^>]*>/g, ' ')
+            .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => this.decodeEntity(entity) ?? match)
+            .replace(/[ \t]+/g, ' ')
+            .replace(/ *\n */g, '\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    decodeEntity(entity) {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : null;
+        }
+        return HTML_ENTITIES[entity.toLowerCase()] ?? null;
+    }
+
+    toBuffer(raw) {
+        if (Buffer.isBuffer(raw)) return raw;
+        if (raw instanceof Uint8Array) return Buffer.from(raw);
+        return Buffer.from(String(raw || ''), 'utf8');
+    }
+}
+
+module.exports = MimeParser;
@@ -0,0 +1,177 @@
+/**
+ * Pattern Profiles Module
+ * Named sets of reference patterns, exclusions and validation rules,
+ * chosen per email by the sender's address or domain
+ *
+ * Profile definition (JSON or YAML):
+ *   name                  - Unique name ("default" tunes the built-in profile)
+ *   priority              - Higher wins when several profiles match a sender
+ *   extends               - Profile to inherit from (defaults to "default")
+ *   match                 - { domains: [...], senders: [...] }
+ *   patterns              - Replaces the inherited reference patterns
+ *   additionalPatterns    - Tried before the inherited patterns
+ *   exclusions            - Replaces the inherited exclusions
+ *   additionalExclusions  - Added to the inherited exclusions
+ *   validation            - Overrides individual validation rules
+ *
+ * Patterns are regex source strings or { pattern, flags } objects;
+ * capture group 1 is the reference.
+ */
+
+const DEFAULT_PROFILE = 'default';
+
+class PatternProfiles {
+    /**
+     * @param {Object} config - { defaultProfile: { loadPatterns, exclusionPatterns, validationRules }, profiles: [...] }
+     */
+    constructor(config = {}) {
+        if (!config.defaultProfile) {
+            throw new Error('PatternProfiles requires a default profile');
+        }
+
+        this.definitions = new Map();
+        for (const definition of config.profiles || []) {
+            if (!definition?.name) {
+                throw new Error('Every pattern profile needs a name');
+            }
+            this.definitions.set(definition.name, definition);
+        }
+
+        const builtIn = {
+            name: DEFAULT_PROFILE,
+            priority: 0,
+            match: { domains: [], senders: [] },
+            ...config.defaultProfile
+        };
+        this.profiles = new Map([[DEFAULT_PROFILE, this.applyDefinition(builtIn, this.definitions.get(DEFAULT_PROFILE))]]);
+
+        for (const name of this.definitions.keys()) {
+            this.resolve(name, []);
+        }
+    }
+
+    /**
+     * Read profile definitions from a .json, .yaml or .yml file
+     * @returns {Array} - Profile definitions
+     */
+    static readFile(filePath) {
+        // Loaded here so the Zapier step bundles, which pass profiles inline, need no file access
+        const fs = require('fs');
+        const path = require('path');
+        const raw = fs.readFileSync(filePath, 'utf8');
+        const extension = path.extname(filePath).toLowerCase();
+
+        let document;
+        if (extension === '.yaml' || extension === '.yml') {
+            // Only needed for YAML configs, so loaded on demand
+            const YAML = require('yaml');
+            document = YAML.parse(raw);
+        } else {
+            document = JSON.parse(raw);
+        }
+
+        const profiles = Array.isArray(document) ? document : document?.profiles;
+        if (!Array.isArray(profiles)) {
+            throw new Error(`${filePath} must contain a "profiles" list`);
+        }
+        return profiles;
+    }
+
+    get(name) {
+        return this.profiles.get(name) || null;
+    }
+
+    /**
+     * Pick the profile for a sender: exact address matches, then domain
+     * (and subdomain) matches, highest priority first; "default" otherwise
+     * @param {string} sender - From address, e.g. "Dispatch <ops@broker.com>"
+     */
+    select(sender) {
+        const address = this.extractAddress(sender);
+        if (!address) {
+            return this.profiles.get(DEFAULT_PROFILE);
+        }
+
+        const domain = address.split('@')[1];
+        let best = null;
+
+        for (const profile of this.profiles.values()) {
+            const matchesSender = profile.match.senders.includes(address);
+            const matchesDomain = profile.match.domains.some(candidate => domain === candidate || domain.endsWith(`.${candidate}`));
+            if (!matchesSender && !matchesDomain) continue;
+
+            // An exact sender match beats a domain match of the same priority
+            const score = profile.priority * 2 + (matchesSender ? 1 : 0);
+            if (!best || score > best.score) {
+                best = { profile, score };
+            }
+        }
+
+        return best ? best.profile : this.profiles.get(DEFAULT_PROFILE);
+    }
+
+    resolve(name, chain) {
+        if (this.profiles.has(name)) {
+            return this.profiles.get(name);
+        }
+        if (chain.includes(name)) {
+            throw new Error(`Pattern profile inheritance loop: ${[...chain, name].join(' -> ')}`);
+        }
+
+        const definition = this.definitions.get(name);
+        if (!definition) {
+            throw new Error(`Unknown pattern profile: ${name}`);
+        }
+
+        const parent = this.resolve(definition.extends || DEFAULT_PROFILE, [...chain, name]);
+        const profile = this.applyDefinition(parent, definition);
+        this.profiles.set(name, profile);
+        return profile;
+    }
+
+    /**
+     * Layer a definition over an already compiled profile
+     */
+    applyDefinition(parent, definition) {
+        if (!definition) {
+            return parent;
+        }
+
+        const compile = (list, field) => (list || []).map(entry => this.compilePattern(entry, `${definition.name}.${field}`));
+        const loadPatterns = definition.patterns ? compile(definition.patterns, 'patterns') : parent.loadPatterns;
+        const exclusionPatterns = definition.exclusions ? compile(definition.exclusions, 'exclusions') : parent.exclusionPatterns;
+
+        return {
+            name: definition.name,
+            priority: Number(definition.priority ?? parent.priority ?? 0),
+            match: {
+                domains: (definition.match?.domains || []).map(domain => String(domain).toLowerCase()),
+                senders: (definition.match?.senders || []).map(sender => String(sender).toLowerCase())
+            },
+            loadPatterns: [...compile(definition.additionalPatterns, 'additionalPatterns'), ...loadPatterns],
+            exclusionPatterns: [...exclusionPatterns, ...compile(definition.additionalExclusions, 'additionalExclusions')],
+            validationRules: { ...parent.validationRules, ...definition.validation }
+        };
+    }
+
+    compilePattern(entry, location) {
+        if (entry instanceof RegExp) {
+            return entry;
+        }
+
+        const source = typeof entry === 'string' ? entry : entry?.pattern;
+        const flags = typeof entry === 'string' ? 'i' : (entry?.flags ?? 'i');
+        try {
+            return new RegExp(source, flags.replace('g', ''));
+        } catch (error) {
+            throw new Error(`Invalid pattern in ${location}: ${error.message}`);
+        }
+    }
+
+    extractAddress(value) {
+        const match = value && String(value).match(/[^\s<>"]+@[^\s<>"]+/);
+        return match ? match[0].toLowerCase() : null;
+    }
+}
+
+module.exports = PatternProfiles;
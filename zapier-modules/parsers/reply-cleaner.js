@@ -0,0 +1,148 @@
+/**
+ * Reply Cleaner Module
+ * Separates what the sender just wrote from quoted reply history
+ * and from their signature
+ */
+
+// Lines that start the quoted history of a reply
+const QUOTE_HEADERS = [
+    /^\s*-{2,}\s*Original Message\s*-{2,}/i,
+    /^\s*-{2,}\s*Forwarded message\s*-{2,}/i,
+    /^\s*Begin forwarded message:\s*$/i,
+    /^\s*_{10,}\s*$/ // Outlook's separator line above the From:/Sent: block
+];
+
+// Outlook / Gmail header block fields ("From: ... Sent: ... To: ... Subject: ...")
+const HEADER_BLOCK_FIELD = /^\s*\*?(From|Sent|Date|To|Cc|Subject)\s*:\*?\s*\S/i;
+
+// Lines that close a message and start a signature
+const SIGN_OFFS = /^\s*(?:thanks(?: again| so much)?|thank you(?: very much)?|thx|regards|best regards|kind regards|warm regards|best|cheers|sincerely|respectfully|v\/r|talk soon|have a (?:good|great) (?:day|one))\s*[,.!]?\s*$/i;
+const MOBILE_SIGNATURES = /^\s*(?:sent from my (?:iphone|ipad|android|mobile|samsung|galaxy)|get outlook for (?:ios|android)|sent via .+ mobile)\b/i;
+
+// A sign-off followed by more than this many lines is probably not the end of the message
+const MAX_SIGNATURE_LINES = 12;
+// Name, title, company and contact lines under a sign-off are short and ask nothing
+const MAX_SIGNATURE_LINE_LENGTH = 60;
+const MAX_SIGNATURE_LINE_WORDS = 8;
+
+class ReplyCleaner {
+    /**
+     * Split a reply into its parts
+     * @param {string} content - Plain text body
+     * @returns {Object} - { fresh, signature, quoted }
+     */
+    split(content) {
+        if (!content || typeof content !== 'string') {
+            return { fresh: '', signature: '', quoted: '' };
+        }
+
+        const lines = content.split(/\r?\n/);
+        const quoteStart = this.findQuoteStart(lines);
+        const ownLines = lines.slice(0, quoteStart);
+        const quotedLines = lines.slice(quoteStart);
+
+        // Inline ">" lines in the sender's own part are history too
+        const freshLines = [];
+        for (const line of ownLines) {
+            if (/^\s*>/.test(line)) {
+                quotedLines.unshift(line);
+            } else {
+                freshLines.push(line);
+            }
+        }
+
+        const signatureStart = this.findSignatureStart(freshLines);
+
+        return {
+            fresh: freshLines.slice(0, signatureStart).join('\n').trim(),
+            signature: freshLines.slice(signatureStart).join('\n').trim(),
+            quoted: quotedLines.map(line => line.replace(/^\s*(?:>\s?)+/, '')).join('\n').trim()
+        };
+    }
+
+    /**
+     * Return only what the sender just wrote (no quoted history, no signature)
+     */
+    getFreshText(content) {
+        return this.split(content).fresh;
+    }
+
+    /**
+     * Return the quoted history (with ">" markers removed)
+     */
+    getQuotedText(content) {
+        return this.split(content).quoted;
+    }
+
+    /**
+     * Index of the first line of quoted history (lines.length when there is none)
+     */
+    findQuoteStart(lines) {
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+
+            if (QUOTE_HEADERS.some(pattern => pattern.test(line))) {
+                return i;
+            }
+
+            // "On Mon, Oct 19, 2026 at 9:14 AM Joe <joe@carrier.com> wrote:" (clients wrap it over up to 3 lines)
+            if (/^\s*On\s/i.test(line)) {
+                for (let length = 1; length <= 3; length++) {
+                    const attribution = lines.slice(i, i + length).join(' ');
+                    if (attribution.length <= 300 && /\bwrote:\s*$/i.test(attribution)) {
+                        return i;
+                    }
+                }
+            }
+
+            // Outlook: "From: ..." followed by Sent:/Date:/To:/Subject: lines
+            if (/^\s*\*?From\s*:/i.test(line) && i > 0) {
+                const following = lines.slice(i + 1, i + 5).filter(next => HEADER_BLOCK_FIELD.test(next));
+                if (following.length >= 2) {
+                    return i;
+                }
+            }
+        }
+
+        return lines.length;
+    }
+
+    /**
+     * Index of the first signature line (lines.length when there is none)
+     */
+    findSignatureStart(lines) {
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+
+            // "-- " is the standard signature delimiter
+            if (/^--\s*$/.test(line) || MOBILE_SIGNATURES.test(line)) {
+                return i;
+            }
+
+            if (SIGN_OFFS.test(line) && i > 0 && lines.length - i <= MAX_SIGNATURE_LINES &&
+                lines.slice(i + 1).every(next => this.isSignatureLine(next))) {
+                return i;
+            }
+        }
+
+        return lines.length;
+    }
+
+    /**
+     * Whether a line after a sign-off reads like a name or contact detail
+     * rather than more of the message ("Is load AB123456 still available?")
+     */
+    isSignatureLine(line) {
+        const text = line.trim();
+        if (!text) {
+            return true;
+        }
+        const words = text.split(/\s+/).length;
+        return text.length <= MAX_SIGNATURE_LINE_LENGTH &&
+            words <= MAX_SIGNATURE_LINE_WORDS &&
+            !text.includes('?') &&
+            !(/[.!]$/.test(text) && words > 3);
+    }
+}
+
+module.exports = ReplyCleaner;
@@ -0,0 +1,31 @@
+/**
+ * File Review Queue
+ * Persists review drafts to a JSON file for local and
+ * single-instance deployments
+ */
+
+const ReviewQueue = require('./review-queue');
+const JsonFileStore = require('../storage/json-file-store');
+
+class FileReviewQueue extends ReviewQueue {
+    constructor(config = {}) {
+        super(config);
+        this.file = new JsonFileStore({
+            filePath: config.filePath,
+            defaultValue: this.createEmptyState()
+        });
+    }
+
+    async healthCheck() {
+        return this.file.healthCheck();
+    }
+
+    async withState(fn, options = {}) {
+        if (options.write === false) {
+            return fn(await this.file.read());
+        }
+        return this.file.update(fn);
+    }
+}
+
+module.exports = FileReviewQueue;
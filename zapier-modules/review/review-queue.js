@@ -0,0 +1,143 @@
+/**
+ * Review Queue
+ * Holds generated replies as drafts until a person approves, edits or
+ * rejects them. This base queue keeps drafts in memory; see
+ * FileReviewQueue for the file-backed version.
+ */
+
+const crypto = require('crypto');
+
+const DRAFT_STATUSES = ['pending', 'approved', 'rejected'];
+
+class ReviewQueue {
+    constructor(config = {}) {
+        this.state = this.createEmptyState();
+    }
+
+    /**
+     * Add a draft reply to the queue
+     * @param {Object} draft - { requestId, email, response, reasons, loadReference }
+     * @returns {Promise<Object>} - Stored draft with id and status
+     */
+    async enqueue(draft) {
+        return this.withState(state => {
+            const now = new Date().toISOString();
+            const record = {
+                id: `draft_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+                status: 'pending',
+                createdAt: now,
+                updatedAt: now,
+                requestId: draft.requestId || null,
+                loadReference: draft.loadReference || null,
+                reasons: draft.reasons || [],
+                email: draft.email || {},
+                response: draft.response
+            };
+
+            state.drafts[record.id] = record;
+            return { ...record };
+        });
+    }
+
+    /**
+     * List drafts, newest first
+     * @param {Object} filter - { status } (omit for all drafts)
+     */
+    async list(filter = {}) {
+        if (filter.status && !DRAFT_STATUSES.includes(filter.status)) {
+            throw new Error(`Invalid draft status: ${filter.status}`);
+        }
+
+        return this.withState(state => Object.values(state.drafts)
+            .filter(draft => !filter.status || draft.status === filter.status)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt)), { write: false });
+    }
+
+    async get(id) {
+        return this.withState(state => (state.drafts[id] ? { ...state.drafts[id] } : null), { write: false });
+    }
+
+    /**
+     * Approve a draft as generated
+     */
+    async approve(id, options = {}) {
+        return this.resolve(id, 'approved', { reviewer: options.reviewer });
+    }
+
+    /**
+     * Replace the draft's subject and/or body, then approve it
+     */
+    async edit(id, changes = {}) {
+        if (!changes.subject && !changes.body) {
+            throw new Error('An edit needs a new subject or body');
+        }
+
+        return this.resolve(id, 'approved', {
+            reviewer: changes.reviewer,
+            edits: { subject: changes.subject, body: changes.body }
+        });
+    }
+
+    /**
+     * Reject a draft so it is never sent
+     */
+    async reject(id, options = {}) {
+        return this.resolve(id, 'rejected', {
+            reviewer: options.reviewer,
+            rejectionReason: options.reason
+        });
+    }
+
+    async resolve(id, status, details) {
+        return this.withState(state => {
+            const draft = state.drafts[id];
+            if (!draft) {
+                throw new Error(`Draft not found: ${id}`);
+            }
+            if (draft.status !== 'pending') {
+                throw new Error(`Draft ${id} is already ${draft.status}`);
+            }
+
+            if (details.edits) {
+                draft.originalResponse = { ...draft.response };
+                draft.response = {
+                    ...draft.response,
+                    subject: details.edits.subject || draft.response.subject,
+                    body: details.edits.body || draft.response.body
+                };
+                draft.edited = true;
+            }
+            if (details.rejectionReason) {
+                draft.rejectionReason = details.rejectionReason;
+            }
+
+            draft.status = status;
+            draft.reviewer = details.reviewer || null;
+            draft.reviewedAt = new Date().toISOString();
+            draft.updatedAt = draft.reviewedAt;
+            return { ...draft };
+        });
+    }
+
+    /**
+     * Report whether the store is usable
+     * Subclasses that persist state override this.
+     */
+    async healthCheck() {
+        return { healthy: true, message: 'Drafts are kept in memory' };
+    }
+
+    /**
+     * Run a function against the queue state
+     * Subclasses override this to load and persist the state.
+     */
+    async withState(fn, options = {}) {
+        return fn(this.state);
+    }
+
+    createEmptyState() {
+        return { drafts: {} };
+    }
+}
+
+module.exports = ReviewQueue;
@@ -0,0 +1,34 @@
+/**
+ * API Load Source
+ * Looks up loads through the QuoteFactory HTTP API (Auth0 authenticated)
+ */
+
+const LoadSource = require('./load-source');
+const Auth0Client = require('../auth/auth0-client');
+const QuoteFactoryAPI = require('../api/quotefactory-api');
+
+class ApiLoadSource extends LoadSource {
+    constructor(config = {}) {
+        super({ name: 'api', ...config });
+
+        // Accept a ready-made client or build one from credentials
+        this.api = config.api || new QuoteFactoryAPI({
+            baseUrl: config.baseUrl,
+            username: config.username,
+            password: config.password,
+            auth0Client: config.auth0Client || new Auth0Client(config.auth0 || {}),
+            // Without a logger from the caller, the client logs under its own module name
+            logger: config.logger
+        });
+    }
+
+    async searchLoad(loadReference) {
+        return this.api.searchLoad(loadReference);
+    }
+
+    async healthCheck() {
+        return this.api.healthCheck();
+    }
+}
+
+module.exports = ApiLoadSource;
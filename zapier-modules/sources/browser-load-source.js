@@ -0,0 +1,417 @@
+/**
+ * Browser Load Source
+ * Looks up loads by driving the QuoteFactory web app with Puppeteer,
+ * either through Browserless.io or a local Chrome installation
+ */
+
+const LoadSource = require('./load-source');
+const QuoteFactoryAPI = require('../api/quotefactory-api');
+
+const BROWSERLESS_ENDPOINT = 'wss://production-sfo.browserless.io';
+const LOCAL_LAUNCH_OPTIONS = {
+    headless: true,
+    args: ['--no-sandbox', '--disable-setuid-sandbox']
+};
+
+class BrowserLoadSource extends LoadSource {
+    constructor(config = {}) {
+        super({ name: 'browser', ...config });
+        this.username = config.username;
+        this.password = config.password;
+        this.browserlessToken = config.browserlessToken;
+        this.browser = null;
+        this.page = null;
+        // Reused for its transformLoadData() normalization only
+        this.normalizer = new QuoteFactoryAPI({});
+    }
+
+    // Helper method to replace deprecated waitForTimeout
+    async wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    async initialize() {
+        try {
+            this.logger.debug('Initializing browser for QuoteFactory');
+            // Loaded lazily so the module stays usable where Puppeteer is not installed
+            const { default: puppeteer } = await import('puppeteer-core');
+            
+            // Strategy 1: Use Browserless.io service (RECOMMENDED for Vercel)
+            if (this.browserlessToken) {
+                this.logger.debug('Connecting to Browserless.io');
+                try {
+                    this.browser = await puppeteer.connect({
+                        browserWSEndpoint: `${BROWSERLESS_ENDPOINT}?token=${this.browserlessToken}`,
+                    });
+                    this.logger.debug('Connected to Browserless.io');
+                } catch (browserlessError) {
+                    this.logger.warn('Browserless.io connection failed - check BROWSERLESS_TOKEN', { error: browserlessError.message });
+                    // Continue to fallback
+                }
+            } else {
+                this.logger.debug('No BROWSERLESS_TOKEN - browser automation may fail on Vercel');
+            }
+            
+            // Strategy 2: Try local chromium if no browser yet
+            if (!this.browser) {
+                if (this.isServerless()) {
+                    throw new Error('Browser automation requires Browserless.io token in serverless environments. Please add BROWSERLESS_TOKEN to environment variables.');
+                }
+                
+                // Local development only
+                this.logger.debug('Launching local Chrome');
+                this.browser = await puppeteer.launch(LOCAL_LAUNCH_OPTIONS);
+            }
+            
+            this.page = await this.browser.newPage();
+            
+            await this.page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+            
+            // Block heavy resources to save memory and time
+            await this.page.setRequestInterception(true);
+            this.page.on('request', (req) => {
+                const url = req.url();
+                const resourceType = req.resourceType();
+                
+                if (url.includes('quotefactory.com') || url.includes('auth0.com')) {
+                    req.continue();
+                } else if (['image', 'font', 'stylesheet'].includes(resourceType)) {
+                    req.abort();
+                } else {
+                    req.continue();
+                }
+            });
+            
+            this.logger.debug('Browser initialized');
+            return true;
+            
+        } catch (error) {
+            this.logger.error('Failed to initialize browser', error);
+            return false;
+        }
+    }
+
+    async cleanup() {
+        try {
+            if (this.page) await this.page.close();
+            if (this.browser) await this.browser.close();
+            this.page = null;
+            this.browser = null;
+            this.logger.debug('Browser closed');
+        } catch (error) {
+            this.logger.warn('Browser cleanup failed', error);
+        }
+    }
+
+    async loginToQuoteFactory() {
+        try {
+            this.logger.debug('Logging in to QuoteFactory');
+            
+            const username = this.username;
+            const password = this.password;
+            
+            if (!username || !password) {
+                this.logger.error('No QuoteFactory credentials configured');
+                return false;
+            }
+            
+            this.page.setDefaultTimeout(15000);
+            this.page.setDefaultNavigationTimeout(15000);
+            
+            await this.page.goto('https://app.quotefactory.com', {
+                waitUntil: 'domcontentloaded',
+                timeout: 15000
+            });
+            
+            if (this.page.url().includes('/broker/dashboard')) {
+                this.logger.debug('Already logged in');
+                return true;
+            }
+            
+            this.logger.debug('Login form expected');
+            await this.wait(500);
+            
+            try {
+                let loginSuccess = false;
+                
+                // Method 1: Direct form fields
+                try {
+                    await this.page.waitForSelector('input[type="email"], input[name="username"]', { timeout: 10000 });
+                    const emailField = await this.page.$('input[type="email"], input[name="username"]');
+                    const passwordField = await this.page.$('input[type="password"]');
+                    
+                    if (emailField && passwordField) {
+                        this.logger.debug('Filling login form');
+                        await emailField.type(username, { delay: 10 });
+                        await passwordField.type(password, { delay: 10 });
+                        await this.page.keyboard.press('Enter');
+                        loginSuccess = true;
+                    }
+                } catch (e) {
+                    this.logger.debug('Login form not found on page', { error: e.message });
+                }
+                
+                // Method 2: Auth0 iframe (simplified for Puppeteer)
+                if (!loginSuccess) {
+                    try {
+                        this.logger.debug('Trying Auth0 iframe');
+                        const frames = await this.page.frames();
+                        
+                        for (const frame of frames) {
+                            if (frame.url().includes('auth0.com')) {
+                                await frame.waitForSelector('input[type="email"], input[name="username"]', { timeout: 5000 });
+                                const emailField = await frame.$('input[type="email"], input[name="username"]');
+                                const passwordField = await frame.$('input[type="password"]');
+                                
+                                if (emailField && passwordField) {
+                                    await emailField.type(username, { delay: 10 });
+                                    await passwordField.type(password, { delay: 10 });
+                                    await frame.keyboard.press('Enter');
+                                    loginSuccess = true;
+                                    break;
+                                }
+                            }
+                        }
+                    } catch (e) {
+                        this.logger.debug('Auth0 iframe login failed', { error: e.message });
+                    }
+                }
+                
+                if (!loginSuccess) {
+                    this.logger.error('QuoteFactory login form not found');
+                    return false;
+                }
+                
+                this.logger.debug('Waiting for login to complete');
+                
+                // Wait for OAuth callback redirect to complete
+                try {
+                    await this.page.waitForFunction(
+                        () => window.location.href.includes('/broker/dashboard') || window.location.href.includes('/dashboard'),
+                        { timeout: 2000 }
+                    );
+                    this.logger.debug('Logged in to QuoteFactory');
+                    return true;
+                } catch (timeoutError) {
+                    // The URL carries the OAuth code here, so it is never logged
+                    const currentUrl = this.page.url();
+                    
+                    // If we're on the auth callback, wait a bit more for redirect
+                    if (currentUrl.includes('/auth?code=')) {
+                        this.logger.debug('On OAuth callback, waiting for redirect');
+                        await this.wait(3000);
+                        
+                        const finalUrl = this.page.url();
+                        if (finalUrl.includes('/broker/dashboard') || finalUrl.includes('/dashboard')) {
+                            this.logger.debug('Logged in to QuoteFactory after redirect');
+                            return true;
+                        }
+                    }
+                    
+                    this.logger.error('QuoteFactory login did not reach the dashboard', { path: pathOf(currentUrl) });
+                    return false;
+                }
+                
+            } catch (loginError) {
+                this.logger.error('QuoteFactory login failed', loginError);
+                return false;
+            }
+            
+        } catch (error) {
+            this.logger.error('QuoteFactory login failed', error);
+            return false;
+        }
+    }
+
+    async searchLoadInfo(loadReference) {
+        try {
+            this.logger.debug('Searching QuoteFactory', { reference: loadReference });
+            
+            // Step 1: Click search button to open search
+            
+            let searchFieldFound = false;
+            try {
+                await this.page.evaluate(() => {
+                    const buttons = Array.from(document.querySelectorAll('button'));
+                    const searchBtn = buttons.find(btn => 
+                        btn.textContent.includes('Find') || 
+                        btn.textContent.includes('anything')
+                    );
+                    if (searchBtn) {
+                        searchBtn.click();
+                        return true;
+                    }
+                    return false;
+                });
+                await this.wait(1500);
+                await this.page.waitForSelector('#search_field', { timeout: 5000 });
+                searchFieldFound = true;
+            } catch (err) {
+                this.logger.debug('Could not open search', { error: err.message });
+            }
+            
+            if (!searchFieldFound) {
+                this.logger.warn('QuoteFactory search field not found', { reference: loadReference });
+                return null;
+            }
+            
+            // Step 3: Type the reference
+            await this.page.click('#search_field', { clickCount: 3 });
+            await this.page.type('#search_field', loadReference, { delay: 50 });
+            
+            // Step 4: Press Enter
+            await this.page.keyboard.press('Enter');
+            
+            // Step 5: Wait for results to load
+            await this.wait(3000);
+            
+            // Step 6: Analyze page content
+            const pageAnalysis = await this.page.evaluate(() => {
+                const bodyText = document.body.innerText;
+                const allText = bodyText.substring(0, 3000);
+                
+                const hasPickup = bodyText.toLowerCase().includes('pickup');
+                const hasDelivery = bodyText.toLowerCase().includes('delivery');
+                const hasWeight = bodyText.toLowerCase().includes('weight');
+                const hasRate = bodyText.toLowerCase().includes('rate');
+                const hasLoad = bodyText.toLowerCase().includes('load');
+                
+                return {
+                    path: window.location.pathname,
+                    allText,
+                    keywords: { hasPickup, hasDelivery, hasWeight, hasRate, hasLoad }
+                };
+            });
+            
+            this.logger.debug('Search results page', { path: pageAnalysis.path, keywords: pageAnalysis.keywords });
+
+            // Step 7: Extract load info with better patterns
+            const loadInfo = await this.page.evaluate(() => {
+                const text = document.body.innerText;
+                
+                const pickupMatch = text.match(/(?:Pickup|Origin|From)[:\s]*([^\n]{10,80})/i);
+                const deliveryMatch = text.match(/(?:Delivery|Destination|To)[:\s]*([^\n]{10,80})/i);
+                const weightMatch = text.match(/(?:Weight|Pounds|lbs)[:\s]*([^\n]{5,30})/i);
+                const rateMatch = text.match(/(?:Rate|Price|Cost)[:\s]*\$?([^\n]{3,20})/i);
+                
+                return { 
+                    pickup: pickupMatch?.[1]?.trim() || "N/A",
+                    delivery: deliveryMatch?.[1]?.trim() || "N/A",
+                    weight: weightMatch?.[1]?.trim() || "N/A",
+                    rate: rateMatch?.[1]?.trim() || "N/A"
+                };
+            });
+
+            this.logger.debug('Extracted load info', { reference: loadReference, ...loadInfo });
+
+            // Return load info if we found any meaningful data
+            if (loadInfo.pickup !== "N/A" || loadInfo.delivery !== "N/A" || 
+                pageAnalysis.keywords.hasPickup || pageAnalysis.keywords.hasDelivery) {
+                this.logger.info('Load found in QuoteFactory', { reference: loadReference });
+                return loadInfo;
+            } else {
+                this.logger.info('No load data on QuoteFactory search page', { reference: loadReference });
+                return null;
+            }
+            
+        } catch (error) {
+            this.logger.error('QuoteFactory search failed', error, { reference: loadReference });
+            return null;
+        }
+    }
+
+    /**
+     * Run a full browser session and return the scraped load
+     * in the QuoteFactoryAPI.transformLoadData() shape
+     */
+    async searchLoad(loadReference) {
+        if (!this.username || !this.password) {
+            throw new Error('QuoteFactory credentials (username, password) are required for browser lookups');
+        }
+
+        try {
+            const browserReady = await this.initialize();
+            if (!browserReady) {
+                throw new Error('Browser initialization failed');
+            }
+
+            const loginSuccess = await this.loginToQuoteFactory();
+            if (!loginSuccess) {
+                throw new Error('QuoteFactory login failed');
+            }
+
+            const loadInfo = await this.searchLoadInfo(loadReference);
+            return loadInfo ? this.normalizeLoadInfo(loadReference, loadInfo) : null;
+        } finally {
+            await this.cleanup();
+        }
+    }
+
+    normalizeLoadInfo(loadReference, loadInfo) {
+        const valueOf = (field) => (field && field !== 'N/A' ? field : null);
+        const rateText = valueOf(loadInfo.rate);
+        const rateAmount = rateText ? parseFloat(rateText.replace(/[^\d.]/g, '')) : NaN;
+
+        return this.normalizer.transformLoadData({
+            referenceNumber: loadReference,
+            pickupLocation: valueOf(loadInfo.pickup),
+            deliveryLocation: valueOf(loadInfo.delivery),
+            weight: valueOf(loadInfo.weight),
+            rate: Number.isFinite(rateAmount) ? rateAmount : rateText
+        });
+    }
+
+    /**
+     * Check that a browser can be reached, the same way initialize() would:
+     * Browserless.io when a token is set, otherwise local Chromium (never
+     * on serverless). Opens and closes a throwaway connection, so it does
+     * not log in to QuoteFactory.
+     */
+    async healthCheck() {
+        const mode = this.browserlessToken ? 'browserless' : 'local';
+
+        if (!this.browserlessToken && this.isServerless()) {
+            return {
+                healthy: false,
+                mode,
+                message: 'Browser automation requires BROWSERLESS_TOKEN in serverless environments'
+            };
+        }
+
+        let browser = null;
+        try {
+            const { default: puppeteer } = await import('puppeteer-core');
+            browser = this.browserlessToken
+                ? await puppeteer.connect({ browserWSEndpoint: `${BROWSERLESS_ENDPOINT}?token=${this.browserlessToken}` })
+                : await puppeteer.launch(LOCAL_LAUNCH_OPTIONS);
+            const version = await browser.version();
+            return { healthy: true, mode, message: `${version} available` };
+        } catch (error) {
+            return { healthy: false, mode, message: error.message };
+        } finally {
+            if (browser) {
+                // Disconnecting ends a Browserless session; closing ends a local Chromium
+                await (this.browserlessToken ? browser.disconnect() : browser.close()).catch(() => {});
+            }
+        }
+    }
+
+    isServerless() {
+        return !!process.env.VERCEL || !!process.env.AWS_LAMBDA_FUNCTION_NAME;
+    }
+
+    async close() {
+        await this.cleanup();
+    }
+}
+
+// Path of a page URL without its query, which may hold an OAuth code
+function pathOf(url) {
+    try {
+        return new URL(url).pathname;
+    } catch {
+        return null;
+    }
+}
+
+module.exports = BrowserLoadSource;
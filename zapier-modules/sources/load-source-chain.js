@@ -0,0 +1,110 @@
+/**
+ * Load Source Chain
+ * Tries an ordered list of load sources until one returns the load
+ */
+
+const LoadSource = require('./load-source');
+
+class LoadSourceChain extends LoadSource {
+    constructor(config = {}) {
+        super({ name: 'chain', ...config });
+        this.sources = config.sources || [];
+
+        for (const source of this.sources) {
+            if (!source || typeof source.searchLoad !== 'function') {
+                throw new Error('Every load source must implement searchLoad(reference)');
+            }
+        }
+    }
+
+    /**
+     * Look up a load, recording the outcome of every source tried
+     * @returns {Object} - { loadData, source, attempts }
+     */
+    async lookup(loadReference) {
+        const attempts = [];
+
+        for (const source of this.sources) {
+            const startTime = Date.now();
+            const sourceName = source.name || source.constructor.name;
+
+            try {
+                const loadData = await source.searchLoad(loadReference);
+                attempts.push({
+                    source: sourceName,
+                    status: loadData ? 'found' : 'not_found',
+                    durationMs: Date.now() - startTime
+                });
+
+                if (loadData) {
+                    return { loadData, source: sourceName, attempts };
+                }
+            } catch (error) {
+                this.logger.error(`Load source ${sourceName} failed:`, error.message);
+                attempts.push({
+                    source: sourceName,
+                    status: 'error',
+                    error: error.message,
+                    durationMs: Date.now() - startTime
+                });
+            }
+        }
+
+        // Only surface an error when no source could give a definite answer
+        if (attempts.length > 0 && attempts.every(attempt => attempt.status === 'error')) {
+            const error = new Error(`All load sources failed: ${attempts.map(a => `${a.source}: ${a.error}`).join('; ')}`);
+            error.attempts = attempts;
+            throw error;
+        }
+
+        return { loadData: null, source: null, attempts };
+    }
+
+    async searchLoad(loadReference) {
+        const { loadData } = await this.lookup(loadReference);
+        return loadData;
+    }
+
+    /**
+     * Check every source in turn
+     * The chain is healthy when every source is, degraded while at least
+     * one can still answer lookups, and unhealthy when none can.
+     * @returns {Object} - { healthy, status, message, checks: { <source name>: { healthy, latencyMs, ... } } }
+     */
+    async healthCheck() {
+        const checks = {};
+        for (const source of this.sources) {
+            const sourceName = source.name || source.constructor.name;
+            const startTime = Date.now();
+            try {
+                const check = typeof source.healthCheck === 'function'
+                    ? await source.healthCheck()
+                    : { healthy: true, message: 'No health check available' };
+                checks[sourceName] = { ...check, latencyMs: Date.now() - startTime };
+            } catch (error) {
+                checks[sourceName] = { healthy: false, message: error.message, latencyMs: Date.now() - startTime };
+            }
+        }
+
+        const results = Object.values(checks);
+        const healthyCount = results.filter(check => check.healthy).length;
+        const status = healthyCount === results.length ? 'healthy' : healthyCount > 0 ? 'degraded' : 'unhealthy';
+
+        return {
+            healthy: healthyCount > 0,
+            status,
+            message: `${healthyCount} of ${results.length} load sources healthy`,
+            checks
+        };
+    }
+
+    async close() {
+        for (const source of this.sources) {
+            if (typeof source.close === 'function') {
+                await source.close();
+            }
+        }
+    }
+}
+
+module.exports = LoadSourceChain;
@@ -0,0 +1,43 @@
+/**
+ * Load Source Contract
+ * Base class for every backend that can look up a load by reference.
+ *
+ * Implementations must resolve searchLoad() with data in the
+ * QuoteFactoryAPI.transformLoadData() shape, or null when the load
+ * is not known to that source. Failures should throw.
+ */
+
+const Logger = require('../logging/logger');
+
+class LoadSource {
+    constructor(config = {}) {
+        this.name = config.name || 'source';
+        this.logger = config.logger || new Logger({ module: `${this.name}-load-source` });
+    }
+
+    /**
+     * Look up a load by reference number
+     * @param {string} loadReference - Normalized load reference
+     * @returns {Promise<Object|null>} - Normalized load data or null
+     */
+    async searchLoad(loadReference) {
+        throw new Error(`${this.constructor.name} must implement searchLoad()`);
+    }
+
+    /**
+     * Report whether the source is usable
+     */
+    async healthCheck() {
+        return {
+            healthy: true,
+            message: `${this.name} source has no health check`
+        };
+    }
+
+    /**
+     * Release any resources held by the source
+     */
+    async close() {}
+}
+
+module.exports = LoadSource;
@@ -0,0 +1,56 @@
+/**
+ * Mock Load Source
+ * In-memory fixture source for offline testing and local development
+ */
+
+const LoadSource = require('./load-source');
+const QuoteFactoryAPI = require('../api/quotefactory-api');
+
+class MockLoadSource extends LoadSource {
+    constructor(config = {}) {
+        super({ name: 'mock', ...config });
+        this.loads = new Map();
+        this.failures = new Map();
+        this.latencyMs = config.latencyMs || 0;
+        // Reused for its transformLoadData() normalization only
+        this.normalizer = new QuoteFactoryAPI({});
+
+        for (const [reference, apiData] of Object.entries(config.loads || {})) {
+            this.addLoad(reference, apiData);
+        }
+        for (const [reference, message] of Object.entries(config.failures || {})) {
+            this.failures.set(this.normalizeKey(reference), message);
+        }
+    }
+
+    /**
+     * Register a fixture using raw QuoteFactory API fields
+     * (referenceNumber, pickupLocation, rate, ...)
+     */
+    addLoad(reference, apiData) {
+        const loadData = this.normalizer.transformLoadData({
+            referenceNumber: reference,
+            ...apiData
+        });
+        this.loads.set(this.normalizeKey(reference), loadData);
+    }
+
+    async searchLoad(loadReference) {
+        if (this.latencyMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+        }
+
+        const key = this.normalizeKey(loadReference);
+        if (this.failures.has(key)) {
+            throw new Error(this.failures.get(key));
+        }
+
+        return this.loads.get(key) || null;
+    }
+
+    normalizeKey(reference) {
+        return String(reference).trim().toUpperCase();
+    }
+}
+
+module.exports = MockLoadSource;
@@ -0,0 +1,153 @@
+/**
+ * Conversation Store
+ * Remembers what the bot already told each email thread, keyed by
+ * Message-ID, so follow-ups (In-Reply-To / References) reuse the known load.
+ * This base store keeps state in memory; see FileConversationStore
+ * for the file-backed version.
+ */
+
+const DEFAULT_TTL_DAYS = 30;
+
+class ConversationStore {
+    constructor(config = {}) {
+        this.ttlMs = (config.ttlDays || DEFAULT_TTL_DAYS) * 24 * 60 * 60 * 1000;
+        this.state = this.createEmptyState();
+    }
+
+    /**
+     * Find the thread an email belongs to
+     * @param {Object} headers - { messageId, inReplyTo, references }
+     * @returns {Promise<Object|null>} - Thread record or null
+     */
+    async findThread(headers) {
+        const ids = this.collectMessageIds(headers);
+        if (ids.length === 0) {
+            return null;
+        }
+
+        return this.withState(state => {
+            for (const id of ids) {
+                const threadId = state.messages[id];
+                if (threadId && state.threads[threadId]) {
+                    return { ...state.threads[threadId] };
+                }
+            }
+            return null;
+        }, { write: false });
+    }
+
+    /**
+     * Record an email and what was sent for it
+     * @param {Object} headers - { messageId, inReplyTo, references }
+     * @param {Object} details - { loadReference, loadReferences, scenario, subject, capacity, carrier }
+     * @returns {Promise<Object|null>} - Updated thread record
+     */
+    async saveThread(headers, details = {}) {
+        const ids = this.collectMessageIds(headers);
+        if (ids.length === 0) {
+            return null;
+        }
+
+        return this.withState(state => {
+            const now = new Date().toISOString();
+            const existingId = ids.map(id => state.messages[id]).find(threadId => threadId && state.threads[threadId]);
+            const threadId = existingId || ids[ids.length - 1];
+
+            const thread = state.threads[threadId] || {
+                threadId,
+                messageIds: [],
+                createdAt: now
+            };
+
+            // Keep the last known load when a follow-up did not name one
+            if (details.loadReference) {
+                thread.loadReference = details.loadReference;
+                thread.loadReferences = details.loadReferences || [details.loadReference];
+            }
+            if (details.scenario) {
+                thread.scenario = details.scenario;
+            }
+            if (details.subject) {
+                thread.subject = details.subject;
+            }
+            if (details.capacity) {
+                thread.capacity = details.capacity;
+            }
+            if (details.carrier) {
+                thread.carrier = details.carrier;
+            }
+            thread.updatedAt = now;
+
+            for (const id of ids) {
+                if (!thread.messageIds.includes(id)) {
+                    thread.messageIds.push(id);
+                }
+                state.messages[id] = threadId;
+            }
+
+            state.threads[threadId] = thread;
+            this.pruneExpired(state);
+            return { ...thread };
+        });
+    }
+
+    /**
+     * Report whether the store is usable
+     * Subclasses that persist state override this.
+     */
+    async healthCheck() {
+        return { healthy: true, message: 'Conversations are kept in memory' };
+    }
+
+    /**
+     * Run a function against the store state
+     * Subclasses override this to load and persist the state.
+     */
+    async withState(fn, options = {}) {
+        return fn(this.state);
+    }
+
+    /**
+     * Message-ID, In-Reply-To and References as one de-duplicated list,
+     * oldest thread ancestor first and the email's own id last
+     */
+    collectMessageIds(headers = {}) {
+        const ids = [
+            ...this.parseIdList(headers.references),
+            ...this.parseIdList(headers.inReplyTo),
+            ...this.parseIdList(headers.messageId)
+        ];
+
+        return [...new Set(ids)];
+    }
+
+    parseIdList(value) {
+        if (!value) return [];
+
+        const values = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+        return values
+            .map(id => String(id).trim().replace(/^<|>$/g, ''))
+            .filter(Boolean);
+    }
+
+    pruneExpired(state) {
+        const cutoff = Date.now() - this.ttlMs;
+
+        for (const [threadId, thread] of Object.entries(state.threads)) {
+            if (new Date(thread.updatedAt).getTime() < cutoff) {
+                delete state.threads[threadId];
+            }
+        }
+        for (const [messageId, threadId] of Object.entries(state.messages)) {
+            if (!state.threads[threadId]) {
+                delete state.messages[messageId];
+            }
+        }
+    }
+
+    createEmptyState() {
+        return { threads: {}, messages: {} };
+    }
+}
+
+module.exports = ConversationStore;
@@ -0,0 +1,31 @@
+/**
+ * File Conversation Store
+ * Persists conversation state to a JSON file for local and
+ * single-instance deployments
+ */
+
+const ConversationStore = require('./conversation-store');
+const JsonFileStore = require('../storage/json-file-store');
+
+class FileConversationStore extends ConversationStore {
+    constructor(config = {}) {
+        super(config);
+        this.file = new JsonFileStore({
+            filePath: config.filePath,
+            defaultValue: this.createEmptyState()
+        });
+    }
+
+    async healthCheck() {
+        return this.file.healthCheck();
+    }
+
+    async withState(fn, options = {}) {
+        if (options.write === false) {
+            return fn(await this.file.read());
+        }
+        return this.file.update(fn);
+    }
+}
+
+module.exports = FileConversationStore;
@@ -0,0 +1,96 @@
+/**
+ * JSON File Store
+ * Small persistence helper for local, file-backed stores.
+ * Writes go to a temp file and are renamed into place so readers never see
+ * a half-written document. Updates to the same file are serialized across
+ * every JsonFileStore in the process, since handlers create their stores
+ * per request.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Tail of the update queue for each file, by absolute path
+const updateQueues = new Map();
+
+class JsonFileStore {
+    constructor(config) {
+        if (!config?.filePath) {
+            throw new Error('JsonFileStore requires a filePath');
+        }
+
+        this.filePath = config.filePath;
+        this.defaultValue = config.defaultValue || {};
+    }
+
+    /**
+     * Read the current document (default value if the file does not exist)
+     */
+    async read() {
+        try {
+            const raw = await fs.promises.readFile(this.filePath, 'utf8');
+            return raw.trim() ? JSON.parse(raw) : this.cloneDefault();
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return this.cloneDefault();
+            }
+            throw new Error(`Failed to read ${this.filePath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Replace the document on disk
+     */
+    async write(document) {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.${crypto.randomUUID()}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify(document, null, 2));
+        await fs.promises.rename(tempPath, this.filePath);
+    }
+
+    /**
+     * Read-modify-write the document
+     * @param {Function} updater - Receives the document, may mutate it and return a value
+     * @returns {Promise<*>} - Whatever the updater returned
+     */
+    async update(updater) {
+        const key = path.resolve(this.filePath);
+        const run = (updateQueues.get(key) || Promise.resolve()).then(async () => {
+            const document = await this.read();
+            const result = await updater(document);
+            await this.write(document);
+            return result;
+        });
+
+        // Keep the queue alive even if this update fails, and drop it once idle
+        const tail = run.catch(() => {});
+        updateQueues.set(key, tail);
+        tail.then(() => {
+            if (updateQueues.get(key) === tail) {
+                updateQueues.delete(key);
+            }
+        });
+        return run;
+    }
+
+    /**
+     * Report whether the document can be read and its directory written
+     */
+    async healthCheck() {
+        try {
+            await this.read();
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.access(path.dirname(this.filePath), fs.constants.W_OK);
+            return { healthy: true, message: `${this.filePath} is readable and writable` };
+        } catch (error) {
+            return { healthy: false, message: error.message };
+        }
+    }
+
+    cloneDefault() {
+        return JSON.parse(JSON.stringify(this.defaultValue));
+    }
+}
+
+module.exports = JsonFileStore;
@@ -0,0 +1,47 @@
+/**
+ * Carrier Vetter Contract
+ * Decides whether load details and rates may be disclosed to a carrier.
+ *
+ * vet() resolves with one of:
+ * - approved: reply normally
+ * - flagged:  reply may be generated but a person should look at it
+ * - blocked:  do not disclose load details or rates
+ */
+
+const Logger = require('../logging/logger');
+
+const VETTING_STATUSES = ['approved', 'flagged', 'blocked'];
+
+class CarrierVetter {
+    constructor(config = {}) {
+        this.name = config.name || 'vetter';
+        this.logger = config.logger || new Logger({ module: `${this.name}-vetter` });
+    }
+
+    /**
+     * Vet a carrier
+     * @param {Object} carrier - { mcNumber, dotNumber, email }
+     * @returns {Promise<Object>} - { status, reason, carrier }
+     */
+    async vet(carrier) {
+        throw new Error(`${this.constructor.name} must implement vet()`);
+    }
+
+    /**
+     * Build a vetting decision, validating the status
+     */
+    decision(status, reason, carrier) {
+        if (!VETTING_STATUSES.includes(status)) {
+            throw new Error(`Invalid vetting status: ${status}`);
+        }
+
+        return {
+            status,
+            reason,
+            vetter: this.name,
+            carrier
+        };
+    }
+}
+
+module.exports = CarrierVetter;
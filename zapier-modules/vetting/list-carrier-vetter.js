@@ -0,0 +1,98 @@
+/**
+ * List Carrier Vetter
+ * Local allow/deny list stand-in for a real carrier vetting service.
+ *
+ * Lists are keyed by identifier type:
+ * {
+ *   allow: { mc: ['123456'], dot: ['7654321'], domains: ['goodtrucking.com'] },
+ *   deny:  { mc: [], dot: [], domains: [] },
+ *   unknownPolicy: 'flag'   // approve | flag | block for carriers on neither list
+ * }
+ */
+
+const fs = require('fs');
+const CarrierVetter = require('./carrier-vetter');
+
+const UNKNOWN_POLICIES = {
+    approve: 'approved',
+    flag: 'flagged',
+    block: 'blocked'
+};
+
+class ListCarrierVetter extends CarrierVetter {
+    constructor(config = {}) {
+        super({ name: 'list', ...config });
+
+        const lists = config.filePath
+            ? JSON.parse(fs.readFileSync(config.filePath, 'utf8'))
+            : config;
+
+        this.allow = this.normalizeList(lists.allow);
+        this.deny = this.normalizeList(lists.deny);
+        this.unknownPolicy = config.unknownPolicy || lists.unknownPolicy || 'flag';
+
+        if (!UNKNOWN_POLICIES[this.unknownPolicy]) {
+            throw new Error(`Invalid unknownPolicy: ${this.unknownPolicy} (use approve, flag or block)`);
+        }
+    }
+
+    async vet(carrier = {}) {
+        const denied = this.findMatch(this.deny, carrier);
+        if (denied) {
+            return this.decision('blocked', `Carrier ${denied} is on the deny list`, carrier);
+        }
+
+        const allowed = this.findMatch(this.allow, carrier);
+        if (allowed) {
+            return this.decision('approved', `Carrier ${allowed} is on the allow list`, carrier);
+        }
+
+        const hasIdentifiers = !!(carrier.mcNumber || carrier.dotNumber);
+        const reason = hasIdentifiers
+            ? 'Carrier is not on the allow list'
+            : 'No MC or DOT number provided';
+
+        return this.decision(UNKNOWN_POLICIES[this.unknownPolicy], reason, carrier);
+    }
+
+    /**
+     * Return a description of the first identifier found in the list
+     */
+    findMatch(list, carrier) {
+        if (carrier.mcNumber && list.mc.has(this.normalizeNumber(carrier.mcNumber))) {
+            return `MC ${carrier.mcNumber}`;
+        }
+        if (carrier.dotNumber && list.dot.has(this.normalizeNumber(carrier.dotNumber))) {
+            return `DOT ${carrier.dotNumber}`;
+        }
+
+        const domain = this.extractAddress(carrier.email)?.split('@')[1] || null;
+        if (domain && list.domains.has(domain)) {
+            return `domain ${domain}`;
+        }
+
+        return null;
+    }
+
+    normalizeList(list = {}) {
+        return {
+            mc: new Set((list.mc || []).map(value => this.normalizeNumber(value))),
+            dot: new Set((list.dot || []).map(value => this.normalizeNumber(value))),
+            domains: new Set((list.domains || []).map(value => String(value).toLowerCase()))
+        };
+    }
+
+    normalizeNumber(value) {
+        return String(value).replace(/\D/g, '').replace(/^0+/, '');
+    }
+
+    /**
+     * Bare lowercase address from "Name <dispatch@acme.com>" or a plain address
+     */
+    extractAddress(value) {
+        const match = value && String(value).match(/[^\s<>"]+@[^\s<>"]+/);
+        return match ? match[0].toLowerCase() : null;
+    }
+}
+
+module.exports = ListCarrierVetter;
@@ -6,7 +6,8 @@
  * INPUT FIELDS:
  * - email_subject: Email subject line
  * - email_body: Email body content (plain text or HTML)
- * - email_from: Sender email address (optional, for logging)
+ * - email_from: Sender email address (optional, selects the sender's pattern profile)
+ * - explain: "true" to list every candidate reference considered (optional)
  * 
  * OUTPUT FIELDS:
  * - load_reference: Extracted load reference (null if not found)
@@ -15,116 +16,1276 @@
  * - message: Human-readable result message
  * - processing_time_ms: Time taken to process
  * - request_id: Unique identifier for this request
+ * - candidate_count / candidates_json: Every candidate with its pattern,
+ *   position, exclusion or validation errors and confidence (explain only)
+ *
+ * ENVIRONMENT VARIABLES (optional):
+ * - LOG_LEVEL: debug, info (default), warn or error
  */
 
-// EmailParser class (embedded for Zapier)
+// GENERATED FILE - do not edit. Built from zapier-code-steps/src/extract-load-reference.js and the
+// zapier-modules it requires by `npm run build:zapier`; change those instead.
+
+// ---- Embedded zapier-modules ----
+const __modules = {
+    'parsers/reply-cleaner.js': function (module, exports) {
+/**
+ * Reply Cleaner Module
+ * Separates what the sender just wrote from quoted reply history
+ * and from their signature
+ */
+
+// Lines that start the quoted history of a reply
+const QUOTE_HEADERS = [
+    /^\s*-{2,}\s*Original Message\s*-{2,}/i,
+    /^\s*-{2,}\s*Forwarded message\s*-{2,}/i,
+    /^\s*Begin forwarded message:\s*$/i,
+    /^\s*_{10,}\s*$/ // Outlook's separator line above the From:/Sent: block
+];
+
+// Outlook / Gmail header block fields ("From: ... Sent: ... To: ... Subject: ...")
+const HEADER_BLOCK_FIELD = /^\s*\*?(From|Sent|Date|To|Cc|Subject)\s*:\*?\s*\S/i;
+
+// Lines that close a message and start a signature
+const SIGN_OFFS = /^\s*(?:thanks(?: again| so much)?|thank you(?: very much)?|thx|regards|best regards|kind regards|warm regards|best|cheers|sincerely|respectfully|v\/r|talk soon|have a (?:good|great) (?:day|one))\s*[,.!]?\s*$/i;
+const MOBILE_SIGNATURES = /^\s*(?:sent from my (?:iphone|ipad|android|mobile|samsung|galaxy)|get outlook for (?:ios|android)|sent via .+ mobile)\b/i;
+
+// A sign-off followed by more than this many lines is probably not the end of the message
+const MAX_SIGNATURE_LINES = 12;
+// Name, title, company and contact lines under a sign-off are short and ask nothing
+const MAX_SIGNATURE_LINE_LENGTH = 60;
+const MAX_SIGNATURE_LINE_WORDS = 8;
+
+class ReplyCleaner {
+    /**
+     * Split a reply into its parts
+     * @param {string} content - Plain text body
+     * @returns {Object} - { fresh, signature, quoted }
+     */
+    split(content) {
+        if (!content || typeof content !== 'string') {
+            return { fresh: '', signature: '', quoted: '' };
+        }
+
+        const lines = content.split(/\r?\n/);
+        const quoteStart = this.findQuoteStart(lines);
+        const ownLines = lines.slice(0, quoteStart);
+        const quotedLines = lines.slice(quoteStart);
+
+        // Inline ">" lines in the sender's own part are history too
+        const freshLines = [];
+        for (const line of ownLines) {
+            if (/^\s*>/.test(line)) {
+                quotedLines.unshift(line);
+            } else {
+                freshLines.push(line);
+            }
+        }
+
+        const signatureStart = this.findSignatureStart(freshLines);
+
+        return {
+            fresh: freshLines.slice(0, signatureStart).join('\n').trim(),
+            signature: freshLines.slice(signatureStart).join('\n').trim(),
+            quoted: quotedLines.map(line => line.replace(/^\s*(?:>\s?)+/, '')).join('\n').trim()
+        };
+    }
+
+    /**
+     * Return only what the sender just wrote (no quoted history, no signature)
+     */
+    getFreshText(content) {
+        return this.split(content).fresh;
+    }
+
+    /**
+     * Return the quoted history (with ">" markers removed)
+     */
+    getQuotedText(content) {
+        return this.split(content).quoted;
+    }
+
+    /**
+     * Index of the first line of quoted history (lines.length when there is none)
+     */
+    findQuoteStart(lines) {
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+
+            if (QUOTE_HEADERS.some(pattern => pattern.test(line))) {
+                return i;
+            }
+
+            // "On Mon, Oct 19, 2026 at 9:14 AM Joe <joe@carrier.com> wrote:" (clients wrap it over up to 3 lines)
+            if (/^\s*On\s/i.test(line)) {
+                for (let length = 1; length <= 3; length++) {
+                    const attribution = lines.slice(i, i + length).join(' ');
+                    if (attribution.length <= 300 && /\bwrote:\s*$/i.test(attribution)) {
+                        return i;
+                    }
+                }
+            }
+
+            // Outlook: "From: ..." followed by Sent:/Date:/To:/Subject: lines
+            if (/^\s*\*?From\s*:/i.test(line) && i > 0) {
+                const following = lines.slice(i + 1, i + 5).filter(next => HEADER_BLOCK_FIELD.test(next));
+                if (following.length >= 2) {
+                    return i;
+                }
+            }
+        }
+
+        return lines.length;
+    }
+
+    /**
+     * Index of the first signature line (lines.length when there is none)
+     */
+    findSignatureStart(lines) {
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+
+            // "-- " is the standard signature delimiter
+            if (/^--\s*$/.test(line) || MOBILE_SIGNATURES.test(line)) {
+                return i;
+            }
+
+            if (SIGN_OFFS.test(line) && i > 0 && lines.length - i <= MAX_SIGNATURE_LINES &&
+                lines.slice(i + 1).every(next => this.isSignatureLine(next))) {
+                return i;
+            }
+        }
+
+        return lines.length;
+    }
+
+    /**
+     * Whether a line after a sign-off reads like a name or contact detail
+     * rather than more of the message ("Is load AB123456 still available?")
+     */
+    isSignatureLine(line) {
+        const text = line.trim();
+        if (!text) {
+            return true;
+        }
+        const words = text.split(/\s+/).length;
+        return text.length <= MAX_SIGNATURE_LINE_LENGTH &&
+            words <= MAX_SIGNATURE_LINE_WORDS &&
+            !text.includes('?') &&
+            !(/[.!]$/.test(text) && words > 3);
+    }
+}
+
+module.exports = ReplyCleaner;
+    },
+
+    'parsers/mime-parser.js': function (module, exports) {
+/**
+ * MIME Parser Module
+ * Reads raw RFC 822 / .eml messages: decodes headers (RFC 2047), walks
+ * multipart bodies, decodes quoted-printable / base64 parts in their
+ * declared charset and returns clean plain text (text/plain preferred,
+ * HTML converted to text otherwise)
+ */
+
+const HTML_ENTITIES = {
+    nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+    ndash: '-', mdash: '-', hellip: '...', rsquo: "'", lsquo: "'", rdquo: '"', ldquo: '"',
+    bull: '•', middot: '·', copy: '©', reg: '®', trade: '™'
+};
+
+// windows-1252 characters in 0x80-0x9F (Node's TextDecoder treats these labels as ISO-8859-1)
+const WINDOWS_1252_EXTRAS = {
+    0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡', 0x88: 'ˆ',
+    0x89: '‰', 0x8a: 'Š', 0x8b: '‹', 0x8c: 'Œ', 0x8e: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“',
+    0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™', 0x9a: 'š', 0x9b: '›',
+    0x9c: 'œ', 0x9e: 'ž', 0x9f: 'Ÿ'
+};
+const WINDOWS_1252_LABELS = ['windows-1252', 'cp1252', 'iso-8859-1', 'iso8859-1', 'latin1', 'us-ascii', 'ascii'];
+
+class MimeParser {
+    constructor(config = {}) {
+        // Guard against pathological nesting in hostile messages
+        this.maxDepth = config.maxDepth || 10;
+    }
+
+    /**
+     * Parse a raw message
+     * @param {string|Buffer} raw - Full message source
+     * @returns {Object} - { headers, from, to, subject, messageId, inReplyTo, references, date, text, html, attachments }
+     */
+    parse(raw) {
+        // Work on a binary (latin1) string so every byte survives until its charset is known
+        const source = this.toBuffer(raw).toString('latin1');
+        const root = this.parseEntity(source, 0);
+
+        const textParts = [];
+        const htmlParts = [];
+        const attachments = [];
+        this.collectParts(root, { textParts, htmlParts, attachments });
+
+        const html = htmlParts.length > 0 ? htmlParts.join('\n') : null;
+        const text = textParts.length > 0
+            ? textParts.join('\n')
+            : (html ? this.htmlToText(html) : '');
+
+        const headers = root.headers;
+        return {
+            headers,
+            from: headers.from || null,
+            to: headers.to || null,
+            subject: headers.subject || null,
+            messageId: headers['message-id'] || null,
+            inReplyTo: headers['in-reply-to'] || null,
+            references: headers.references || null,
+            date: headers.date || null,
+            text: text.replace(/\r\n/g, '\n').trim(),
+            html,
+            attachments
+        };
+    }
+
+    /**
+     * Parse a raw message into the emailData shape LoadAutomationService.processEmail() expects
+     * @param {string|Buffer} raw - Full message source
+     * @param {Object} overrides - Fields known outside the message (e.g. { id, receivedAt })
+     */
+    toEmailData(raw, overrides = {}) {
+        const message = this.parse(raw);
+        const receivedAt = message.date && !isNaN(new Date(message.date)) ? new Date(message.date).toISOString() : null;
+
+        return {
+            id: message.messageId,
+            messageId: message.messageId,
+            inReplyTo: message.inReplyTo,
+            references: message.references,
+            from: message.from,
+            subject: message.subject || 'Load Inquiry',
+            receivedAt,
+            body: message.text,
+            attachments: message.attachments,
+            ...overrides
+        };
+    }
+
+    /**
+     * Quick check for payloads that are a raw message rather than body text
+     */
+    looksLikeRawMessage(value) {
+        if (!value) return false;
+
+        const head = this.toBuffer(value).toString('latin1', 0, 8192);
+        const { headerText } = this.splitMessage(head);
+        const lines = headerText.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/);
+
+        return headerText !== head
+            && lines.every(line => /^[!-9;-~]+:/.test(line))
+            && /^(?:from|subject|message-id):/im.test(headerText);
+    }
+
+    /**
+     * Parse one MIME entity (headers + body), recursing into multiparts
+     */
+    parseEntity(source, depth) {
+        const { headerText, bodyText } = this.splitMessage(source);
+        const headers = this.parseHeaders(headerText);
+        const contentType = this.parseHeaderValue(headers['content-type'] || 'text/plain');
+        const disposition = this.parseHeaderValue(headers['content-disposition'] || '');
+
+        const entity = {
+            headers,
+            type: contentType.value.toLowerCase(),
+            params: contentType.params,
+            disposition: disposition.value.toLowerCase(),
+            dispositionParams: disposition.params,
+            encoding: (headers['content-transfer-encoding'] || '7bit').toLowerCase(),
+            body: bodyText,
+            parts: []
+        };
+
+        if (entity.type.startsWith('multipart/') && entity.params.boundary && depth < this.maxDepth) {
+            entity.parts = this.splitMultipart(bodyText, entity.params.boundary)
+                .map(part => this.parseEntity(part, depth + 1));
+        }
+
+        return entity;
+    }
+
+    /**
+     * Gather readable text, HTML and attachments in document order.
+     * In multipart/alternative only the plain part is used when one exists.
+     */
+    collectParts(entity, collected) {
+        if (entity.parts.length > 0) {
+            let parts = entity.parts;
+            if (entity.type === 'multipart/alternative') {
+                const plain = parts.find(part => part.type === 'text/plain' && !this.isAttachment(part));
+                parts = plain ? [plain] : parts;
+            }
+            parts.forEach(part => this.collectParts(part, collected));
+            return;
+        }
+
+        if (this.isAttachment(entity)) {
+            const content = this.decodeBody(entity);
+            collected.attachments.push({
+                filename: this.getFilename(entity),
+                contentType: entity.type,
+                size: content.length,
+                content
+            });
+            return;
+        }
+
+        if (entity.type === 'text/plain') {
+            collected.textParts.push(this.decodeText(entity));
+        } else if (entity.type === 'text/html') {
+            collected.htmlParts.push(this.decodeText(entity));
+        }
+    }
+
+    isAttachment(entity) {
+        if (entity.type.startsWith('multipart/')) return false;
+        if (entity.disposition === 'attachment') return true;
+        if (entity.type === 'text/plain' || entity.type === 'text/html') return false;
+        return true;
+    }
+
+    getFilename(entity) {
+        const name = entity.dispositionParams.filename || entity.params.name;
+        return name ? this.decodeHeader(name) : null;
+    }
+
+    splitMessage(source) {
+        // A part with no headers starts straight with the blank line
+        const leading = source.match(/^\r?\n/);
+        if (leading) {
+            return { headerText: '', bodyText: source.substring(leading[0].length) };
+        }
+
+        const match = source.match(/\r?\n\r?\n/);
+        if (!match) {
+            return { headerText: source, bodyText: '' };
+        }
+        return {
+            headerText: source.substring(0, match.index),
+            bodyText: source.substring(match.index + match[0].length)
+        };
+    }
+
+    splitMultipart(body, boundary) {
+        const delimiter = `--${boundary}`;
+        const parts = [];
+        const lines = body.split(/\r?\n/);
+        let current = null;
+
+        for (const line of lines) {
+            if (line.startsWith(delimiter)) {
+                if (current) parts.push(current.join('\r\n'));
+                // Closing delimiter: the rest is epilogue
+                if (line.startsWith(`${delimiter}--`)) {
+                    current = null;
+                    break;
+                }
+                current = [];
+            } else if (current) {
+                current.push(line);
+            }
+        }
+
+        if (current) parts.push(current.join('\r\n'));
+        return parts;
+    }
+
+    /**
+     * Unfold continuation lines and index headers by lower-case name.
+     * Repeated headers keep their first value. Values are RFC 2047 decoded.
+     */
+    parseHeaders(headerText) {
+        const headers = {};
+        const unfolded = headerText.replace(/\r?\n[ \t]+/g, ' ');
+
+        for (const line of unfolded.split(/\r?\n/)) {
+            const separator = line.indexOf(':');
+            if (separator <= 0) continue;
+
+            const name = line.substring(0, separator).trim().toLowerCase();
+            if (!(name in headers)) {
+                // Raw 8-bit header bytes are almost always UTF-8 in practice
+                const value = Buffer.from(line.substring(separator + 1).trim(), 'latin1').toString('utf8');
+                headers[name] = this.decodeHeader(value);
+            }
+        }
+
+        return headers;
+    }
+
+    /**
+     * Split "type/subtype; name=value; ..." into the value and its parameters
+     */
+    parseHeaderValue(header) {
+        const [value, ...rest] = header.split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+        const params = {};
+
+        for (const param of rest) {
+            const separator = param.indexOf('=');
+            if (separator <= 0) continue;
+
+            let name = param.substring(0, separator).trim().toLowerCase();
+            let paramValue = param.substring(separator + 1).trim().replace(/^"(.*)"$/, '$1');
+
+            // RFC 2231: filename*=utf-8''Rate%20Con.pdf
+            if (name.endsWith('*')) {
+                name = name.slice(0, -1);
+                const encoded = paramValue.match(/^([^']*)'[^']*'(.*)$/);
+                if (encoded) {
+                    paramValue = this.decodeCharset(Buffer.from(this.percentDecode(encoded[2]), 'latin1'), encoded[1]);
+                }
+            }
+
+            params[name] = paramValue;
+        }
+
+        return { value: value.trim(), params };
+    }
+
+    /**
+     * Decode RFC 2047 encoded words (=?charset?B|Q?text?=)
+     */
+    decodeHeader(value) {
+        return value
+            // Whitespace between adjacent encoded words is not part of the text
+            .replace(/(=\?[^?]+\?[bqBQ]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+            .replace(/=\?([^?]+)\?([bqBQ])\?([^?]*)\?=/g, (match, charset, encoding, text) => {
+                const bytes = encoding.toUpperCase() === 'B'
+                    ? Buffer.from(text, 'base64')
+                    : Buffer.from(this.decodeQuotedPrintable(text.replace(/_/g, ' ')), 'latin1');
+                return this.decodeCharset(bytes, charset);
+            });
+    }
+
+    decodeBody(entity) {
+        if (entity.encoding === 'base64') {
+            return Buffer.from(entity.body.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+        }
+        if (entity.encoding === 'quoted-printable') {
+            return Buffer.from(this.decodeQuotedPrintable(entity.body), 'latin1');
+        }
+        return Buffer.from(entity.body, 'latin1');
+    }
+
+    decodeText(entity) {
+        return this.decodeCharset(this.decodeBody(entity), entity.params.charset);
+    }
+
+    /**
+     * Quoted-printable to a binary (latin1) string
+     */
+    decodeQuotedPrintable(text) {
+        return text
+            .replace(/=\r?\n/g, '')
+            .replace(/=([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    }
+
+    percentDecode(text) {
+        return text.replace(/%([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    }
+
+    decodeCharset(bytes, charset) {
+        const label = (charset || 'utf-8').trim().toLowerCase();
+
+        // Mislabelled "iso-8859-1" mail is usually windows-1252, as browsers assume
+        if (WINDOWS_1252_LABELS.includes(label)) {
+            return Array.from(bytes, byte => WINDOWS_1252_EXTRAS[byte] || String.fromCharCode(byte)).join('');
+        }
+
+        try {
+            return new TextDecoder(label).decode(bytes);
+        } catch (error) {
+            // Unknown charset label: UTF-8 is the best guess
+            return new TextDecoder('utf-8').decode(bytes);
+        }
+    }
+
+    /**
+     * Convert an HTML body to readable plain text
+     */
+    htmlToText(html) {
+        return html
+            .replace(/<(head|style|script|title)\b[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+            .replace(/<!--[\s\S]*?-->/g, ' ')
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/(p|div|tr|li|h[1-6]|blockquote|table)>/gi, '\n')
+            .replace(/<(p|div|tr|li|h[1-6]|blockquote|table)\b[^>]*>/gi, '\n')
+            .replace(/<\/t[dh]>/gi, ' ')
+            .replace(/<[^>]*>/g, ' ')
+            .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => this.decodeEntity(entity) ?? match)
+            .replace(/[ \t]+/g, ' ')
+            .replace(/ *\n */g, '\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    decodeEntity(entity) {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : null;
+        }
+        return HTML_ENTITIES[entity.toLowerCase()] ?? null;
+    }
+
+    toBuffer(raw) {
+        if (Buffer.isBuffer(raw)) return raw;
+        if (raw instanceof Uint8Array) return Buffer.from(raw);
+        return Buffer.from(String(raw || ''), 'utf8');
+    }
+}
+
+module.exports = MimeParser;
+    },
+
+    'parsers/pattern-profiles.js': function (module, exports) {
+/**
+ * Pattern Profiles Module
+ * Named sets of reference patterns, exclusions and validation rules,
+ * chosen per email by the sender's address or domain
+ *
+ * Profile definition (JSON or YAML):
+ *   name                  - Unique name ("default" tunes the built-in profile)
+ *   priority              - Higher wins when several profiles match a sender
+ *   extends               - Profile to inherit from (defaults to "default")
+ *   match                 - { domains: [...], senders: [...] }
+ *   patterns              - Replaces the inherited reference patterns
+ *   additionalPatterns    - Tried before the inherited patterns
+ *   exclusions            - Replaces the inherited exclusions
+ *   additionalExclusions  - Added to the inherited exclusions
+ *   validation            - Overrides individual validation rules
+ *
+ * Patterns are regex source strings or { pattern, flags } objects;
+ * capture group 1 is the reference.
+ */
+
+const DEFAULT_PROFILE = 'default';
+
+class PatternProfiles {
+    /**
+     * @param {Object} config - { defaultProfile: { loadPatterns, exclusionPatterns, validationRules }, profiles: [...] }
+     */
+    constructor(config = {}) {
+        if (!config.defaultProfile) {
+            throw new Error('PatternProfiles requires a default profile');
+        }
+
+        this.definitions = new Map();
+        for (const definition of config.profiles || []) {
+            if (!definition?.name) {
+                throw new Error('Every pattern profile needs a name');
+            }
+            this.definitions.set(definition.name, definition);
+        }
+
+        const builtIn = {
+            name: DEFAULT_PROFILE,
+            priority: 0,
+            match: { domains: [], senders: [] },
+            ...config.defaultProfile
+        };
+        this.profiles = new Map([[DEFAULT_PROFILE, this.applyDefinition(builtIn, this.definitions.get(DEFAULT_PROFILE))]]);
+
+        for (const name of this.definitions.keys()) {
+            this.resolve(name, []);
+        }
+    }
+
+    /**
+     * Read profile definitions from a .json, .yaml or .yml file
+     * @returns {Array} - Profile definitions
+     */
+    static readFile(filePath) {
+        // Loaded here so the Zapier step bundles, which pass profiles inline, need no file access
+        const fs = require('fs');
+        const path = require('path');
+        const raw = fs.readFileSync(filePath, 'utf8');
+        const extension = path.extname(filePath).toLowerCase();
+
+        let document;
+        if (extension === '.yaml' || extension === '.yml') {
+            // Only needed for YAML configs, so loaded on demand
+            const YAML = require('yaml');
+            document = YAML.parse(raw);
+        } else {
+            document = JSON.parse(raw);
+        }
+
+        const profiles = Array.isArray(document) ? document : document?.profiles;
+        if (!Array.isArray(profiles)) {
+            throw new Error(`${filePath} must contain a "profiles" list`);
+        }
+        return profiles;
+    }
+
+    get(name) {
+        return this.profiles.get(name) || null;
+    }
+
+    /**
+     * Pick the profile for a sender: exact address matches, then domain
+     * (and subdomain) matches, highest priority first; "default" otherwise
+     * @param {string} sender - From address, e.g. "Dispatch <ops@broker.com>"
+     */
+    select(sender) {
+        const address = this.extractAddress(sender);
+        if (!address) {
+            return this.profiles.get(DEFAULT_PROFILE);
+        }
+
+        const domain = address.split('@')[1];
+        let best = null;
+
+        for (const profile of this.profiles.values()) {
+            const matchesSender = profile.match.senders.includes(address);
+            const matchesDomain = profile.match.domains.some(candidate => domain === candidate || domain.endsWith(`.${candidate}`));
+            if (!matchesSender && !matchesDomain) continue;
+
+            // An exact sender match beats a domain match of the same priority
+            const score = profile.priority * 2 + (matchesSender ? 1 : 0);
+            if (!best || score > best.score) {
+                best = { profile, score };
+            }
+        }
+
+        return best ? best.profile : this.profiles.get(DEFAULT_PROFILE);
+    }
+
+    resolve(name, chain) {
+        if (this.profiles.has(name)) {
+            return this.profiles.get(name);
+        }
+        if (chain.includes(name)) {
+            throw new Error(`Pattern profile inheritance loop: ${[...chain, name].join(' -> ')}`);
+        }
+
+        const definition = this.definitions.get(name);
+        if (!definition) {
+            throw new Error(`Unknown pattern profile: ${name}`);
+        }
+
+        const parent = this.resolve(definition.extends || DEFAULT_PROFILE, [...chain, name]);
+        const profile = this.applyDefinition(parent, definition);
+        this.profiles.set(name, profile);
+        return profile;
+    }
+
+    /**
+     * Layer a definition over an already compiled profile
+     */
+    applyDefinition(parent, definition) {
+        if (!definition) {
+            return parent;
+        }
+
+        const compile = (list, field) => (list || []).map(entry => this.compilePattern(entry, `${definition.name}.${field}`));
+        const loadPatterns = definition.patterns ? compile(definition.patterns, 'patterns') : parent.loadPatterns;
+        const exclusionPatterns = definition.exclusions ? compile(definition.exclusions, 'exclusions') : parent.exclusionPatterns;
+
+        return {
+            name: definition.name,
+            priority: Number(definition.priority ?? parent.priority ?? 0),
+            match: {
+                domains: (definition.match?.domains || []).map(domain => String(domain).toLowerCase()),
+                senders: (definition.match?.senders || []).map(sender => String(sender).toLowerCase())
+            },
+            loadPatterns: [...compile(definition.additionalPatterns, 'additionalPatterns'), ...loadPatterns],
+            exclusionPatterns: [...exclusionPatterns, ...compile(definition.additionalExclusions, 'additionalExclusions')],
+            validationRules: { ...parent.validationRules, ...definition.validation }
+        };
+    }
+
+    compilePattern(entry, location) {
+        if (entry instanceof RegExp) {
+            return entry;
+        }
+
+        const source = typeof entry === 'string' ? entry : entry?.pattern;
+        const flags = typeof entry === 'string' ? 'i' : (entry?.flags ?? 'i');
+        try {
+            return new RegExp(source, flags.replace('g', ''));
+        } catch (error) {
+            throw new Error(`Invalid pattern in ${location}: ${error.message}`);
+        }
+    }
+
+    extractAddress(value) {
+        const match = value && String(value).match(/[^\s<>"]+@[^\s<>"]+/);
+        return match ? match[0].toLowerCase() : null;
+    }
+}
+
+module.exports = PatternProfiles;
+    },
+
+    'config/pattern-profiles.json': function (module, exports) {
+module.exports = {
+    "profiles": [
+        {
+            "name": "quotefactory",
+            "priority": 20,
+            "match": {
+                "domains": [
+                    "quotefactory.com"
+                ]
+            },
+            "additionalPatterns": [
+                {
+                    "pattern": "(?:QF|shipment|load)\\s*(?:#|no\\.?|id)?\\s*[:\\-]?\\s*(\\d{6,8})\\b",
+                    "flags": "i"
+                }
+            ],
+            "validation": {
+                "minLength": 6
+            }
+        },
+        {
+            "name": "dat",
+            "priority": 20,
+            "match": {
+                "domains": [
+                    "dat.com",
+                    "dat.net"
+                ]
+            },
+            "additionalPatterns": [
+                {
+                    "pattern": "(?:reference\\s*id|ref\\s*id|posting\\s*id|load\\s*id)\\s*[:#]?\\s*([A-Z0-9\\-]{4,20})",
+                    "flags": "i"
+                }
+            ],
+            "additionalExclusions": [
+                {
+                    "pattern": "(?:user|account|customer)\\s*(?:id|#|no\\.?)\\s*[:#]?\\s*\\d+",
+                    "flags": "i"
+                },
+                {
+                    "pattern": "(?:days\\s*to\\s*pay|credit\\s*score)\\s*[:#]?\\s*\\d+",
+                    "flags": "i"
+                }
+            ]
+        }
+    ]
+};
+    },
+
+    'parsers/email-parser.js': function (module, exports) {
+/**
+ * Email Parser Module
+ * Extracts load reference numbers from email content with validation
+ */
+
+const ReplyCleaner = __require('parsers/reply-cleaner.js');
+const MimeParser = __require('parsers/mime-parser.js');
+const PatternProfiles = __require('parsers/pattern-profiles.js');
+// Required rather than read from disk so the Zapier step bundles carry it too
+const BUNDLED_PROFILES = __require('config/pattern-profiles.json');
+
 class EmailParser {
-    constructor() {
+    /**
+     * @param {Object} config - { profilesPath, profiles } where profiles is a
+     *   list of pattern profile definitions (see PatternProfiles)
+     */
+    constructor(config = {}) {
+        this.replyCleaner = new ReplyCleaner();
+        this.mimeParser = new MimeParser();
+
+        // Patterns to exclude (false positives)
         this.exclusionPatterns = [
-            /MC\s*\d+/i, /DOT\s*\d+/i, /USDOT\s*\d+/i,
-            /invoice\s*#?\s*\d+/i, /bill\s*#?\s*\d+/i, /po\s*#?\s*\d+/i,
-            /phone:?\s*\d+/i, /tel:?\s*\d+/i, /fax:?\s*\d+/i
+            /MC\s*[#:\-]?\s*\d+/i,
+            /DOT\s*[#:\-]?\s*\d+/i,
+            /USDOT\s*[#:\-]?\s*\d+/i,
+            /invoice\s*#?\s*\d+/i,
+            /bill\s*#?\s*\d+/i,
+            /po\s*#?\s*\d+/i,
+            /phone:?\s*\d+/i,
+            /tel:?\s*\d+/i,
+            /fax:?\s*\d+/i,
+            /(?:trailer|truck|tractor|unit)\s*(?:#|no\.?|number)?\s*[:\-]?\s*[A-Z0-9\-]*\d[A-Z0-9\-]*/i,
+            // City, state ZIP ("Dallas, TX 75201"); case-sensitive so "in 46204" or "or 97201" stay unmasked
+            /\b(?:AL|AK|AZ|AR|CA|CO|CT|DE|FL|GA|HI|ID|IL|IN|IA|KS|KY|LA|ME|MD|MA|MI|MN|MS|MO|MT|NE|NV|NH|NJ|NM|NY|NC|ND|OH|OK|OR|PA|RI|SC|SD|TN|TX|UT|VT|VA|WA|WV|WI|WY|DC)\s+\d{5}(?:-\d{4})?\b/
         ];
 
+        // Patterns to match load references
         this.loadPatterns = [
+            // Explicit load references
             /(?:load\s*(?:ref|reference|number|id|#)[:\-\s]*)([A-Z0-9\-\_]+)/i,
             /(?:quote\s*(?:ref|reference|number|id|#)[:\-\s]*)([A-Z0-9\-\_]+)/i,
             /(?:order\s*#?\s*)(\d{6,8})/i,
             /(?:reference\s+number\s+)(\d{6,8})/i,
             /(?:ref[:\s]+)(\d{6,8})/i,
+            /(?:load\s+)(\d{6,8})\b/i,
+            
+            // QuoteFactory specific patterns
             /(?:QF[-\s]?)(\d{6,8})/i,
             /(?:QUOTE[-\s]?)(\d{6,8})/i,
-            /([A-Z]{2,4}[\-\_\s]*\d{4,8}[\-\_\s]*[A-Z0-9]*)/,
-            /([A-HJ-Z]+\d{4,8}[A-Z0-9]*)/,
+            
+            // Alphanumeric patterns (company prefix + numbers). Lowercase prefixes
+            // ("ab123456", "tl-44556677") must touch the number, so "in 46204" is not one.
+            /([A-Z]{2,4}[\-\_\s]*\d{4,8}[\-\_\s]*[A-Z0-9]*|[A-Za-z]{2,4}[\-\_]*\d{4,8}[\-\_]*[A-Za-z0-9]*)/,
+            /([A-HJ-Za-hj-z]+\d{4,8}[A-Za-z0-9]*)/,
+            
+            // Standalone numbers (last resort)
             /\b(\d{6})\b/
         ];
 
+        // Carrier identifiers (captured, then excluded from reference matching)
+        this.carrierPatterns = {
+            mcNumber: /\b(?:MC|MC\/FF)\s*[#:\-]?\s*(\d{4,8})\b/i,
+            dotNumber: /\b(?:US\s*)?DOT\s*[#:\-]?\s*(\d{4,8})\b/i
+        };
+
+        // Rate counter-offers, per-mile first so "$2.85/mile" is not read as $2.85.
+        // An amount followed by a unit ("45000 lbs", "10000 miles") is a quantity, not a rate.
+        const amount = String.raw`(\d{1,3}(?:,\d{3})+|\d{3,6}|\d{1,3}(?:\.\d+)?\s*k\b)(?!,?\d)(?!(?:\.\d+)?\s*(?:lbs?|pounds|miles|mi|ft|feet)\b)`;
+        this.counterOfferPatterns = {
+            perMile: /\$?\s*(\d(?:\.\d{1,2})?)\s*(?:\/\s*(?:mi|mile)\b|per\s+mile\b|a\s+mile\b|rpm\b)/i,
+            dollars: new RegExp(String.raw`\$\s*${amount}(?:\.\d{2})?`, 'gi'),
+            // A bare dollar amount is only an offer in a sentence worded like one...
+            offerWording: /\b(?:can|could|would|will)\s+you\s+do\b|\b(?:i|we)\s+(?:can|could|would|will)\s+do\b|\bcounter\b|\bneed\b|\ball[\s-]in\b|\bhow\s+about\b|\btake\s+it\s+(?:for|at)\b|\boffer\b/i,
+            // ...and not when it is the rate the carrier saw posted
+            postedRate: /\b(?:posted|listed|advertised|showing|your\s+rate)\b/i,
+            // Amounts without "$": only in wording that proposes a price. "need" alone is
+            // too loose ("we need 45000 lbs or less"), so it also needs "to do it", "for it", ...
+            phrased: new RegExp([
+                String.raw`\b(?:can|could|would|will)\s+you\s+do\s+${amount}`,
+                String.raw`\b(?:i|we)\s+(?:can|could|would)\s+do\s+(?:it\s+(?:for|at)\s+)?${amount}`,
+                String.raw`\b(?:how\s+about|counter(?:\s+(?:at|with))?|take\s+it\s+for)\s+${amount}`,
+                String.raw`\bneed\s+${amount}\s+(?:to\s+(?:do|haul|run|move|cover|take)\b|for\s+(?:it|this|that|the\s+load)\b|all[\s-]in\b|flat\b)`,
+                String.raw`\b${amount}\s+all[\s-]in\b`
+            ].join('|'), 'i')
+        };
+        this.counterOfferLimits = { minAmount: 100, maxAmount: 50000, maxPerMile: 20 };
+
+        // References found only in quoted history are less certain
+        this.quotedConfidencePenalty = 10;
+
+        // Validation rules
         this.validationRules = {
             minLength: 4,
             maxLength: 20,
             mustContainNumbers: true,
             bannedPrefixes: ['MC', 'DOT', 'PO', 'INV']
         };
+
+        // The lists above are the "default" profile; config files add per-sender profiles
+        this.profiles = new PatternProfiles({
+            defaultProfile: {
+                loadPatterns: this.loadPatterns,
+                exclusionPatterns: this.exclusionPatterns,
+                validationRules: this.validationRules
+            },
+            profiles: config.profiles || this.readProfiles(config.profilesPath)
+        });
+    }
+
+    /**
+     * Profile definitions from the given file, or the bundled config when present
+     */
+    readProfiles(profilesPath) {
+        if (profilesPath) {
+            return PatternProfiles.readFile(profilesPath);
+        }
+        return BUNDLED_PROFILES.profiles;
     }
 
-    extractLoadReference(emailContent) {
+    /**
+     * Profile for this email: named explicitly, or chosen by sender
+     * @param {Object} options - { profile, sender }
+     */
+    selectProfile(options = {}) {
+        if (options.profile) {
+            const profile = this.profiles.get(options.profile);
+            if (!profile) {
+                throw new Error(`Unknown pattern profile: ${options.profile}`);
+            }
+            return profile;
+        }
+        return this.profiles.select(options.sender);
+    }
+
+    /**
+     * Extract load reference from email content
+     * @param {string} emailContent - The email body content
+     * @param {Object} options - { sender, profile } to choose the pattern profile;
+     *   explain: true adds every candidate considered (see explainCandidates)
+     * @returns {Object} - Extraction result with reference and confidence
+     */
+    extractLoadReference(emailContent, options = {}) {
         if (!emailContent || typeof emailContent !== 'string') {
             return {
                 found: false,
                 reference: null,
                 confidence: 0,
-                message: 'No email content provided'
+                carrier: this.extractCarrierIdentifiers(''),
+                message: 'No email content provided',
+                ...(options.explain ? { candidates: [], exclusions: [] } : {})
             };
         }
 
-        let sanitizedContent = this.sanitizeContent(emailContent);
-        sanitizedContent = this.removeExclusions(sanitizedContent);
+        const profile = this.selectProfile(options);
+        const text = this.toPlainText(emailContent);
+        const carrier = this.extractCarrierIdentifiers(this.sanitizeContent(text));
+        const sections = this.getSearchSections(text);
+        let result = null;
 
-        for (let i = 0; i < this.loadPatterns.length; i++) {
-            const pattern = this.loadPatterns[i];
-            const matches = sanitizedContent.matchAll(new RegExp(pattern, 'gi'));
-            
-            for (const match of matches) {
-                if (match[1]) {
-                    const candidate = this.normalizeReference(match[1]);
-                    const validation = this.validateReference(candidate);
-                    
-                    if (validation.isValid) {
-                        return {
-                            found: true,
-                            reference: candidate,
-                            confidence: this.calculateConfidence(i, match[0], emailContent),
-                            matchedPattern: pattern.toString(),
-                            message: 'Load reference successfully extracted'
-                        };
-                    }
-                }
+        // What the sender just wrote first; our own quoted reply only as a fallback
+        for (const section of sections) {
+            const match = this.findReference(section.text, profile);
+            if (match) {
+                result = {
+                    found: true,
+                    reference: match.reference,
+                    confidence: this.sectionConfidence(match.confidence, section.name),
+                    matchedPattern: match.pattern.toString(),
+                    patternIndex: match.patternIndex,
+                    section: section.name,
+                    profile: profile.name,
+                    carrier,
+                    message: 'Load reference successfully extracted'
+                };
+                break;
             }
         }
 
-        return {
+        result = result || {
             found: false,
             reference: null,
             confidence: 0,
+            profile: profile.name,
+            carrier,
             message: 'No valid load reference found in email'
         };
+
+        if (options.explain) {
+            Object.assign(result, this.explainCandidates(sections, profile, result));
+        }
+
+        return result;
     }
 
+    /**
+     * Every candidate the parser considered, in the order it tried them
+     *
+     * Each candidate: { reference, raw, section, position, context, pattern,
+     * patternIndex, status, exclusion, validationErrors, confidence }.
+     * status is selected (the returned reference), valid (a later valid
+     * match), rejected (failed a validation rule) or excluded (an exclusion
+     * pattern such as "MC 123456" covered it). position is the offset in the
+     * section's whitespace-normalized text.
+     * @returns {Object} - { candidates, exclusions }
+     */
+    explainCandidates(sections, profile, result) {
+        const candidates = [];
+        const exclusions = [];
+
+        for (const section of sections) {
+            const scan = this.scanSection(section.text, profile, { includeExcluded: true });
+
+            exclusions.push(...scan.exclusions.map(exclusion => ({ ...exclusion, section: section.name })));
+            for (const candidate of scan.candidates) {
+                const selected = result.found && section.name === result.section && candidate.valid &&
+                    !candidates.some(existing => existing.status === 'selected');
+
+                candidates.push({
+                    reference: candidate.reference,
+                    raw: candidate.raw,
+                    section: section.name,
+                    position: candidate.position,
+                    context: candidate.context,
+                    pattern: candidate.pattern.toString(),
+                    patternIndex: candidate.patternIndex,
+                    status: candidate.exclusion ? 'excluded' : !candidate.valid ? 'rejected' : selected ? 'selected' : 'valid',
+                    exclusion: candidate.exclusion,
+                    validationErrors: candidate.validationErrors,
+                    confidence: this.sectionConfidence(candidate.confidence, section.name)
+                });
+            }
+        }
+
+        return { candidates, exclusions };
+    }
+
+    /**
+     * First valid reference in a block of text, trying patterns in order of specificity
+     * @returns {Object|null} - { reference, confidence, pattern, patternIndex }
+     */
+    findReference(content, profile = this.selectProfile()) {
+        const { candidates } = this.scanSection(content, profile, { stopAtFirstValid: true });
+        const match = candidates.find(candidate => candidate.valid);
+        return match
+            ? { reference: match.reference, confidence: match.confidence, pattern: match.pattern, patternIndex: match.patternIndex }
+            : null;
+    }
+
+    /**
+     * Run every pattern of a profile over one section
+     * @param {Object} options - stopAtFirstValid: return as soon as a valid match is found;
+     *   includeExcluded: also report matches that exclusion patterns masked out
+     * @returns {Object} - { candidates, exclusions }
+     */
+    scanSection(text, profile, options = {}) {
+        const content = this.sanitizeContent(text);
+        const exclusions = this.findExclusions(content, profile.exclusionPatterns);
+        const masked = this.maskSpans(content, exclusions);
+        const candidates = [];
+
+        for (let i = 0; i < profile.loadPatterns.length; i++) {
+            const pattern = profile.loadPatterns[i];
+            const found = new Set();
+
+            for (const match of masked.matchAll(this.toGlobal(pattern))) {
+                if (!match[1]) continue;
+
+                const candidate = this.buildCandidate(match, i, pattern, content, profile);
+                found.add(candidate.position);
+                candidates.push(candidate);
+
+                if (options.stopAtFirstValid && candidate.valid) {
+                    return { candidates, exclusions };
+                }
+            }
+
+            if (!options.includeExcluded) continue;
+
+            // Matches only the unmasked text has were removed by an exclusion
+            for (const match of content.matchAll(this.toGlobal(pattern))) {
+                if (!match[1]) continue;
+
+                const candidate = this.buildCandidate(match, i, pattern, content, profile);
+                const end = candidate.position + match[1].length;
+                const exclusion = exclusions.find(span => candidate.position < span.end && end > span.start);
+
+                if (exclusion && !found.has(candidate.position)) {
+                    candidates.push({
+                        ...candidate,
+                        valid: false,
+                        exclusion: { pattern: exclusion.pattern, text: exclusion.text }
+                    });
+                }
+            }
+        }
+
+        return { candidates, exclusions };
+    }
+
+    buildCandidate(match, patternIndex, pattern, content, profile) {
+        const reference = this.normalizeReference(match[1]);
+        const validation = this.validateReference(reference, profile.validationRules);
+        const position = match.index + match[0].lastIndexOf(match[1]);
+
+        return {
+            reference,
+            raw: match[1].trim(),
+            position,
+            context: content.substring(Math.max(0, position - 30), position + match[1].length + 30).trim(),
+            pattern,
+            patternIndex,
+            valid: validation.isValid,
+            exclusion: null,
+            validationErrors: validation.errors,
+            confidence: this.calculateConfidence(patternIndex, match[0], content, profile.loadPatterns.length)
+        };
+    }
+
+    /**
+     * References found only in quoted history or the signature are less certain
+     */
+    sectionConfidence(confidence, sectionName) {
+        return sectionName === 'quoted' || sectionName === 'signature'
+            ? Math.max(10, confidence - this.quotedConfidencePenalty)
+            : confidence;
+    }
+
+    /**
+     * Fresh reply text, then quoted history, then the signature: it is full of
+     * phone, MC and DOT numbers, so only searched when nothing else names a load
+     */
+    getSearchSections(text) {
+        const parts = this.replyCleaner.split(text);
+        return [
+            { name: 'fresh', text: parts.fresh },
+            { name: 'quoted', text: parts.quoted },
+            { name: 'signature', text: parts.signature }
+        ].filter(section => section.text.trim());
+    }
+
+    /**
+     * Detect a rate counter-offer in the fresh (unquoted) part of a reply
+     * @returns {Object} - { found, amount, perMile, raw }
+     */
+    extractCounterOffer(emailContent) {
+        const notFound = { found: false, amount: null, perMile: null, raw: null };
+        if (!emailContent || typeof emailContent !== 'string') {
+            return notFound;
+        }
+
+        const content = this.replyCleaner.getFreshText(this.toPlainText(emailContent)).substring(0, 5000);
+
+        const perMileMatch = content.match(this.counterOfferPatterns.perMile);
+        if (perMileMatch) {
+            const perMile = parseFloat(perMileMatch[1]);
+            if (perMile > 0 && perMile <= this.counterOfferLimits.maxPerMile) {
+                return { found: true, amount: null, perMile, raw: perMileMatch[0].trim() };
+            }
+        }
+
+        const { dollars, offerWording, postedRate } = this.counterOfferPatterns;
+        for (const sentence of content.split(/(?<=[.!?])\s+|\n+/)) {
+            if (!offerWording.test(sentence)) continue;
+
+            for (const match of sentence.matchAll(dollars)) {
+                // "posted at $2,400" / "$1,900 posted": the words right around the amount
+                const before = sentence.substring(Math.max(0, match.index - 20), match.index);
+                const after = sentence.substring(match.index + match[0].length, match.index + match[0].length + 20);
+                if (postedRate.test(before) || postedRate.test(after)) continue;
+
+                const offer = this.toCounterOffer(match);
+                if (offer) return offer;
+            }
+        }
+
+        return this.toCounterOffer(content.match(this.counterOfferPatterns.phrased)) || notFound;
+    }
+
+    /**
+     * Counter-offer from a dollars/phrased match, if the amount is plausible
+     */
+    toCounterOffer(match) {
+        const value = match && match.slice(1).find(Boolean);
+        if (!value) {
+            return null;
+        }
+
+        const amount = this.parseAmount(value);
+        if (amount >= this.counterOfferLimits.minAmount && amount <= this.counterOfferLimits.maxAmount) {
+            return { found: true, amount, perMile: null, raw: match[0].trim() };
+        }
+        return null;
+    }
+
+    /**
+     * Parse "2,400", "2400" or "2.4k" into a number
+     */
+    parseAmount(value) {
+        const text = String(value).toLowerCase().replace(/[,\s$]/g, '');
+        const amount = parseFloat(text);
+        return text.endsWith('k') ? amount * 1000 : amount;
+    }
+
+    /**
+     * Capture the carrier's MC and DOT numbers
+     * @returns {Object} - { found, mcNumber, dotNumber }
+     */
+    extractCarrierIdentifiers(emailContent) {
+        const content = emailContent || '';
+        const mcMatch = content.match(this.carrierPatterns.mcNumber);
+        const dotMatch = content.match(this.carrierPatterns.dotNumber);
+
+        return {
+            found: !!(mcMatch || dotMatch),
+            mcNumber: mcMatch ? mcMatch[1] : null,
+            dotNumber: dotMatch ? dotMatch[1] : null
+        };
+    }
+
+    /**
+     * Sanitize email content for safe processing
+     */
     sanitizeContent(content) {
-        return content
-            .replace(/<[^>]*>/g, ' ')
-            .replace(/\s+/g, ' ')
-            .substring(0, 5000);
+        return this.toPlainText(content)
+            .replace(/\s+/g, ' ') // Normalize whitespace
+            .substring(0, 5000); // Limit length for performance
     }
 
-    removeExclusions(content) {
-        let processed = content;
-        for (const pattern of this.exclusionPatterns) {
-            processed = processed.replace(pattern, '');
+    /**
+     * Convert HTML bodies to text, keeping line breaks so quoted history can be found
+     */
+    toPlainText(content) {
+        return /<[a-z!\/][^>]*>/i.test(content) ? this.mimeParser.htmlToText(content) : content;
+    }
+
+    /**
+     * Spans of the content covered by exclusion patterns
+     * @returns {Array} - [{ pattern, text, start, end }]
+     */
+    findExclusions(content, exclusionPatterns = this.exclusionPatterns) {
+        const spans = [];
+        for (const pattern of exclusionPatterns) {
+            for (const match of content.matchAll(this.toGlobal(pattern))) {
+                if (match[0]) {
+                    spans.push({
+                        pattern: pattern.toString(),
+                        text: match[0],
+                        start: match.index,
+                        end: match.index + match[0].length
+                    });
+                }
+            }
         }
-        return processed;
+        return spans.sort((a, b) => a.start - b.start);
     }
 
+    /**
+     * Blank out excluded text with spaces of the same length, so positions
+     * stay the same and no new words are formed across the gap
+     */
+    maskExclusions(content, exclusionPatterns = this.exclusionPatterns) {
+        return this.maskSpans(content, this.findExclusions(content, exclusionPatterns));
+    }
+
+    maskSpans(content, spans) {
+        let masked = content;
+        for (const span of spans) {
+            masked = masked.substring(0, span.start) + ' '.repeat(span.end - span.start) + masked.substring(span.end);
+        }
+        return masked;
+    }
+
+    /**
+     * Global copy of a pattern, keeping its own flags (case-sensitive patterns stay case-sensitive)
+     */
+    toGlobal(pattern) {
+        return new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`);
+    }
+
+    /**
+     * Normalize extracted reference
+     */
     normalizeReference(reference) {
         return reference
             .trim()
             .toUpperCase()
-            .replace(/[^\w\-]/g, '');
+            .replace(/[^\w\-]/g, ''); // Keep only alphanumeric and hyphens
     }
 
-    validateReference(reference) {
+    /**
+     * Validate extracted reference
+     */
+    validateReference(reference, rules = this.validationRules) {
         const errors = [];
 
-        if (reference.length < this.validationRules.minLength) {
+        // Length check
+        if (reference.length < rules.minLength) {
             errors.push('Reference too short');
         }
-        if (reference.length > this.validationRules.maxLength) {
+        if (reference.length > rules.maxLength) {
             errors.push('Reference too long');
         }
-        if (this.validationRules.mustContainNumbers && !/\d/.test(reference)) {
+
+        // Must contain numbers
+        if (rules.mustContainNumbers && !/\d/.test(reference)) {
             errors.push('Reference must contain numbers');
         }
-        for (const prefix of this.validationRules.bannedPrefixes) {
+
+        // Check banned prefixes
+        for (const prefix of rules.bannedPrefixes || []) {
             if (reference.startsWith(prefix)) {
                 errors.push(`Invalid prefix: ${prefix}`);
             }
@@ -136,35 +1297,330 @@ class EmailParser {
         };
     }
 
-    calculateConfidence(patternIndex, matchedText, originalContent) {
-        let confidence = 100 - (patternIndex * 10);
+    /**
+     * Calculate confidence score for extraction
+     */
+    calculateConfidence(patternIndex, matchedText, originalContent, patternCount = this.loadPatterns.length) {
+        let confidence = 100 - (patternIndex * 10); // Earlier patterns = higher confidence
 
+        // Boost confidence for explicit mentions
         if (matchedText.toLowerCase().includes('load') || 
             matchedText.toLowerCase().includes('quote') ||
             matchedText.toLowerCase().includes('reference')) {
             confidence = Math.min(100, confidence + 20);
         }
 
-        if (patternIndex >= this.loadPatterns.length - 2) {
+        // Reduce confidence for standalone numbers; a named pattern still
+        // outranks them however far down a long profile it sits
+        if (this.isCatchAllPattern(patternIndex, patternCount)) {
             confidence = Math.max(50, confidence - 30);
+        } else {
+            confidence = Math.max(60, confidence);
         }
 
         return confidence;
     }
+
+    /**
+     * The last two patterns of a profile are last resorts: bare numbers and
+     * letter-digit runs that also match trailer numbers, dates and the like
+     */
+    isCatchAllPattern(patternIndex, patternCount = this.loadPatterns.length) {
+        return patternCount > 2 && patternIndex >= patternCount - 2;
+    }
+
+    /**
+     * Extract multiple load references (for batch processing and multi-load emails)
+     * @returns {Array} - [{ reference, confidence, position, patternIndex, catchAll, section }]
+     */
+    extractMultipleReferences(emailContent, maxReferences = 5, options = {}) {
+        if (!emailContent || typeof emailContent !== 'string') {
+            return [];
+        }
+
+        const profile = this.selectProfile(options);
+
+        // Fresh text first; quoted history only when the sender named no loads
+        for (const section of this.getSearchSections(this.toPlainText(emailContent))) {
+            const references = this.findAllReferences(section.text, maxReferences, profile)
+                .map(ref => ({
+                    ...ref,
+                    confidence: this.sectionConfidence(ref.confidence, section.name),
+                    section: section.name
+                }));
+
+            if (references.length > 0) {
+                return references;
+            }
+        }
+
+        return [];
+    }
+
+    /**
+     * Every valid reference in a block of text
+     * Matches overlapping an already accepted reference are skipped, so one
+     * piece of text (e.g. "QF-1234567") only yields one reference.
+     */
+    findAllReferences(text, maxReferences, profile = this.selectProfile()) {
+        const references = [];
+        const content = this.maskExclusions(this.sanitizeContent(text), profile.exclusionPatterns);
+
+        const foundReferences = new Set();
+        const acceptedSpans = [];
+
+        for (let i = 0; i < profile.loadPatterns.length; i++) {
+            const pattern = profile.loadPatterns[i];
+            const matches = content.matchAll(this.toGlobal(pattern));
+            
+            for (const match of matches) {
+                if (match[1] && references.length < maxReferences) {
+                    const candidate = this.normalizeReference(match[1]);
+                    const start = match.index + match[0].lastIndexOf(match[1]);
+                    const end = start + match[1].length;
+
+                    if (acceptedSpans.some(span => start < span.end && end > span.start)) {
+                        continue;
+                    }
+                    
+                    if (!foundReferences.has(candidate)) {
+                        const validation = this.validateReference(candidate, profile.validationRules);
+                        
+                        if (validation.isValid) {
+                            foundReferences.add(candidate);
+                            acceptedSpans.push({ start, end });
+                            references.push({
+                                reference: candidate,
+                                confidence: this.calculateConfidence(i, match[0], text, profile.loadPatterns.length),
+                                position: start,
+                                patternIndex: i,
+                                catchAll: this.isCatchAllPattern(i, profile.loadPatterns.length)
+                            });
+                        }
+                    }
+                }
+            }
+        }
+
+        return references.sort((a, b) => b.confidence - a.confidence || a.position - b.position);
+    }
+}
+
+module.exports = EmailParser;
+    },
+
+    'logging/logger.js': function (module, exports) {
+/**
+ * Logger
+ * Structured logging: one JSON object per line with timestamp, level,
+ * module, requestId, message and whatever fields the caller passes.
+ *
+ * Everything is redacted before it is written: email addresses keep only
+ * their domain, phone numbers and bearer tokens are masked, credential
+ * fields (password, secret, token, ...) are replaced and email content
+ * fields (body, html, raw, ...) are reduced to their length.
+ *
+ * Usable wherever console is (logger.log/info/warn/error/debug take a
+ * message and optional details), so modules accept it as config.logger.
+ * Logger.withContext() adds fields such as requestId to every line logged
+ * while a function runs, including by modules it calls.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const SENSITIVE_KEY = /password|passwd|secret|token|authorization|api[-_]?key|cookie|credential/i;
+const CONTENT_KEY = /^(body|bodyPreview|content|html|raw|originalBody|original_body|email_body)$/i;
+const EMAIL_ADDRESS = /[A-Z0-9._%+-]+@([A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,})/gi;
+// Separators are required so plain 10-digit load references survive
+const PHONE_NUMBER = /(?<![\w+])(?:\+?1[\s.-]?)?\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}(?!\w)/g;
+const AUTH_HEADER = /\b(Bearer|Basic)\s+[\w.~+/=-]+/gi;
+const JWT = /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g;
+const MAX_DEPTH = 6;
+
+let contextStorage = null;
+
+class Logger {
+    constructor(config = {}) {
+        const level = String(config.level || process.env.LOG_LEVEL || 'info').toLowerCase();
+
+        this.module = config.module || null;
+        // A mistyped LOG_LEVEL must not take the service down
+        this.level = LEVELS[level] ? level : 'info';
+        this.context = config.context || {};
+        this.output = config.output || Logger.defaultOutput;
+    }
+
+    debug(message, ...details) {
+        this.write('debug', message, details);
+    }
+
+    info(message, ...details) {
+        this.write('info', message, details);
+    }
+
+    /**
+     * Same as info(), so the logger can stand in for console
+     */
+    log(message, ...details) {
+        this.write('info', message, details);
+    }
+
+    warn(message, ...details) {
+        this.write('warn', message, details);
+    }
+
+    error(message, ...details) {
+        this.write('error', message, details);
+    }
+
+    /**
+     * Logger for one module or request, with extra fields on every line
+     * @param {Object} context - e.g. { module: 'webhook' } or { requestId }
+     */
+    child(context = {}) {
+        const { module, ...fields } = context;
+        return new Logger({
+            module: module || this.module,
+            level: this.level,
+            context: { ...this.context, ...fields },
+            output: this.output
+        });
+    }
+
+    write(level, message, details = []) {
+        if (LEVELS[level] < LEVELS[this.level]) {
+            return;
+        }
+
+        const fields = {};
+        const extra = [];
+        for (const detail of details) {
+            if (detail instanceof Error) {
+                fields.error = detail;
+            } else if (detail && typeof detail === 'object' && !Array.isArray(detail)) {
+                Object.assign(fields, detail);
+            } else if (detail !== undefined) {
+                extra.push(detail);
+            }
+        }
+        if (extra.length > 0) {
+            fields.detail = extra.length === 1 ? extra[0] : extra;
+        }
+
+        const entry = Logger.redact({
+            timestamp: new Date().toISOString(),
+            level,
+            module: this.module,
+            ...contextStorage?.getStore(),
+            ...this.context,
+            // console-style "Something failed:" messages read better without the colon
+            message: String(message).replace(/:\s*$/, ''),
+            ...fields
+        });
+
+        this.output(JSON.stringify(entry), level);
+    }
+
+    /**
+     * Run fn with fields (e.g. { requestId }) added to every line it logs,
+     * through any logger, until its promise settles
+     */
+    static withContext(context, fn) {
+        if (!contextStorage) {
+            // Loaded lazily: Zapier code steps have no require() and never need this
+            const { AsyncLocalStorage } = require('async_hooks');
+            contextStorage = new AsyncLocalStorage();
+        }
+        return contextStorage.run({ ...contextStorage.getStore(), ...context }, fn);
+    }
+
+    /**
+     * Copy of value with personal data and credentials masked
+     */
+    static redact(value, key = '', depth = 0, seen = new WeakSet()) {
+        if (value === null || value === undefined || typeof value === 'boolean') {
+            return value;
+        }
+        if (SENSITIVE_KEY.test(key) && (typeof value === 'string' || typeof value === 'number')) {
+            return '[REDACTED]';
+        }
+        if (CONTENT_KEY.test(key) && typeof value === 'string') {
+            return `[${value.length} chars]`;
+        }
+        if (typeof value === 'string') {
+            return Logger.redactText(value);
+        }
+        if (typeof value !== 'object') {
+            return value;
+        }
+        if (value instanceof Error) {
+            return Logger.redact({ name: value.name, message: value.message, stack: value.stack }, key, depth, seen);
+        }
+        if (seen.has(value)) {
+            return '[Circular]';
+        }
+        if (depth >= MAX_DEPTH) {
+            return Array.isArray(value) ? '[Array]' : '[Object]';
+        }
+
+        seen.add(value);
+        const copy = Array.isArray(value)
+            ? value.map(item => Logger.redact(item, key, depth + 1, seen))
+            : Object.fromEntries(Object.entries(value)
+                .map(([name, item]) => [name, Logger.redact(item, name, depth + 1, seen)]));
+        seen.delete(value);
+        return copy;
+    }
+
+    static redactText(text) {
+        return text
+            .replace(JWT, '[REDACTED]')
+            .replace(AUTH_HEADER, '$1 [REDACTED]')
+            .replace(EMAIL_ADDRESS, '***@$1')
+            .replace(PHONE_NUMBER, '[PHONE]');
+    }
+
+    static defaultOutput(line, level) {
+        if (level === 'error' || level === 'warn') {
+            console.error(line);
+        } else {
+            console.log(line);
+        }
+    }
+}
+
+module.exports = Logger;
+    }
+};
+
+const __moduleCache = {};
+function __require(id) {
+    if (!__moduleCache[id]) {
+        const module = { exports: {} };
+        __moduleCache[id] = module;
+        __modules[id](module, module.exports);
+    }
+    return __moduleCache[id].exports;
 }
 
+// ---- Step code ----
+const EmailParser = __require('parsers/email-parser.js');
+const Logger = __require('logging/logger.js');
+
 // Main Zapier code step function
 const startTime = Date.now();
 const requestId = `extract_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+const logger = new Logger({ module: 'zapier.extract-load-reference', context: { requestId } });
 
 try {
     // Get input data from Zapier
     const emailSubject = inputData.email_subject || '';
     const emailBody = inputData.email_body || '';
     const emailFrom = inputData.email_from || '';
+    const explain = String(inputData.explain || '').toLowerCase() === 'true';
 
     // Log processing start
-    console.log(`[${requestId}] Starting load reference extraction`, {
+    logger.info('Starting load reference extraction', {
         hasSubject: !!emailSubject,
         hasBody: !!emailBody,
         bodyLength: emailBody.length,
@@ -174,14 +1630,16 @@ try {
     // Combine subject and body for analysis
     const combinedContent = `${emailSubject}\n\n${emailBody}`;
 
-    // Initialize parser and extract reference
+    // Initialize parser and extract reference (the sender picks the pattern profile)
     const parser = new EmailParser();
-    const extractionResult = parser.extractLoadReference(combinedContent);
+    const extractionResult = parser.extractLoadReference(combinedContent, { sender: emailFrom, explain });
+    const candidates = extractionResult.candidates || [];
 
     const processingTime = Date.now() - startTime;
 
     // Log results
-    console.log(`[${requestId}] Extraction completed in ${processingTime}ms`, {
+    logger.info('Extraction completed', {
+        durationMs: processingTime,
         found: extractionResult.found,
         reference: extractionResult.reference,
         confidence: extractionResult.confidence,
@@ -195,6 +1653,8 @@ try {
         found: extractionResult.found,
         message: extractionResult.message,
         matched_pattern: extractionResult.matchedPattern || null,
+        candidate_count: candidates.length,
+        candidates_json: explain ? JSON.stringify(candidates) : null,
         processing_time_ms: processingTime,
         request_id: requestId,
         timestamp: new Date().toISOString(),
@@ -207,10 +1667,7 @@ try {
 } catch (error) {
     const processingTime = Date.now() - startTime;
     
-    console.error(`[${requestId}] Extraction failed:`, {
-        error: error.message,
-        processingTimeMs: processingTime
-    });
+    logger.error('Extraction failed', error, { durationMs: processingTime });
 
     // Output error state
     output = {
@@ -219,6 +1676,8 @@ try {
         found: false,
         message: `Extraction failed: ${error.message}`,
         matched_pattern: null,
+        candidate_count: 0,
+        candidates_json: null,
         processing_time_ms: processingTime,
         request_id: requestId,
         timestamp: new Date().toISOString(),
@@ -228,4 +1687,4 @@ try {
         original_body: inputData.email_body || '',
         original_from: inputData.email_from || ''
     };
-}
\ No newline at end of file
+}
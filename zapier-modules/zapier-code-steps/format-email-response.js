@@ -14,6 +14,10 @@
  * ENVIRONMENT VARIABLES (optional):
  * - COMPANY_NAME: Your company name (default: "Your Company")
  * - COMPANY_SIGNATURE: Custom signature block
+ * - LOAD_FOUND_TEMPLATE, LOAD_PENDING_TEMPLATE, NO_REFERENCE_TEMPLATE,
+ *   ERROR_TEMPLATE: Custom response bodies ({{LOAD_REFERENCE}}, {{PICKUP_LOCATION}}, ...
+ *   placeholders as in the default templates)
+ * - LOG_LEVEL: debug, info (default), warn or error
  * 
  * OUTPUT FIELDS:
  * - reply_subject: Formatted subject line
@@ -23,18 +27,47 @@
  * - has_load_data: Boolean indicating if load details included
  */
 
-// Response Formatter class (embedded for Zapier)
+// GENERATED FILE - do not edit. Built from zapier-code-steps/src/format-email-response.js and the
+// zapier-modules it requires by `npm run build:zapier`; change those instead.
+
+// ---- Embedded zapier-modules ----
+const __modules = {
+    'formatters/response-formatter.js': function (module, exports) {
+/**
+ * Response Formatter Module
+ * Generates professional email responses based on load data
+ */
+
 class ResponseFormatter {
     constructor(config = {}) {
-        this.companyName = config.companyName || 'Your Company';
+        this.companyName = config.companyName || 'Balto Booking';
+        this.responseTemplates = {
+            loadFound: config.loadFoundTemplate || this.getDefaultLoadFoundTemplate(),
+            loadPending: config.loadPendingTemplate || this.getDefaultLoadPendingTemplate(),
+            noReference: config.noReferenceTemplate || this.getDefaultNoReferenceTemplate(),
+            multiLoad: config.multiLoadTemplate || this.getDefaultMultiLoadTemplate(),
+            carrierVerification: config.carrierVerificationTemplate || this.getDefaultCarrierVerificationTemplate(),
+            counterAccepted: config.counterAcceptedTemplate || this.getDefaultCounterAcceptedTemplate(),
+            counterDeclined: config.counterDeclinedTemplate || this.getDefaultCounterDeclinedTemplate(),
+            counterEscalated: config.counterEscalatedTemplate || this.getDefaultCounterEscalatedTemplate(),
+            error: config.errorTemplate || this.getDefaultErrorTemplate()
+        };
         this.signatureTemplate = config.signatureTemplate || this.getDefaultSignature();
     }
 
+    /**
+     * Format response based on scenario
+     */
     formatResponse(scenario, data = {}) {
         const formatters = {
             'load_found': () => this.formatLoadFoundResponse(data),
             'load_pending': () => this.formatLoadPendingResponse(data),
             'no_reference': () => this.formatNoReferenceResponse(data),
+            'multi_load': () => this.formatMultiLoadResponse(data),
+            'carrier_verification': () => this.formatCarrierVerificationResponse(data),
+            'counter_accepted': () => this.formatCounterOfferResponse('counter_accepted', this.responseTemplates.counterAccepted, data),
+            'counter_declined': () => this.formatCounterOfferResponse('counter_declined', this.responseTemplates.counterDeclined, data),
+            'counter_escalated': () => this.formatCounterOfferResponse('counter_escalated', this.responseTemplates.counterEscalated, data),
             'error': () => this.formatErrorResponse(data)
         };
 
@@ -46,58 +79,305 @@ class ResponseFormatter {
         return formatter();
     }
 
+    /**
+     * Format response when load details are found
+     */
     formatLoadFoundResponse(data) {
         const { loadData, originalSubject, loadReference } = data;
         
         const subject = this.formatSubject(originalSubject, loadReference);
         
-        let body = `Hello,
+        let body = this.responseTemplates.loadFound;
+        
+        // Replace placeholders
+        body = body.replace(/{{LOAD_REFERENCE}}/g, loadReference);
+        body = body.replace('{{PICKUP_LOCATION}}', loadData.pickup.location);
+        body = body.replace('{{PICKUP_DATE}}', loadData.pickup.date || 'TBD');
+        body = body.replace('{{DELIVERY_LOCATION}}', loadData.delivery.location);
+        body = body.replace('{{DELIVERY_DATE}}', loadData.delivery.date || 'TBD');
+        body = body.replace('{{COMMODITY}}', loadData.commodity.description);
+        body = body.replace('{{WEIGHT}}', loadData.commodity.weight);
+        body = body.replace('{{EQUIPMENT}}', loadData.equipment);
+        body = body.replace('{{RATE}}', loadData.rate.formatted);
+        body = body.replace('{{DISTANCE}}', loadData.distance || 'TBD');
+        
+        // Add any special notes
+        if (loadData.commodity.hazmat) {
+            body = body.replace('{{SPECIAL_NOTES}}', '\n⚠️ HAZMAT: This load contains hazardous materials.');
+        } else {
+            body = body.replace('{{SPECIAL_NOTES}}', '');
+        }
+        
+        body += this.signatureTemplate;
+        
+        return {
+            subject,
+            body,
+            metadata: {
+                scenario: 'load_found',
+                loadReference,
+                hasCompleteData: this.isCompleteData(loadData)
+            }
+        };
+    }
 
-Thank you for your inquiry about load ${loadReference}. Here are the complete details:
+    /**
+     * Format response when load reference found but details pending
+     */
+    formatLoadPendingResponse(data) {
+        const { loadReference, originalSubject } = data;
+        
+        const subject = this.formatSubject(originalSubject, loadReference);
+        
+        let body = this.responseTemplates.loadPending;
+        body = body.replace(/{{LOAD_REFERENCE}}/g, loadReference);
+        body += this.signatureTemplate;
+        
+        return {
+            subject,
+            body,
+            metadata: {
+                scenario: 'load_pending',
+                loadReference
+            }
+        };
+    }
 
-📦 LOAD INFORMATION:
-• Reference: ${loadReference}
-• Equipment: ${loadData.equipment}
-• Commodity: ${loadData.commodity.description}
-• Weight: ${loadData.commodity.weight}`;
+    /**
+     * Format response when no load reference is found
+     */
+    formatNoReferenceResponse(data) {
+        const { originalSubject } = data;
+        
+        const subject = `Re: ${originalSubject} - Reference Number Needed`;
+        
+        let body = this.responseTemplates.noReference;
+        body += this.signatureTemplate;
+        
+        return {
+            subject,
+            body,
+            metadata: {
+                scenario: 'no_reference'
+            }
+        };
+    }
 
-        if (loadData.distance) {
-            body += `\n• Distance: ${loadData.distance}`;
+    /**
+     * Format a combined response covering several loads in one email
+     * @param {Object} data - { loads: [{ reference, status, loadData }], originalSubject }
+     *   status is 'found', 'not_found' or 'pending'
+     */
+    formatMultiLoadResponse(data) {
+        const { loads = [], originalSubject } = data;
+
+        const found = loads.filter(load => load.status === 'found');
+        const notFound = loads.filter(load => load.status === 'not_found');
+        const pending = loads.filter(load => load.status === 'pending');
+
+        const subject = `${this.formatSubject(originalSubject, null)} - ${loads.length} Loads`;
+
+        const sections = [
+            ...found.map(load => this.formatLoadSection(load.reference, load.loadData)),
+            ...pending.map(load => `📦 LOAD ${load.reference}\n• Details are being pulled from our system and will follow shortly.`)
+        ];
+
+        let notFoundSection = '';
+        if (notFound.length > 0) {
+            notFoundSection = '\n❓ NOT FOUND:\nWe could not find the following references in our system. ' +
+                'Please double-check them or send the DAT posting details:\n' +
+                notFound.map(load => `• ${load.reference}`).join('\n') + '\n';
         }
 
+        let body = this.responseTemplates.multiLoad;
+        body = body.replace('{{LOAD_COUNT}}', loads.length);
+        body = body.replace('{{LOAD_SECTIONS}}', sections.join('\n\n'));
+        body = body.replace('{{NOT_FOUND_SECTION}}', notFoundSection);
+        body += this.signatureTemplate;
+
+        return {
+            subject,
+            body,
+            metadata: {
+                scenario: 'multi_load',
+                loadReferences: loads.map(load => load.reference),
+                foundReferences: found.map(load => load.reference),
+                notFoundReferences: notFound.map(load => load.reference),
+                pendingReferences: pending.map(load => load.reference)
+            }
+        };
+    }
+
+    /**
+     * Format the details block for one load (multi-load and counter-offer replies)
+     */
+    formatLoadSection(loadReference, loadData) {
+        const lines = [
+            `📦 LOAD ${loadReference}`,
+            `• Equipment: ${loadData.equipment}`,
+            `• Commodity: ${loadData.commodity.description}`,
+            `• Weight: ${loadData.commodity.weight}`,
+            `• Pickup: ${loadData.pickup.location} (${loadData.pickup.date || 'TBD'})`,
+            `• Delivery: ${loadData.delivery.location} (${loadData.delivery.date || 'TBD'})`,
+            `• Rate: ${loadData.rate.formatted}`
+        ];
+
         if (loadData.commodity.hazmat) {
-            body += `\n• ⚠️ HAZMAT: This load contains hazardous materials.`;
+            lines.push('• ⚠️ HAZMAT: This load contains hazardous materials.');
         }
 
-        body += `
+        return lines.join('\n');
+    }
 
-📍 PICKUP:
-• Location: ${loadData.pickup.location}`;
+    /**
+     * Format response when the carrier could not be vetted
+     * Deliberately contains no load details or rates.
+     */
+    formatCarrierVerificationResponse(data) {
+        const { loadReference, originalSubject } = data;
 
-        if (loadData.pickup.date) {
-            body += `\n• Date: ${loadData.pickup.date}`;
-        }
+        const subject = this.formatSubject(originalSubject, loadReference);
+
+        let body = this.responseTemplates.carrierVerification;
+        body = body.replace(/{{LOAD_REFERENCE}}/g, loadReference || 'this load');
+        body += this.signatureTemplate;
+
+        return {
+            subject,
+            body,
+            metadata: {
+                scenario: 'carrier_verification',
+                loadReference
+            }
+        };
+    }
+
+    /**
+     * Format a reply to a carrier's rate counter-offer
+     * @param {Object} data - { loadData, loadReference, negotiation, originalSubject }
+     */
+    formatCounterOfferResponse(scenario, template, data) {
+        const { loadData, loadReference, negotiation, originalSubject } = data;
 
-        if (loadData.pickup.time) {
-            body += `\n• Time: ${loadData.pickup.time}`;
+        const subject = this.formatSubject(originalSubject, loadReference);
+        const offer = negotiation.offer;
+        let offerText = this.formatAmount(negotiation.offerTotal);
+        if (offer.perMile) {
+            offerText = negotiation.offerTotal
+                ? `$${offer.perMile.toFixed(2)}/mile (${offerText} total)`
+                : `$${offer.perMile.toFixed(2)}/mile`;
         }
 
-        body += `
+        let body = template;
+        body = body.replace(/{{LOAD_REFERENCE}}/g, loadReference);
+        body = body.replace(/{{OFFER}}/g, offerText);
+        body = body.replace(/{{OFFER_TOTAL}}/g, this.formatAmount(negotiation.offerTotal));
+        body = body.replace(/{{RATE}}/g, loadData.rate.formatted);
+        body = body.replace(/{{PICKUP_LOCATION}}/g, loadData.pickup.location);
+        body = body.replace(/{{DELIVERY_LOCATION}}/g, loadData.delivery.location);
+        body = body.replace(/{{LOAD_DETAILS}}/g, this.formatLoadSection(loadReference, loadData));
+        body += this.signatureTemplate;
 
-📍 DELIVERY:
-• Location: ${loadData.delivery.location}`;
+        return {
+            subject,
+            body,
+            metadata: {
+                scenario,
+                loadReference,
+                offerTotal: negotiation.offerTotal,
+                loadRate: negotiation.loadRate
+            }
+        };
+    }
+
+    formatAmount(amount) {
+        if (typeof amount !== 'number') return 'TBD';
+        return `$${amount.toLocaleString('en-US', {
+            minimumFractionDigits: 2,
+            maximumFractionDigits: 2
+        })}`;
+    }
 
-        if (loadData.delivery.date) {
-            body += `\n• Date: ${loadData.delivery.date}`;
+    /**
+     * Format error response
+     */
+    formatErrorResponse(data) {
+        const { originalSubject, errorType } = data;
+        
+        const subject = `Re: ${originalSubject}`;
+        
+        let body = this.responseTemplates.error;
+        body = body.replace('{{ERROR_TYPE}}', errorType || 'processing your request');
+        body += this.signatureTemplate;
+        
+        return {
+            subject,
+            body,
+            metadata: {
+                scenario: 'error',
+                errorType
+            }
+        };
+    }
+
+    /**
+     * Format email subject line
+     */
+    formatSubject(originalSubject, loadReference) {
+        if (!originalSubject) {
+            return loadReference ? `Load ${loadReference} - Quote Details` : 'Load Inquiry Response';
         }
 
-        if (loadData.delivery.time) {
-            body += `\n• Time: ${loadData.delivery.time}`;
+        // Clean up subject
+        let subject = originalSubject;
+        subject = subject.replace(/^(re:|fwd:|fw:)\s*/gi, '').trim();
+        
+        // Add load reference if not already present
+        if (loadReference && !subject.includes(loadReference)) {
+            subject = `${subject} - Load ${loadReference}`;
         }
+        
+        return `Re: ${subject}`;
+    }
+
+    /**
+     * Check if load data is complete
+     */
+    isCompleteData(loadData) {
+        const requiredFields = [
+            loadData.pickup?.location,
+            loadData.delivery?.location,
+            loadData.commodity?.weight,
+            loadData.rate?.amount
+        ];
+        
+        return requiredFields.every(field => field && field !== 'TBD');
+    }
+
+    /**
+     * Default templates
+     */
+    getDefaultLoadFoundTemplate() {
+        return `Hello,
 
-        body += `
+Thank you for your inquiry about load {{LOAD_REFERENCE}}. Here are the complete details:
 
-💰 RATE: ${loadData.rate.formatted}
+📦 LOAD INFORMATION:
+• Reference: {{LOAD_REFERENCE}}
+• Equipment: {{EQUIPMENT}}
+• Commodity: {{COMMODITY}}
+• Weight: {{WEIGHT}}
+• Distance: {{DISTANCE}}{{SPECIAL_NOTES}}
+
+📍 PICKUP:
+• Location: {{PICKUP_LOCATION}}
+• Date: {{PICKUP_DATE}}
+
+📍 DELIVERY:
+• Location: {{DELIVERY_LOCATION}}
+• Date: {{DELIVERY_DATE}}
+
+💰 RATE: {{RATE}}
 
 🚛 CAPACITY CONFIRMATION:
 To confirm availability, please let us know:
@@ -108,26 +388,12 @@ To confirm availability, please let us know:
 We're ready to book this load immediately upon your confirmation.
 
 `;
-        
-        body += this.signatureTemplate;
-        
-        return {
-            subject,
-            body,
-            bodyHtml: this.plainTextToHtml(body),
-            responseType: 'complete_details',
-            hasLoadData: true
-        };
     }
 
-    formatLoadPendingResponse(data) {
-        const { loadReference, originalSubject } = data;
-        
-        const subject = this.formatSubject(originalSubject, loadReference);
-        
-        let body = `Hello,
+    getDefaultLoadPendingTemplate() {
+        return `Hello,
 
-Thank you for your inquiry regarding load ${loadReference}.
+Thank you for your inquiry regarding load {{LOAD_REFERENCE}}.
 
 I've located this load in our system and am pulling the complete details now. You'll receive:
 • Pickup and delivery locations with dates
@@ -140,24 +406,10 @@ This information will be sent within the next few minutes.
 🚛 QUICK QUESTION: When and where will you be empty for pickup?
 
 `;
-        
-        body += this.signatureTemplate;
-        
-        return {
-            subject,
-            body,
-            bodyHtml: this.plainTextToHtml(body),
-            responseType: 'pending_details',
-            hasLoadData: false
-        };
     }
 
-    formatNoReferenceResponse(data) {
-        const { originalSubject } = data;
-        
-        const subject = `Re: ${originalSubject} - Reference Number Needed`;
-        
-        let body = `Hello,
+    getDefaultNoReferenceTemplate() {
+        return `Hello,
 
 Thank you for reaching out about this load opportunity.
 
@@ -175,26 +427,89 @@ This will help us:
 Once you provide the reference number, we'll get back to you immediately with our availability and rate.
 
 `;
-        
-        body += this.signatureTemplate;
-        
-        return {
-            subject,
-            body,
-            bodyHtml: this.plainTextToHtml(body),
-            responseType: 'reference_request',
-            hasLoadData: false
-        };
     }
 
-    formatErrorResponse(data) {
-        const { originalSubject, errorMessage } = data;
-        
-        const subject = `Re: ${originalSubject}`;
-        
-        let body = `Hello,
+    getDefaultMultiLoadTemplate() {
+        return `Hello,
+
+Thank you for your inquiry about {{LOAD_COUNT}} of our loads. Here is what we have for each:
+
+{{LOAD_SECTIONS}}
+{{NOT_FOUND_SECTION}}
+🚛 CAPACITY CONFIRMATION:
+When and where will you be empty for pickup, and which of these loads work best for you?
+
+We're ready to book immediately upon your confirmation.
+
+`;
+    }
+
+    getDefaultCarrierVerificationTemplate() {
+        return `Hello,
+
+Thank you for your interest in load {{LOAD_REFERENCE}}.
+
+Before we can share load details and rates, we need to complete carrier verification. Please reply with:
+• Your MC and USDOT numbers
+• Your company name and dispatch contact
+• A current certificate of insurance
+
+Our carrier relations team will review your information and follow up with you.
+
+`;
+    }
+
+    getDefaultCounterAcceptedTemplate() {
+        return `Hello,
+
+Thank you for your offer on load {{LOAD_REFERENCE}} ({{PICKUP_LOCATION}} → {{DELIVERY_LOCATION}}).
+
+✅ We can do {{OFFER}} for this load.
+
+{{LOAD_DETAILS}}
+
+To lock it in, please confirm:
+1. When and where will you be empty for pickup?
+2. Your MC number and dispatcher contact
+3. Driver name and truck/trailer numbers
+
+We'll send the rate confirmation as soon as we hear back.
+
+`;
+    }
+
+    getDefaultCounterDeclinedTemplate() {
+        return `Hello,
+
+Thank you for your offer of {{OFFER}} on load {{LOAD_REFERENCE}} ({{PICKUP_LOCATION}} → {{DELIVERY_LOCATION}}).
+
+Unfortunately we can't get there on this one. Our rate for this load is {{RATE}}.
+
+{{LOAD_DETAILS}}
+
+If that works for you, reply and let us know when and where you will be empty for pickup, and we'll get it booked.
+
+`;
+    }
+
+    getDefaultCounterEscalatedTemplate() {
+        return `Hello,
+
+Thank you for your offer of {{OFFER}} on load {{LOAD_REFERENCE}} ({{PICKUP_LOCATION}} → {{DELIVERY_LOCATION}}).
+
+I'm reviewing it with our team and will get back to you shortly.
+
+{{LOAD_DETAILS}}
+
+🚛 In the meantime: When and where will you be empty for pickup?
+
+`;
+    }
 
-Thank you for your email. We experienced a temporary issue while processing your request.
+    getDefaultErrorTemplate() {
+        return `Hello,
+
+Thank you for your email. We experienced a temporary issue while {{ERROR_TYPE}}.
 
 Our team has been notified and we're working to resolve this quickly. In the meantime, please feel free to:
 • Reply with your load reference number
@@ -204,31 +519,6 @@ Our team has been notified and we're working to resolve this quickly. In the mea
 We apologize for any inconvenience and look forward to assisting you with this load opportunity.
 
 `;
-        
-        body += this.signatureTemplate;
-        
-        return {
-            subject,
-            body,
-            bodyHtml: this.plainTextToHtml(body),
-            responseType: 'error_response',
-            hasLoadData: false
-        };
-    }
-
-    formatSubject(originalSubject, loadReference) {
-        if (!originalSubject) {
-            return loadReference ? `Load ${loadReference} - Quote Details` : 'Load Inquiry Response';
-        }
-
-        let subject = originalSubject;
-        subject = subject.replace(/^(re:|fwd:|fw:)\s*/gi, '').trim();
-        
-        if (loadReference && !subject.includes(loadReference)) {
-            subject = `${subject} - Load ${loadReference}`;
-        }
-        
-        return `Re: ${subject}`;
     }
 
     getDefaultSignature() {
@@ -240,22 +530,249 @@ This is an automated response with real-time load data.
 For immediate assistance, please reply to this email.`;
     }
 
-    plainTextToHtml(plainText) {
-        return plainText
-            .replace(/&/g, '&amp;')
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;')
-            .replace(/"/g, '&quot;')
-            .replace(/'/g, '&#39;')
-            .replace(/\n/g, '<br>\n')
-            .replace(/^(•|✓|⚠️)/gm, '<strong>$1</strong>')
-            .replace(/^(📦|📍|💰|🚛)/gm, '<strong>$1</strong>');
+    /**
+     * Generate plain text version from HTML
+     */
+    htmlToPlainText(html) {
+        return html
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/p>/gi, '\n\n')
+            .replace(/<[^>]*>/g, '')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&amp;/g, '&')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'")
+            .trim();
+    }
+}
+
+module.exports = ResponseFormatter;
+    },
+
+    'logging/logger.js': function (module, exports) {
+/**
+ * Logger
+ * Structured logging: one JSON object per line with timestamp, level,
+ * module, requestId, message and whatever fields the caller passes.
+ *
+ * Everything is redacted before it is written: email addresses keep only
+ * their domain, phone numbers and bearer tokens are masked, credential
+ * fields (password, secret, token, ...) are replaced and email content
+ * fields (body, html, raw, ...) are reduced to their length.
+ *
+ * Usable wherever console is (logger.log/info/warn/error/debug take a
+ * message and optional details), so modules accept it as config.logger.
+ * Logger.withContext() adds fields such as requestId to every line logged
+ * while a function runs, including by modules it calls.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const SENSITIVE_KEY = /password|passwd|secret|token|authorization|api[-_]?key|cookie|credential/i;
+const CONTENT_KEY = /^(body|bodyPreview|content|html|raw|originalBody|original_body|email_body)$/i;
+const EMAIL_ADDRESS = /[A-Z0-9._%+-]+@([A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,})/gi;
+// Separators are required so plain 10-digit load references survive
+const PHONE_NUMBER = /(?<![\w+])(?:\+?1[\s.-]?)?\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}(?!\w)/g;
+const AUTH_HEADER = /\b(Bearer|Basic)\s+[\w.~+/=-]+/gi;
+const JWT = /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g;
+const MAX_DEPTH = 6;
+
+let contextStorage = null;
+
+class Logger {
+    constructor(config = {}) {
+        const level = String(config.level || process.env.LOG_LEVEL || 'info').toLowerCase();
+
+        this.module = config.module || null;
+        // A mistyped LOG_LEVEL must not take the service down
+        this.level = LEVELS[level] ? level : 'info';
+        this.context = config.context || {};
+        this.output = config.output || Logger.defaultOutput;
+    }
+
+    debug(message, ...details) {
+        this.write('debug', message, details);
+    }
+
+    info(message, ...details) {
+        this.write('info', message, details);
+    }
+
+    /**
+     * Same as info(), so the logger can stand in for console
+     */
+    log(message, ...details) {
+        this.write('info', message, details);
+    }
+
+    warn(message, ...details) {
+        this.write('warn', message, details);
+    }
+
+    error(message, ...details) {
+        this.write('error', message, details);
+    }
+
+    /**
+     * Logger for one module or request, with extra fields on every line
+     * @param {Object} context - e.g. { module: 'webhook' } or { requestId }
+     */
+    child(context = {}) {
+        const { module, ...fields } = context;
+        return new Logger({
+            module: module || this.module,
+            level: this.level,
+            context: { ...this.context, ...fields },
+            output: this.output
+        });
+    }
+
+    write(level, message, details = []) {
+        if (LEVELS[level] < LEVELS[this.level]) {
+            return;
+        }
+
+        const fields = {};
+        const extra = [];
+        for (const detail of details) {
+            if (detail instanceof Error) {
+                fields.error = detail;
+            } else if (detail && typeof detail === 'object' && !Array.isArray(detail)) {
+                Object.assign(fields, detail);
+            } else if (detail !== undefined) {
+                extra.push(detail);
+            }
+        }
+        if (extra.length > 0) {
+            fields.detail = extra.length === 1 ? extra[0] : extra;
+        }
+
+        const entry = Logger.redact({
+            timestamp: new Date().toISOString(),
+            level,
+            module: this.module,
+            ...contextStorage?.getStore(),
+            ...this.context,
+            // console-style "Something failed:" messages read better without the colon
+            message: String(message).replace(/:\s*$/, ''),
+            ...fields
+        });
+
+        this.output(JSON.stringify(entry), level);
     }
+
+    /**
+     * Run fn with fields (e.g. { requestId }) added to every line it logs,
+     * through any logger, until its promise settles
+     */
+    static withContext(context, fn) {
+        if (!contextStorage) {
+            // Loaded lazily: Zapier code steps have no require() and never need this
+            const { AsyncLocalStorage } = require('async_hooks');
+            contextStorage = new AsyncLocalStorage();
+        }
+        return contextStorage.run({ ...contextStorage.getStore(), ...context }, fn);
+    }
+
+    /**
+     * Copy of value with personal data and credentials masked
+     */
+    static redact(value, key = '', depth = 0, seen = new WeakSet()) {
+        if (value === null || value === undefined || typeof value === 'boolean') {
+            return value;
+        }
+        if (SENSITIVE_KEY.test(key) && (typeof value === 'string' || typeof value === 'number')) {
+            return '[REDACTED]';
+        }
+        if (CONTENT_KEY.test(key) && typeof value === 'string') {
+            return `[${value.length} chars]`;
+        }
+        if (typeof value === 'string') {
+            return Logger.redactText(value);
+        }
+        if (typeof value !== 'object') {
+            return value;
+        }
+        if (value instanceof Error) {
+            return Logger.redact({ name: value.name, message: value.message, stack: value.stack }, key, depth, seen);
+        }
+        if (seen.has(value)) {
+            return '[Circular]';
+        }
+        if (depth >= MAX_DEPTH) {
+            return Array.isArray(value) ? '[Array]' : '[Object]';
+        }
+
+        seen.add(value);
+        const copy = Array.isArray(value)
+            ? value.map(item => Logger.redact(item, key, depth + 1, seen))
+            : Object.fromEntries(Object.entries(value)
+                .map(([name, item]) => [name, Logger.redact(item, name, depth + 1, seen)]));
+        seen.delete(value);
+        return copy;
+    }
+
+    static redactText(text) {
+        return text
+            .replace(JWT, '[REDACTED]')
+            .replace(AUTH_HEADER, '$1 [REDACTED]')
+            .replace(EMAIL_ADDRESS, '***@$1')
+            .replace(PHONE_NUMBER, '[PHONE]');
+    }
+
+    static defaultOutput(line, level) {
+        if (level === 'error' || level === 'warn') {
+            console.error(line);
+        } else {
+            console.log(line);
+        }
+    }
+}
+
+module.exports = Logger;
+    }
+};
+
+const __moduleCache = {};
+function __require(id) {
+    if (!__moduleCache[id]) {
+        const module = { exports: {} };
+        __moduleCache[id] = module;
+        __modules[id](module, module.exports);
+    }
+    return __moduleCache[id].exports;
+}
+
+// ---- Step code ----
+const ResponseFormatter = __require('formatters/response-formatter.js');
+const Logger = __require('logging/logger.js');
+
+// Response types reported to later Zapier steps, by scenario
+const RESPONSE_TYPES = {
+    load_found: 'complete_details',
+    load_pending: 'pending_details',
+    no_reference: 'reference_request',
+    error: 'error_response'
+};
+
+function plainTextToHtml(plainText) {
+    return plainText
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+        .replace(/\n/g, '<br>\n')
+        .replace(/^(•|✓|⚠️)/gm, '<strong>$1</strong>')
+        .replace(/^(📦|📍|💰|🚛)/gm, '<strong>$1</strong>');
 }
 
 // Main Zapier code step function
 const startTime = Date.now();
 const requestId = inputData.request_id || `format_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+const logger = new Logger({ module: 'zapier.format-email-response', context: { requestId } });
 
 try {
     // Get input data from previous steps
@@ -265,17 +782,21 @@ try {
     const originalSubject = inputData.original_subject || '';
     const errorMessage = inputData.error_message;
 
-    console.log(`[${requestId}] Starting response formatting`, {
+    logger.info('Starting response formatting', {
         scenario,
         hasLoadData: !!loadData,
         loadReference,
-        originalSubject
+        subjectLength: originalSubject.length
     });
 
     // Initialize formatter with configuration
     const formatter = new ResponseFormatter({
         companyName: process.env.COMPANY_NAME || 'Your Company',
-        signatureTemplate: process.env.COMPANY_SIGNATURE
+        signatureTemplate: process.env.COMPANY_SIGNATURE,
+        loadFoundTemplate: process.env.LOAD_FOUND_TEMPLATE,
+        loadPendingTemplate: process.env.LOAD_PENDING_TEMPLATE,
+        noReferenceTemplate: process.env.NO_REFERENCE_TEMPLATE,
+        errorTemplate: process.env.ERROR_TEMPLATE
     });
 
     // Prepare data for formatting
@@ -288,23 +809,27 @@ try {
 
     // Generate response
     const response = formatter.formatResponse(scenario, formatData);
+    const responseType = RESPONSE_TYPES[scenario] || scenario;
+    const hasLoadData = scenario === 'load_found';
+    const bodyHtml = plainTextToHtml(response.body);
 
     const processingTime = Date.now() - startTime;
 
-    console.log(`[${requestId}] Response formatted in ${processingTime}ms`, {
-        responseType: response.responseType,
+    logger.info('Response formatted', {
+        durationMs: processingTime,
+        responseType,
         subjectLength: response.subject.length,
         bodyLength: response.body.length,
-        hasLoadData: response.hasLoadData
+        hasLoadData
     });
 
     // Output for Zapier email sending
     output = {
         reply_subject: response.subject,
         reply_body: response.body,
-        reply_body_html: response.bodyHtml,
-        response_type: response.responseType,
-        has_load_data: response.hasLoadData,
+        reply_body_html: bodyHtml,
+        response_type: responseType,
+        has_load_data: hasLoadData,
         processing_time_ms: processingTime,
         request_id: requestId,
         timestamp: new Date().toISOString(),
@@ -314,16 +839,13 @@ try {
         // Character counts for Zapier limits
         subject_length: response.subject.length,
         body_length: response.body.length,
-        html_length: response.bodyHtml.length
+        html_length: bodyHtml.length
     };
 
 } catch (error) {
     const processingTime = Date.now() - startTime;
     
-    console.error(`[${requestId}] Response formatting failed:`, {
-        error: error.message,
-        processingTimeMs: processingTime
-    });
+    logger.error('Response formatting failed', error, { durationMs: processingTime });
 
     // Generate fallback response
     const fallbackSubject = inputData.original_subject ? 
@@ -356,4 +878,4 @@ Automated response system`;
         body_length: fallbackBody.length,
         html_length: fallbackBody.replace(/\n/g, '<br>\n').length
     };
-}
\ No newline at end of file
+}
@@ -19,6 +19,7 @@
  * - QUOTEFACTORY_USERNAME: QuoteFactory login username
  * - QUOTEFACTORY_PASSWORD: QuoteFactory login password
  * - QUOTEFACTORY_API_BASE: QuoteFactory API base URL (optional)
+ * - LOG_LEVEL: debug, info (default), warn or error (optional)
  * 
  * OUTPUT FIELDS:
  * - load_data: Complete load information (null if not found)
@@ -29,15 +30,271 @@
  * - scenario: Response scenario (load_found, load_pending, no_reference, error)
  */
 
-// Auth0 Client class (embedded for Zapier)
+// GENERATED FILE - do not edit. Built from zapier-code-steps/src/lookup-load-details.js and the
+// zapier-modules it requires by `npm run build:zapier`; change those instead.
+
+// ---- Embedded zapier-modules ----
+const __modules = {
+    'logging/logger.js': function (module, exports) {
+/**
+ * Logger
+ * Structured logging: one JSON object per line with timestamp, level,
+ * module, requestId, message and whatever fields the caller passes.
+ *
+ * Everything is redacted before it is written: email addresses keep only
+ * their domain, phone numbers and bearer tokens are masked, credential
+ * fields (password, secret, token, ...) are replaced and email content
+ * fields (body, html, raw, ...) are reduced to their length.
+ *
+ * Usable wherever console is (logger.log/info/warn/error/debug take a
+ * message and optional details), so modules accept it as config.logger.
+ * Logger.withContext() adds fields such as requestId to every line logged
+ * while a function runs, including by modules it calls.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const SENSITIVE_KEY = /password|passwd|secret|token|authorization|api[-_]?key|cookie|credential/i;
+const CONTENT_KEY = /^(body|bodyPreview|content|html|raw|originalBody|original_body|email_body)$/i;
+const EMAIL_ADDRESS = /[A-Z0-9._%+-]+@([A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,})/gi;
+// Separators are required so plain 10-digit load references survive
+const PHONE_NUMBER = /(?<![\w+])(?:\+?1[\s.-]?)?\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}(?!\w)/g;
+const AUTH_HEADER = /\b(Bearer|Basic)\s+[\w.~+/=-]+/gi;
+const JWT = /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g;
+const MAX_DEPTH = 6;
+
+let contextStorage = null;
+
+class Logger {
+    constructor(config = {}) {
+        const level = String(config.level || process.env.LOG_LEVEL || 'info').toLowerCase();
+
+        this.module = config.module || null;
+        // A mistyped LOG_LEVEL must not take the service down
+        this.level = LEVELS[level] ? level : 'info';
+        this.context = config.context || {};
+        this.output = config.output || Logger.defaultOutput;
+    }
+
+    debug(message, ...details) {
+        this.write('debug', message, details);
+    }
+
+    info(message, ...details) {
+        this.write('info', message, details);
+    }
+
+    /**
+     * Same as info(), so the logger can stand in for console
+     */
+    log(message, ...details) {
+        this.write('info', message, details);
+    }
+
+    warn(message, ...details) {
+        this.write('warn', message, details);
+    }
+
+    error(message, ...details) {
+        this.write('error', message, details);
+    }
+
+    /**
+     * Logger for one module or request, with extra fields on every line
+     * @param {Object} context - e.g. { module: 'webhook' } or { requestId }
+     */
+    child(context = {}) {
+        const { module, ...fields } = context;
+        return new Logger({
+            module: module || this.module,
+            level: this.level,
+            context: { ...this.context, ...fields },
+            output: this.output
+        });
+    }
+
+    write(level, message, details = []) {
+        if (LEVELS[level] < LEVELS[this.level]) {
+            return;
+        }
+
+        const fields = {};
+        const extra = [];
+        for (const detail of details) {
+            if (detail instanceof Error) {
+                fields.error = detail;
+            } else if (detail && typeof detail === 'object' && !Array.isArray(detail)) {
+                Object.assign(fields, detail);
+            } else if (detail !== undefined) {
+                extra.push(detail);
+            }
+        }
+        if (extra.length > 0) {
+            fields.detail = extra.length === 1 ? extra[0] : extra;
+        }
+
+        const entry = Logger.redact({
+            timestamp: new Date().toISOString(),
+            level,
+            module: this.module,
+            ...contextStorage?.getStore(),
+            ...this.context,
+            // console-style "Something failed:" messages read better without the colon
+            message: String(message).replace(/:\s*$/, ''),
+            ...fields
+        });
+
+        this.output(JSON.stringify(entry), level);
+    }
+
+    /**
+     * Run fn with fields (e.g. { requestId }) added to every line it logs,
+     * through any logger, until its promise settles
+     */
+    static withContext(context, fn) {
+        if (!contextStorage) {
+            // Loaded lazily: Zapier code steps have no require() and never need this
+            const { AsyncLocalStorage } = require('async_hooks');
+            contextStorage = new AsyncLocalStorage();
+        }
+        return contextStorage.run({ ...contextStorage.getStore(), ...context }, fn);
+    }
+
+    /**
+     * Copy of value with personal data and credentials masked
+     */
+    static redact(value, key = '', depth = 0, seen = new WeakSet()) {
+        if (value === null || value === undefined || typeof value === 'boolean') {
+            return value;
+        }
+        if (SENSITIVE_KEY.test(key) && (typeof value === 'string' || typeof value === 'number')) {
+            return '[REDACTED]';
+        }
+        if (CONTENT_KEY.test(key) && typeof value === 'string') {
+            return `[${value.length} chars]`;
+        }
+        if (typeof value === 'string') {
+            return Logger.redactText(value);
+        }
+        if (typeof value !== 'object') {
+            return value;
+        }
+        if (value instanceof Error) {
+            return Logger.redact({ name: value.name, message: value.message, stack: value.stack }, key, depth, seen);
+        }
+        if (seen.has(value)) {
+            return '[Circular]';
+        }
+        if (depth >= MAX_DEPTH) {
+            return Array.isArray(value) ? '[Array]' : '[Object]';
+        }
+
+        seen.add(value);
+        const copy = Array.isArray(value)
+            ? value.map(item => Logger.redact(item, key, depth + 1, seen))
+            : Object.fromEntries(Object.entries(value)
+                .map(([name, item]) => [name, Logger.redact(item, name, depth + 1, seen)]));
+        seen.delete(value);
+        return copy;
+    }
+
+    static redactText(text) {
+        return text
+            .replace(JWT, '[REDACTED]')
+            .replace(AUTH_HEADER, '$1 [REDACTED]')
+            .replace(EMAIL_ADDRESS, '***@$1')
+            .replace(PHONE_NUMBER, '[PHONE]');
+    }
+
+    static defaultOutput(line, level) {
+        if (level === 'error' || level === 'warn') {
+            console.error(line);
+        } else {
+            console.log(line);
+        }
+    }
+}
+
+module.exports = Logger;
+    },
+
+    'auth/auth0-client.js': function (module, exports) {
+/**
+ * Auth0 Authentication Client for QuoteFactory
+ * Handles OAuth2 flow with Auth0 for API access
+ */
+
+const Logger = __require('logging/logger.js');
+
 class Auth0Client {
     constructor(config) {
         this.domain = config.auth0Domain;
         this.clientId = config.clientId;
         this.clientSecret = config.clientSecret;
         this.audience = config.audience || `https://${config.auth0Domain}/api/v2/`;
+        this.tokenCache = null;
+        this.tokenExpiry = null;
+        this.logger = config.logger || new Logger({ module: 'auth0-client' });
+    }
+
+    /**
+     * Get access token using client credentials flow
+     * Implements caching to avoid unnecessary auth requests
+     */
+    async getAccessToken() {
+        // Check cache first
+        if (this.tokenCache && this.tokenExpiry && new Date() < this.tokenExpiry) {
+            this.logger.debug('Auth0 token served from cache', { grantType: 'client_credentials' });
+            return this.tokenCache;
+        }
+
+        const tokenUrl = `https://${this.domain}/oauth/token`;
+        
+        const payload = {
+            grant_type: 'client_credentials',
+            client_id: this.clientId,
+            client_secret: this.clientSecret,
+            audience: this.audience
+        };
+
+        const startTime = Date.now();
+        try {
+            const response = await fetch(tokenUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(payload)
+            });
+
+            if (!response.ok) {
+                const error = await response.text();
+                throw new Error(`Auth0 token request failed: ${response.status} - ${error}`);
+            }
+
+            const data = await response.json();
+            this.logger.info('Auth0 token acquired', { grantType: 'client_credentials', durationMs: Date.now() - startTime });
+
+            // Cache token with expiry
+            this.tokenCache = data.access_token;
+            // Set expiry 5 minutes before actual expiry for safety
+            this.tokenExpiry = new Date(Date.now() + (data.expires_in - 300) * 1000);
+            
+            return data.access_token;
+        } catch (error) {
+            this.logger.error('Auth0 token request failed', {
+                grantType: 'client_credentials',
+                error: error.message,
+                durationMs: Date.now() - startTime
+            });
+            throw new Error(`Auth0 authentication failed: ${error.message}`);
+        }
     }
 
+    /**
+     * Get user authentication token using Resource Owner Password flow
+     * Note: This flow should only be used for trusted applications
+     */
     async getUserToken(username, password) {
         const tokenUrl = `https://${this.domain}/oauth/token`;
         
@@ -51,74 +308,190 @@ class Auth0Client {
             scope: 'openid profile email'
         };
 
-        const response = await fetch(tokenUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(payload)
-        });
+        const startTime = Date.now();
+        try {
+            const response = await fetch(tokenUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(payload)
+            });
+
+            if (!response.ok) {
+                const error = await response.text();
+                throw new Error(`Auth0 user authentication failed: ${response.status} - ${error}`);
+            }
 
-        if (!response.ok) {
-            const error = await response.text();
-            throw new Error(`Auth0 authentication failed: ${response.status} - ${error}`);
+            const data = await response.json();
+            this.logger.info('Auth0 token acquired', { grantType: 'password', durationMs: Date.now() - startTime });
+            return {
+                accessToken: data.access_token,
+                idToken: data.id_token,
+                expiresIn: data.expires_in
+            };
+        } catch (error) {
+            // Only the outcome is logged: the payload carries the user's password
+            this.logger.error('Auth0 token request failed', {
+                grantType: 'password',
+                error: error.message,
+                durationMs: Date.now() - startTime
+            });
+            throw new Error(`User authentication failed: ${error.message}`);
         }
-
-        const data = await response.json();
-        return {
-            accessToken: data.access_token,
-            idToken: data.id_token,
-            expiresIn: data.expires_in
-        };
     }
 }
 
-// QuoteFactory API Client class (embedded for Zapier)
+module.exports = Auth0Client;
+    },
+
+    'api/quotefactory-api.js': function (module, exports) {
+/**
+ * QuoteFactory API Client
+ * Handles all API interactions with QuoteFactory using HTTP requests
+ */
+
+const Logger = __require('logging/logger.js');
+
 class QuoteFactoryAPI {
     constructor(config) {
         this.baseUrl = config.baseUrl || 'https://api.quotefactory.com';
         this.auth0Client = config.auth0Client;
         this.username = config.username;
         this.password = config.password;
+        this.sessionToken = null;
+        this.sessionExpiry = null;
+        this.logger = config.logger || new Logger({ module: 'quotefactory-api' });
+    }
+
+    /**
+     * Initialize session with QuoteFactory
+     */
+    async initialize() {
+        const startTime = Date.now();
+        try {
+            // Get Auth0 token
+            const authResult = await this.auth0Client.getUserToken(
+                this.username,
+                this.password
+            );
+
+            this.sessionToken = authResult.accessToken;
+            this.sessionExpiry = new Date(Date.now() + (authResult.expiresIn - 300) * 1000);
+
+            this.logger.info('QuoteFactory session initialized', { durationMs: Date.now() - startTime });
+            return true;
+        } catch (error) {
+            this.logger.error('Failed to initialize QuoteFactory session', {
+                error: error.message,
+                durationMs: Date.now() - startTime
+            });
+            throw new Error(`QuoteFactory initialization failed: ${error.message}`);
+        }
     }
 
+    /**
+     * Ensure we have a valid session
+     */
+    async ensureSession() {
+        if (!this.sessionToken || !this.sessionExpiry || new Date() >= this.sessionExpiry) {
+            await this.initialize();
+        }
+    }
+
+    /**
+     * Search for a load by reference number
+     */
     async searchLoad(loadReference) {
-        // Get authentication token
-        const authResult = await this.auth0Client.getUserToken(
-            this.username,
-            this.password
-        );
+        await this.ensureSession();
 
-        // Search for load
         const searchUrl = `${this.baseUrl}/api/v1/loads/search`;
-        
-        const response = await fetch(searchUrl, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${authResult.accessToken}`,
-                'Content-Type': 'application/json',
-                'Accept': 'application/json'
-            },
-            body: JSON.stringify({
-                query: loadReference,
-                searchType: 'reference',
-                includeDetails: true
-            })
-        });
+        const startTime = Date.now();
+
+        try {
+            const response = await fetch(searchUrl, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionToken}`,
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify({
+                    query: loadReference,
+                    searchType: 'reference',
+                    includeDetails: true
+                })
+            });
+
+            if (!response.ok) {
+                if (response.status === 401) {
+                    // Token expired, retry once
+                    await this.initialize();
+                    return this.searchLoad(loadReference);
+                }
+                throw new Error(`Search failed: ${response.status} ${response.statusText}`);
+            }
 
-        if (!response.ok) {
-            throw new Error(`Load search failed: ${response.status} ${response.statusText}`);
+            const data = await response.json();
+            const found = !!(data.results && data.results.length > 0);
+
+            this.logger.info('Load search completed', {
+                loadReference,
+                found,
+                httpStatus: response.status,
+                durationMs: Date.now() - startTime
+            });
+
+            // Return the first match
+            return found ? this.transformLoadData(data.results[0]) : null;
+        } catch (error) {
+            this.logger.error('Load search failed', {
+                loadReference,
+                error: error.message,
+                durationMs: Date.now() - startTime
+            });
+            throw new Error(`Failed to search load: ${error.message}`);
         }
+    }
 
-        const data = await response.json();
-        
-        if (data.results && data.results.length > 0) {
-            return this.transformLoadData(data.results[0]);
-        }
+    /**
+     * Get detailed load information
+     */
+    async getLoadDetails(loadId) {
+        await this.ensureSession();
+
+        const detailsUrl = `${this.baseUrl}/api/v1/loads/${loadId}`;
+        const startTime = Date.now();
+
+        try {
+            const response = await fetch(detailsUrl, {
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionToken}`,
+                    'Accept': 'application/json'
+                }
+            });
 
-        return null;
+            if (!response.ok) {
+                throw new Error(`Failed to get load details: ${response.status}`);
+            }
+
+            const data = await response.json();
+            this.logger.info('Load details retrieved', { loadId, durationMs: Date.now() - startTime });
+            return this.transformLoadData(data);
+        } catch (error) {
+            this.logger.error('Load details failed', {
+                loadId,
+                error: error.message,
+                durationMs: Date.now() - startTime
+            });
+            throw new Error(`Failed to get load details: ${error.message}`);
+        }
     }
 
+    /**
+     * Transform API response to standardized format
+     */
     transformLoadData(apiData) {
         if (!apiData) return null;
 
@@ -157,9 +530,15 @@ class QuoteFactoryAPI {
         };
     }
 
+    /**
+     * Format location data
+     */
     formatLocation(location) {
         if (!location) return 'TBD';
-        if (typeof location === 'string') return location;
+
+        if (typeof location === 'string') {
+            return location;
+        }
 
         const parts = [
             location.city,
@@ -170,29 +549,136 @@ class QuoteFactoryAPI {
         return parts.join(', ') || 'TBD';
     }
 
+    /**
+     * Format weight
+     */
     formatWeight(weight) {
         if (!weight) return 'TBD';
+        
         if (typeof weight === 'number') {
             return `${weight.toLocaleString()} lbs`;
         }
+        
         return weight.toString();
     }
 
+    /**
+     * Format currency
+     */
     formatCurrency(amount) {
         if (!amount) return 'TBD';
+        
         if (typeof amount === 'number') {
             return `$${amount.toLocaleString('en-US', {
                 minimumFractionDigits: 2,
                 maximumFractionDigits: 2
             })}`;
         }
+        
         return amount.toString();
     }
+
+    /**
+     * Batch search for multiple loads
+     */
+    async searchMultipleLoads(loadReferences) {
+        const results = {};
+        
+        for (const reference of loadReferences) {
+            try {
+                const loadData = await this.searchLoad(reference);
+                results[reference] = {
+                    success: true,
+                    data: loadData
+                };
+            } catch (error) {
+                results[reference] = {
+                    success: false,
+                    error: error.message
+                };
+            }
+        }
+        
+        return results;
+    }
+
+    /**
+     * Health check for API connectivity
+     * Reports Auth0 token acquisition and QuoteFactory API reachability
+     * separately, each with its latency, so a failing login is not
+     * mistaken for an API outage.
+     * @returns {Object} - { healthy, message, checks: { auth0, api } }
+     */
+    async healthCheck() {
+        const checks = {};
+
+        const authStart = Date.now();
+        const cached = !!(this.sessionToken && this.sessionExpiry && new Date() < this.sessionExpiry);
+        try {
+            await this.ensureSession();
+            checks.auth0 = {
+                healthy: true,
+                latencyMs: Date.now() - authStart,
+                cached,
+                message: cached ? 'Session token still valid' : 'Token acquired'
+            };
+        } catch (error) {
+            checks.auth0 = { healthy: false, latencyMs: Date.now() - authStart, cached, message: error.message };
+            checks.api = { healthy: false, latencyMs: 0, httpStatus: 0, message: 'Skipped - no session token' };
+            return { healthy: false, message: 'Auth0 token acquisition failed', checks };
+        }
+
+        const apiStart = Date.now();
+        try {
+            const response = await fetch(`${this.baseUrl}/api/v1/health`, {
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionToken}`
+                }
+            });
+
+            checks.api = {
+                healthy: response.ok,
+                latencyMs: Date.now() - apiStart,
+                httpStatus: response.status,
+                message: response.ok ? 'API is accessible' : 'API health check failed'
+            };
+        } catch (error) {
+            checks.api = { healthy: false, latencyMs: Date.now() - apiStart, httpStatus: 0, message: error.message };
+        }
+
+        return {
+            healthy: checks.api.healthy,
+            message: checks.api.healthy ? 'QuoteFactory API reachable' : `QuoteFactory API unreachable: ${checks.api.message}`,
+            checks
+        };
+    }
+}
+
+module.exports = QuoteFactoryAPI;
+    }
+};
+
+const __moduleCache = {};
+function __require(id) {
+    if (!__moduleCache[id]) {
+        const module = { exports: {} };
+        __moduleCache[id] = module;
+        __modules[id](module, module.exports);
+    }
+    return __moduleCache[id].exports;
 }
 
+// ---- Step code ----
+const Auth0Client = __require('auth/auth0-client.js');
+const QuoteFactoryAPI = __require('api/quotefactory-api.js');
+const Logger = __require('logging/logger.js');
+
 // Main Zapier code step function
 const startTime = Date.now();
 const requestId = inputData.request_id || `lookup_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+// The request id from step 1 ties this step's lines, and the API clients', to the extraction
+const logger = new Logger({ module: 'zapier.lookup-load-details', context: { requestId } });
 
 try {
     // Get input data from previous step
@@ -201,7 +687,7 @@ try {
     const originalSubject = inputData.original_subject || '';
     const originalBody = inputData.original_body || '';
 
-    console.log(`[${requestId}] Starting load lookup`, {
+    logger.info('Starting load lookup', {
         loadReference,
         referenceFound,
         hasCredentials: !!(
@@ -233,7 +719,7 @@ try {
         if (missingVars.length > 0) {
             errorMessage = `Missing required environment variables: ${missingVars.join(', ')}`;
             scenario = 'error';
-            console.error(`[${requestId}] Configuration error:`, errorMessage);
+            logger.error('Configuration error', { error: errorMessage });
         } else {
             lookupAttempted = true;
             
@@ -243,7 +729,8 @@ try {
                     auth0Domain: process.env.AUTH0_DOMAIN,
                     clientId: process.env.AUTH0_CLIENT_ID,
                     clientSecret: process.env.AUTH0_CLIENT_SECRET,
-                    audience: process.env.AUTH0_AUDIENCE
+                    audience: process.env.AUTH0_AUDIENCE,
+                    logger: logger.child({ module: 'auth0-client' })
                 });
 
                 // Initialize QuoteFactory API client
@@ -251,41 +738,43 @@ try {
                     baseUrl: process.env.QUOTEFACTORY_API_BASE,
                     auth0Client: auth0Client,
                     username: process.env.QUOTEFACTORY_USERNAME,
-                    password: process.env.QUOTEFACTORY_PASSWORD
+                    password: process.env.QUOTEFACTORY_PASSWORD,
+                    logger: logger.child({ module: 'quotefactory-api' })
                 });
 
                 // Perform load lookup
-                console.log(`[${requestId}] Searching for load: ${loadReference}`);
+                logger.info('Searching for load', { loadReference });
                 loadData = await quoteFactoryApi.searchLoad(loadReference);
 
                 if (loadData) {
                     lookupSuccess = true;
                     scenario = 'load_found';
-                    console.log(`[${requestId}] Load data retrieved successfully`);
+                    logger.info('Load data retrieved', { loadReference });
                 } else {
                     scenario = 'load_pending';
-                    console.log(`[${requestId}] Load reference found but no details available`);
+                    logger.info('Load reference found but no details available', { loadReference });
                 }
 
             } catch (error) {
                 errorMessage = error.message;
                 scenario = 'error';
-                console.error(`[${requestId}] Lookup failed:`, error.message);
+                logger.error('Lookup failed', { loadReference, error: error.message });
             }
         }
     } else if (referenceFound && loadReference) {
         // Reference found but no credentials configured
         scenario = 'load_pending';
-        console.log(`[${requestId}] Reference found but lookup not configured`);
+        logger.info('Reference found but lookup not configured');
     } else {
         // No reference found
         scenario = 'no_reference';
-        console.log(`[${requestId}] No load reference to lookup`);
+        logger.info('No load reference to lookup');
     }
 
     const processingTime = Date.now() - startTime;
 
-    console.log(`[${requestId}] Lookup completed in ${processingTime}ms`, {
+    logger.info('Lookup completed', {
+        durationMs: processingTime,
         scenario,
         lookupAttempted,
         lookupSuccess,
@@ -309,16 +798,13 @@ try {
         original_subject: originalSubject,
         original_body: originalBody,
         // Additional metadata
-        has_complete_data: loadData ? this.isCompleteData(loadData) : false
+        has_complete_data: loadData ? isCompleteData(loadData) : false
     };
 
 } catch (error) {
     const processingTime = Date.now() - startTime;
     
-    console.error(`[${requestId}] Lookup step failed:`, {
-        error: error.message,
-        processingTimeMs: processingTime
-    });
+    logger.error('Lookup step failed', error, { durationMs: processingTime });
 
     // Output error state
     output = {
@@ -351,4 +837,4 @@ function isCompleteData(loadData) {
     ];
     
     return requiredFields.every(field => field && field !== 'TBD');
-}
\ No newline at end of file
+}
@@ -0,0 +1,109 @@
+/**
+ * Zapier Code Step 1: Extract Load Reference
+ * 
+ * This code step extracts load reference numbers from incoming emails.
+ * 
+ * INPUT FIELDS:
+ * - email_subject: Email subject line
+ * - email_body: Email body content (plain text or HTML)
+ * - email_from: Sender email address (optional, selects the sender's pattern profile)
+ * - explain: "true" to list every candidate reference considered (optional)
+ * 
+ * OUTPUT FIELDS:
+ * - load_reference: Extracted load reference (null if not found)
+ * - confidence: Confidence score (0-100)
+ * - found: Boolean indicating if reference was found
+ * - message: Human-readable result message
+ * - processing_time_ms: Time taken to process
+ * - request_id: Unique identifier for this request
+ * - candidate_count / candidates_json: Every candidate with its pattern,
+ *   position, exclusion or validation errors and confidence (explain only)
+ *
+ * ENVIRONMENT VARIABLES (optional):
+ * - LOG_LEVEL: debug, info (default), warn or error
+ */
+
+const EmailParser = require('../../parsers/email-parser');
+const Logger = require('../../logging/logger');
+
+// Main Zapier code step function
+const startTime = Date.now();
+const requestId = `extract_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+const logger = new Logger({ module: 'zapier.extract-load-reference', context: { requestId } });
+
+try {
+    // Get input data from Zapier
+    const emailSubject = inputData.email_subject || '';
+    const emailBody = inputData.email_body || '';
+    const emailFrom = inputData.email_from || '';
+    const explain = String(inputData.explain || '').toLowerCase() === 'true';
+
+    // Log processing start
+    logger.info('Starting load reference extraction', {
+        hasSubject: !!emailSubject,
+        hasBody: !!emailBody,
+        bodyLength: emailBody.length,
+        from: emailFrom
+    });
+
+    // Combine subject and body for analysis
+    const combinedContent = `${emailSubject}\n\n${emailBody}`;
+
+    // Initialize parser and extract reference (the sender picks the pattern profile)
+    const parser = new EmailParser();
+    const extractionResult = parser.extractLoadReference(combinedContent, { sender: emailFrom, explain });
+    const candidates = extractionResult.candidates || [];
+
+    const processingTime = Date.now() - startTime;
+
+    // Log results
+    logger.info('Extraction completed', {
+        durationMs: processingTime,
+        found: extractionResult.found,
+        reference: extractionResult.reference,
+        confidence: extractionResult.confidence,
+        message: extractionResult.message
+    });
+
+    // Output for next Zapier step
+    output = {
+        load_reference: extractionResult.reference,
+        confidence: extractionResult.confidence,
+        found: extractionResult.found,
+        message: extractionResult.message,
+        matched_pattern: extractionResult.matchedPattern || null,
+        candidate_count: candidates.length,
+        candidates_json: explain ? JSON.stringify(candidates) : null,
+        processing_time_ms: processingTime,
+        request_id: requestId,
+        timestamp: new Date().toISOString(),
+        // Include original data for next steps
+        original_subject: emailSubject,
+        original_body: emailBody,
+        original_from: emailFrom
+    };
+
+} catch (error) {
+    const processingTime = Date.now() - startTime;
+    
+    logger.error('Extraction failed', error, { durationMs: processingTime });
+
+    // Output error state
+    output = {
+        load_reference: null,
+        confidence: 0,
+        found: false,
+        message: `Extraction failed: ${error.message}`,
+        matched_pattern: null,
+        candidate_count: 0,
+        candidates_json: null,
+        processing_time_ms: processingTime,
+        request_id: requestId,
+        timestamp: new Date().toISOString(),
+        error: error.message,
+        // Include original data for next steps
+        original_subject: inputData.email_subject || '',
+        original_body: inputData.email_body || '',
+        original_from: inputData.email_from || ''
+    };
+}
\ No newline at end of file
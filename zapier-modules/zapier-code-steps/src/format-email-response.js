@@ -0,0 +1,162 @@
+/**
+ * Zapier Code Step 3: Format Email Response
+ * 
+ * This code step generates professional email responses based on the load lookup results.
+ * 
+ * INPUT FIELDS (from previous steps):
+ * - scenario: Response scenario (load_found, load_pending, no_reference, error)
+ * - load_data: Load details (if found)
+ * - load_reference: Load reference number
+ * - original_subject: Original email subject
+ * - error_message: Error details (if applicable)
+ * - request_id: Request ID for tracking
+ * 
+ * ENVIRONMENT VARIABLES (optional):
+ * - COMPANY_NAME: Your company name (default: "Your Company")
+ * - COMPANY_SIGNATURE: Custom signature block
+ * - LOAD_FOUND_TEMPLATE, LOAD_PENDING_TEMPLATE, NO_REFERENCE_TEMPLATE,
+ *   ERROR_TEMPLATE: Custom response bodies ({{LOAD_REFERENCE}}, {{PICKUP_LOCATION}}, ...
+ *   placeholders as in the default templates)
+ * - LOG_LEVEL: debug, info (default), warn or error
+ * 
+ * OUTPUT FIELDS:
+ * - reply_subject: Formatted subject line
+ * - reply_body: Complete email body
+ * - reply_body_html: HTML version of email body
+ * - response_type: Type of response generated
+ * - has_load_data: Boolean indicating if load details included
+ */
+
+const ResponseFormatter = require('../../formatters/response-formatter');
+const Logger = require('../../logging/logger');
+
+// Response types reported to later Zapier steps, by scenario
+const RESPONSE_TYPES = {
+    load_found: 'complete_details',
+    load_pending: 'pending_details',
+    no_reference: 'reference_request',
+    error: 'error_response'
+};
+
+function plainTextToHtml(plainText) {
+    return plainText
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+        .replace(/\n/g, '<br>\n')
+        .replace(/^(•|✓|⚠️)/gm, '<strong>$1</strong>')
+        .replace(/^(📦|📍|💰|🚛)/gm, '<strong>$1</strong>');
+}
+
+// Main Zapier code step function
+const startTime = Date.now();
+const requestId = inputData.request_id || `format_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+const logger = new Logger({ module: 'zapier.format-email-response', context: { requestId } });
+
+try {
+    // Get input data from previous steps
+    const scenario = inputData.scenario || 'error';
+    const loadData = inputData.load_data;
+    const loadReference = inputData.load_reference;
+    const originalSubject = inputData.original_subject || '';
+    const errorMessage = inputData.error_message;
+
+    logger.info('Starting response formatting', {
+        scenario,
+        hasLoadData: !!loadData,
+        loadReference,
+        subjectLength: originalSubject.length
+    });
+
+    // Initialize formatter with configuration
+    const formatter = new ResponseFormatter({
+        companyName: process.env.COMPANY_NAME || 'Your Company',
+        signatureTemplate: process.env.COMPANY_SIGNATURE,
+        loadFoundTemplate: process.env.LOAD_FOUND_TEMPLATE,
+        loadPendingTemplate: process.env.LOAD_PENDING_TEMPLATE,
+        noReferenceTemplate: process.env.NO_REFERENCE_TEMPLATE,
+        errorTemplate: process.env.ERROR_TEMPLATE
+    });
+
+    // Prepare data for formatting
+    const formatData = {
+        loadData,
+        loadReference,
+        originalSubject,
+        errorMessage
+    };
+
+    // Generate response
+    const response = formatter.formatResponse(scenario, formatData);
+    const responseType = RESPONSE_TYPES[scenario] || scenario;
+    const hasLoadData = scenario === 'load_found';
+    const bodyHtml = plainTextToHtml(response.body);
+
+    const processingTime = Date.now() - startTime;
+
+    logger.info('Response formatted', {
+        durationMs: processingTime,
+        responseType,
+        subjectLength: response.subject.length,
+        bodyLength: response.body.length,
+        hasLoadData
+    });
+
+    // Output for Zapier email sending
+    output = {
+        reply_subject: response.subject,
+        reply_body: response.body,
+        reply_body_html: bodyHtml,
+        response_type: responseType,
+        has_load_data: hasLoadData,
+        processing_time_ms: processingTime,
+        request_id: requestId,
+        timestamp: new Date().toISOString(),
+        // Include metadata for tracking
+        original_scenario: scenario,
+        load_reference: loadReference,
+        // Character counts for Zapier limits
+        subject_length: response.subject.length,
+        body_length: response.body.length,
+        html_length: bodyHtml.length
+    };
+
+} catch (error) {
+    const processingTime = Date.now() - startTime;
+    
+    logger.error('Response formatting failed', error, { durationMs: processingTime });
+
+    // Generate fallback response
+    const fallbackSubject = inputData.original_subject ? 
+        `Re: ${inputData.original_subject}` : 
+        'Load Inquiry Response';
+    
+    const fallbackBody = `Hello,
+
+Thank you for your email. We are processing your inquiry and will respond with details shortly.
+
+Best regards,
+${process.env.COMPANY_NAME || 'Your Company'}
+
+---
+Automated response system`;
+
+    output = {
+        reply_subject: fallbackSubject,
+        reply_body: fallbackBody,
+        reply_body_html: fallbackBody.replace(/\n/g, '<br>\n'),
+        response_type: 'fallback',
+        has_load_data: false,
+        processing_time_ms: processingTime,
+        request_id: requestId,
+        timestamp: new Date().toISOString(),
+        error: error.message,
+        original_scenario: inputData.scenario || 'unknown',
+        load_reference: inputData.load_reference,
+        subject_length: fallbackSubject.length,
+        body_length: fallbackBody.length,
+        html_length: fallbackBody.replace(/\n/g, '<br>\n').length
+    };
+}
\ No newline at end of file
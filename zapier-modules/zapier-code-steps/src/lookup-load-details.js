@@ -0,0 +1,200 @@
+/**
+ * Zapier Code Step 2: Lookup Load Details
+ * 
+ * This code step authenticates with QuoteFactory via Auth0 and retrieves load details.
+ * Uses HTTP requests instead of browser automation for Zapier compatibility.
+ * 
+ * INPUT FIELDS (from previous step):
+ * - load_reference: The extracted load reference
+ * - found: Boolean indicating if reference was found
+ * - request_id: Request ID from previous step
+ * - original_subject: Original email subject
+ * - original_body: Original email body
+ * 
+ * ENVIRONMENT VARIABLES (set in Zapier):
+ * - AUTH0_DOMAIN: Your Auth0 domain
+ * - AUTH0_CLIENT_ID: Auth0 application client ID
+ * - AUTH0_CLIENT_SECRET: Auth0 application client secret
+ * - AUTH0_AUDIENCE: Auth0 API audience (optional)
+ * - QUOTEFACTORY_USERNAME: QuoteFactory login username
+ * - QUOTEFACTORY_PASSWORD: QuoteFactory login password
+ * - QUOTEFACTORY_API_BASE: QuoteFactory API base URL (optional)
+ * - LOG_LEVEL: debug, info (default), warn or error (optional)
+ * 
+ * OUTPUT FIELDS:
+ * - load_data: Complete load information (null if not found)
+ * - lookup_success: Boolean indicating successful lookup
+ * - lookup_attempted: Boolean indicating if lookup was attempted
+ * - error_message: Error details if lookup failed
+ * - processing_time_ms: Time taken to process
+ * - scenario: Response scenario (load_found, load_pending, no_reference, error)
+ */
+
+const Auth0Client = require('../../auth/auth0-client');
+const QuoteFactoryAPI = require('../../api/quotefactory-api');
+const Logger = require('../../logging/logger');
+
+// Main Zapier code step function
+const startTime = Date.now();
+const requestId = inputData.request_id || `lookup_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+// The request id from step 1 ties this step's lines, and the API clients', to the extraction
+const logger = new Logger({ module: 'zapier.lookup-load-details', context: { requestId } });
+
+try {
+    // Get input data from previous step
+    const loadReference = inputData.load_reference;
+    const referenceFound = inputData.found;
+    const originalSubject = inputData.original_subject || '';
+    const originalBody = inputData.original_body || '';
+
+    logger.info('Starting load lookup', {
+        loadReference,
+        referenceFound,
+        hasCredentials: !!(
+            process.env.AUTH0_DOMAIN && 
+            process.env.AUTH0_CLIENT_ID && 
+            process.env.QUOTEFACTORY_USERNAME
+        )
+    });
+
+    let loadData = null;
+    let lookupAttempted = false;
+    let lookupSuccess = false;
+    let errorMessage = null;
+    let scenario = 'no_reference';
+
+    // Only attempt lookup if we have a reference and credentials
+    if (referenceFound && loadReference) {
+        // Check for required environment variables
+        const requiredEnvVars = [
+            'AUTH0_DOMAIN',
+            'AUTH0_CLIENT_ID', 
+            'AUTH0_CLIENT_SECRET',
+            'QUOTEFACTORY_USERNAME',
+            'QUOTEFACTORY_PASSWORD'
+        ];
+
+        const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
+        
+        if (missingVars.length > 0) {
+            errorMessage = `Missing required environment variables: ${missingVars.join(', ')}`;
+            scenario = 'error';
+            logger.error('Configuration error', { error: errorMessage });
+        } else {
+            lookupAttempted = true;
+            
+            try {
+                // Initialize Auth0 client
+                const auth0Client = new Auth0Client({
+                    auth0Domain: process.env.AUTH0_DOMAIN,
+                    clientId: process.env.AUTH0_CLIENT_ID,
+                    clientSecret: process.env.AUTH0_CLIENT_SECRET,
+                    audience: process.env.AUTH0_AUDIENCE,
+                    logger: logger.child({ module: 'auth0-client' })
+                });
+
+                // Initialize QuoteFactory API client
+                const quoteFactoryApi = new QuoteFactoryAPI({
+                    baseUrl: process.env.QUOTEFACTORY_API_BASE,
+                    auth0Client: auth0Client,
+                    username: process.env.QUOTEFACTORY_USERNAME,
+                    password: process.env.QUOTEFACTORY_PASSWORD,
+                    logger: logger.child({ module: 'quotefactory-api' })
+                });
+
+                // Perform load lookup
+                logger.info('Searching for load', { loadReference });
+                loadData = await quoteFactoryApi.searchLoad(loadReference);
+
+                if (loadData) {
+                    lookupSuccess = true;
+                    scenario = 'load_found';
+                    logger.info('Load data retrieved', { loadReference });
+                } else {
+                    scenario = 'load_pending';
+                    logger.info('Load reference found but no details available', { loadReference });
+                }
+
+            } catch (error) {
+                errorMessage = error.message;
+                scenario = 'error';
+                logger.error('Lookup failed', { loadReference, error: error.message });
+            }
+        }
+    } else if (referenceFound && loadReference) {
+        // Reference found but no credentials configured
+        scenario = 'load_pending';
+        logger.info('Reference found but lookup not configured');
+    } else {
+        // No reference found
+        scenario = 'no_reference';
+        logger.info('No load reference to lookup');
+    }
+
+    const processingTime = Date.now() - startTime;
+
+    logger.info('Lookup completed', {
+        durationMs: processingTime,
+        scenario,
+        lookupAttempted,
+        lookupSuccess,
+        hasLoadData: !!loadData,
+        errorMessage
+    });
+
+    // Output for next Zapier step
+    output = {
+        load_data: loadData,
+        lookup_success: lookupSuccess,
+        lookup_attempted: lookupAttempted,
+        error_message: errorMessage,
+        scenario: scenario,
+        processing_time_ms: processingTime,
+        request_id: requestId,
+        timestamp: new Date().toISOString(),
+        // Pass through data for response formatting
+        load_reference: loadReference,
+        reference_found: referenceFound,
+        original_subject: originalSubject,
+        original_body: originalBody,
+        // Additional metadata
+        has_complete_data: loadData ? isCompleteData(loadData) : false
+    };
+
+} catch (error) {
+    const processingTime = Date.now() - startTime;
+    
+    logger.error('Lookup step failed', error, { durationMs: processingTime });
+
+    // Output error state
+    output = {
+        load_data: null,
+        lookup_success: false,
+        lookup_attempted: true,
+        error_message: error.message,
+        scenario: 'error',
+        processing_time_ms: processingTime,
+        request_id: requestId,
+        timestamp: new Date().toISOString(),
+        // Pass through original data
+        load_reference: inputData.load_reference,
+        reference_found: inputData.found,
+        original_subject: inputData.original_subject || '',
+        original_body: inputData.original_body || '',
+        has_complete_data: false
+    };
+}
+
+// Helper function to check data completeness
+function isCompleteData(loadData) {
+    if (!loadData) return false;
+    
+    const requiredFields = [
+        loadData.pickup?.location,
+        loadData.delivery?.location,
+        loadData.commodity?.weight,
+        loadData.rate?.amount
+    ];
+    
+    return requiredFields.every(field => field && field !== 'TBD');
+}
\ No newline at end of file